@@ -1,4 +1,62 @@
-﻿let MongoClient;
+﻿import { ObjectId } from 'mongodb';
+import { createRouter, sendNotFound } from '../utils/router.js';
+import { parseRequestBody, hasRequestBody, BodyParseError, sendBodyError } from '../utils/bodyParser.js';
+import {
+  RESERVATION_STATUS,
+  reserveSeats,
+  transitionReservation,
+  cancelRide,
+  cancelRideSeries,
+  RIDE_RECURRENCES,
+  DEFAULT_EXPANSION_DAYS,
+  expandRecurringRides,
+  parseDepartureWindow,
+  departureFilter,
+  placeFilter
+} from '../services/rideService.js';
+import { notifyUser } from '../services/notificationService.js';
+import { resolveProviders, LlmProviderError } from '../services/llmProviders.js';
+import { mphoToolsFor, buildMphoSystemPrompt, alternateTurns, executeMphoTool, runMphoConversation } from '../services/mphoService.js';
+import { syncKnowledgeDocument, refreshKnowledgeIndex, knowledgeIndexStatus } from '../services/knowledgeService.js';
+import { getMphoSettings, updateMphoSettings, planFor, recordAiRequest, aiSpendReport } from '../services/aiUsageService.js';
+import { loadMphoMemory, recentTurnsWithinBudget, describeMemory, recordMphoExchange, summarizeIfNeeded, forgetMphoMemory } from '../services/mphoMemoryService.js';
+import { getNextInvoiceNumber, calcInvoiceTotals, getInvoiceBranding, updateInvoiceBranding, createInvoiceShareLink, verifyInvoiceShareLink, revokeInvoiceShareLinks, convertQuotationToInvoice } from '../services/invoiceService.js';
+import { renderInvoicePdf } from '../services/invoicePdfService.js';
+import { invoiceBalance, statusForBalance, recordInvoicePayment, deleteInvoicePayment, markOverdueInvoices, agedReceivablesReport } from '../services/receivablesService.js';
+import { listAccounts, createAccount, postJournalEntry, reverseJournalEntry, postLedgerFor, syncLedger, listEntries, trialBalance, ledgerTotals, profitAndLoss, cashFlow } from '../services/ledgerService.js';
+import {
+  findLiveMphoSubscription, activateMphoSubscription, cancelMphoSubscription, subscriptionHistory,
+  runMphoSubscriptionLifecycle, subscriptionChurnReport, getSubscriptionSettings, updateSubscriptionSettings
+} from '../services/mphoSubscriptionService.js';
+import { PaymentProviderError, paymentProviders, defaultPaymentProvider } from '../services/paymentProviders.js';
+import { quoteListingPayment, initiateListingPayment, verifyListingPayment, recordProofOfPayment, refundListingPayment } from '../services/paymentService.js';
+import { receiveWebhookEvent, listWebhookEvents, getWebhookEvent, reprocessWebhookEvent } from '../services/paymentWebhookService.js';
+import { queueListingScreening, runListingScreeningQueue, rescreenListing, dismissListingRisk, listFlaggedListings } from '../services/listingRiskService.js';
+import { trackListingChange, listingPriceHistory } from '../services/listingWatchService.js';
+import { listSavedSearches, createSavedSearch, updateSavedSearch, deleteSavedSearch, listSavedSearchMatches, matchSavedSearches, sendSavedSearchDigests } from '../services/savedSearchService.js';
+import { searchListings, searchFallbackFilter, exactMatchRegex, containsRegex, countryAliases, listingFacets, FACETS } from '../services/listingSearchService.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import {
+  toPoint,
+  toFeatureCollection,
+  findLayerDocuments,
+  seedLayerIfEmpty,
+  MODERATION_STATUS,
+  liveHazardFilter,
+  backfillHazardExpiry,
+  publicHazard,
+  listPendingSubmissions,
+  moderateSubmission,
+  voteOnHazard,
+  publicStation,
+  createStation,
+  updateStation,
+  deleteStation,
+  reportStationStatus,
+  listStationReports
+} from '../services/driveMapService.js';
+
+let MongoClient;
 let client;
 let isConnected = false;
 
@@ -167,6 +225,1416 @@ async function getUserSellerType(db, userId) {
   }
 }
 
+// ==================== ROUTE TABLE ====================
+// Sections are being moved off the if-chain inside handler() one at a time.
+// Anything registered here is dispatched before the legacy chain runs; paths
+// the table does not know fall through to it unchanged.
+const router = createRouter();
+
+// ==================== RIDES / CARPOOLING ====================
+
+// GET /api/rides — search upcoming rides (public)
+// origin/destination match literally, case-insensitive. The departure window is
+// date=YYYY-MM-DD or from/to instants, optionally narrowed with timeFrom/timeTo
+// (HH:mm, Botswana time) — e.g. ?origin=Mochudi&destination=Gaborone&timeFrom=06:30&timeTo=07:30
+router.get('/api/rides', async ({ res, db, searchParams }) => {
+  try {
+    const col = db.collection('rides');
+    const window = parseDepartureWindow(searchParams);
+    const filter = { status: { $in: ['active', 'full'] }, ...departureFilter(window) };
+    const origin      = searchParams.get('origin');
+    const destination = searchParams.get('destination');
+    const minSeats    = parseInt(searchParams.get('seats')) || 0;
+    if (origin)      filter.origin      = placeFilter(origin);
+    if (destination) filter.destination = placeFilter(destination);
+    if (minSeats)    filter.seatsAvailable = { $gte: minSeats };
+
+    // Make sure recurring rides have occurrences for the days being searched
+    const expandUntil = window.to || new Date(window.from.getTime() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000);
+    await expandRecurringRides(db, window.from, expandUntil);
+
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 20, 50);
+    const rides = await col.find(filter).sort({ departureTime: 1, createdAt: -1 }).limit(limit).toArray();
+    return res.status(200).json({ success: true, data: rides });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: 'Error fetching rides' });
+  }
+});
+
+// GET /api/rides/my-rides — logged-in user's posted rides
+router.get('/api/rides/my-rides', async ({ req, res, db }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const col = db.collection('rides');
+    const rides = await col.find({ userId: String(auth.user.id) }).sort({ createdAt: -1 }).toArray();
+    return res.status(200).json({ success: true, data: rides });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: 'Error fetching your rides' });
+  }
+});
+
+// POST /api/rides — create a ride
+router.post('/api/rides', async ({ req, res, db, body }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const { origin, destination, departureTime, recurrence = 'once', recurrenceEndsAt, seatsTotal, pricePerSeat, vehicleImage, vehicle = {}, driverName, driverPhone, notes = '' } = body;
+    if (!origin || !destination || !departureTime || !seatsTotal || pricePerSeat === undefined) {
+      return res.status(400).json({ success: false, message: 'origin, destination, departureTime, seatsTotal and pricePerSeat are required' });
+    }
+    if (!RIDE_RECURRENCES.includes(recurrence)) {
+      return res.status(400).json({ success: false, message: `recurrence must be one of: ${RIDE_RECURRENCES.join(', ')}` });
+    }
+    if (isNaN(new Date(departureTime)) || (recurrenceEndsAt && isNaN(new Date(recurrenceEndsAt)))) {
+      return res.status(400).json({ success: false, message: 'departureTime and recurrenceEndsAt must be valid dates' });
+    }
+    const seatsNum = Math.max(1, parseInt(seatsTotal));
+    const doc = {
+      userId: String(auth.user.id),
+      driverName: driverName || auth.user.name || 'Driver',
+      driverPhone: driverPhone || '',
+      vehicleImage: vehicleImage || '',
+      vehicle: { make: vehicle.make || '', model: vehicle.model || '', color: vehicle.color || '' },
+      origin: String(origin).trim(),
+      destination: String(destination).trim(),
+      departureTime: new Date(departureTime),
+      recurrence,
+      recurrenceEndsAt: recurrence !== 'once' && recurrenceEndsAt ? new Date(recurrenceEndsAt) : null,
+      seatsTotal: seatsNum,
+      seatsAvailable: seatsNum,
+      pricePerSeat: Number(pricePerSeat),
+      notes: String(notes).trim(),
+      reservations: [],
+      status: 'active',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const result = await db.collection('rides').insertOne(doc);
+    if (recurrence !== 'once') {
+      const now = new Date();
+      await expandRecurringRides(db, now, new Date(now.getTime() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000), { _id: result.insertedId });
+    }
+    return res.status(201).json({ success: true, data: { ...doc, _id: result.insertedId } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: 'Error creating ride' });
+  }
+});
+
+// POST /api/rides/:id/reserve — request a seat (held until the driver accepts or declines)
+router.post('/api/rides/:id/reserve', async ({ req, res, db, params, body }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const { ride, reservation } = await reserveSeats(db, {
+      rideId: params.id,
+      userId: auth.user.id,
+      seats: body.seats,
+      passengerName: body.name || auth.user.name || 'Passenger',
+      passengerPhone: body.phone || ''
+    });
+    await notifyUser(db, ride.userId, {
+      type: 'ride_booking_requested',
+      title: 'New seat request',
+      message: `${reservation.passengerName} requested ${reservation.seats} seat(s) from ${ride.origin} to ${ride.destination}.`,
+      data: { rideId: params.id, reservationId: String(reservation._id), status: RESERVATION_STATUS.REQUESTED }
+    });
+    return res.status(200).json({
+      success: true,
+      message: 'Seat requested — the driver will confirm shortly',
+      reservation,
+      seatsAvailable: ride.seatsAvailable
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    return res.status(500).json({ success: false, message: 'Error reserving seat' });
+  }
+});
+
+// GET /api/rides/my-bookings — rides the logged-in user has reserved seats on
+router.get('/api/rides/my-bookings', async ({ req, res, db }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const userId = String(auth.user.id);
+    const rides = await db.collection('rides')
+      .find({ 'reservations.userId': userId })
+      .sort({ departureTime: -1 })
+      .limit(50)
+      .toArray();
+    // Passengers only see their own reservation, not the rest of the manifest
+    const data = rides.map(({ reservations = [], ...ride }) => ({
+      ...ride,
+      myReservations: reservations.filter(r => r.userId === userId)
+    }));
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: 'Error fetching your bookings' });
+  }
+});
+
+// PUT /api/rides/:id/reservations/:reservationId/(accept|decline|cancel|no-show)
+// accept/decline/no-show are for the driver, cancel is for the passenger
+router.put('/api/rides/:id/reservations/:reservationId/:action(accept|decline|cancel|no-show)', async ({ req, res, db, params, body }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const { ride, reservation } = await transitionReservation(db, {
+      rideId: params.id,
+      reservationId: params.reservationId,
+      action: params.action,
+      userId: auth.user.id,
+      reason: body.reason
+    });
+    return res.status(200).json({
+      success: true,
+      message: `Reservation ${reservation.status.replace(/_/g, ' ')}`,
+      reservation,
+      seatsAvailable: ride.seatsAvailable
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    return res.status(500).json({ success: false, message: 'Error updating reservation' });
+  }
+});
+
+// DELETE /api/rides/:id — cancel a ride (owner only); releases every booking and notifies passengers
+// ?scope=series on the first ride of a recurring series cancels every upcoming occurrence too
+router.delete('/api/rides/:id', async ({ req, res, db, params, body, searchParams }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    if (searchParams.get('scope') === 'series') {
+      const { cancelled, affected } = await cancelRideSeries(db, params.id, auth.user.id, body.reason);
+      return res.status(200).json({ success: true, message: `Recurring ride stopped, ${cancelled} upcoming ride(s) cancelled`, passengersNotified: affected.length });
+    }
+    const { affected } = await cancelRide(db, params.id, auth.user.id, body.reason);
+    return res.status(200).json({ success: true, message: 'Ride cancelled', passengersNotified: affected.length });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    return res.status(500).json({ success: false, message: 'Error cancelling ride' });
+  }
+});
+
+// ==================== DRIVE MAP ENDPOINTS ====================
+// Every layer accepts bbox=minLng,minLat,maxLng,maxLat or near=lng,lat&radius=<m>
+// and answers with a GeoJSON FeatureCollection.
+
+const DRIVE_MAP_SEED_STATIONS = [
+  { name: 'BPC EV Charger - CBD Gaborone', lat: -24.6541, lng: 25.9087, address: 'CBD, Gaborone', connectors: [{ type: 'Type 2', powerKw: 22, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Phakalane EV Hub', lat: -24.5901, lng: 25.9299, address: 'Phakalane, Gaborone', connectors: [{ type: 'CCS', powerKw: 50, current: 'DC', count: 1 }], recentReports: [] },
+  { name: 'Riverwalk Mall Charging', lat: -24.6317, lng: 25.9301, address: 'Riverwalk Mall, Gaborone', connectors: [{ type: 'Type 2', powerKw: 22, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Francistown EV Point', lat: -21.1661, lng: 27.5117, address: 'Blue Jacket St, Francistown', connectors: [{ type: 'Type 2', powerKw: 22, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Maun Eco Charger', lat: -19.9833, lng: 23.4167, address: 'Maun Town Centre', connectors: [{ type: 'Type 2', powerKw: 7, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Kasane Safari Charger', lat: -17.7965, lng: 25.1484, address: 'Kasane, Chobe District', connectors: [{ type: 'Type 2', powerKw: 7, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Lobatse EV Station', lat: -25.2167, lng: 25.6833, address: 'Lobatse Town', connectors: [{ type: 'Type 2', powerKw: 22, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Palapye Highway Stop', lat: -22.5500, lng: 27.1333, address: 'A1 Highway, Palapye', connectors: [{ type: 'CCS', powerKw: 50, current: 'DC', count: 1 }], recentReports: [] },
+  { name: 'Serowe Community Charger', lat: -22.3833, lng: 26.7167, address: 'Serowe Town Centre', connectors: [{ type: 'Type 2', powerKw: 7, current: 'AC', count: 1 }], recentReports: [] },
+  { name: 'Orapa Mining EV Point', lat: -21.3000, lng: 25.4000, address: 'Orapa, Central District', connectors: [{ type: 'Type 2', powerKw: 22, current: 'AC', count: 1 }], recentReports: [] },
+];
+
+const DRIVE_MAP_SEED_ECO_SPOTS = [
+  { name: 'Chobe National Park', lat: -17.9333, lng: 24.7667, type: 'national_park', description: 'Home to Africa\'s largest elephant population. No vehicles over 3.5t.', eco: true },
+  { name: 'Moremi Game Reserve', lat: -19.3500, lng: 23.4833, type: 'national_park', description: 'Part of the Okavango Delta ecosystem.', eco: true },
+  { name: 'Kgalagadi Transfrontier Park', lat: -25.3333, lng: 20.6667, type: 'national_park', description: 'Shared conservation area with South Africa.', eco: true },
+  { name: 'Gaborone Solar Farm', lat: -24.7000, lng: 25.9167, type: 'solar', description: 'BPC solar generation facility.', eco: true },
+  { name: 'Jwaneng Solar Plant', lat: -24.6028, lng: 24.7289, type: 'solar', description: 'Renewable energy plant near Jwaneng Mine.', eco: true },
+  { name: 'Gaborone Recycling Centre', lat: -24.6569, lng: 25.9108, type: 'recycling', description: 'Accepts plastics, metal, paper and glass.', eco: true },
+  { name: 'Francistown Recycling Hub', lat: -21.1667, lng: 27.5000, type: 'recycling', description: 'Municipal recycling drop-off point.', eco: true },
+  { name: 'Nxai Pan National Park', lat: -19.8167, lng: 24.8167, type: 'national_park', description: 'Baobab trees and seasonal flamingo pans.', eco: true },
+  { name: 'Makgadikgadi Pans', lat: -20.5000, lng: 25.5000, type: 'national_park', description: 'One of the largest salt flats in the world.', eco: true },
+  { name: 'Mokolodi Nature Reserve', lat: -24.7833, lng: 25.9167, type: 'national_park', description: 'Eco-reserve near Gaborone. EV-friendly visitor centre.', eco: true },
+];
+
+const sendDriveMapLayer = async (res, db, layer, searchParams) => {
+  const docs = await findLayerDocuments(db, layer, searchParams);
+  return res.status(200).json({ success: true, count: docs.length, ...toFeatureCollection(docs) });
+};
+
+const driveMapError = (res, error) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  console.error(`[${new Date().toISOString()}] Drive Map error:`, error);
+  return res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+};
+
+// ---- GET /api/drive-map/charging-stations (with derived status from user reports) ----
+router.get('/api/drive-map/charging-stations', async ({ res, db, searchParams }) => {
+  try {
+    await seedLayerIfEmpty(db, 'charging-stations', DRIVE_MAP_SEED_STATIONS, { once: true });
+    const stations = await findLayerDocuments(db, 'charging-stations', searchParams);
+    return res.status(200).json({ success: true, count: stations.length, ...toFeatureCollection(stations.map(publicStation)) });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- POST /api/drive-map/charging-stations/:id/reports — working / broken / occupied ----
+router.post('/api/drive-map/charging-stations/:id([a-f0-9]{24})/reports', async ({ req, res, db, params, body }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) {
+      return res.status(401).json({ success: false, message: 'Sign in to report charger status' });
+    }
+    const station = await reportStationStatus(db, params.id, { userId: authResult.user.id, status: body.status, comment: body.comment });
+    return res.status(201).json({ success: true, message: 'Thanks for the update', data: station });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- GET /api/drive-map/traffic-cameras ----
+router.get('/api/drive-map/traffic-cameras', async ({ res, db, searchParams }) => {
+  try {
+    return await sendDriveMapLayer(res, db, 'traffic-cameras', searchParams);
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- POST /api/drive-map/traffic-cameras (registered users only) ----
+router.post('/api/drive-map/traffic-cameras', async ({ req, res, db, body }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) {
+      return res.status(401).json({ success: false, message: 'Authentication required to contribute camera locations' });
+    }
+    const { lat, lng, description, road, direction } = body;
+    const location = toPoint(lat, lng);
+    if (!location) {
+      return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+    }
+    const camera = {
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      location,
+      description: description || 'Traffic Camera',
+      road: road || '',
+      direction: direction || '',
+      contributedBy: authResult.user.id,
+      contributorName: authResult.user.name || 'Anonymous',
+      approved: false, // requires admin approval
+      moderationStatus: MODERATION_STATUS.PENDING,
+      createdAt: new Date()
+    };
+    const result = await db.collection('traffic_cameras').insertOne(camera);
+    return res.status(201).json({ success: true, message: 'Camera submitted for review. Thank you for contributing!', id: result.insertedId });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- GET /api/drive-map/eco-spots ----
+router.get('/api/drive-map/eco-spots', async ({ res, db, searchParams }) => {
+  try {
+    await seedLayerIfEmpty(db, 'eco-spots', DRIVE_MAP_SEED_ECO_SPOTS);
+    return await sendDriveMapLayer(res, db, 'eco-spots', searchParams);
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- GET /api/drive-map/road-hazards (approved, not expired, not retired) ----
+router.get('/api/drive-map/road-hazards', async ({ res, db, searchParams }) => {
+  try {
+    await backfillHazardExpiry(db);
+    const hazards = await findLayerDocuments(db, 'road-hazards', searchParams, liveHazardFilter());
+    return res.status(200).json({ success: true, count: hazards.length, ...toFeatureCollection(hazards.map(publicHazard)) });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- POST /api/drive-map/road-hazards/:id/votes — "still there" / "gone" ----
+router.post('/api/drive-map/road-hazards/:id([a-f0-9]{24})/votes', async ({ req, res, db, params, body }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) {
+      return res.status(401).json({ success: false, message: 'Sign in to confirm road hazards' });
+    }
+    const hazard = await voteOnHazard(db, params.id, authResult.user.id, body.vote);
+    const retired = hazard.moderationStatus === MODERATION_STATUS.RETIRED;
+    return res.status(200).json({
+      success: true,
+      message: retired ? 'Thanks — this hazard has been cleared from the map' : 'Thanks for confirming',
+      data: hazard
+    });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- POST /api/drive-map/road-hazards (registered users only) ----
+router.post('/api/drive-map/road-hazards', async ({ req, res, db, body }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) {
+      return res.status(401).json({ success: false, message: 'Sign in to report road hazards' });
+    }
+    const { lat, lng, type, description, road } = body;
+    const location = toPoint(lat, lng);
+    if (!location || !description || !type) {
+      return res.status(400).json({ success: false, message: 'Valid lat, lng, type and description are required' });
+    }
+    const hazard = {
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      location,
+      type,
+      description,
+      road: road || '',
+      contributorName: authResult.user.name || 'Anonymous',
+      contributorId: authResult.user._id || authResult.user.id,
+      approved: false,
+      moderationStatus: MODERATION_STATUS.PENDING,
+      createdAt: new Date(),
+    };
+    await db.collection('road_hazards').insertOne(hazard);
+    return res.status(201).json({ success: true, message: 'Hazard reported. It will appear on the map after review.' });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- ADMIN MODERATION: community cameras and hazards ----
+const MODERATED_LAYER_PARAM = ':layer(traffic-cameras|road-hazards)';
+
+const notifyContributor = async (db, layer, doc, decision) => {
+  const label = layer === 'road-hazards' ? 'road hazard report' : 'traffic camera submission';
+  await notifyUser(db, doc.contributorId || doc.contributedBy, {
+    type: `drive_map_${decision}`,
+    title: decision === 'approved' ? 'Your map contribution is live' : 'Map contribution not approved',
+    message: decision === 'approved'
+      ? `Thanks! Your ${label} is now visible on the Drive Map.`
+      : `Your ${label} was not approved. Reason: ${doc.rejectionReason}`,
+    data: { layer, id: String(doc._id) }
+  });
+};
+
+// GET /api/admin/drive-map/:layer/pending — moderation queue
+router.get(`/api/admin/drive-map/${MODERATED_LAYER_PARAM}/pending`, async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const pending = await listPendingSubmissions(db, params.layer);
+    return res.status(200).json({ success: true, count: pending.length, data: pending });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// PUT /api/admin/drive-map/:layer/:id/approve | reject ({ reason })
+router.put(`/api/admin/drive-map/${MODERATED_LAYER_PARAM}/:id([a-f0-9]{24})/:action(approve|reject)`, async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const doc = await moderateSubmission(db, params.layer, params.id, params.action, { admin: adminCheck.user, reason: body.reason });
+    await notifyContributor(db, params.layer, doc, doc.moderationStatus);
+    return res.status(200).json({ success: true, message: `Submission ${doc.moderationStatus}`, data: doc });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// PUT /api/admin/drive-map/:layer/:id — edit position, description, type or expiry
+router.put(`/api/admin/drive-map/${MODERATED_LAYER_PARAM}/:id([a-f0-9]{24})`, async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const doc = await moderateSubmission(db, params.layer, params.id, 'edit', { admin: adminCheck.user, changes: body });
+    return res.status(200).json({ success: true, message: 'Submission updated', data: doc });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ---- ADMIN: EV charging stations ----
+
+// POST /api/admin/drive-map/charging-stations
+router.post('/api/admin/drive-map/charging-stations', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const station = await createStation(db, body, adminCheck.user);
+    return res.status(201).json({ success: true, message: 'Charging station created', data: station });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// PUT /api/admin/drive-map/charging-stations/:id — only the supplied fields change
+router.put('/api/admin/drive-map/charging-stations/:id([a-f0-9]{24})', async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const station = await updateStation(db, params.id, body, adminCheck.user);
+    return res.status(200).json({ success: true, message: 'Charging station updated', data: station });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// DELETE /api/admin/drive-map/charging-stations/:id
+router.delete('/api/admin/drive-map/charging-stations/:id([a-f0-9]{24})', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    await deleteStation(db, params.id);
+    return res.status(200).json({ success: true, message: 'Charging station deleted' });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// GET /api/admin/drive-map/charging-stations/:id/reports — full status report history
+router.get('/api/admin/drive-map/charging-stations/:id([a-f0-9]{24})/reports', async ({ req, res, db, params, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const reports = await listStationReports(db, params.id, parseInt(searchParams.get('limit')) || 100);
+    return res.status(200).json({ success: true, count: reports.length, data: reports });
+  } catch (error) {
+    return driveMapError(res, error);
+  }
+});
+
+// ==================== PAYMENT PROVIDERS ====================
+
+const WEBHOOK_PROVIDER_PARAM = ':provider(flutterwave|orange_money|myzaka|simulator)';
+
+// Verify a provider callback, log each event and apply the ones not seen before
+const handlePaymentWebhook = async ({ req, res, db, timestamp }, providerName) => {
+  const provider = paymentProviders()[providerName];
+  if (!provider?.supportsWebhooks) {
+    return res.status(404).json({ success: false, message: `Payment provider ${providerName} is not configured` });
+  }
+
+  let parsed;
+  try {
+    parsed = provider.parseWebhook({ headers: req.headers, body: req.body || {}, rawBody: req.rawBody });
+  } catch (error) {
+    if (error instanceof PaymentProviderError && error.kind === 'signature') {
+      console.warn(`[${timestamp}] Invalid ${providerName} webhook signature received`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    throw error;
+  }
+
+  try {
+    const results = [];
+    for (const event of parsed.events) {
+      const result = await receiveWebhookEvent(db, provider.name, event, req.rawBody);
+      console.log(`[${timestamp}] ${providerName} webhook ${event.type} for ${event.txRef}: ${result.duplicate ? 'duplicate' : result.status} ${result.outcome || result.error || ''}`);
+      results.push(result);
+    }
+    // A failure answers 500 so the provider retries; the retry re-applies the failed event
+    const failed = results.find(r => r.status === 'failed');
+    if (failed) return res.status(500).json({ error: 'Webhook processing failed', eventLogId: failed.eventLogId });
+    return res.status(200).json({
+      message: 'Webhook processed successfully',
+      events: results.map(r => ({ eventLogId: r.eventLogId, duplicate: r.duplicate, outcome: r.outcome }))
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] ${providerName} webhook processing error:`, error);
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+};
+
+// GET /api/payments/providers — payment methods available to payers
+router.get('/api/payments/providers', async ({ res }) => {
+  const providers = paymentProviders();
+  const fallback = defaultPaymentProvider(providers);
+  return res.status(200).json({
+    success: true,
+    data: Object.values(providers).map(p => ({ name: p.name, label: p.label, default: p === fallback }))
+  });
+});
+
+// POST /api/payments/webhook — Flutterwave (the URL already registered in its dashboard)
+router.post('/api/payments/webhook', (ctx) => handlePaymentWebhook(ctx, 'flutterwave'));
+
+// POST /api/payments/webhook/:provider — callbacks from any webhook-capable provider
+router.post(`/api/payments/webhook/${WEBHOOK_PROVIDER_PARAM}`, (ctx) => handlePaymentWebhook(ctx, ctx.params.provider));
+
+// POST /api/payments/simulator/:txRef/settle — { status: 'successful' | 'failed', amount? }
+// Plays the simulated gateway: settles the transaction and delivers its signed webhook
+router.post('/api/payments/simulator/:txRef/settle', async (ctx) => {
+  const simulator = paymentProviders().simulator;
+  if (!simulator) return sendNotFound(ctx.res, ctx.path);
+  const { status = 'successful', amount } = ctx.body;
+  if (!['successful', 'failed'].includes(status)) {
+    return ctx.res.status(400).json({ success: false, message: 'status must be successful or failed' });
+  }
+  const webhook = simulator.settle(ctx.params.txRef, { status, amount });
+  const req = { headers: webhook.headers, body: webhook.body, rawBody: webhook.rawBody };
+  return handlePaymentWebhook({ ...ctx, req }, 'simulator');
+});
+
+// GET /api/admin/payments/webhook-events?status=&provider=&outcome=&txRef=&page=&limit=
+router.get('/api/admin/payments/webhook-events', async ({ req, res, db, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const { events, pagination } = await listWebhookEvents(db, Object.fromEntries(searchParams));
+    return res.status(200).json({ success: true, data: events, pagination });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] Webhook event list error:`, error);
+    return res.status(500).json({ success: false, message: 'Error fetching webhook events' });
+  }
+});
+
+// GET /api/admin/payments/webhook-events/:id — one event with its full payload
+router.get('/api/admin/payments/webhook-events/:id([a-f0-9]{24})', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const event = await getWebhookEvent(db, params.id);
+    if (!event) return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    return res.status(200).json({ success: true, data: event });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Webhook event read error:`, error);
+    return res.status(500).json({ success: false, message: 'Error fetching webhook event' });
+  }
+});
+
+// POST /api/admin/payments/webhook-events/:id/reprocess — apply a failed or unmatched event again
+router.post('/api/admin/payments/webhook-events/:id([a-f0-9]{24})/reprocess', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const result = await reprocessWebhookEvent(db, params.id, adminCheck.user.name);
+    return res.status(200).json({
+      success: result.status === 'processed',
+      message: result.status === 'processed' ? `Event re-processed: ${result.outcome}` : `Re-processing failed: ${result.error}`,
+      data: result
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] Webhook event reprocess error:`, error);
+    return res.status(500).json({ success: false, message: 'Error re-processing webhook event' });
+  }
+});
+
+// POST /api/admin/payments/:id/refund — { reason, amount?, reverse?, addons?, manual? }
+// Refunds through the payment's provider; `manual: true` records a refund paid back by hand
+router.post('/api/admin/payments/:id([a-f0-9]{24})/refund', async ({ req, res, db, params, body, timestamp }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+
+    const payment = await db.collection('payments').findOne({ _id: new ObjectId(params.id) });
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+
+    const providers = paymentProviders();
+    const provider = body.manual ? providers.manual : providers[payment.paymentMethod];
+    if (!provider) {
+      return res.status(400).json({ success: false, message: `Payment provider ${payment.paymentMethod} is not configured; refund it by hand with manual: true` });
+    }
+
+    const amount = body.amount === undefined || body.amount === null || body.amount === '' ? undefined : Number(body.amount);
+    const result = await refundListingPayment(db, provider, payment, {
+      amount,
+      reason: body.reason,
+      reverse: typeof body.reverse === 'boolean' ? body.reverse : undefined,
+      addons: body.addons || null,
+      adminName: adminCheck.user.name
+    });
+    console.log(`[${timestamp}] ${adminCheck.user.name} refunded P${result.refund.amount} of payment ${params.id} (${result.refund.status})`);
+    return res.status(200).json({
+      success: true,
+      message: result.refund.manual
+        ? `Refund of P${result.refund.amount} recorded; pay it back to the customer by hand`
+        : `Refund of P${result.refund.amount} ${result.refund.status === 'successful' ? 'processed' : 'submitted'}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof PaymentProviderError) {
+      return res.status(error.kind === 'invalid_request' ? 400 : 502).json({ success: false, message: `Refund failed: ${error.message}` });
+    }
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${timestamp}] Payment refund error:`, error);
+    return res.status(500).json({ success: false, message: 'Error processing refund' });
+  }
+});
+
+// ==================== INVOICE & QUOTATION DOCUMENTS ====================
+// PDFs, signed public links and quotation conversion. The CRUD endpoints for
+// /api/admin/invoices are further down in the handler.
+
+const sendInvoicePdf = (res, invoice, branding, disposition) => {
+  const pdf = renderInvoicePdf(invoice, branding);
+  const filename = `${invoice.number || invoice._id}.pdf`.replace(/[^\w.-]/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', pdf.length);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  return res.status(200).end(pdf);
+};
+
+const invoiceDocumentError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  console.error(`[${new Date().toISOString()}] ${label}:`, error);
+  return res.status(500).json({ success: false, message: error.message || 'Server error' });
+};
+
+// GET /api/admin/invoices/branding — letterhead, VAT number and payment details printed on PDFs
+router.get('/api/admin/invoices/branding', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    return res.status(200).json({ success: true, data: await getInvoiceBranding(db) });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice branding read error');
+  }
+});
+
+// PUT /api/admin/invoices/branding — { name?, address?, phone?, email?, vatNumber?, paymentDetails?, ... }
+router.put('/api/admin/invoices/branding', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const branding = await updateInvoiceBranding(db, body, adminCheck.user.name);
+    return res.status(200).json({ success: true, message: 'Invoice branding updated', data: branding });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice branding update error');
+  }
+});
+
+// GET /api/admin/invoices/:id/pdf — download the PDF
+router.get('/api/admin/invoices/:id([a-f0-9]{24})/pdf', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const invoice = await db.collection('invoices').findOne({ _id: new ObjectId(params.id) });
+    if (!invoice) return res.status(404).json({ success: false, message: 'Not found' });
+    return sendInvoicePdf(res, invoice, await getInvoiceBranding(db), 'attachment');
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice PDF error');
+  }
+});
+
+// POST /api/admin/invoices/:id/share — { expiresInDays? } → signed URL the customer can open without logging in
+router.post('/api/admin/invoices/:id([a-f0-9]{24})/share', async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const invoice = await db.collection('invoices').findOne({ _id: new ObjectId(params.id) });
+    if (!invoice) return res.status(404).json({ success: false, message: 'Not found' });
+
+    const baseUrl = process.env.SERVER_URL || `https://${req.headers.host}`;
+    const link = createInvoiceShareLink(invoice, { baseUrl, expiresInDays: body.expiresInDays ?? undefined });
+    await db.collection('invoices').updateOne(
+      { _id: invoice._id },
+      { $set: { sharedAt: new Date(), sharedBy: adminCheck.user.name, shareExpiresAt: link.expiresAt } }
+    );
+    return res.status(200).json({ success: true, data: link });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice share link error');
+  }
+});
+
+// DELETE /api/admin/invoices/:id/share — revoke every link issued so far
+router.delete('/api/admin/invoices/:id([a-f0-9]{24})/share', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    if (!await revokeInvoiceShareLinks(db, params.id)) return res.status(404).json({ success: false, message: 'Not found' });
+    return res.status(200).json({ success: true, message: 'Public links revoked' });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice share revoke error');
+  }
+});
+
+// POST /api/admin/invoices/:id/convert — { dueDate? } quotation → new invoice with the same line items
+router.post('/api/admin/invoices/:id([a-f0-9]{24})/convert', async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const { invoice, quotation } = await convertQuotationToInvoice(db, params.id, { dueDate: body.dueDate, adminName: adminCheck.user.name });
+    return res.status(201).json({ success: true, message: `${quotation.number} converted to ${invoice.number}`, data: { invoice, quotation } });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Quotation conversion error');
+  }
+});
+
+// GET /api/invoices/public/:id/pdf?expires=&sig= — no login; the signature is the credential
+router.get('/api/invoices/public/:id([a-f0-9]{24})/pdf', async ({ res, db, params, searchParams }) => {
+  try {
+    const invoice = await db.collection('invoices').findOne({ _id: new ObjectId(params.id) });
+    if (!verifyInvoiceShareLink(invoice, { expires: searchParams.get('expires'), sig: searchParams.get('sig') })) {
+      return res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+    }
+    await db.collection('invoices').updateOne(
+      { _id: invoice._id },
+      { $set: { lastViewedAt: new Date() }, $inc: { viewCount: 1 } }
+    );
+    return sendInvoicePdf(res, invoice, await getInvoiceBranding(db), 'inline');
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Public invoice PDF error');
+  }
+});
+
+// GET /api/admin/invoices/receivables/aged?asOf= — outstanding balances by service customer, 0-30/31-60/61-90/90+ days overdue
+router.get('/api/admin/invoices/receivables/aged', async ({ req, res, db, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const asOf = searchParams.get('asOf') ? new Date(searchParams.get('asOf')) : new Date();
+    if (Number.isNaN(asOf.getTime())) return res.status(400).json({ success: false, message: 'Invalid asOf date' });
+    await markOverdueInvoices(db);
+    return res.status(200).json({ success: true, data: await agedReceivablesReport(db, { asOf }) });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Aged receivables error');
+  }
+});
+
+// GET /api/admin/invoices/:id/payments — payments recorded so far and the running balance
+router.get('/api/admin/invoices/:id([a-f0-9]{24})/payments', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const invoice = await db.collection('invoices').findOne({ _id: new ObjectId(params.id) });
+    if (!invoice) return res.status(404).json({ success: false, message: 'Not found' });
+    return res.status(200).json({
+      success: true,
+      data: { ...invoiceBalance(invoice), status: invoice.status, payments: invoice.payments || [] }
+    });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice payments read error');
+  }
+});
+
+// POST /api/admin/invoices/:id/payments — { amount, method?, reference?, date?, notes? }
+router.post('/api/admin/invoices/:id([a-f0-9]{24})/payments', async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const { invoice, payment } = await recordInvoicePayment(db, params.id, { ...body, adminName: adminCheck.user.name });
+    return res.status(201).json({
+      success: true,
+      message: invoice.status === 'paid' ? `${invoice.number} is now fully paid` : `Payment recorded; balance due ${invoice.balanceDue}`,
+      data: { invoice, payment }
+    });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice payment error');
+  }
+});
+
+// DELETE /api/admin/invoices/:id/payments/:paymentId — undo a payment recorded by mistake
+router.delete('/api/admin/invoices/:id([a-f0-9]{24})/payments/:paymentId([a-f0-9]{24})', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const invoice = await deleteInvoicePayment(db, params.id, params.paymentId);
+    return res.status(200).json({ success: true, message: 'Payment removed', data: invoice });
+  } catch (error) {
+    return invoiceDocumentError(res, error, 'Invoice payment delete error');
+  }
+});
+
+// GET /api/cron/invoices — daily: move unpaid invoices past their due date to overdue
+router.get('/api/cron/invoices', async ({ req, res, db, timestamp }) => {
+  if (!isCronRequest(req)) return res.status(401).json({ success: false, message: 'Unauthorized' });
+  try {
+    const result = await markOverdueInvoices(db);
+    console.log(`[${timestamp}] Invoice overdue run: ${result.overdue} marked overdue`);
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error(`[${timestamp}] Invoice overdue run error:`, error);
+    return res.status(500).json({ success: false, message: 'Invoice overdue run failed' });
+  }
+});
+
+// ==================== FINANCE LEDGER (admin) ====================
+// Double-entry ledger posted from payments, invoices and the finance screens
+// as they are written (postLedgerFor). Reports read the entries as posted.
+
+// Parse ?from=&to= (inclusive dates); defaults to the start of this year until now
+const ledgerPeriod = (searchParams) => {
+  const now = new Date();
+  const from = searchParams.get('from') ? new Date(searchParams.get('from')) : new Date(now.getFullYear(), 0, 1);
+  const to = searchParams.get('to') ? new Date(searchParams.get('to')) : now;
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw Object.assign(new Error('from and to must be dates (YYYY-MM-DD)'), { status: 400 });
+  }
+  if (searchParams.get('to')) to.setHours(23, 59, 59, 999);
+  if (from > to) throw Object.assign(new Error('from must be before to'), { status: 400 });
+  return { from, to };
+};
+
+const ledgerReport = (label, build) => async ({ req, res, db, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    return res.status(200).json({ success: true, data: await build(db, searchParams) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] ${label} error:`, error);
+    return res.status(500).json({ success: false, message: `Error building ${label.toLowerCase()}` });
+  }
+};
+
+// GET /api/admin/ledger/trial-balance?asOf=
+router.get('/api/admin/ledger/trial-balance', ledgerReport('Trial balance', (db, searchParams) => {
+  const asOf = searchParams.get('asOf') ? new Date(searchParams.get('asOf')) : new Date();
+  if (Number.isNaN(asOf.getTime())) throw Object.assign(new Error('Invalid asOf date'), { status: 400 });
+  if (searchParams.get('asOf')) asOf.setHours(23, 59, 59, 999);
+  return trialBalance(db, { asOf });
+}));
+
+// GET /api/admin/ledger/profit-and-loss?from=&to= — by month
+router.get('/api/admin/ledger/profit-and-loss', ledgerReport('Profit and loss', (db, searchParams) => profitAndLoss(db, ledgerPeriod(searchParams))));
+
+// GET /api/admin/ledger/cash-flow?from=&to= — by month
+router.get('/api/admin/ledger/cash-flow', ledgerReport('Cash flow', (db, searchParams) => cashFlow(db, ledgerPeriod(searchParams))));
+
+// GET /api/admin/ledger/entries?account=&source=&from=&to=&page=&limit=
+router.get('/api/admin/ledger/entries', ledgerReport('Ledger entries', (db, searchParams) => {
+  const period = searchParams.get('from') || searchParams.get('to') ? ledgerPeriod(searchParams) : {};
+  return listEntries(db, { ...Object.fromEntries(searchParams), ...period });
+}));
+
+// GET /api/admin/ledger/accounts — chart of accounts
+router.get('/api/admin/ledger/accounts', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    return res.status(200).json({ success: true, data: await listAccounts(db) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Ledger accounts error:`, error);
+    return res.status(500).json({ success: false, message: 'Error fetching accounts' });
+  }
+});
+
+// POST /api/admin/ledger/accounts — { code, name, type, cash? }
+router.post('/api/admin/ledger/accounts', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    return res.status(201).json({ success: true, data: await createAccount(db, body) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] Ledger account create error:`, error);
+    return res.status(500).json({ success: false, message: 'Error creating account' });
+  }
+});
+
+// POST /api/admin/ledger/journal — { date?, description, lines: [{ account, debit?, credit? }] }
+router.post('/api/admin/ledger/journal', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const entry = await postJournalEntry(db, body, adminCheck.user.name);
+    return res.status(201).json({ success: true, message: 'Journal entry posted', data: entry });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] Journal entry error:`, error);
+    return res.status(500).json({ success: false, message: 'Error posting journal entry' });
+  }
+});
+
+// POST /api/admin/ledger/entries/:id/reverse — reverse a manual journal entry
+router.post('/api/admin/ledger/entries/:id([a-f0-9]{24})/reverse', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const entry = await reverseJournalEntry(db, params.id, adminCheck.user.name);
+    return res.status(201).json({ success: true, message: 'Journal entry reversed', data: entry });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] Journal reversal error:`, error);
+    return res.status(500).json({ success: false, message: 'Error reversing journal entry' });
+  }
+});
+
+// POST /api/admin/ledger/sync — post anything the write paths missed
+router.post('/api/admin/ledger/sync', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    return res.status(200).json({ success: true, data: await syncLedger(db) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Ledger sync error:`, error);
+    return res.status(500).json({ success: false, message: 'Error syncing ledger' });
+  }
+});
+
+// ==================== SAVED SEARCHES ====================
+// Users save `/listings` filters and get a daily digest of new matches.
+
+const savedSearchError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  console.error(`[${new Date().toISOString()}] ${label}:`, error);
+  return res.status(500).json({ success: false, message: 'Saved search request failed' });
+};
+
+// GET /listings/saved-searches — the caller's saved searches
+router.get(['/listings/saved-searches', '/api/listings/saved-searches'], async ({ req, res, db }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    return res.status(200).json({ success: true, data: await listSavedSearches(db, auth.user.id) });
+  } catch (error) {
+    return savedSearchError(res, error, 'Saved search list error');
+  }
+});
+
+// POST /listings/saved-searches — save a search: { params, name?, alertsEnabled? }
+router.post(['/listings/saved-searches', '/api/listings/saved-searches'], async ({ req, res, db, body }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const saved = await createSavedSearch(db, auth.user.id, body);
+    return res.status(201).json({ success: true, message: 'Search saved', data: saved });
+  } catch (error) {
+    return savedSearchError(res, error, 'Saved search create error');
+  }
+});
+
+// PUT /listings/saved-searches/:id — rename, change filters or switch alerts
+router.put(['/listings/saved-searches/:id([a-f0-9]{24})', '/api/listings/saved-searches/:id([a-f0-9]{24})'], async ({ req, res, db, body, params }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const saved = await updateSavedSearch(db, auth.user.id, params.id, body);
+    return res.status(200).json({ success: true, message: 'Saved search updated', data: saved });
+  } catch (error) {
+    return savedSearchError(res, error, 'Saved search update error');
+  }
+});
+
+// DELETE /listings/saved-searches/:id
+router.delete(['/listings/saved-searches/:id([a-f0-9]{24})', '/api/listings/saved-searches/:id([a-f0-9]{24})'], async ({ req, res, db, params }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    await deleteSavedSearch(db, auth.user.id, params.id);
+    return res.status(200).json({ success: true, message: 'Saved search deleted' });
+  } catch (error) {
+    return savedSearchError(res, error, 'Saved search delete error');
+  }
+});
+
+// GET /listings/saved-searches/:id/matches — listings that matched since the search was saved
+router.get(['/listings/saved-searches/:id([a-f0-9]{24})/matches', '/api/listings/saved-searches/:id([a-f0-9]{24})/matches'], async ({ req, res, db, params, searchParams }) => {
+  try {
+    const auth = await verifyUserToken(req);
+    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
+    const matches = await listSavedSearchMatches(db, auth.user.id, params.id, searchParams.get('limit'));
+    return res.status(200).json({ success: true, data: matches });
+  } catch (error) {
+    return savedSearchError(res, error, 'Saved search matches error');
+  }
+});
+
+// GET /api/cron/saved-searches — daily digest of new matches
+router.get('/api/cron/saved-searches', async ({ req, res, db, timestamp }) => {
+  if (!isCronRequest(req)) return res.status(401).json({ success: false, message: 'Unauthorized' });
+  try {
+    const result = await sendSavedSearchDigests(db);
+    console.log(`[${timestamp}] Saved search digest: ${result.listings} listings to ${result.users} users, ${result.skipped} skipped`);
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error(`[${timestamp}] Saved search digest error:`, error);
+    return res.status(500).json({ success: false, message: 'Saved search digest failed' });
+  }
+});
+
+// ==================== LISTING PRICE HISTORY ====================
+// Written on every price change; people who saved a listing are notified of drops, sales and removals.
+
+// GET /listings/:id/price-history — public: original price and every change since
+router.get(['/listings/:id([a-f0-9]{24})/price-history', '/api/listings/:id([a-f0-9]{24})/price-history'], async ({ res, db, params }) => {
+  try {
+    return res.status(200).json({ success: true, data: await listingPriceHistory(db, params.id) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+    console.error(`[${new Date().toISOString()}] Price history error:`, error);
+    return res.status(500).json({ success: false, message: 'Error fetching price history' });
+  }
+});
+
+// ==================== LISTING RISK (admin) ====================
+// Duplicate and scam flags raised when listings and submissions come in.
+// New records are queued and screened by the cron below, not in the request.
+
+// GET /api/cron/listing-screening — screen queued listings and submissions
+router.get('/api/cron/listing-screening', async ({ req, res, db, timestamp }) => {
+  if (!isCronRequest(req)) return res.status(401).json({ success: false, message: 'Unauthorized' });
+  try {
+    const result = await runListingScreeningQueue(db);
+    console.log(`[${timestamp}] Listing screening: ${result.screened} screened, ${result.failed} failed, ${result.missing} gone`);
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error(`[${timestamp}] Listing screening error:`, error);
+    return res.status(500).json({ success: false, message: 'Listing screening failed' });
+  }
+});
+
+const listingRiskError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  console.error(`[${new Date().toISOString()}] ${label}:`, error);
+  return res.status(500).json({ success: false, message: 'Listing risk request failed' });
+};
+
+// GET /api/admin/listing-risk — flagged listings and submissions, highest score first
+router.get('/api/admin/listing-risk', async ({ req, res, db, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const flagged = await listFlaggedListings(db, {
+      level: searchParams.get('level') || undefined,
+      source: searchParams.get('source') || undefined,
+      includeDismissed: searchParams.get('includeDismissed') === 'true',
+      limit: searchParams.get('limit')
+    });
+    return res.status(200).json({ success: true, data: flagged });
+  } catch (error) {
+    return listingRiskError(res, error, 'Listing risk list error');
+  }
+});
+
+// POST /api/admin/listing-risk/:source/:id/rescreen — screen again, e.g. after edits or new market prices
+router.post('/api/admin/listing-risk/:source(listing|submission)/:id([a-f0-9]{24})/rescreen', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const assessment = await rescreenListing(db, params.source, params.id);
+    return res.status(200).json({ success: true, data: assessment });
+  } catch (error) {
+    return listingRiskError(res, error, 'Listing rescreen error');
+  }
+});
+
+// POST /api/admin/listing-risk/:source/:id/dismiss — flags reviewed and not a problem: { note? }
+router.post('/api/admin/listing-risk/:source(listing|submission)/:id([a-f0-9]{24})/dismiss', async ({ req, res, db, params, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: 'Admin access required' });
+    const assessment = await dismissListingRisk(db, params.source, params.id, { note: body.note, adminName: adminCheck.user.name });
+    return res.status(200).json({ success: true, message: 'Flags dismissed', data: assessment });
+  } catch (error) {
+    return listingRiskError(res, error, 'Listing risk dismiss error');
+  }
+});
+
+// ==================== MPHO KNOWLEDGE INDEX (admin) ====================
+
+// GET /api/admin/ai/knowledge — indexed records and chunks per source, last sync times
+router.get('/api/admin/ai/knowledge', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    return res.status(200).json({ success: true, data: await knowledgeIndexStatus(db) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Knowledge index status error:`, error);
+    return res.status(500).json({ success: false, message: 'Error reading knowledge index' });
+  }
+});
+
+// POST /api/admin/ai/knowledge/rebuild — { full: true } rebuilds from scratch, otherwise catches up
+router.post('/api/admin/ai/knowledge/rebuild', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const reindexed = await refreshKnowledgeIndex(db, { full: body.full === true || body.full === 'true' });
+    return res.status(200).json({ success: true, message: 'Knowledge index updated', reindexed, data: await knowledgeIndexStatus(db) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Knowledge index rebuild error:`, error);
+    return res.status(500).json({ success: false, message: 'Error rebuilding knowledge index' });
+  }
+});
+
+// ==================== MPHO USAGE & LIMITS (admin) ====================
+
+const mphoAdminError = (res, error, label) => {
+  if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+  console.error(`[${new Date().toISOString()}] ${label}:`, error);
+  return res.status(500).json({ success: false, message: label });
+};
+
+// GET /api/admin/ai/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&plan=&userId=&topUsers= — spend by day, plan, user, model and tool
+router.get('/api/admin/ai/usage', async ({ req, res, db, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const report = await aiSpendReport(db, {
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+      plan: searchParams.get('plan'),
+      userId: searchParams.get('userId'),
+      topUsers: searchParams.get('topUsers')
+    });
+    return res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error building AI usage report');
+  }
+});
+
+// GET /api/admin/ai/settings — daily message limits per plan and model prices
+router.get('/api/admin/ai/settings', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    return res.status(200).json({ success: true, data: await getMphoSettings(db) });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error reading AI settings');
+  }
+});
+
+// PUT /api/admin/ai/settings — { dailyLimits: { free, pro, admin }, pricing: { <model>: { input, output } | null } }
+router.put('/api/admin/ai/settings', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const settings = await updateMphoSettings(db, body, adminCheck.user.name);
+    return res.status(200).json({ success: true, message: 'AI settings updated', data: settings });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error updating AI settings');
+  }
+});
+
+// ==================== MPHO SUBSCRIPTION LIFECYCLE ====================
+
+// Vercel Cron calls with `Authorization: Bearer $CRON_SECRET`
+const isCronRequest = (req) => {
+  const secret = process.env.CRON_SECRET;
+  return Boolean(secret) && req.headers.authorization === `Bearer ${secret}`;
+};
+
+// GET /ai/subscription/history — the caller's activations, renewals, reminders and expiries
+router.get(['/ai/subscription/history', '/api/ai/subscription/history'], async ({ req, res, db }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) return res.status(401).json({ success: false, message: 'Unauthorized' });
+    return res.status(200).json({ success: true, data: await subscriptionHistory(db, authResult.user.id) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Mpho subscription history error:`, error);
+    return res.status(500).json({ success: false, message: 'Error fetching subscription history' });
+  }
+});
+
+// GET /api/admin/ai-subscriptions/report?from=&to= — churned, renewed and upcoming renewals
+router.get('/api/admin/ai-subscriptions/report', async ({ req, res, db, searchParams }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const report = await subscriptionChurnReport(db, { from: searchParams.get('from'), to: searchParams.get('to') });
+    return res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error building subscription report');
+  }
+});
+
+// GET /api/admin/ai-subscriptions/:userId/history — one subscriber's full history
+router.get('/api/admin/ai-subscriptions/:userId([a-f0-9]{24})/history', async ({ req, res, db, params }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const [history, subscriptions] = await Promise.all([
+      subscriptionHistory(db, params.userId),
+      db.collection('ai_subscriptions').find({ userId: params.userId }).sort({ createdAt: -1 }).toArray()
+    ]);
+    return res.status(200).json({ success: true, data: { history, subscriptions } });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error fetching subscription history');
+  }
+});
+
+// GET /api/admin/ai-subscriptions/settings — price, grace period and reminder schedule
+router.get('/api/admin/ai-subscriptions/settings', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    return res.status(200).json({ success: true, data: await getSubscriptionSettings(db) });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error reading subscription settings');
+  }
+});
+
+// PUT /api/admin/ai-subscriptions/settings — { price, graceDays, reminderDays: [7, 3, 1], renewalInvoiceDays }
+router.put('/api/admin/ai-subscriptions/settings', async ({ req, res, db, body }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    const settings = await updateSubscriptionSettings(db, body, adminCheck.user.name);
+    return res.status(200).json({ success: true, message: 'Subscription settings updated', data: settings });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error updating subscription settings');
+  }
+});
+
+// POST /api/admin/ai-subscriptions/lifecycle/run — run the daily sweep now
+router.post('/api/admin/ai-subscriptions/lifecycle/run', async ({ req, res, db }) => {
+  try {
+    const adminCheck = await verifyAdminToken(req);
+    if (!adminCheck.success) return res.status(401).json({ success: false, message: adminCheck.message });
+    return res.status(200).json({ success: true, data: await runMphoSubscriptionLifecycle(db) });
+  } catch (error) {
+    return mphoAdminError(res, error, 'Error running subscription lifecycle');
+  }
+});
+
+// GET /api/cron/mpho-subscriptions — daily sweep, scheduled in vercel.json
+router.get('/api/cron/mpho-subscriptions', async ({ req, res, db, timestamp }) => {
+  if (!isCronRequest(req)) return res.status(401).json({ success: false, message: 'Unauthorized' });
+  try {
+    const result = await runMphoSubscriptionLifecycle(db);
+    console.log(`[${timestamp}] Mpho lifecycle: ${JSON.stringify(result)}`);
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error(`[${timestamp}] Mpho lifecycle error:`, error);
+    return res.status(500).json({ success: false, message: 'Error running subscription lifecycle' });
+  }
+});
+
+// ==================== MPHO MEMORY (user) ====================
+
+// GET /ai/memory — the summary and facts Mpho keeps about the caller
+router.get(['/ai/memory', '/api/ai/memory'], async ({ req, res, db }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const { summary, facts, messages } = await loadMphoMemory(db, authResult.user.id);
+    return res.status(200).json({ success: true, data: { summary, facts, storedMessages: messages.length } });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Mpho memory read error:`, error);
+    return res.status(500).json({ success: false, message: 'Error reading Mpho memory' });
+  }
+});
+
+// DELETE /ai/memory/facts/:factId — forget one fact
+router.delete(['/ai/memory/facts/:factId', '/api/ai/memory/facts/:factId'], async ({ req, res, db, params }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const removed = await forgetMphoMemory(db, authResult.user.id, { factId: params.factId });
+    if (!removed) return res.status(404).json({ success: false, message: 'Fact not found' });
+    return res.status(200).json({ success: true, message: 'Fact forgotten' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Mpho forget fact error:`, error);
+    return res.status(500).json({ success: false, message: 'Error deleting fact' });
+  }
+});
+
+// DELETE /ai/memory/facts — forget every fact
+router.delete(['/ai/memory/facts', '/api/ai/memory/facts'], async ({ req, res, db }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const removed = await forgetMphoMemory(db, authResult.user.id);
+    if (!removed) return res.status(404).json({ success: false, message: 'No facts stored' });
+    return res.status(200).json({ success: true, message: 'All facts forgotten' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Mpho forget facts error:`, error);
+    return res.status(500).json({ success: false, message: 'Error deleting facts' });
+  }
+});
+
+// DELETE /ai/memory/summary — forget the summary of earlier conversations
+router.delete(['/ai/memory/summary', '/api/ai/memory/summary'], async ({ req, res, db }) => {
+  try {
+    const authResult = await verifyUserToken(req);
+    if (!authResult.success) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const removed = await forgetMphoMemory(db, authResult.user.id, { summary: true });
+    if (!removed) return res.status(404).json({ success: false, message: 'No summary stored' });
+    return res.status(200).json({ success: true, message: 'Summary forgotten' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Mpho forget summary error:`, error);
+    return res.status(500).json({ success: false, message: 'Error deleting summary' });
+  }
+});
+
+// ==================== USER NOTIFICATIONS ENDPOINTS ====================
+
+// Resolve the caller's user id from the bearer token, or null
+const getNotificationUserId = async (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  try {
+    const jwt = await import('jsonwebtoken');
+    const decoded = jwt.default.verify(authHeader.split(' ')[1], process.env.JWT_SECRET || 'bw-car-culture-secret-key-2025');
+    return decoded.userId || decoded.id;
+  } catch { return null; }
+};
+
+// GET /user/notifications/unread-count
+router.get(['/user/notifications/unread-count', '/api/user/notifications/unread-count'], async ({ req, res, db }) => {
+  try {
+    const userId = await getNotificationUserId(req);
+    if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const { ObjectId } = await import('mongodb');
+    const count = await db.collection('notifications').countDocuments({ userId: new ObjectId(userId), isRead: false });
+    return res.status(200).json({ success: true, count });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// GET /user/notifications
+router.get(['/user/notifications', '/api/user/notifications'], async ({ req, res, db }) => {
+  try {
+    const userId = await getNotificationUserId(req);
+    if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const { ObjectId } = await import('mongodb');
+    const notifications = await db.collection('notifications')
+      .find({ userId: new ObjectId(userId) })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray();
+    const unreadCount = notifications.filter(n => !n.isRead).length;
+    return res.status(200).json({ success: true, notifications, unreadCount });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// PUT /user/notifications/read-all
+router.put(['/user/notifications/read-all', '/api/user/notifications/read-all'], async ({ req, res, db }) => {
+  try {
+    const userId = await getNotificationUserId(req);
+    if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const { ObjectId } = await import('mongodb');
+    await db.collection('notifications').updateMany({ userId: new ObjectId(userId), isRead: false }, { $set: { isRead: true } });
+    return res.status(200).json({ success: true, message: 'All notifications marked as read' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// PUT /user/notifications/:id/read
+router.put(['/user/notifications/:id([a-f0-9]{24})/read', '/api/user/notifications/:id([a-f0-9]{24})/read'], async ({ req, res, db, params }) => {
+  try {
+    const userId = await getNotificationUserId(req);
+    if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const { ObjectId } = await import('mongodb');
+    await db.collection('notifications').updateOne(
+      { _id: new ObjectId(params.id), userId: new ObjectId(userId) },
+      { $set: { isRead: true } }
+    );
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// DELETE /user/notifications/:id
+router.delete(['/user/notifications/:id([a-f0-9]{24})', '/api/user/notifications/:id([a-f0-9]{24})'], async ({ req, res, db, params }) => {
+  try {
+    const userId = await getNotificationUserId(req);
+    if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
+    const { ObjectId } = await import('mongodb');
+    await db.collection('notifications').deleteOne({ _id: new ObjectId(params.id), userId: new ObjectId(userId) });
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Flag duplicate or shadowed routes once, when the function cold-starts
+router.check();
+
+
 export default async function handler(req, res) {
   // ← CRITICAL: Ensure we ALWAYS return JSON, never HTML
   res.setHeader('Content-Type', 'application/json');
@@ -228,6 +1696,27 @@ export default async function handler(req, res) {
     }
     // ── END ONE-TIME WELCOME BROADCAST ──────────────────────────────────────
 
+    // === REQUEST BODY ===
+    // Parsed once for every handler: req.body / req.files. Bad input stops here with 400/413.
+    if (hasRequestBody(req.method)) {
+      try {
+        await parseRequestBody(req);
+      } catch (bodyError) {
+        if (bodyError instanceof BodyParseError) {
+          console.log(`[${timestamp}] ✗ BODY REJECTED (${bodyError.statusCode}): ${bodyError.message}`);
+          return sendBodyError(res, bodyError);
+        }
+        throw bodyError;
+      }
+    }
+
+    // === ROUTE TABLE ===
+    // Sections already mounted on the router are handled here; everything else
+    // falls through to the if-chain below.
+    if (await router.dispatch({ req, res, db, path, searchParams, timestamp, body: req.body || {}, files: req.files || [] })) {
+      return;
+    }
+
 // Maps lowercase user-form category values to proper display names used in the listings collection
 const normalizeCategoryValue = (cat) => {
   if (!cat) return 'Sedan';
@@ -426,18 +1915,7 @@ const transformUserSubmissionToListing = (submissionData) => {
       // LOGIN ENDPOINT
       if (path === '/auth/login' && req.method === 'POST') {
         try {
-          let body = {};
-          try {
-            const chunks = [];
-            for await (const chunk of req) chunks.push(chunk);
-            const rawBody = Buffer.concat(chunks).toString();
-            if (rawBody) body = JSON.parse(rawBody);
-          } catch (parseError) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid request body format'
-            });
-          }
+          let body = req.body;
           
           const { email, password } = body;
           
@@ -557,18 +2035,7 @@ const transformUserSubmissionToListing = (submissionData) => {
 // REGISTRATION ENDPOINT
 if (path === '/auth/register' && req.method === 'POST') {
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     const { name, email, password } = body;
     
@@ -661,18 +2128,7 @@ if (path === '/auth/register' && req.method === 'POST') {
 // ADMIN REGISTRATION ENDPOINT
 if (path === '/auth/register/admin' && req.method === 'POST') {
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     const { name, email, password } = body;
     
@@ -1430,15 +2886,9 @@ if (path === '/api/news/user' && req.method === 'POST') {
       });
     }
 
-    // READ REQUEST BODY
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
-    console.log(`[${timestamp}] Received ${rawBody.length} bytes`);
-
-    // Check if body is empty
-    if (rawBody.length === 0) {
+    // READ REQUEST BODY (already parsed by the shared body layer)
+    const contentType = req.headers['content-type'] || '';
+    if (!req.rawBody || req.rawBody.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Empty request body',
@@ -1446,147 +2896,47 @@ if (path === '/api/news/user' && req.method === 'POST') {
       });
     }
 
-    const contentType = req.headers['content-type'] || '';
-    let articleData = {};
+    if (!contentType.includes('application/json') && !contentType.includes('multipart/form-data')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported content type. Use application/json or multipart/form-data',
+        contentType: contentType,
+        requestId: requestId
+      });
+    }
+
+    const articleData = { ...req.body };
     const uploadedImages = {
       featuredImage: null,
       galleryImages: []
     };
 
-    // PARSE REQUEST BODY - Handle both JSON and FormData
-    if (contentType.includes('application/json')) {
-      // ===== JSON REQUEST (No Images) =====
-      console.log(`[${timestamp}] Parsing as JSON (no images)`);
-      
-      try {
-        const rawBodyString = rawBody.toString();
-        if (rawBodyString) {
-          articleData = JSON.parse(rawBodyString);
+    if (contentType.includes('multipart/form-data')) {
+      // FormData sends everything as strings
+      if (typeof articleData.tags === 'string' && articleData.tags.startsWith('[')) {
+        try {
+          articleData.tags = JSON.parse(articleData.tags);
+        } catch (e) {
+          console.log(`[${timestamp}] Failed to parse tags JSON, using as string`);
         }
-      } catch (jsonError) {
-        console.error(`[${timestamp}] JSON parse error:`, jsonError.message);
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON in request body',
-          error: jsonError.message,
-          requestId: requestId
-        });
       }
-      
-    } else if (contentType.includes('multipart/form-data')) {
-      // ===== FORMDATA REQUEST (With Images) =====
-      console.log(`[${timestamp}] Parsing as FormData (with images)`);
-      
-      // Extract boundary
-      const boundaryMatch = contentType.match(/boundary=(.+)$/);
-      if (!boundaryMatch) {
-        return res.status(400).json({
-          success: false,
-          message: 'No boundary found in multipart data',
-          requestId: requestId
-        });
+      for (const fieldName of ['isPremium', 'earningsEnabled', 'allowComments', 'allowSharing']) {
+        if (fieldName in articleData) articleData[fieldName] = articleData[fieldName] === 'true';
       }
-      
-      const boundary = boundaryMatch[1];
-      console.log(`[${timestamp}] Using boundary: ${boundary}`);
-      
-      // Parse multipart data
-      const bodyString = rawBody.toString('binary');
-      const parts = bodyString.split(`--${boundary}`);
-      
-      console.log(`[${timestamp}] Found ${parts.length} parts in multipart data`);
-      
-      // Process each part
-      for (const part of parts) {
-        if (!part.includes('Content-Disposition: form-data')) continue;
-        
-        const nameMatch = part.match(/name="([^"]+)"/);
-        if (!nameMatch) continue;
-        
-        const fieldName = nameMatch[1];
-        const isFile = part.includes('filename=');
-        
-        if (isFile) {
-          // ===== FILE FIELD =====
-          const filenameMatch = part.match(/filename="([^"]+)"/);
-          if (!filenameMatch || !filenameMatch[1]) continue;
-          
-          const filename = filenameMatch[1];
-          
-          // Extract content type
-          let fileType = 'image/jpeg';
-          const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-          if (contentTypeMatch) {
-            fileType = contentTypeMatch[1].trim();
-          }
-          
-          // Extract file data
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart === -1) continue;
-          
-          const fileData = part.substring(dataStart + 4);
-          const cleanData = fileData.replace(/\r\n$/, '');
-          const fileBuffer = Buffer.from(cleanData, 'binary');
-          
-          if (fileBuffer.length < 100) {
-            console.log(`[${timestamp}] Skipping small file: ${filename}`);
-            continue;
-          }
-          
-          const fileObj = {
-            filename: filename,
-            buffer: fileBuffer,
-            mimetype: fileType,
-            size: fileBuffer.length
-          };
-          
-          // Store based on field name
-          if (fieldName === 'featuredImage') {
-            uploadedImages.featuredImage = fileObj;
-            console.log(`[${timestamp}] Featured image: ${filename} (${(fileBuffer.length / 1024).toFixed(1)}KB)`);
-          } else if (fieldName === 'galleryImages') {
-            uploadedImages.galleryImages.push(fileObj);
-            console.log(`[${timestamp}] Gallery image ${uploadedImages.galleryImages.length}: ${filename} (${(fileBuffer.length / 1024).toFixed(1)}KB)`);
-          }
-          
-        } else {
-          // ===== TEXT FIELD =====
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart === -1) continue;
-          
-          let fieldValue = part.substring(dataStart + 4).replace(/\r\n$/, '');
-          
-          // Parse JSON fields
-          if (fieldName === 'tags' && fieldValue.startsWith('[')) {
-            try {
-              fieldValue = JSON.parse(fieldValue);
-            } catch (e) {
-              console.log(`[${timestamp}] Failed to parse tags JSON, using as string`);
-            }
-          }
-          
-          // Parse boolean fields
-          if (['isPremium', 'earningsEnabled', 'allowComments', 'allowSharing'].includes(fieldName)) {
-            fieldValue = fieldValue === 'true';
-          }
-          
-          articleData[fieldName] = fieldValue;
-          console.log(`[${timestamp}] Field ${fieldName}:`, 
-            typeof fieldValue === 'string' && fieldValue.length > 50 
-              ? fieldValue.substring(0, 50) + '...' 
-              : fieldValue
-          );
+
+      for (const file of req.files) {
+        if (file.size < 100) {
+          console.log(`[${timestamp}] Skipping small file: ${file.filename}`);
+          continue;
+        }
+        if (file.fieldname === 'featuredImage') {
+          uploadedImages.featuredImage = file;
+          console.log(`[${timestamp}] Featured image: ${file.filename} (${(file.size / 1024).toFixed(1)}KB)`);
+        } else if (file.fieldname === 'galleryImages') {
+          uploadedImages.galleryImages.push(file);
+          console.log(`[${timestamp}] Gallery image ${uploadedImages.galleryImages.length}: ${file.filename} (${(file.size / 1024).toFixed(1)}KB)`);
         }
       }
-      
-    } else {
-      // Unknown content type
-      return res.status(400).json({
-        success: false,
-        message: 'Unsupported content type. Use application/json or multipart/form-data',
-        contentType: contentType,
-        requestId: requestId
-      });
     }
 
     // VALIDATE REQUIRED FIELDS
@@ -1770,6 +3120,7 @@ if (path === '/api/news/user' && req.method === 'POST') {
     const result = await newsCollection.insertOne(newArticleData);
     
     if (result && result.insertedId) {
+      await syncKnowledgeDocument(db, 'news', result.insertedId);
       const savedArticle = await newsCollection.findOne({ _id: result.insertedId });
       
       if (savedArticle) {
@@ -1952,20 +3303,8 @@ if (path.includes('/api/news/user/') && !path.includes('/my-articles') && req.me
       });
     }
 
-    // Parse update data - SAME PATTERN as working endpoints
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
-    let updateData = {};
-    try {
-      updateData = JSON.parse(rawBody.toString());
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid JSON data'
-      });
-    }
+    // Update data comes from the shared body layer
+    const updateData = req.body;
 
     // Find and verify ownership - SAME PATTERN as working endpoints
     const newsCollection = db.collection('news');
@@ -2031,6 +3370,8 @@ if (path.includes('/api/news/user/') && !path.includes('/my-articles') && req.me
       });
     }
 
+    await syncKnowledgeDocument(db, 'news', articleObjectId);
+
     // Get updated article - SAME PATTERN as working endpoints
     const updatedArticle = await newsCollection.findOne({ _id: articleObjectId });
     
@@ -2135,177 +3476,43 @@ if (path.includes('/api/news/user/') && !path.includes('/my-articles') && req.me
       });
     }
 
-    console.log(`[${timestamp}] ✅ Article deleted: ${article.title}`);
-
-    return res.status(200).json({
-      success: true,
-      message: 'Article deleted successfully'
-    });
-
-  } catch (error) {
-    console.error(`[${timestamp}] ❌ Delete article error:`, error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to delete article',
-      error: error.message
-    });
-  }
-}
-
-// === ENHANCED GET SINGLE ARTICLE ENDPOINT ===
-// This version handles BOTH ObjectId and slug-based requests
-// Place this in your api/index.js file, REPLACING the existing GET SINGLE ARTICLE endpoint
-
-// GET LATEST ARTICLES (PUBLIC)
-if (path === '/api/news/latest' && req.method === 'GET') {
-  try {
-    const limit = Math.min(parseInt(searchParams.get('limit')) || 6, 20);
-    const newsCollection = db.collection('news');
-    const rawArticles = await newsCollection
-      .find({ status: { $in: ['published', 'active'] } })
-      .sort({ publishedAt: -1, createdAt: -1 })
-      .limit(limit)
-      .toArray();
-    const articles = rawArticles.map(a => ({ ...a, _id: String(a._id) }));
-    return res.status(200).json({ success: true, data: articles });
-  } catch (err) {
-    return res.status(500).json({ success: false, message: 'Error fetching latest articles' });
-  }
-}
-
-// ==================== RIDES / CARPOOLING ====================
-
-// GET /api/rides — list active rides (public)
-if (path === '/api/rides' && req.method === 'GET') {
-  try {
-    const col = db.collection('rides');
-    const filter = { status: { $in: ['active', 'full'] } };
-    const origin      = searchParams.get('origin');
-    const destination = searchParams.get('destination');
-    const date        = searchParams.get('date');
-    const minSeats    = parseInt(searchParams.get('seats')) || 0;
-    if (origin)      filter.origin      = { $regex: origin, $options: 'i' };
-    if (destination) filter.destination = { $regex: destination, $options: 'i' };
-    if (minSeats)    filter.seatsAvailable = { $gte: minSeats };
-    if (date) {
-      const d = new Date(date);
-      const next = new Date(d); next.setDate(next.getDate() + 1);
-      filter.departureTime = { $gte: d, $lt: next };
-    }
-    const limit = Math.min(parseInt(searchParams.get('limit')) || 20, 50);
-    const rides = await col.find(filter).sort({ departureTime: 1, createdAt: -1 }).limit(limit).toArray();
-    return res.status(200).json({ success: true, data: rides });
-  } catch (err) {
-    return res.status(500).json({ success: false, message: 'Error fetching rides' });
-  }
-}
-
-// GET /api/rides/my-rides — logged-in user's posted rides
-if (path === '/api/rides/my-rides' && req.method === 'GET') {
-  try {
-    const auth = await verifyUserToken(req);
-    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
-    const col = db.collection('rides');
-    const rides = await col.find({ userId: String(auth.user.id) }).sort({ createdAt: -1 }).toArray();
-    return res.status(200).json({ success: true, data: rides });
-  } catch (err) {
-    return res.status(500).json({ success: false, message: 'Error fetching your rides' });
-  }
-}
+    await syncKnowledgeDocument(db, 'news', articleObjectId);
 
-// POST /api/rides — create a ride
-if (path === '/api/rides' && req.method === 'POST') {
-  try {
-    const auth = await verifyUserToken(req);
-    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      body = JSON.parse(Buffer.concat(chunks).toString());
-    } catch (_) {}
-    const { origin, destination, departureTime, recurrence = 'once', seatsTotal, pricePerSeat, vehicleImage, vehicle = {}, driverName, driverPhone, notes = '' } = body;
-    if (!origin || !destination || !departureTime || !seatsTotal || pricePerSeat === undefined) {
-      return res.status(400).json({ success: false, message: 'origin, destination, departureTime, seatsTotal and pricePerSeat are required' });
-    }
-    const seatsNum = Math.max(1, parseInt(seatsTotal));
-    const doc = {
-      userId: String(auth.user.id),
-      driverName: driverName || auth.user.name || 'Driver',
-      driverPhone: driverPhone || '',
-      vehicleImage: vehicleImage || '',
-      vehicle: { make: vehicle.make || '', model: vehicle.model || '', color: vehicle.color || '' },
-      origin: String(origin).trim(),
-      destination: String(destination).trim(),
-      departureTime: new Date(departureTime),
-      recurrence,
-      seatsTotal: seatsNum,
-      seatsAvailable: seatsNum,
-      pricePerSeat: Number(pricePerSeat),
-      notes: String(notes).trim(),
-      reservations: [],
-      status: 'active',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    const result = await db.collection('rides').insertOne(doc);
-    return res.status(201).json({ success: true, data: { ...doc, _id: result.insertedId } });
-  } catch (err) {
-    return res.status(500).json({ success: false, message: 'Error creating ride' });
-  }
-}
+    console.log(`[${timestamp}] ✅ Article deleted: ${article.title}`);
 
-// POST /api/rides/:id/reserve — reserve a seat
-if (path.match(/^\/api\/rides\/[^/]+\/reserve$/) && req.method === 'POST') {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const rideId = path.split('/')[3];
-    const auth = await verifyUserToken(req);
-    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      body = JSON.parse(Buffer.concat(chunks).toString());
-    } catch (_) {}
-    const seats = Math.max(1, parseInt(body.seats) || 1);
-    const passengerPhone = body.phone || '';
-    const passengerName = body.name || auth.user.name || 'Passenger';
-    const col = db.collection('rides');
-    const ride = await col.findOne({ _id: new ObjectId(rideId), status: 'active' });
-    if (!ride) return res.status(404).json({ success: false, message: 'Ride not found or no longer active' });
-    if (ride.userId === String(auth.user.id)) return res.status(400).json({ success: false, message: 'You cannot reserve a seat on your own ride' });
-    if (ride.seatsAvailable < seats) return res.status(400).json({ success: false, message: `Only ${ride.seatsAvailable} seat(s) available` });
-    const alreadyBooked = ride.reservations?.some(r => r.userId === String(auth.user.id) && r.status !== 'cancelled');
-    if (alreadyBooked) return res.status(400).json({ success: false, message: 'You already have a reservation on this ride' });
-    const reservation = { userId: String(auth.user.id), passengerName, passengerPhone, seats, status: 'confirmed', reservedAt: new Date() };
-    const newAvailable = ride.seatsAvailable - seats;
-    await col.updateOne(
-      { _id: new ObjectId(rideId) },
-      {
-        $push: { reservations: reservation },
-        $set: { seatsAvailable: newAvailable, status: newAvailable === 0 ? 'full' : 'active', updatedAt: new Date() }
-      }
-    );
-    return res.status(200).json({ success: true, message: 'Seat reserved successfully', seatsAvailable: newAvailable });
-  } catch (err) {
-    return res.status(500).json({ success: false, message: 'Error reserving seat' });
+    return res.status(200).json({
+      success: true,
+      message: 'Article deleted successfully'
+    });
+
+  } catch (error) {
+    console.error(`[${timestamp}] ❌ Delete article error:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete article',
+      error: error.message
+    });
   }
 }
 
-// DELETE /api/rides/:id — cancel/delete a ride (owner only)
-if (path.match(/^\/api\/rides\/[^/]+$/) && req.method === 'DELETE') {
+// === ENHANCED GET SINGLE ARTICLE ENDPOINT ===
+// This version handles BOTH ObjectId and slug-based requests
+// Place this in your api/index.js file, REPLACING the existing GET SINGLE ARTICLE endpoint
+
+// GET LATEST ARTICLES (PUBLIC)
+if (path === '/api/news/latest' && req.method === 'GET') {
   try {
-    const { ObjectId } = await import('mongodb');
-    const rideId = path.split('/')[3];
-    const auth = await verifyUserToken(req);
-    if (!auth.success) return res.status(401).json({ success: false, message: 'Login required' });
-    const col = db.collection('rides');
-    const ride = await col.findOne({ _id: new ObjectId(rideId) });
-    if (!ride) return res.status(404).json({ success: false, message: 'Ride not found' });
-    if (ride.userId !== String(auth.user.id)) return res.status(403).json({ success: false, message: 'Not your ride' });
-    await col.updateOne({ _id: new ObjectId(rideId) }, { $set: { status: 'cancelled', updatedAt: new Date() } });
-    return res.status(200).json({ success: true, message: 'Ride cancelled' });
+    const limit = Math.min(parseInt(searchParams.get('limit')) || 6, 20);
+    const newsCollection = db.collection('news');
+    const rawArticles = await newsCollection
+      .find({ status: { $in: ['published', 'active'] } })
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    const articles = rawArticles.map(a => ({ ...a, _id: String(a._id) }));
+    return res.status(200).json({ success: true, data: articles });
   } catch (err) {
-    return res.status(500).json({ success: false, message: 'Error cancelling ride' });
+    return res.status(500).json({ success: false, message: 'Error fetching latest articles' });
   }
 }
 
@@ -2640,10 +3847,7 @@ if (path === '/api/user/profile/update-name' && req.method === 'POST') {
       });
     }
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = Buffer.concat(chunks).toString();
-    const { name } = JSON.parse(body);
+    const { name } = req.body;
 
     if (!name || !name.trim()) {
       return res.status(400).json({
@@ -2713,22 +3917,8 @@ if (path === '/user/profile/update' && req.method === 'POST') {
     const userId = authResult.user.id;
     console.log(`[${timestamp}] Profile update for user: ${userId}`);
 
-    // COPIED: Same request parsing pattern as working endpoints
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = Buffer.concat(chunks).toString();
-    
-    let updateData;
-    try {
-      updateData = JSON.parse(body);
-      console.log(`[${timestamp}] Received update data:`, updateData);
-    } catch (parseError) {
-      console.log(`[${timestamp}] ❌ Failed to parse JSON`);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid JSON data'
-      });
-    }
+    const updateData = req.body;
+    console.log(`[${timestamp}] Received update data:`, updateData);
 
     // COPIED: Same database connection pattern as working endpoints  
     const { ObjectId } = await import('mongodb');
@@ -2848,12 +4038,10 @@ if (path === '/user/profile/privacy' && req.method === 'PUT') {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
     const {
       profileVisibility, showEmail, showPhone,
       allowMessages, dataSharing, locationTracking
-    } = JSON.parse(Buffer.concat(chunks).toString());
+    } = req.body;
 
     const { ObjectId } = await import('mongodb');
     const usersCollection = db.collection('users');
@@ -2896,10 +4084,7 @@ if (path === '/user/profile/address' && req.method === 'PUT') {
     const authResult = await verifyUserToken(req);
     if (!authResult.success) return;
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = Buffer.concat(chunks).toString();
-    const addressData = JSON.parse(body);
+    const addressData = req.body;
 
     const usersCollection = db.collection('users');
     
@@ -2972,10 +4157,7 @@ if (path === '/user/profile/address' && req.method === 'PUT') {
            const authResult = await verifyUserToken(req);
           if (!authResult.success) return;
 
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const body = Buffer.concat(chunks).toString();
-          const serviceData = JSON.parse(body);
+          const serviceData = req.body;
 
           // Validate required fields
           if (!serviceData.serviceType || !serviceData.serviceName || !serviceData.description) {
@@ -3174,51 +4356,21 @@ if (path === '/user/profile/avatar' && req.method === 'POST') {
     const userId = authResult.user.id;
     console.log(`[${timestamp}] Avatar upload for user: ${userId}`);
 
-    // Parse multipart form data
-    const boundary = req.headers['content-type']?.split('boundary=')[1];
-    if (!boundary) {
-      console.log(`[${timestamp}] ❌ No boundary found in content-type`);
+    // Multipart form data is parsed by the shared body layer
+    if (!(req.headers['content-type'] || '').includes('multipart/form-data')) {
+      console.log(`[${timestamp}] ❌ Not a multipart request`);
       return res.status(400).json({
         success: false,
         message: 'Invalid multipart form data - no boundary'
       });
     }
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const buffer = Buffer.concat(chunks);
-    const body = buffer.toString('binary');
-
-    console.log(`[${timestamp}] Received data length: ${buffer.length}`);
-    console.log(`[${timestamp}] Content-Type: ${req.headers['content-type']}`);
-
-    // Parse form data
-    const parts = body.split('--' + boundary);
-    let filename = null;
-    let fileBuffer = null;
-    let fileType = 'image/jpeg';
-
-    for (const part of parts) {
-      if (part.includes('Content-Disposition: form-data; name="avatar"')) {
-        const filenameMatch = part.match(/filename="([^"]*)"/);
-        if (filenameMatch) {
-          filename = filenameMatch[1];
-        }
-
-        const contentTypeMatch = part.match(/Content-Type: ([^\r\n]*)/);
-        if (contentTypeMatch) {
-          fileType = contentTypeMatch[1].trim();
-        }
+    console.log(`[${timestamp}] Received data length: ${req.rawBody?.length || 0}`);
 
-        const dataStart = part.indexOf('\r\n\r\n');
-        if (dataStart !== -1) {
-          const fileData = part.substring(dataStart + 4);
-          const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-          fileBuffer = Buffer.from(cleanData, 'binary');
-          break;
-        }
-      }
-    }
+    const upload = req.files.find(file => file.fieldname === 'avatar');
+    const filename = upload?.filename || null;
+    const fileBuffer = upload?.buffer || null;
+    const fileType = upload?.mimetype || 'image/jpeg';
 
     if (!fileBuffer || fileBuffer.length < 100) {
       console.log(`[${timestamp}] ❌ No valid file found. Buffer length: ${fileBuffer?.length || 0}`);
@@ -3457,50 +4609,21 @@ if (path === '/user/profile/cover-picture' && req.method === 'POST') {
     const userId = authResult.user.id;
     console.log(`[${timestamp}] Cover picture upload for user: ${userId}`);
 
-    // Parse multipart form data
-    const boundary = req.headers['content-type']?.split('boundary=')[1];
-    if (!boundary) {
-      console.log(`[${timestamp}] ❌ No boundary found in content-type`);
+    // Multipart form data is parsed by the shared body layer
+    if (!(req.headers['content-type'] || '').includes('multipart/form-data')) {
+      console.log(`[${timestamp}] ❌ Not a multipart request`);
       return res.status(400).json({
         success: false,
         message: 'Invalid multipart form data - no boundary'
       });
     }
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const buffer = Buffer.concat(chunks);
-    const body = buffer.toString('binary');
-
-    console.log(`[${timestamp}] Received data length: ${buffer.length}`);
+    console.log(`[${timestamp}] Received data length: ${req.rawBody?.length || 0}`);
 
-    // Parse form data
-    const parts = body.split('--' + boundary);
-    let filename = null;
-    let fileBuffer = null;
-    let fileType = 'image/jpeg';
-
-    for (const part of parts) {
-      if (part.includes('Content-Disposition: form-data; name="coverPicture"')) {
-        const filenameMatch = part.match(/filename="([^"]*)"/);
-        if (filenameMatch) {
-          filename = filenameMatch[1];
-        }
-
-        const contentTypeMatch = part.match(/Content-Type: ([^\r\n]*)/);
-        if (contentTypeMatch) {
-          fileType = contentTypeMatch[1].trim();
-        }
-
-        const dataStart = part.indexOf('\r\n\r\n');
-        if (dataStart !== -1) {
-          const fileData = part.substring(dataStart + 4);
-          const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-          fileBuffer = Buffer.from(cleanData, 'binary');
-          break;
-        }
-      }
-    }
+    const upload = req.files.find(file => file.fieldname === 'coverPicture');
+    const filename = upload?.filename || null;
+    const fileBuffer = upload?.buffer || null;
+    const fileType = upload?.mimetype || 'image/jpeg';
 
     if (!fileBuffer || fileBuffer.length < 100) {
       console.log(`[${timestamp}] ❌ No valid file found. Buffer length: ${fileBuffer?.length || 0}`);
@@ -3771,24 +4894,13 @@ if (path === '/api/debug/upload-test' && req.method === 'POST') {
       hasCoverPicture: !!user?.coverPicture
     });
 
-    // Test form data parsing
-    const boundary = req.headers['content-type']?.split('boundary=')[1];
+    // Test form data parsing (done by the shared body layer)
     console.log(`[${timestamp}] Form Data:`, {
-      hasBoundary: !!boundary,
-      boundary: boundary?.substring(0, 20) + '...'
+      isMultipart: (req.headers['content-type'] || '').includes('multipart/form-data'),
+      bodySize: req.rawBody?.length || 0,
+      files: (req.files || []).map(file => `${file.fieldname}: ${file.filename} (${file.size} bytes)`)
     });
 
-    if (boundary) {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const buffer = Buffer.concat(chunks);
-      
-      console.log(`[${timestamp}] Form Data Buffer:`, {
-        length: buffer.length,
-        preview: buffer.toString('binary').substring(0, 200)
-      });
-    }
-
     return res.status(200).json({
       success: true,
       message: 'Debug test completed successfully',
@@ -3867,12 +4979,7 @@ if (path === '/user/register-vehicle' && req.method === 'POST') {
       return res.status(500).json({ success: false, message: 'Database connection failed' });
     }
 
-    let body = {};
-    try {
-      const buffers = [];
-      for await (const chunk of req) buffers.push(chunk);
-      body = JSON.parse(Buffer.concat(buffers).toString());
-    } catch (_) {}
+    let body = req.body;
 
     const { vehicleName, year, regPlate, vin, color, serviceShop, serviceRecords, wheelSet } = body;
 
@@ -3953,7 +5060,7 @@ if (path.match(/^\/admin\/vehicle-registrations\/[^/]+\/[^/]+$/) && (req.method
     const parts = path.split('/');
     const userId = parts[3];
     const vehicleId = parts[4];
-    const { status, adminNote } = body;
+    const { status, adminNote } = req.body;
 
     if (!['approved', 'rejected', 'pending'].includes(status)) {
       return res.status(400).json({ success: false, message: 'Invalid status' });
@@ -4036,10 +5143,7 @@ if (path === '/api/debug/endpoints' && req.method === 'GET') {
            const authResult = await verifyUserToken(req);
           if (!authResult.success) return;
 
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const body = Buffer.concat(chunks).toString();
-          const { action, points, metadata } = JSON.parse(body);
+          const { action, points, metadata } = req.body;
 
           const usersCollection = db.collection('users');
           const updateQuery = {
@@ -4138,15 +5242,7 @@ if (path === '/api/inventory-submissions' && req.method === 'POST') {
     const authResult = await verifyUserToken(req);
     if (!authResult.success) return res.status(401).json({ success: false, message: 'Authentication required' });
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch {
-      return res.status(400).json({ success: false, message: 'Invalid request body' });
-    }
+    let body = req.body;
     const { listingData } = body;
     if (!listingData?.title || !listingData?.category || !listingData?.price) {
       return res.status(400).json({ success: false, message: 'Title, category and price are required' });
@@ -4235,13 +5331,7 @@ if (userInvSubStatusMatch && req.method === 'PATCH') {
     if (sub.status !== 'listing_created') return res.status(400).json({ success: false, message: 'Only live listings can be toggled' });
     if (!sub.adminReview?.listingId) return res.status(400).json({ success: false, message: 'No live listing linked to this submission' });
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch { /* ignore */ }
+    let body = req.body;
 
     const newStatus = body.status === 'inactive' ? 'inactive' : 'active';
     await db.collection('inventoryitems').updateOne(
@@ -4284,15 +5374,7 @@ if (path.match(/^\/api\/inventory-submissions\/admin\/[a-f\d]{24}\/review$/) &&
     const pathParts = path.split('/');
     const submissionId = pathParts[pathParts.length - 2];
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch {
-      return res.status(400).json({ success: false, message: 'Invalid request body' });
-    }
+    let body = req.body;
     const { action, adminNotes, visibilityScore } = body;
 
     if (!['approve', 'reject', 'restore'].includes(action)) {
@@ -4537,13 +5619,7 @@ if (adminInventoryStatusMatch && req.method === 'PUT') {
     const db = await connectDB();
     if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch { /* ignore */ }
+    let body = req.body;
 
     const { ObjectId } = await import('mongodb');
     const update = { $set: { updatedAt: new Date() } };
@@ -4566,26 +5642,10 @@ if (adminInventoryStatusMatch && req.method === 'PUT') {
 // INVOICE / QUOTATION ENDPOINTS
 // ========================================
 
-async function getNextInvoiceNumber(db, type) {
-  const prefix = type === 'quotation' ? 'QUO' : 'INV';
-  const counter = await db.collection('counters').findOneAndUpdate(
-    { _id: `${type}_counter` },
-    { $inc: { seq: 1 } },
-    { upsert: true, returnDocument: 'after' }
-  );
-  return `${prefix}-${String(counter.seq).padStart(4, '0')}`;
-}
-
-function calcInvoiceTotals(items, taxRate, discountRate) {
-  const subtotal = items.reduce((s, i) => s + (Number(i.quantity) || 0) * (Number(i.unitPrice) || 0), 0);
-  const discountAmount = subtotal * ((Number(discountRate) || 0) / 100);
-  const afterDiscount = subtotal - discountAmount;
-  const taxAmount = afterDiscount * ((Number(taxRate) || 0) / 100);
-  return { subtotal, discountAmount, taxAmount, total: afterDiscount + taxAmount };
-}
-
 async function maybeCreateInvoiceFinancialRecord(db, invoice) {
   if (!invoice || invoice.status !== 'paid') return;
+  // Invoices paid through recorded payments already have an income entry per payment
+  if (invoice.payments?.length) return;
   try {
     const existing = await db.collection('financial_records').findOne({ invoiceId: invoice._id });
     if (!existing) {
@@ -4645,13 +5705,7 @@ if (path === '/api/admin/invoices' && req.method === 'POST') {
     const db = await connectDB();
     if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch { /* ignore */ }
+    let body = req.body;
 
     const type   = body.type === 'quotation' ? 'quotation' : 'invoice';
     const number = await getNextInvoiceNumber(db, type);
@@ -4675,6 +5729,7 @@ if (path === '/api/admin/invoices' && req.method === 'POST') {
         phone:   body.customer?.phone   || '',
         address: body.customer?.address || ''
       },
+      customerId: /^[a-f\d]{24}$/.test(body.customerId || '') ? body.customerId : null,
       items,
       notes:               body.notes || '',
       taxRate:             Number(body.taxRate)      || 0,
@@ -4689,6 +5744,8 @@ if (path === '/api/admin/invoices' && req.method === 'POST') {
       updatedAt: new Date()
     };
 
+    if (type === 'invoice') Object.assign(doc, { amountPaid: 0, balanceDue: totals.total, payments: [] });
+
     const result = await db.collection('invoices').insertOne(doc);
     return res.status(201).json({ success: true, data: { ...doc, _id: result.insertedId } });
   } catch (err) {
@@ -4723,13 +5780,7 @@ if (adminInvoiceIdMatch) {
       const db = await connectDB();
       if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
 
-      let body = {};
-      try {
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const raw = Buffer.concat(chunks).toString();
-        if (raw) body = JSON.parse(raw);
-      } catch { /* ignore */ }
+      let body = req.body;
 
       const items = (body.items || []).map(i => ({
         description: i.description || '',
@@ -4741,26 +5792,39 @@ if (adminInvoiceIdMatch) {
       const totals = calcInvoiceTotals(items, body.taxRate, body.discountRate);
       const { ObjectId } = await import('mongodb');
 
-      const result = await db.collection('invoices').findOneAndUpdate(
+      // Once payments are tracked the balance decides the status, so edits keep both in step
+      const current = await db.collection('invoices').findOne({ _id: new ObjectId(invoiceId) }, { projection: { amountPaid: 1, paidAt: 1 } });
+      const dueDate = body.dueDate ? new Date(body.dueDate) : null;
+      let balance = { status: body.status };
+      if (current?.amountPaid !== undefined) {
+        const balanceDue = Math.max(Math.round((totals.total - current.amountPaid) * 100) / 100, 0);
+        const status = statusForBalance({ status: body.status, dueDate }, current.amountPaid, balanceDue);
+        balance = { balanceDue, status, paidAt: status === 'paid' ? (current.paidAt || new Date()) : null };
+      }
+
+      const updated = await db.collection('invoices').findOneAndUpdate(
         { _id: new ObjectId(invoiceId) },
         { $set: {
           reference:           body.reference || '',
           customer:            body.customer,
+          ...(body.customerId !== undefined ? { customerId: /^[a-f\d]{24}$/.test(body.customerId || '') ? body.customerId : null } : {}),
           items,
           notes:               body.notes || '',
           taxRate:             Number(body.taxRate)      || 0,
           discountRate:        Number(body.discountRate) || 0,
           showPaymentDetails:  !!body.showPaymentDetails,
           ...totals,
-          status:    body.status,
+          ...balance,
           issueDate: body.issueDate ? new Date(body.issueDate) : new Date(),
-          dueDate:   body.dueDate   ? new Date(body.dueDate)   : null,
+          dueDate,
           updatedAt: new Date()
         }},
         { returnDocument: 'after' }
       );
+      const result = updated && 'value' in updated ? updated.value : updated;
       if (!result) return res.status(404).json({ success: false, message: 'Not found' });
       await maybeCreateInvoiceFinancialRecord(db, result);
+      await postLedgerFor(db, 'invoices', result._id);
       return res.status(200).json({ success: true, data: result });
     } catch (err) {
       return res.status(500).json({ success: false, message: err.message || 'Server error' });
@@ -4775,6 +5839,7 @@ if (adminInvoiceIdMatch) {
       if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
       const { ObjectId } = await import('mongodb');
       await db.collection('invoices').deleteOne({ _id: new ObjectId(invoiceId) });
+      await postLedgerFor(db, 'invoices', invoiceId);
       return res.status(200).json({ success: true, message: 'Deleted' });
     } catch (err) {
       return res.status(500).json({ success: false, message: err.message || 'Server error' });
@@ -4791,25 +5856,37 @@ if (adminInvoiceStatusMatch && req.method === 'PATCH') {
     const db = await connectDB();
     if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch { /* ignore */ }
+    let body = req.body;
 
     const { ObjectId } = await import('mongodb');
-    const result = await db.collection('invoices').findOneAndUpdate(
+
+    // Marking a part-paid invoice paid records the rest as a payment, so the balance stays true
+    if (body.status === 'paid') {
+      const invoice = await db.collection('invoices').findOne({ _id: new ObjectId(adminInvoiceStatusMatch[1]) });
+      if (invoice?.type === 'invoice' && invoice.payments?.length && invoiceBalance(invoice).balanceDue > 0) {
+        const settled = await recordInvoicePayment(db, adminInvoiceStatusMatch[1], {
+          amount: invoiceBalance(invoice).balanceDue,
+          method: body.method || 'other',
+          reference: body.reference || '',
+          notes: 'Balance settled when marked as paid',
+          adminName: authResult.user?.name || 'admin'
+        });
+        return res.status(200).json({ success: true, data: settled.invoice });
+      }
+    }
+
+    const updated = await db.collection('invoices').findOneAndUpdate(
       { _id: new ObjectId(adminInvoiceStatusMatch[1]) },
       { $set: { status: body.status, updatedAt: new Date() } },
       { returnDocument: 'after' }
     );
+    const result = updated && 'value' in updated ? updated.value : updated;
     if (!result) return res.status(404).json({ success: false, message: 'Not found' });
     await maybeCreateInvoiceFinancialRecord(db, result);
+    await postLedgerFor(db, 'invoices', result._id);
     return res.status(200).json({ success: true, data: result });
   } catch (err) {
-    return res.status(500).json({ success: false, message: err.message || 'Server error' });
+    return res.status(err.status || 500).json({ success: false, message: err.message || 'Server error' });
   }
 }
 
@@ -4856,13 +5933,7 @@ if (path === '/api/admin/financial-records' && req.method === 'POST') {
     const db = await connectDB();
     if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString();
-      if (raw) body = JSON.parse(raw);
-    } catch { /* ignore */ }
+    let body = req.body;
 
     const doc = {
       type:         body.type === 'expense' ? 'expense' : 'income',
@@ -4879,6 +5950,7 @@ if (path === '/api/admin/financial-records' && req.method === 'POST') {
     };
 
     const result = await db.collection('financial_records').insertOne(doc);
+    await postLedgerFor(db, 'financial_records', result.insertedId);
     return res.status(201).json({ success: true, data: { ...doc, _id: result.insertedId } });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message || 'Server error' });
@@ -4897,13 +5969,7 @@ if (adminFinRecordMatch) {
       const db = await connectDB();
       if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
 
-      let body = {};
-      try {
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const raw = Buffer.concat(chunks).toString();
-        if (raw) body = JSON.parse(raw);
-      } catch { /* ignore */ }
+      let body = req.body;
 
       const { ObjectId } = await import('mongodb');
       const result = await db.collection('financial_records').findOneAndUpdate(
@@ -4920,6 +5986,7 @@ if (adminFinRecordMatch) {
         { returnDocument: 'after' }
       );
       if (!result) return res.status(404).json({ success: false, message: 'Not found' });
+      await postLedgerFor(db, 'financial_records', recId);
       return res.status(200).json({ success: true, data: result });
     } catch (err) {
       return res.status(500).json({ success: false, message: err.message || 'Server error' });
@@ -4934,6 +6001,7 @@ if (adminFinRecordMatch) {
       if (!db) return res.status(503).json({ success: false, message: 'Database unavailable' });
       const { ObjectId } = await import('mongodb');
       await db.collection('financial_records').deleteOne({ _id: new ObjectId(recId) });
+      await postLedgerFor(db, 'financial_records', recId);
       return res.status(200).json({ success: true, message: 'Deleted' });
     } catch (err) {
       return res.status(500).json({ success: false, message: err.message || 'Server error' });
@@ -4958,18 +6026,7 @@ if (path === '/api/user/submit-listing' && req.method === 'POST') {
     }
 
     // Parse request body
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
 
     const { listingData } = body;
 
@@ -5057,6 +6114,7 @@ if (path === '/api/user/submit-listing' && req.method === 'POST') {
       };
 
       const result = await userSubmissionsCollection.insertOne(submission);
+      await queueListingScreening(db, 'submission', submission);
 
       console.log(`[${timestamp}] ✅ User listing submitted to database: ${submission.listingData.title} by ${submission.userName}`);
 
@@ -5109,58 +6167,18 @@ if (path === '/user/upload-images' && req.method === 'POST') {
 
     console.log(`🖼️ USER UPLOAD: Authenticated user ${authResult.userId || authResult.user?.id}`);
 
-    // Manual multipart parsing (same as working endpoints)
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
+    // Multipart form data is parsed by the shared body layer
     const contentType = req.headers['content-type'] || '';
-    const boundaryMatch = contentType.match(/boundary=(.+)$/);
-    
-    if (!boundaryMatch) {
+    if (!contentType.includes('multipart/form-data')) {
       return res.status(400).json({
         success: false,
         message: 'Invalid multipart request - no boundary found'
       });
     }
     
-    const boundary = boundaryMatch[1];
-    const bodyString = rawBody.toString('binary');
-    const parts = bodyString.split(`--${boundary}`);
-    
-    const files = [];
-    
-    // Parse each part (same logic as working endpoints)
-    for (const part of parts) {
-      if (part.includes('Content-Disposition: form-data') && part.includes('filename=')) {
-        const filenameMatch = part.match(/filename="([^"]+)"/);
-        if (!filenameMatch || !filenameMatch[1] || filenameMatch[1] === '""') continue;
-        
-        const filename = filenameMatch[1];
-        
-        let fileType = 'image/jpeg';
-        const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-        if (contentTypeMatch) {
-          fileType = contentTypeMatch[1].trim();
-        }
-        
-        const dataStart = part.indexOf('\r\n\r\n');
-        if (dataStart !== -1) {
-          const fileData = part.substring(dataStart + 4);
-          const cleanData = fileData.replace(/\r\n$/, '');
-          const fileBuffer = Buffer.from(cleanData, 'binary');
-          
-          if (fileBuffer.length > 100) {
-            files.push({
-              originalFilename: filename,
-              buffer: fileBuffer,
-              size: fileBuffer.length,
-              mimetype: fileType
-            });
-          }
-        }
-      }
-    }
+    const files = req.files
+      .filter(file => file.size > 100)
+      .map(file => ({ originalFilename: file.filename, buffer: file.buffer, size: file.size, mimetype: file.mimetype }));
 
     if (files.length === 0) {
       return res.status(400).json({
@@ -5244,56 +6262,17 @@ if (path === '/api/user/upload-images' && req.method === 'POST') {
     const userId = authResult.user.id;
     console.log(`[${timestamp}] 🖼️ User listing image upload for user: ${userId}`);
 
-    // Parse multipart form data (same pattern as avatar/cover picture)
-    const boundary = req.headers['content-type']?.split('boundary=')[1];
-    if (!boundary) {
+    // Multipart form data is parsed by the shared body layer
+    if (!(req.headers['content-type'] || '').includes('multipart/form-data')) {
       return res.status(400).json({
         success: false,
         message: 'Invalid multipart form data - no boundary'
       });
     }
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const buffer = Buffer.concat(chunks);
-    const body = buffer.toString('binary');
-
-    console.log(`[${timestamp}] Received data length: ${buffer.length}`);
+    console.log(`[${timestamp}] Received data length: ${req.rawBody?.length || 0}`);
 
-    // Parse multiple files from form data
-    const parts = body.split('--' + boundary);
-    const files = [];
-
-    for (const part of parts) {
-      if (part.includes('Content-Disposition: form-data') && part.includes('filename=')) {
-        const filenameMatch = part.match(/filename="([^"]*)"/);
-        if (!filenameMatch || !filenameMatch[1] || filenameMatch[1] === '""') continue;
-        
-        const filename = filenameMatch[1];
-        let fileType = 'image/jpeg';
-        
-        const contentTypeMatch = part.match(/Content-Type: ([^\r\n]*)/);
-        if (contentTypeMatch) {
-          fileType = contentTypeMatch[1].trim();
-        }
-
-        const dataStart = part.indexOf('\r\n\r\n');
-        if (dataStart !== -1) {
-          const fileData = part.substring(dataStart + 4);
-          const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-          const fileBuffer = Buffer.from(cleanData, 'binary');
-          
-          if (fileBuffer.length > 100) { // Skip tiny files
-            files.push({
-              filename: filename,
-              buffer: fileBuffer,
-              mimetype: fileType,
-              size: fileBuffer.length
-            });
-          }
-        }
-      }
-    }
+    const files = req.files.filter(file => file.size > 100); // Skip tiny files
 
     if (files.length === 0) {
       return res.status(400).json({
@@ -5620,9 +6599,7 @@ if (path.match(/^\/(?:api\/)?listings\/[a-fA-F0-9]{24}\/status$/) && req.method
     const { ObjectId } = await import('mongodb');
     const listingId = path.split('/').filter(Boolean).find((_, i, a) => a[i - 1] === 'listings');
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+    const body = req.body;
     const { status } = body;
 
     const allowed = ['active', 'inactive', 'sold', 'paused', 'archived', 'draft', 'pending'];
@@ -5631,14 +6608,18 @@ if (path.match(/^\/(?:api\/)?listings\/[a-fA-F0-9]{24}\/status$/) && req.method
     }
 
     const listingsCollection = db.collection('listings');
-    const result = await listingsCollection.updateOne(
+    const result = await listingsCollection.findOneAndUpdate(
       { _id: new ObjectId(listingId) },
-      { $set: { status, updatedAt: new Date() } }
+      { $set: { status, updatedAt: new Date() } },
+      { returnDocument: 'before' }
     );
+    const before = result && 'value' in result ? result.value : result;
 
-    if (result.matchedCount === 0) {
+    if (!before) {
       return res.status(404).json({ success: false, message: 'Listing not found' });
     }
+    await trackListingChange(db, before, { status }, { source: 'listing_status' });
+    await matchSavedSearches(db, { ...before, status }, { previousStatus: before.status });
 
     console.log(`[${timestamp}] Listing ${listingId} status → ${status}`);
     return res.status(200).json({ success: true, message: `Status updated to ${status}`, data: { id: listingId, status } });
@@ -5667,17 +6648,7 @@ if (path.match(/^\/api\/user\/my-garage\/[a-fA-F0-9]{24}\/status$/) && req.metho
     const userId = authResult.user.id;
 
     // Parse request body
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      body = JSON.parse(Buffer.concat(chunks).toString());
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body'
-      });
-    }
+    let body = req.body;
 
     const { status } = body;
     const validStatuses = ['active', 'inactive', 'paused', 'sold'];
@@ -5874,17 +6845,7 @@ if (path.match(/^\/api\/user\/submissions\/[a-fA-F0-9]{24}$/) && req.method ===
     const submissionId = path.split('/')[4]; // Extract submission ID
     
     // Parse request body
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      body = JSON.parse(Buffer.concat(chunks).toString());
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body'
-      });
-    }
+    let body = req.body;
 
     const { listingData, editNote } = body;
 
@@ -6919,18 +7880,7 @@ if (path.startsWith('/api/market-prices') || path === '/api/market-prices') {
         
         console.log(`[${timestamp}] ✅ Authenticated as: ${authResult.user.email}`);
         
-        let body = {};
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          if (rawBody) body = JSON.parse(rawBody);
-        } catch (parseError) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid request body format'
-          });
-        }
+        let body = req.body;
         
         // Accept either 'entries' (new UI) or 'prices' (legacy)
         const prices = body.entries || body.prices;
@@ -7113,18 +8063,7 @@ if (path.startsWith('/api/market-prices') || path === '/api/market-prices') {
         
         console.log(`[${timestamp}] ✅ Authenticated as: ${authResult.user.email}`);
         
-        let body = {};
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          if (rawBody) body = JSON.parse(rawBody);
-        } catch (parseError) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid request body format'
-          });
-        }
+        let body = req.body;
         
         const marketPricesCollection = db.collection('marketprices');
         const { ObjectId } = await import('mongodb');
@@ -7287,23 +8226,8 @@ if (path.startsWith('/api/market-prices') || path === '/api/market-prices') {
         
         console.log(`[${timestamp}] ✅ Authenticated as: ${authResult.user.email} (Role: ${authResult.user.role})`);
         
-        let body = {};
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          console.log(`[${timestamp}] Raw body length: ${rawBody.length}`);
-          
-          if (rawBody) body = JSON.parse(rawBody);
-          console.log(`[${timestamp}] Parsed body keys:`, Object.keys(body));
-        } catch (parseError) {
-          console.error(`[${timestamp}] Parse error:`, parseError);
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid request body format',
-            error: parseError.message
-          });
-        }
+        const body = req.body;
+        console.log(`[${timestamp}] Parsed body keys:`, Object.keys(body));
         
         const { make, model, year, condition, price, mileage, location, country, recordedDate, notes, source } = body;
 
@@ -7428,245 +8352,19 @@ if (path.startsWith('/api/market-prices') || path === '/api/market-prices') {
 
     } catch (error) {
       console.error(`[${timestamp}] ❌ Market prices route error:`, error);
-      return res.status(500).json({
-        success: false,
-        message: 'Internal server error in market prices route',
-        error: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
-    }
-  })(); // <-- CRITICAL: This closes the async IIFE
-}
-
-// ==================== END MARKET PRICES ENDPOINTS ====================
-
-// ==================== DRIVE MAP ENDPOINTS ====================
-if (path.startsWith('/api/drive-map')) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] 🗺️ Drive Map endpoint: ${path} (${req.method})`);
-
-  (async () => {
-    try {
-      const client = await clientPromise;
-      const db = client.db('bw-car-culture');
-
-      // ---- GET /api/drive-map/charging-stations ----
-      if (path === '/api/drive-map/charging-stations' && req.method === 'GET') {
-        const stations = await db.collection('ev_charging_stations').find({}).toArray();
-        // Seed default data if empty
-        if (stations.length === 0) {
-          const seedStations = [
-            { name: 'BPC EV Charger - CBD Gaborone', lat: -24.6541, lng: 25.9087, type: 'Type 2', speed: '22kW AC', status: 'available', address: 'CBD, Gaborone' },
-            { name: 'Phakalane EV Hub', lat: -24.5901, lng: 25.9299, type: 'CCS', speed: '50kW DC Fast', status: 'available', address: 'Phakalane, Gaborone' },
-            { name: 'Riverwalk Mall Charging', lat: -24.6317, lng: 25.9301, type: 'Type 2', speed: '22kW AC', status: 'available', address: 'Riverwalk Mall, Gaborone' },
-            { name: 'Francistown EV Point', lat: -21.1661, lng: 27.5117, type: 'Type 2', speed: '22kW AC', status: 'available', address: 'Blue Jacket St, Francistown' },
-            { name: 'Maun Eco Charger', lat: -19.9833, lng: 23.4167, type: 'Type 2', speed: '7kW AC', status: 'available', address: 'Maun Town Centre' },
-            { name: 'Kasane Safari Charger', lat: -17.7965, lng: 25.1484, type: 'Type 2', speed: '7kW AC', status: 'available', address: 'Kasane, Chobe District' },
-            { name: 'Lobatse EV Station', lat: -25.2167, lng: 25.6833, type: 'Type 2', speed: '22kW AC', status: 'available', address: 'Lobatse Town' },
-            { name: 'Palapye Highway Stop', lat: -22.5500, lng: 27.1333, type: 'CCS', speed: '50kW DC Fast', status: 'available', address: 'A1 Highway, Palapye' },
-            { name: 'Serowe Community Charger', lat: -22.3833, lng: 26.7167, type: 'Type 2', speed: '7kW AC', status: 'available', address: 'Serowe Town Centre' },
-            { name: 'Orapa Mining EV Point', lat: -21.3000, lng: 25.4000, type: 'Type 2', speed: '22kW AC', status: 'available', address: 'Orapa, Central District' },
-          ];
-          await db.collection('ev_charging_stations').insertMany(seedStations.map(s => ({ ...s, createdAt: new Date() })));
-          return res.status(200).json({ success: true, data: seedStations });
-        }
-        return res.status(200).json({ success: true, data: stations });
-      }
-
-      // ---- GET /api/drive-map/traffic-cameras ----
-      if (path === '/api/drive-map/traffic-cameras' && req.method === 'GET') {
-        const cameras = await db.collection('traffic_cameras').find({ approved: true }).toArray();
-        return res.status(200).json({ success: true, data: cameras });
-      }
-
-      // ---- POST /api/drive-map/traffic-cameras (registered users only) ----
-      if (path === '/api/drive-map/traffic-cameras' && req.method === 'POST') {
-        const authResult = await verifyUserToken(req);
-        if (!authResult.success) {
-          return res.status(401).json({ success: false, message: 'Authentication required to contribute camera locations' });
-        }
-        const { lat, lng, description, road, direction } = req.body;
-        if (!lat || !lng) {
-          return res.status(400).json({ success: false, message: 'Latitude and longitude are required' });
-        }
-        const camera = {
-          lat: parseFloat(lat),
-          lng: parseFloat(lng),
-          description: description || 'Traffic Camera',
-          road: road || '',
-          direction: direction || '',
-          contributedBy: authResult.user.id,
-          contributorName: authResult.user.name || 'Anonymous',
-          approved: false, // requires admin approval
-          createdAt: new Date()
-        };
-        const result = await db.collection('traffic_cameras').insertOne(camera);
-        return res.status(201).json({ success: true, message: 'Camera submitted for review. Thank you for contributing!', id: result.insertedId });
-      }
-
-      // ---- GET /api/drive-map/eco-spots ----
-      if (path === '/api/drive-map/eco-spots' && req.method === 'GET') {
-        const spots = await db.collection('eco_spots').find({}).toArray();
-        if (spots.length === 0) {
-          const seedSpots = [
-            { name: 'Chobe National Park', lat: -17.9333, lng: 24.7667, type: 'national_park', description: 'Home to Africa\'s largest elephant population. No vehicles over 3.5t.', eco: true },
-            { name: 'Moremi Game Reserve', lat: -19.3500, lng: 23.4833, type: 'national_park', description: 'Part of the Okavango Delta ecosystem.', eco: true },
-            { name: 'Kgalagadi Transfrontier Park', lat: -25.3333, lng: 20.6667, type: 'national_park', description: 'Shared conservation area with South Africa.', eco: true },
-            { name: 'Gaborone Solar Farm', lat: -24.7000, lng: 25.9167, type: 'solar', description: 'BPC solar generation facility.', eco: true },
-            { name: 'Jwaneng Solar Plant', lat: -24.6028, lng: 24.7289, type: 'solar', description: 'Renewable energy plant near Jwaneng Mine.', eco: true },
-            { name: 'Gaborone Recycling Centre', lat: -24.6569, lng: 25.9108, type: 'recycling', description: 'Accepts plastics, metal, paper and glass.', eco: true },
-            { name: 'Francistown Recycling Hub', lat: -21.1667, lng: 27.5000, type: 'recycling', description: 'Municipal recycling drop-off point.', eco: true },
-            { name: 'Nxai Pan National Park', lat: -19.8167, lng: 24.8167, type: 'national_park', description: 'Baobab trees and seasonal flamingo pans.', eco: true },
-            { name: 'Makgadikgadi Pans', lat: -20.5000, lng: 25.5000, type: 'national_park', description: 'One of the largest salt flats in the world.', eco: true },
-            { name: 'Mokolodi Nature Reserve', lat: -24.7833, lng: 25.9167, type: 'national_park', description: 'Eco-reserve near Gaborone. EV-friendly visitor centre.', eco: true },
-          ];
-          await db.collection('eco_spots').insertMany(seedSpots.map(s => ({ ...s, createdAt: new Date() })));
-          return res.status(200).json({ success: true, data: seedSpots });
-        }
-        return res.status(200).json({ success: true, data: spots });
-      }
-
-      // ---- GET /api/drive-map/road-hazards ----
-      if (path === '/api/drive-map/road-hazards' && req.method === 'GET') {
-        const hazards = await db.collection('road_hazards').find({ approved: true }).toArray();
-        return res.status(200).json({ success: true, data: hazards });
-      }
-
-      // ---- POST /api/drive-map/road-hazards (registered users only) ----
-      if (path === '/api/drive-map/road-hazards' && req.method === 'POST') {
-        const authResult = await verifyUserToken(req);
-        if (!authResult.success) {
-          return res.status(401).json({ success: false, message: 'Sign in to report road hazards' });
-        }
-        const { lat, lng, type, description, road } = req.body;
-        if (!lat || !lng || !description || !type) {
-          return res.status(400).json({ success: false, message: 'lat, lng, type and description are required' });
-        }
-        const hazard = {
-          lat: parseFloat(lat),
-          lng: parseFloat(lng),
-          type,
-          description,
-          road: road || '',
-          contributorName: authResult.user.name || 'Anonymous',
-          contributorId: authResult.user._id || authResult.user.id,
-          approved: false,
-          createdAt: new Date(),
-        };
-        await db.collection('road_hazards').insertOne(hazard);
-        return res.status(201).json({ success: true, message: 'Hazard reported. It will appear on the map after review.' });
-      }
-
-      return res.status(404).json({ success: false, message: 'Drive map endpoint not found' });
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] Drive Map error:`, error);
-      return res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
-    }
-  })();
-}
-// ==================== END DRIVE MAP ENDPOINTS ====================
-
-// ==================== USER NOTIFICATIONS ENDPOINTS ====================
-if (path.startsWith('/user/notifications') || path.startsWith('/api/user/notifications')) {
-  const timestamp = new Date().toISOString();
-
-  // Auth check helper
-  const getAuthUserId = async () => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
-    try {
-      const jwt = await import('jsonwebtoken');
-      const decoded = jwt.default.verify(authHeader.split(' ')[1], process.env.JWT_SECRET || 'bw-car-culture-secret-key-2025');
-      return decoded.userId || decoded.id;
-    } catch { return null; }
-  };
-
-  // GET /user/notifications/unread-count
-  if ((path === '/user/notifications/unread-count' || path === '/api/user/notifications/unread-count') && req.method === 'GET') {
-    try {
-      const userId = await getAuthUserId();
-      if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
-      const db = await connectDB();
-      if (!db) return res.status(500).json({ success: false, message: 'Database error' });
-      const { ObjectId } = await import('mongodb');
-      const count = await db.collection('notifications').countDocuments({ userId: new ObjectId(userId), isRead: false });
-      return res.status(200).json({ success: true, count });
-    } catch (err) {
-      return res.status(500).json({ success: false, message: err.message });
-    }
-  }
-
-  // GET /user/notifications
-  if ((path === '/user/notifications' || path === '/api/user/notifications') && req.method === 'GET') {
-    try {
-      const userId = await getAuthUserId();
-      if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
-      const db = await connectDB();
-      if (!db) return res.status(500).json({ success: false, message: 'Database error' });
-      const { ObjectId } = await import('mongodb');
-      const notifications = await db.collection('notifications')
-        .find({ userId: new ObjectId(userId) })
-        .sort({ createdAt: -1 })
-        .limit(50)
-        .toArray();
-      const unreadCount = notifications.filter(n => !n.isRead).length;
-      return res.status(200).json({ success: true, notifications, unreadCount });
-    } catch (err) {
-      return res.status(500).json({ success: false, message: err.message });
-    }
-  }
-
-  // PUT /user/notifications/read-all
-  if ((path === '/user/notifications/read-all' || path === '/api/user/notifications/read-all') && req.method === 'PUT') {
-    try {
-      const userId = await getAuthUserId();
-      if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
-      const db = await connectDB();
-      if (!db) return res.status(500).json({ success: false, message: 'Database error' });
-      const { ObjectId } = await import('mongodb');
-      await db.collection('notifications').updateMany({ userId: new ObjectId(userId), isRead: false }, { $set: { isRead: true } });
-      return res.status(200).json({ success: true, message: 'All notifications marked as read' });
-    } catch (err) {
-      return res.status(500).json({ success: false, message: err.message });
-    }
-  }
-
-  // PUT /user/notifications/:id/read
-  const readMatch = path.match(/^\/(?:api\/)?user\/notifications\/([a-f0-9]{24})\/read$/);
-  if (readMatch && req.method === 'PUT') {
-    try {
-      const userId = await getAuthUserId();
-      if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
-      const db = await connectDB();
-      if (!db) return res.status(500).json({ success: false, message: 'Database error' });
-      const { ObjectId } = await import('mongodb');
-      await db.collection('notifications').updateOne(
-        { _id: new ObjectId(readMatch[1]), userId: new ObjectId(userId) },
-        { $set: { isRead: true } }
-      );
-      return res.status(200).json({ success: true });
-    } catch (err) {
-      return res.status(500).json({ success: false, message: err.message });
-    }
-  }
-
-  // DELETE /user/notifications/:id
-  const deleteMatch = path.match(/^\/(?:api\/)?user\/notifications\/([a-f0-9]{24})$/);
-  if (deleteMatch && req.method === 'DELETE') {
-    try {
-      const userId = await getAuthUserId();
-      if (!userId) return res.status(401).json({ success: false, message: 'Authentication required' });
-      const db = await connectDB();
-      if (!db) return res.status(500).json({ success: false, message: 'Database error' });
-      const { ObjectId } = await import('mongodb');
-      await db.collection('notifications').deleteOne({ _id: new ObjectId(deleteMatch[1]), userId: new ObjectId(userId) });
-      return res.status(200).json({ success: true });
-    } catch (err) {
-      return res.status(500).json({ success: false, message: err.message });
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error in market prices route',
+        error: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
     }
-  }
+  })(); // <-- CRITICAL: This closes the async IIFE
 }
-// ==================== END USER NOTIFICATIONS ENDPOINTS ====================
+
+// ==================== END MARKET PRICES ENDPOINTS ====================
+
+
 
 // ==================== USER SOCIAL / FOLLOW ENDPOINTS ====================
 if (path.startsWith('/users') || path.startsWith('/api/users')) {
@@ -7872,9 +8570,7 @@ if (path.match(/^\/(?:api\/)?users\/[a-f0-9]{24}\/engagements/)) {
   if (profileMatch && req.method === 'POST') {
     const author = await getAuthed();
     if (!author) return res.status(401).json({ success: false, message: 'Authentication required' });
-    const body = await new Promise(resolve => {
-      let d = ''; req.on('data', c => d += c); req.on('end', () => { try { resolve(JSON.parse(d)); } catch { resolve({}); } });
-    });
+    const body = req.body;
     const text = (body.text || '').trim();
     if (!text) return res.status(400).json({ success: false, message: 'Text is required' });
     const doc = {
@@ -7937,9 +8633,7 @@ if (path.match(/^\/(?:api\/)?users\/[a-f0-9]{24}\/engagements/)) {
     const author = await getAuthed();
     if (!author) return res.status(401).json({ success: false, message: 'Authentication required' });
     const engId = new ObjectId(replyMatch[1]);
-    const body = await new Promise(resolve => {
-      let d = ''; req.on('data', c => d += c); req.on('end', () => { try { resolve(JSON.parse(d)); } catch { resolve({}); } });
-    });
+    const body = req.body;
     const text = (body.text || '').trim();
     if (!text) return res.status(400).json({ success: false, message: 'Text is required' });
     // Fetch original engagement to get its author before updating
@@ -8533,22 +9227,7 @@ if (path === '/role-requests' && req.method === 'POST') {
       });
     }
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      
-      if (rawBody) {
-        body = JSON.parse(rawBody);
-      }
-    } catch (parseError) {
-      console.error(`[${timestamp}] Request parsing error:`, parseError);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request format'
-      });
-    }
+    const body = req.body;
 
     const { requestType, reason, requestData } = body;
 
@@ -8947,21 +9626,7 @@ if (path === '/api/payments/submit-proof' && req.method === 'POST') {
       });
     }
 
-    let body = {};
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    if (rawBody) {
-      try {
-        body = JSON.parse(rawBody);
-      } catch (parseError) {
-        console.log(`[${timestamp}] ❌ JSON parse error:`, parseError.message);
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON in request body'
-        });
-      }
-    }
+    const body = req.body;
 
     console.log(`[${timestamp}] 📝 Request body received:`, {
       hasListingId: !!body.listingId,
@@ -8987,42 +9652,21 @@ if (path === '/api/payments/submit-proof' && req.method === 'POST') {
     }
 
     const { ObjectId } = await import('mongodb');
-    
-    // Create payment record with S3 file info
-    const paymentsCollection = db.collection('payments');
-    const txRef = `manual_${listingId}_${Date.now()}`;
-    
-    const paymentData = {
-      user: new ObjectId(authResult.user.id),
-      listing: new ObjectId(listingId),
-      transactionRef: txRef,
-      amount: Number(amount),
-      currency: 'BWP',
+
+    // Attaches to a payment started with the manual provider, or records a new manual payment
+    const { paymentId, transactionRef: txRef } = await recordProofOfPayment(db, {
+      userId: authResult.user.id,
+      listingId,
       subscriptionTier,
-      status: 'proof_submitted',
-      paymentMethod: 'manual',
-      proofOfPayment: {
-        submitted: true,
-        submittedAt: new Date(),
-        file: {
-          url: proofFile.url, // S3 URL from your existing upload system
-          filename: proofFile.filename,
-          size: proofFile.size,
-          mimetype: proofFile.mimetype,
-          uploadedAt: new Date(proofFile.uploadedAt)
-        },
-        status: 'pending_review'
-      },
+      amount,
+      proofFile,
+      transactionRef: body.transactionRef,
       metadata: {
-        manualPayment: true,
         userAgent: req.headers['user-agent'],
         ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
         uploadedViaS3: true
-      },
-      createdAt: new Date()
-    };
-
-    const result = await paymentsCollection.insertOne(paymentData);
+      }
+    });
 
     // Update the user submission to indicate proof submitted
     try {
@@ -9036,7 +9680,7 @@ if (path === '/api/payments/submit-proof' && req.method === 'POST') {
           $set: {
             'paymentProof.submitted': true,
             'paymentProof.submittedAt': new Date(),
-            'paymentProof.paymentId': result.insertedId,
+            'paymentProof.paymentId': paymentId,
             'paymentProof.status': 'pending_admin_review',
             'paymentProof.file': proofFile
           }
@@ -9051,7 +9695,7 @@ if (path === '/api/payments/submit-proof' && req.method === 'POST') {
       const usersCollection = db.collection('users');
       const user = await usersCollection.findOne({ _id: new ObjectId(authResult.user.id) });
       
-      console.log(`[${timestamp}] ✅ Proof of payment submitted: ${result.insertedId}`);
+      console.log(`[${timestamp}] ✅ Proof of payment submitted: ${paymentId}`);
       console.log(`[${timestamp}] 📧 Email notifications would be sent here`);
     } catch (emailError) {
       console.error('Email notification failed:', emailError);
@@ -9061,7 +9705,7 @@ if (path === '/api/payments/submit-proof' && req.method === 'POST') {
     return res.status(200).json({
       success: true,
       data: {
-        paymentId: result.insertedId,
+        paymentId,
         transactionRef: txRef,
         status: 'proof_submitted',
         fileUrl: proofFile.url,
@@ -9097,21 +9741,7 @@ if (path === '/payments/submit-proof' && req.method === 'POST') {
       });
     }
 
-    let body = {};
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    if (rawBody) {
-      try {
-        body = JSON.parse(rawBody);
-      } catch (parseError) {
-        console.log(`[${timestamp}] ❌ JSON parse error:`, parseError.message);
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON in request body'
-        });
-      }
-    }
+    const body = req.body;
 
     console.log(`[${timestamp}] 📝 Request body received:`, {
       hasListingId: !!body.listingId,
@@ -9137,42 +9767,21 @@ if (path === '/payments/submit-proof' && req.method === 'POST') {
     }
 
     const { ObjectId } = await import('mongodb');
-    
-    // Create payment record with S3 file info
-    const paymentsCollection = db.collection('payments');
-    const txRef = `manual_${listingId}_${Date.now()}`;
-    
-    const paymentData = {
-      user: new ObjectId(authResult.user.id),
-      listing: new ObjectId(listingId),
-      transactionRef: txRef,
-      amount: Number(amount),
-      currency: 'BWP',
+
+    // Attaches to a payment started with the manual provider, or records a new manual payment
+    const { paymentId, transactionRef: txRef } = await recordProofOfPayment(db, {
+      userId: authResult.user.id,
+      listingId,
       subscriptionTier,
-      status: 'proof_submitted',
-      paymentMethod: 'manual',
-      proofOfPayment: {
-        submitted: true,
-        submittedAt: new Date(),
-        file: {
-          url: proofFile.url, // S3 URL from your existing upload system
-          filename: proofFile.filename,
-          size: proofFile.size,
-          mimetype: proofFile.mimetype,
-          uploadedAt: new Date(proofFile.uploadedAt)
-        },
-        status: 'pending_review'
-      },
+      amount,
+      proofFile,
+      transactionRef: body.transactionRef,
       metadata: {
-        manualPayment: true,
         userAgent: req.headers['user-agent'],
         ipAddress: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
         uploadedViaS3: true
-      },
-      createdAt: new Date()
-    };
-
-    const result = await paymentsCollection.insertOne(paymentData);
+      }
+    });
 
     // Update the user submission to indicate proof submitted
     try {
@@ -9186,7 +9795,7 @@ if (path === '/payments/submit-proof' && req.method === 'POST') {
           $set: {
             'paymentProof.submitted': true,
             'paymentProof.submittedAt': new Date(),
-            'paymentProof.paymentId': result.insertedId,
+            'paymentProof.paymentId': paymentId,
             'paymentProof.status': 'pending_admin_review',
             'paymentProof.file': proofFile
           }
@@ -9201,7 +9810,7 @@ if (path === '/payments/submit-proof' && req.method === 'POST') {
       const usersCollection = db.collection('users');
       const user = await usersCollection.findOne({ _id: new ObjectId(authResult.user.id) });
       
-      console.log(`[${timestamp}] ✅ Proof of payment submitted: ${result.insertedId}`);
+      console.log(`[${timestamp}] ✅ Proof of payment submitted: ${paymentId}`);
       console.log(`[${timestamp}] 📧 Email notifications would be sent here`);
     } catch (emailError) {
       console.error('Email notification failed:', emailError);
@@ -9211,7 +9820,7 @@ if (path === '/payments/submit-proof' && req.method === 'POST') {
     return res.status(200).json({
       success: true,
       data: {
-        paymentId: result.insertedId,
+        paymentId,
         transactionRef: txRef,
         status: 'proof_submitted',
         fileUrl: proofFile.url,
@@ -9463,98 +10072,7 @@ if (path === '/addons/available' && req.method === 'GET') {
 if (path.startsWith('/api/payments')) {
   console.log(`[${timestamp}] → PAYMENTS: ${path}`);
   
-  // === WEBHOOK ENDPOINT (NO AUTH REQUIRED) ===
-  if (path === '/api/payments/webhook' && req.method === 'POST') {
-    try {
-      const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
-      const signature = req.headers['verif-hash'];
-
-      if (!signature || signature !== secretHash) {
-        console.warn('Invalid webhook signature received');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-
-      const payload = req.body;
-      console.log('Webhook payload received:', payload.event);
-
-      if (payload.event === 'charge.completed' && payload.data.status === 'successful') {
-        const txRef = payload.data.tx_ref;
-        
-        const paymentsCollection = db.collection('payments');
-        const payment = await paymentsCollection.findOne({ transactionRef: txRef });
-        
-        if (payment && payment.status === 'pending') {
-          // Get seller type and pricing
-          const sellerType = await getUserSellerType(db, payment.user);
-          
-          // Update payment status
-          await paymentsCollection.updateOne(
-            { _id: payment._id },
-            {
-              $set: {
-                status: 'completed',
-                'flutterwaveData.transactionId': payload.data.id,
-                'flutterwaveData.webhookData': payload.data,
-                sellerType,
-                completedAt: new Date()
-              }
-            }
-          );
-          
-          // Handle subscription or add-on activation
-          if (payment.type === 'subscription' || !payment.type) {
-            // Activate listing subscription
-            const pricing = SUBSCRIPTION_PRICING[sellerType][payment.subscriptionTier];
-            const listingsCollection = db.collection('listings');
-            const expiresAt = new Date();
-            expiresAt.setDate(expiresAt.getDate() + pricing.duration);
-
-            await listingsCollection.updateOne(
-              { _id: new ObjectId(payment.listing) },
-              {
-                $set: {
-                  'subscription.tier': payment.subscriptionTier,
-                  'subscription.status': 'active',
-                  'subscription.expiresAt': expiresAt,
-                  'subscription.sellerType': sellerType,
-                  'subscription.maxListings': pricing.maxListings,
-                  'subscription.planName': pricing.name,
-                  status: 'published'
-                }
-              }
-            );
-          } else if (payment.type === 'addon') {
-            // Activate add-on service
-            const listingsCollection = db.collection('listings');
-            const addonsArray = payment.addons || [payment.addonId];
-            
-            await listingsCollection.updateOne(
-              { _id: new ObjectId(payment.listing) },
-              {
-                $addToSet: {
-                  'addons.active': {
-                    $each: addonsArray.map(addonId => ({
-                      id: addonId,
-                      purchasedAt: new Date(),
-                      paymentId: payment._id,
-                      status: 'active'
-                    }))
-                  }
-                }
-              }
-            );
-          }
-          
-          console.log(`Payment ${payment._id} completed via webhook for ${sellerType} seller`);
-        }
-      }
-
-      return res.status(200).json({ message: 'Webhook processed successfully' });
-    } catch (error) {
-      console.error('Webhook processing error:', error);
-      return res.status(500).json({ error: 'Webhook processing failed' });
-    }
-  }
+  // Webhooks (/api/payments/webhook[/:provider]) are on the route table, without auth
 
   // === ALL OTHER PAYMENT ROUTES REQUIRE AUTHENTICATION ===
   const authResult = await verifyUserToken(req);
@@ -9633,15 +10151,17 @@ if (path.startsWith('/api/payments')) {
   // === INITIATE PAYMENT ===
   if (path === '/api/payments/initiate' && req.method === 'POST') {
     try {
-      const { 
-        listingId, 
-        subscriptionTier, 
-        addons = [], 
-        addonId, 
+      const {
+        listingId,
+        subscriptionTier,
+        addons = [],
+        addonId,
         bookingId,
-        paymentType, 
+        paymentType,
         sellerType: requestedSellerType,
-        callbackUrl 
+        provider: requestedProvider,
+        phone,
+        callbackUrl
       } = req.body;
 
       if (!listingId) {
@@ -9651,78 +10171,16 @@ if (path.startsWith('/api/payments')) {
         });
       }
 
-      if (!paymentType || !['subscription', 'addon'].includes(paymentType)) {
+      const providers = paymentProviders();
+      const provider = requestedProvider ? providers[requestedProvider] : defaultPaymentProvider(providers);
+      if (!provider) {
         return res.status(400).json({
           success: false,
-          message: 'Valid payment type is required (subscription or addon)'
+          message: `Payment method ${requestedProvider} is not available. Choose one of: ${Object.keys(providers).join(', ')}`
         });
       }
 
-      const userSellerType = requestedSellerType || await getUserSellerType(db, authResult.user.id);
-      let totalAmount = 0;
-      let paymentDescription = '';
-      let paymentMetadata = {};
-
-      if (paymentType === 'subscription') {
-        if (!subscriptionTier) {
-          return res.status(400).json({
-            success: false,
-            message: 'Valid subscription tier is required'
-          });
-        }
-
-        const tierPricing = {
-          basic: { name: 'Basic Plan', price: 50, duration: 30, maxListings: 1 },
-          standard: { name: 'Standard Plan', price: 100, duration: 30, maxListings: 1 },
-          premium: { name: 'Premium Plan', price: 200, duration: 45, maxListings: 1 }
-        };
-
-        const tierDetails = tierPricing[subscriptionTier];
-        if (!tierDetails) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid subscription tier'
-          });
-        }
-
-        totalAmount = tierDetails.price;
-        paymentDescription = `${tierDetails.name} - ${tierDetails.duration} days`;
-        paymentMetadata = {
-          subscriptionTier,
-          tierDetails,
-          maxListings: tierDetails.maxListings,
-          duration: tierDetails.duration
-        };
-      } else {
-        // Handle add-on payments
-        const addonPricing = {
-          photography: { name: 'Professional Photography', price: 150 },
-          review: { name: 'Professional Car Review', price: 200 },
-          featured: { name: 'Featured Listing', price: 50 }
-        };
-
-        const addonsToProcess = addons.length > 0 ? addons : [addonId];
-        const addonDetails = [];
-
-        for (const id of addonsToProcess) {
-          const addon = addonPricing[id];
-          if (!addon) {
-            return res.status(400).json({
-              success: false,
-              message: `Invalid add-on ${id}`
-            });
-          }
-          totalAmount += addon.price;
-          addonDetails.push(addon);
-        }
-
-        paymentDescription = `Add-ons: ${addonDetails.map(a => a.name).join(', ')}`;
-        paymentMetadata = {
-          addons: addonsToProcess,
-          addonDetails,
-          bookingId
-        };
-      }
+      const quote = quoteListingPayment({ paymentType, subscriptionTier, addons, addonId });
 
       // Verify listing exists and belongs to user
       const { ObjectId } = await import('mongodb');
@@ -9743,58 +10201,56 @@ if (path.startsWith('/api/payments')) {
         });
       }
 
-      const txRef = `${paymentType}_${listingId}_${Date.now()}`;
-      
-      // Create payment record
-      const paymentsCollection = db.collection('payments');
-      const paymentData = {
-        user: new ObjectId(authResult.user.id),
-        listing: new ObjectId(listingId),
-        transactionRef: txRef,
-        amount: totalAmount,
-        currency: 'BWP',
-        type: paymentType,
-        sellerType: userSellerType,
-        status: 'pending',
-        paymentMethod: 'flutterwave',
-        metadata: {
-          ...paymentMetadata,
-          callbackUrl: callbackUrl || `${process.env.CLIENT_URL}/profile?tab=vehicles`
-        },
-        createdAt: new Date()
-      };
-
-      if (paymentType === 'subscription') {
-        paymentData.subscriptionTier = subscriptionTier;
-      } else {
-        paymentData.addons = addonsToProcess;
-        if (bookingId) {
-          paymentData.bookingId = new ObjectId(bookingId);
-        }
-      }
+      const user = await db.collection('users').findOne(
+        { _id: new ObjectId(authResult.user.id) },
+        { projection: { name: 1, email: 1, phone: 1, 'profile.phone': 1 } }
+      );
+      const userSellerType = requestedSellerType || await getUserSellerType(db, authResult.user.id);
+      const serverUrl = process.env.SERVER_URL || `https://${req.headers.host}`;
 
-      const payment = await paymentsCollection.insertOne(paymentData);
+      const { payment, checkout } = await initiateListingPayment(db, provider, {
+        userId: authResult.user.id,
+        customer: { name: user?.name, email: user?.email, phone: phone || user?.phone || user?.profile?.phone },
+        listingId,
+        paymentType,
+        quote,
+        sellerType: userSellerType,
+        bookingId,
+        callbackUrl: callbackUrl || `${process.env.CLIENT_URL}/profile?tab=vehicles`,
+        webhookUrl: `${serverUrl}/api/payments/webhook/${provider.name}`
+      });
 
-      // For demo purposes, return success (in production, integrate with Flutterwave)
-      console.log(`[${timestamp}] ✅ Payment initiated: ${paymentType} - ${totalAmount} BWP`);
+      console.log(`[${timestamp}] ✅ Payment initiated via ${provider.name}: ${paymentType} - ${quote.amount} BWP`);
 
       return res.status(200).json({
         success: true,
         data: {
-          paymentLink: `${process.env.CLIENT_URL}/payment-demo?ref=${txRef}`,
-          transactionRef: txRef,
-          amount: totalAmount,
+          paymentId: payment._id,
+          provider: provider.name,
+          paymentLink: checkout.checkoutUrl,
+          instructions: checkout.instructions,
+          status: checkout.status,
+          transactionRef: payment.transactionRef,
+          amount: quote.amount,
           sellerType: userSellerType,
           paymentType,
-          description: paymentDescription,
+          description: quote.description,
           bookingId,
-          message: paymentType === 'subscription' ? 
+          message: paymentType === 'subscription' ?
             'This subscription allows you to list 1 car. You can subscribe again for additional cars.' :
             'Add-on services will be activated after payment confirmation.'
         }
       });
 
     } catch (error) {
+      if (error.status) return res.status(error.status).json({ success: false, message: error.message });
+      if (error instanceof PaymentProviderError) {
+        console.error(`Payment initiation via ${error.provider} failed (${error.kind}):`, error.message);
+        return res.status(error.kind === 'invalid_request' ? 400 : 502).json({
+          success: false,
+          message: error.kind === 'invalid_request' ? error.message : 'The payment provider is unavailable. Please try again or pay by bank transfer.'
+        });
+      }
       console.error('Payment initiation error:', error);
       return res.status(500).json({
         success: false,
@@ -9804,6 +10260,7 @@ if (path.startsWith('/api/payments')) {
   }
 
   // === VERIFY PAYMENT ===
+  // Asks the payment's provider for the status instead of trusting the client
   if (path === '/api/payments/verify' && req.method === 'POST') {
     try {
       const { transaction_id, tx_ref } = req.body;
@@ -9816,8 +10273,9 @@ if (path.startsWith('/api/payments')) {
       }
 
       const paymentsCollection = db.collection('payments');
-      const payment = await paymentsCollection.findOne({ 
-        transactionRef: tx_ref || transaction_id 
+      const payment = await paymentsCollection.findOne({
+        transactionRef: tx_ref || transaction_id,
+        user: new ObjectId(authResult.user.id)
       });
 
       if (!payment) {
@@ -9827,21 +10285,24 @@ if (path.startsWith('/api/payments')) {
         });
       }
 
-      // Update payment status
-      await paymentsCollection.updateOne(
-        { _id: payment._id },
-        { 
-          $set: { 
-            status: 'completed',
-            completedAt: new Date()
-          }
-        }
-      );
+      const provider = paymentProviders()[payment.paymentMethod];
+      if (!provider) {
+        return res.status(409).json({
+          success: false,
+          message: `Payment method ${payment.paymentMethod} is no longer available for verification`
+        });
+      }
+
+      const { outcome } = payment.status === 'completed'
+        ? { outcome: 'already_processed' }
+        : await verifyListingPayment(db, provider, payment);
+      const completed = outcome === 'completed' || (outcome === 'already_processed' && payment.status === 'completed');
 
       return res.status(200).json({
-        success: true,
-        message: 'Payment verified successfully',
+        success: completed,
+        message: completed ? 'Payment verified successfully' : `Payment is ${outcome === 'pending' ? 'still pending' : outcome.replace('_', ' ')}`,
         data: {
+          outcome,
           transactionId: transaction_id,
           listingId: payment.listing,
           subscriptionTier: payment.subscriptionTier
@@ -9849,7 +10310,7 @@ if (path.startsWith('/api/payments')) {
       });
     } catch (error) {
       console.error('Payment verification error:', error);
-      return res.status(500).json({
+      return res.status(error instanceof PaymentProviderError ? 502 : 500).json({
         success: false,
         message: 'Payment verification failed'
       });
@@ -10451,18 +10912,7 @@ if (path === '/user/vehicles' && req.method === 'POST') {
     const authResult = await verifyToken(req, res);
     if (!authResult.success) return;
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body'
-      });
-    }
+    let body = req.body;
 
     // Validate required fields
     if (!body.make || !body.model || !body.year) {
@@ -10520,18 +10970,7 @@ if (path === '/user/vehicles' && req.method === 'POST') {
 // Generate WhatsApp booking link
 if (path === '/api/whatsapp/booking-link' && req.method === 'POST') {
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body'
-      });
-    }
+    let body = req.body;
 
     const { serviceType, addonId, listingId, customMessage } = body;
     
@@ -11444,11 +11883,7 @@ const isBusinessOwner = async (db, businessId, userId, role) => {
 // POST /reviews/business — submit a new business review
 if ((path === '/reviews/business' || path === '/api/reviews/business') && req.method === 'POST') {
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     const { businessId, rating, review, isAnonymous, serviceExperience } = body;
     if (!businessId || !rating || !review) return res.status(400).json({ success: false, message: 'businessId, rating, and review are required' });
@@ -11496,11 +11931,7 @@ if ((path === '/reviews/business' || path === '/api/reviews/business') && req.me
 if (path.match(/^\/(api\/)?reviews\/business\/[^/]+\/reply$/) && req.method === 'POST') {
   const reviewId = path.split('/business/')[1].split('/reply')[0];
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     let userId, role;
     try { ({ userId, role } = await verifyBusinessReviewToken(req)); }
@@ -11541,11 +11972,7 @@ if (path.match(/^\/(api\/)?reviews\/business\/[^/]+\/reply$/) && req.method ===
 if (path.match(/^\/(api\/)?reviews\/business\/[^/]+\/react$/) && req.method === 'POST') {
   const reviewId = path.split('/business/')[1].split('/react')[0];
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     let userId;
     try { ({ userId } = await verifyBusinessReviewToken(req)); }
@@ -11581,11 +12008,7 @@ if (path.match(/^\/(api\/)?reviews\/business\/[^/]+\/replies\/[^/]+\/react$/) &&
   const reviewId = parts[parts.indexOf('business') + 1];
   const replyId = parts[parts.indexOf('replies') + 1];
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     let userId;
     try { ({ userId } = await verifyBusinessReviewToken(req)); }
@@ -11674,11 +12097,7 @@ if ((path.match(/^\/(api\/)?reviews\/listing\/[^/]+$/) && !path.includes('/reply
 // POST /reviews/listing — submit a new review
 if ((path === '/reviews/listing' || path === '/api/reviews/listing') && req.method === 'POST') {
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     const { listingId, rating, review } = body;
     if (!listingId || !rating || !review) return res.status(400).json({ success: false, message: 'listingId, rating, and review are required' });
@@ -11726,11 +12145,7 @@ if ((path === '/reviews/listing' || path === '/api/reviews/listing') && req.meth
 if (path.match(/^\/(api\/)?reviews\/listing\/[^/]+\/reply$/) && req.method === 'POST') {
   const reviewId = path.split('/listing/')[1].split('/reply')[0];
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     const { text } = body;
     if (!text || text.trim().length < 2) return res.status(400).json({ success: false, message: 'Reply text is required (min 2 chars)' });
@@ -11775,11 +12190,7 @@ if (path.match(/^\/(api\/)?reviews\/listing\/[^/]+\/(react|replies\/[^/]+\/react
   const isReply = parts[1] === 'replies';
   const replyId = isReply ? parts[2] : null;
   try {
-    let body = {};
-    try {
-      const chunks = []; for await (const chunk of req) chunks.push(chunk);
-      const raw = Buffer.concat(chunks).toString(); if (raw) body = JSON.parse(raw);
-    } catch { return res.status(400).json({ success: false, message: 'Invalid request body' }); }
+    const body = req.body;
 
     const { type } = body; // 'like' or 'dislike'
     if (!['like', 'dislike'].includes(type)) return res.status(400).json({ success: false, message: 'type must be like or dislike' });
@@ -11843,24 +12254,8 @@ if ((path === '/reviews/general' || path === '/api/reviews/general') && req.meth
   console.log(`[${timestamp}] ✅ SUBMIT GENERAL REVIEW - PATH MATCHED!`);
   
   try {
-    // Parse request body
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      console.log(`[${timestamp}] Raw request body:`, rawBody);
-      
-      if (rawBody) body = JSON.parse(rawBody);
-      console.log(`[${timestamp}] Parsed body:`, body);
-    } catch (parseError) {
-      console.error(`[${timestamp}] Body parse error:`, parseError);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format',
-        error: parseError.message
-      });
-    }
+    const body = req.body;
+    console.log(`[${timestamp}] Parsed body:`, body);
 
     const { 
       businessId, 
@@ -12157,10 +12552,7 @@ if (path.match(/^\/reviews\/([a-zA-Z0-9_]+)\/reply$/) && req.method === 'POST')
 
   try {
     const { ObjectId } = await import('mongodb');
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    const { reply } = rawBody ? JSON.parse(rawBody) : {};
+    const { reply } = req.body;
 
     if (!reply || !reply.trim()) {
       return res.status(400).json({ success: false, message: 'Reply text is required' });
@@ -12224,10 +12616,7 @@ if ((path === '/reviews/debug-business' || path === '/api/reviews/debug-business
   console.log(`[${timestamp}] 🔍 DEBUG BUSINESS LOOKUP`);
   
   try {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    const { businessId } = JSON.parse(rawBody);
+    const { businessId } = req.body;
     
     console.log(`[${timestamp}] Looking for business:`, businessId);
     
@@ -12276,18 +12665,7 @@ if ((path === '/reviews/debug-business' || path === '/api/reviews/debug-business
     
     try {
       // Parse request body
-      let body = {};
-      try {
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const rawBody = Buffer.concat(chunks).toString();
-        if (rawBody) body = JSON.parse(rawBody);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid request body format'
-        });
-      }
+      let body = req.body;
 
       const { 
         qrData,
@@ -12401,18 +12779,7 @@ if ((path === '/reviews/debug-business' || path === '/api/reviews/debug-business
     
     try {
       // Parse request body
-      let body = {};
-      try {
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const rawBody = Buffer.concat(chunks).toString();
-        if (rawBody) body = JSON.parse(rawBody);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid request body format'
-        });
-      }
+      let body = req.body;
 
       const { 
         serviceCode,
@@ -12472,10 +12839,7 @@ if ((path === '/reviews/debug-business' || path === '/api/reviews/debug-business
           const authResult = await verifyToken(req, res);
           if (!authResult.success) return;
 
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const body = Buffer.concat(chunks).toString();
-          const { qrData, rating, review, isAnonymous = false, serviceExperience } = JSON.parse(body);
+          const { qrData, rating, review, isAnonymous = false, serviceExperience } = req.body;
 
           if (!qrData || !rating || !review) {
             return res.status(400).json({
@@ -12621,10 +12985,7 @@ if ((path === '/reviews/debug-business' || path === '/api/reviews/debug-business
           const authResult = await verifyToken(req, res);
           if (!authResult.success) return;
 
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const body = Buffer.concat(chunks).toString();
-          const { serviceCode, rating, review, isAnonymous = false, serviceExperience } = JSON.parse(body);
+          const { serviceCode, rating, review, isAnonymous = false, serviceExperience } = req.body;
 
           if (!serviceCode || !rating || !review) {
             return res.status(400).json({
@@ -12676,10 +13037,7 @@ if ((path === '/reviews/debug-business' || path === '/api/reviews/debug-business
           const authResult = await verifyToken(req, res);
           if (!authResult.success) return;
 
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const body = Buffer.concat(chunks).toString();
-          const { qrData } = JSON.parse(body);
+          const { qrData } = req.body;
 
           if (!qrData) {
             return res.status(400).json({
@@ -13173,15 +13531,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       // ── POST /dealer/listings — create a listing ────────────────────────────
       if (np === '/dealer/listings' && req.method === 'POST') {
-        let body = {};
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          if (rawBody) body = JSON.parse(rawBody);
-        } catch {
-          return res.status(400).json({ success: false, message: 'Invalid request body' });
-        }
+        let body = req.body;
 
         const missing = ['title', 'price'].filter(f => !body[f]);
         if (missing.length > 0) {
@@ -13218,6 +13568,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
         };
 
         await listingsCol.insertOne(newListing);
+        await matchSavedSearches(db, newListing);
         await dealersCol.updateOne(
           { _id: dealerId },
           { $inc: { 'metrics.totalListings': 1, ...(newListing.status === 'active' ? { 'metrics.activeSales': 1 } : {}) } }
@@ -13230,15 +13581,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (np.match(/^\/dealer\/listings\/[a-fA-F0-9]{24}$/) && (req.method === 'PUT' || req.method === 'PATCH')) {
         const listingId = np.split('/').pop();
 
-        let body = {};
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          if (rawBody) body = JSON.parse(rawBody);
-        } catch {
-          return res.status(400).json({ success: false, message: 'Invalid request body' });
-        }
+        let body = req.body;
 
         let existingListing;
         try {
@@ -13267,6 +13610,8 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
         };
 
         await listingsCol.updateOne({ _id: new ObjectId(listingId) }, { $set: updateData });
+        await trackListingChange(db, existingListing, updateData, { changedBy: authUserId, source: 'dealer_listing_update' });
+        await matchSavedSearches(db, { ...existingListing, ...updateData }, { previousStatus: existingListing.status });
 
         // Keep activeSales metric in sync
         if (safeBody.status && safeBody.status !== existingListing.status) {
@@ -13297,6 +13642,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
         }
 
         await listingsCol.deleteOne({ _id: new ObjectId(listingId) });
+        await trackListingChange(db, existingListing, { status: 'deleted' }, { changedBy: authUserId, source: 'dealer_listing_delete' });
 
         const wasActive = existingListing.status === 'active';
         await dealersCol.updateOne(
@@ -13338,18 +13684,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       // === CREATE NEW LISTING ===
       if ((path === '/admin/listings' || path === '/api/admin/listings') && req.method === 'POST') {
         try {
-          let body = {};
-          try {
-            const chunks = [];
-            for await (const chunk of req) chunks.push(chunk);
-            const rawBody = Buffer.concat(chunks).toString();
-            if (rawBody) body = JSON.parse(rawBody);
-          } catch (parseError) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid request body format'
-            });
-          }
+          let body = req.body;
           
           console.log(`[${timestamp}] Creating new listing by admin: ${adminUser.name}`);
           
@@ -13385,6 +13720,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
           
           // Insert listing
           const result = await listingsCollection.insertOne(newListing);
+          await matchSavedSearches(db, { ...newListing, _id: result.insertedId });
           
           console.log(`[${timestamp}] ✅ New listing created: ${newListing.title} (ID: ${result.insertedId})`);
           
@@ -13424,8 +13760,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path === '/admin/scripts' && req.method === 'POST') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.title || !body.content) return res.status(400).json({ success: false, message: 'Title and content required.' });
           const col = db.collection('admin_scripts');
           const doc = { title: body.title.trim(), category: body.category || 'General', content: body.content.trim(), createdBy: adminUser.name, createdAt: new Date(), updatedAt: new Date() };
@@ -13437,8 +13772,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/scripts\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/').pop();
           const col = db.collection('admin_scripts');
           const upd = { ...(body.title && { title: body.title.trim() }), ...(body.category && { category: body.category }), ...(body.content && { content: body.content.trim() }), updatedAt: new Date() };
@@ -13477,8 +13811,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/activity-log' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.tasks) return res.status(400).json({ success: false, message: 'Tasks text is required.' });
           const col = db.collection('admin_activity_log');
           const doc = { adminId: String(adminUser.id), adminName: adminUser.name, tasks: body.tasks.trim(), reviews: [], createdAt: new Date() };
@@ -13517,8 +13850,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       // Update own ops profile (position, responsibilities, schedule)
       if (path === '/admin/ops/profile' && req.method === 'PUT') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const col = db.collection('admin_ops_roles');
           const userId = String(adminUser.id);
           const update = { userId, userName: adminUser.name, updatedAt: new Date(), updatedBy: adminUser.name };
@@ -13556,8 +13888,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/checkins/checkin' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const today = new Date().toISOString().split('T')[0];
           const col = db.collection('admin_checkins');
           const existing = await col.findOne({ adminId: String(adminUser.id), date: today });
@@ -13572,8 +13903,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/checkins/checkout' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const today = new Date().toISOString().split('T')[0];
           const col = db.collection('admin_checkins');
           const existing = await col.findOne({ adminId: String(adminUser.id), date: today });
@@ -13606,8 +13936,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/checkins/pause' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const today = new Date().toISOString().split('T')[0];
           const col = db.collection('admin_checkins');
           const existing = await col.findOne({ adminId: String(adminUser.id), date: today });
@@ -13652,8 +13981,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/checkins\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[3];
           const update = { updatedAt: new Date(), updatedBy: adminUser.name };
           if (body.note !== undefined) update.note = body.note;
@@ -13698,8 +14026,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/tasks' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.title) return res.status(400).json({ success: false, message: 'Title is required.' });
           const col = db.collection('admin_tasks');
           const doc = {
@@ -13726,8 +14053,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/tasks\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[3];
           const col = db.collection('admin_tasks');
           const existing = await col.findOne({ _id: new OID(id) });
@@ -13779,8 +14105,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/ops/mission' && req.method === 'PUT') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const col = db.collection('admin_ops');
           await col.updateOne({ type: 'mission' }, { $set: { type: 'mission', mission: body.mission || '', vision: body.vision || '', updatedAt: new Date(), updatedBy: adminUser.name } }, { upsert: true });
           return res.status(200).json({ success: true });
@@ -13797,8 +14122,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/ops/rules' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.field) return res.status(400).json({ success: false, message: 'Field name required.' });
           const col = db.collection('admin_ops_rules');
           const doc = { field: body.field.trim(), rules: body.rules || [], createdBy: adminUser.name, createdAt: new Date(), updatedAt: new Date() };
@@ -13810,8 +14134,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/ops\/rules\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[4];
           const col = db.collection('admin_ops_rules');
           const update = { updatedAt: new Date(), updatedBy: adminUser.name };
@@ -13842,8 +14165,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/ops/roles' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.name) return res.status(400).json({ success: false, message: 'Name required.' });
           const col = db.collection('admin_ops_roles');
           const doc = { name: body.name.trim(), position: body.position || '', responsibilities: body.responsibilities || [], createdBy: adminUser.name, createdAt: new Date(), updatedAt: new Date() };
@@ -13855,8 +14177,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/ops\/roles\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[4];
           const col = db.collection('admin_ops_roles');
           const update = { updatedAt: new Date(), updatedBy: adminUser.name };
@@ -13888,8 +14209,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/packages' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.name) return res.status(400).json({ success: false, message: 'Name required.' });
           const doc = { name: body.name.trim(), category: body.category || 'General', description: body.description || '', price: Number(body.price) || 0, currency: body.currency || 'BWP', duration: body.duration || 'once-off', features: body.features || [], templates: body.templates || [], status: 'active', createdBy: adminUser.name, createdAt: new Date(), updatedAt: new Date() };
           const r = await db.collection('service_packages').insertOne(doc);
@@ -13900,8 +14220,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/packages\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[3];
           const allowed = ['name','category','description','price','currency','duration','features','templates','status'];
           const update = { updatedAt: new Date(), updatedBy: adminUser.name };
@@ -13935,8 +14254,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/customers' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.name) return res.status(400).json({ success: false, message: 'Customer name required.' });
           const doc = { name: body.name.trim(), phone: body.phone || '', email: body.email || '', company: body.company || '', packageId: body.packageId || null, packageName: body.packageName || '', serviceStart: body.serviceStart ? new Date(body.serviceStart) : null, serviceEnd: body.serviceEnd ? new Date(body.serviceEnd) : null, amountAgreed: Number(body.amountAgreed) || 0, currency: body.currency || 'BWP', status: body.status || 'lead', notes: body.notes || '', source: body.source || '', createdBy: adminUser.name, createdAt: new Date(), updatedAt: new Date() };
           const r = await db.collection('service_customers').insertOne(doc);
@@ -13947,8 +14265,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/customers\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[3];
           const allowed = ['name','phone','email','company','packageId','packageName','serviceStart','serviceEnd','amountAgreed','currency','status','notes','source'];
           const update = { updatedAt: new Date(), updatedBy: adminUser.name };
@@ -13989,11 +14306,11 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
 
       if (path === '/admin/transactions' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           if (!body.amount || !body.type) return res.status(400).json({ success: false, message: 'Amount and type required.' });
           const doc = { type: body.type, amount: Number(body.amount), currency: body.currency || 'BWP', category: body.category || 'General', description: body.description || '', customerId: body.customerId || null, customerName: body.customerName || '', packageId: body.packageId || null, packageName: body.packageName || '', status: body.status || (body.type === 'income' ? 'pending' : 'budgeted'), allocatedTo: body.allocatedTo || '', reference: body.reference || '', date: body.date ? new Date(body.date) : new Date(), recordedBy: adminUser.name, createdAt: new Date(), updatedAt: new Date() };
           const r = await db.collection('financial_transactions').insertOne(doc);
+          await postLedgerFor(db, 'financial_transactions', r.insertedId);
           return res.status(200).json({ success: true, data: { ...doc, _id: String(r.insertedId) } });
         } catch (e) { return res.status(500).json({ success: false, message: e.message }); }
       }
@@ -14001,8 +14318,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       if (path.match(/^\/admin\/transactions\/[a-f\d]{24}$/) && req.method === 'PUT') {
         try {
           const { ObjectId: OID } = await import('mongodb');
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const id = path.split('/')[3];
           const allowed = ['amount','currency','category','description','customerId','customerName','packageId','packageName','status','allocatedTo','reference','date'];
           const update = { updatedAt: new Date(), updatedBy: adminUser.name };
@@ -14010,6 +14326,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
           if (update.amount !== undefined) update.amount = Number(update.amount);
           if (update.date) update.date = new Date(update.date);
           await db.collection('financial_transactions').updateOne({ _id: new OID(id) }, { $set: update });
+          await postLedgerFor(db, 'financial_transactions', id);
           const updated = await db.collection('financial_transactions').findOne({ _id: new OID(id) });
           return res.status(200).json({ success: true, data: { ...updated, _id: String(updated._id) } });
         } catch (e) { return res.status(500).json({ success: false, message: e.message }); }
@@ -14020,27 +14337,43 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
           const { ObjectId: OID } = await import('mongodb');
           const id = path.split('/')[3];
           await db.collection('financial_transactions').deleteOne({ _id: new OID(id) });
+          await postLedgerFor(db, 'financial_transactions', id);
           return res.status(200).json({ success: true });
         } catch (e) { return res.status(500).json({ success: false, message: e.message }); }
       }
 
       if (path === '/admin/finance/summary' && req.method === 'GET') {
         try {
-          const col = db.collection('financial_transactions');
-          const txns = await col.find({}).toArray();
-          const income = txns.filter(t => t.type === 'income');
-          const expenses = txns.filter(t => t.type === 'expense');
-          const totalIn = income.reduce((s, t) => s + (t.amount || 0), 0);
-          const totalReceived = income.filter(t => ['received','allocated'].includes(t.status)).reduce((s, t) => s + (t.amount || 0), 0);
-          const totalPending = income.filter(t => t.status === 'pending').reduce((s, t) => s + (t.amount || 0), 0);
-          const totalAllocated = income.filter(t => t.status === 'allocated').reduce((s, t) => s + (t.amount || 0), 0);
-          const totalOut = expenses.reduce((s, t) => s + (t.amount || 0), 0);
-          const totalSpent = expenses.filter(t => t.status === 'spent').reduce((s, t) => s + (t.amount || 0), 0);
-          const totalBudgeted = expenses.filter(t => t.status === 'budgeted').reduce((s, t) => s + (t.amount || 0), 0);
-          const available = totalReceived - totalSpent;
+          // Received, spent and available come from the ledger; pending income and budgeted
+          // spending are not posted yet, so they are still read from the transaction rows
+          const ledger = await ledgerTotals(db);
+          const open = await db.collection('financial_transactions')
+            .find({ status: { $in: ['pending', 'allocated', 'budgeted'] } }, { projection: { type: 1, status: 1, amount: 1 } })
+            .toArray();
+          const openTotal = (type, status) => open.filter(t => t.type === type && t.status === status).reduce((s, t) => s + (t.amount || 0), 0);
+          const totalReceived = ledger.revenue;
+          const totalPending = openTotal('income', 'pending');
+          const totalAllocated = openTotal('income', 'allocated');
+          const totalSpent = ledger.expenses;
+          const totalBudgeted = openTotal('expense', 'budgeted');
           const customerCount = await db.collection('service_customers').countDocuments({});
           const activeCustomers = await db.collection('service_customers').countDocuments({ status: 'active' });
-          return res.status(200).json({ success: true, data: { totalIn, totalReceived, totalPending, totalAllocated, totalOut, totalSpent, totalBudgeted, available, customerCount, activeCustomers } });
+          return res.status(200).json({
+            success: true,
+            data: {
+              totalIn: totalReceived + totalPending,
+              totalReceived,
+              totalPending,
+              totalAllocated,
+              totalOut: totalSpent + totalBudgeted,
+              totalSpent,
+              totalBudgeted,
+              available: ledger.cash,
+              receivable: ledger.receivable,
+              customerCount,
+              activeCustomers
+            }
+          });
         } catch (e) { return res.status(500).json({ success: false, message: e.message }); }
       }
 
@@ -14054,8 +14387,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       }
       if ((path === '/admin/site-settings' || path === '/api/admin/site-settings') && req.method === 'PUT') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           await db.collection('site_settings').updateOne(
             { _id: 'global' },
             { $set: { settings: body, updatedAt: new Date(), updatedBy: adminUser.name } },
@@ -14074,8 +14406,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       }
       if (path === '/admin/ideas' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const doc = { ...body, createdAt: new Date(), updatedAt: new Date() };
           const r = await db.collection('admin_ideas').insertOne(doc);
           return res.status(201).json({ success: true, data: { ...doc, _id: r.insertedId } });
@@ -14085,8 +14416,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
         try {
           const { ObjectId: OID } = await import('mongodb');
           const id = path.split('/')[3];
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const { _id, ...update } = body;
           update.updatedAt = new Date();
           await db.collection('admin_ideas').updateOne({ _id: new OID(id) }, { $set: update });
@@ -14111,8 +14441,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       }
       if (path === '/admin/equipment' && req.method === 'POST') {
         try {
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const doc = { ...body, createdAt: new Date(), updatedAt: new Date() };
           const r = await db.collection('admin_equipment').insertOne(doc);
           return res.status(201).json({ success: true, data: { ...doc, _id: r.insertedId } });
@@ -14122,8 +14451,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
         try {
           const { ObjectId: OID } = await import('mongodb');
           const id = path.split('/')[3];
-          let body = {};
-          try { const c = []; for await (const ch of req) c.push(ch); body = JSON.parse(Buffer.concat(c).toString()); } catch (_) {}
+          const body = req.body;
           const { _id, ...update } = body;
           update.updatedAt = new Date();
           await db.collection('admin_equipment').updateOne({ _id: new OID(id) }, { $set: update });
@@ -14142,13 +14470,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       // === ADMIN-ASSISTED LISTING: create user + dealer + listing in one shot ===
       if (path === '/admin/listings/assisted' && req.method === 'POST') {
         try {
-          let body = {};
-          try {
-            const chunks = [];
-            for await (const chunk of req) chunks.push(chunk);
-            const rawBody = Buffer.concat(chunks).toString();
-            if (rawBody) body = JSON.parse(rawBody);
-          } catch (_) {}
+          let body = req.body;
 
           const {
             // Seller info
@@ -14269,6 +14591,8 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
           };
 
           const listingResult = await listingsCol.insertOne(newListing);
+          await queueListingScreening(db, 'listing', { ...newListing, _id: listingResult.insertedId }, { phone: sellerPhone });
+          await matchSavedSearches(db, { ...newListing, _id: listingResult.insertedId });
 
           // Update dealer metrics
           await dealersCol.updateOne(
@@ -14306,18 +14630,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
         try {
           const listingId = path.split('/').pop();
           
-          let body = {};
-          try {
-            const chunks = [];
-            for await (const chunk of req) chunks.push(chunk);
-            const rawBody = Buffer.concat(chunks).toString();
-            if (rawBody) body = JSON.parse(rawBody);
-          } catch (parseError) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid request body format'
-            });
-          }
+          let body = req.body;
           
           console.log(`[${timestamp}] Updating listing ${listingId} by admin: ${adminUser.name}`);
           
@@ -14366,6 +14679,9 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
             });
           }
           
+          await trackListingChange(db, existingListing, updateData, { changedBy: adminUser.id, source: 'admin_listing_update' });
+          await matchSavedSearches(db, { ...existingListing, ...updateData }, { previousStatus: existingListing.status });
+          
           console.log(`[${timestamp}] ✅ Listing updated: ${existingListing.title} by ${adminUser.name}`);
           
           return res.status(200).json({
@@ -14429,6 +14745,8 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
             }
           );
           
+          await trackListingChange(db, existingListing, { status: 'deleted' }, { changedBy: adminUser.id, source: 'admin_listing_delete' });
+          
           console.log(`[${timestamp}] ✅ Listing deleted: ${existingListing.title} by ${adminUser.name}`);
           
           return res.status(200).json({
@@ -14455,18 +14773,7 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       // === CREATE NEW DEALER ===
       if ((path === '/admin/dealers' || path === '/api/admin/dealers') && req.method === 'POST') {
         try {
-          let body = {};
-          try {
-            const chunks = [];
-            for await (const chunk of req) chunks.push(chunk);
-            const rawBody = Buffer.concat(chunks).toString();
-            if (rawBody) body = JSON.parse(rawBody);
-          } catch (parseError) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid request body format'
-            });
-          }
+          let body = req.body;
           
           console.log(`[${timestamp}] Creating new dealer by admin: ${adminUser.name}`);
           
@@ -14557,21 +14864,10 @@ if (path.match(/^\/reviews\/leaderboard\/category\/(.+)$/) && req.method === 'GE
       
       // === UPDATE EXISTING DEALER ===
       if (path.match(/^\/admin\/dealers\/[a-fA-F0-9]{24}$/) && (req.method === 'PUT' || req.method === 'PATCH')) {
-        try {
-          const dealerId = path.split('/').pop();
-          
-          let body = {};
-          try {
-            const chunks = [];
-            for await (const chunk of req) chunks.push(chunk);
-            const rawBody = Buffer.concat(chunks).toString();
-            if (rawBody) body = JSON.parse(rawBody);
-          } catch (parseError) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid request body format'
-            });
-          }
+        try {
+          const dealerId = path.split('/').pop();
+          
+          let body = req.body;
           
           console.log(`[${timestamp}] Updating dealer ${dealerId} by admin: ${adminUser.name}`);
           
@@ -14873,13 +15169,7 @@ if (path.match(/^\/(?:api\/)?admin\/listings\/[a-fA-F0-9]{24}\/transfer$/) && re
     const transferIdx = segments.indexOf('transfer');
     const listingObjIdStr = segments[transferIdx - 1];
 
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch {}
+    let body = req.body;
 
     const { dealerId: targetDealerId } = body;
     if (!targetDealerId) {
@@ -15317,18 +15607,7 @@ if (path.match(/^\/api\/admin\/role-requests\/[a-fA-F0-9]{24}$/) && req.method =
 
     const requestId = path.split('/').pop();
     
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
 
     const { status, adminNotes, reviewNotes } = body;
     
@@ -15988,6 +16267,8 @@ if ((path === '/admin/user-listings' || path === '/api/admin/user-listings') &&
       // Get query parameters for filtering (same as your existing code)
       const status = req.query.status;
       const search = req.query.search;
+      const risk = req.query.risk; // flagged | high | medium | low
+      const sortByRisk = req.query.sort === 'risk';
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 20;
       const skip = (page - 1) * limit;
@@ -16005,11 +16286,17 @@ if ((path === '/admin/user-listings' || path === '/api/admin/user-listings') &&
           { 'listingData.specifications.model': { $regex: search, $options: 'i' } }
         ];
       }
+      if (risk === 'flagged') {
+        filter['riskAssessment.score'] = { $gt: 0 };
+        filter['riskAssessment.dismissed'] = { $exists: false };
+      } else if (['high', 'medium', 'low'].includes(risk)) {
+        filter['riskAssessment.level'] = risk;
+      }
 
       // Get submissions with pagination (same as your existing code)
       const submissions = await userSubmissionsCollection
         .find(filter)
-        .sort({ submittedAt: -1 })
+        .sort(sortByRisk ? { 'riskAssessment.score': -1, submittedAt: -1 } : { submittedAt: -1 })
         .skip(skip)
         .limit(limit)
         .toArray();
@@ -16040,13 +16327,21 @@ if ((path === '/admin/user-listings' || path === '/api/admin/user-listings') &&
         ]
       });
 
+      // Pending submissions with unreviewed duplicate or scam flags
+      const flaggedCount = await userSubmissionsCollection.countDocuments({
+        status: 'pending_review',
+        'riskAssessment.score': { $gt: 0 },
+        'riskAssessment.dismissed': { $exists: false }
+      });
+
       const responseStats = {
         total: total,
         pending: statsMap.pending_review || 0,
         approved: statsMap.approved || 0,
         rejected: statsMap.rejected || 0,
         listing_created: statsMap.listing_created || 0,
-        boostPending: boostPendingCount
+        boostPending: boostPendingCount,
+        flagged: flaggedCount
       };
 
       console.log(`[${timestamp}] ✅ Found ${submissions.length} user submissions`);
@@ -16148,21 +16443,8 @@ if (path.match(/^\/(api\/)?admin\/user-listings\/[a-f\d]{24}\/review$/) && req.m
       });
     }
     
-    // Parse request body
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-      console.log(`[${timestamp}] Request body:`, body);
-    } catch (parseError) {
-      console.error(`[${timestamp}] Parse error:`, parseError);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    const body = req.body;
+    console.log(`[${timestamp}] Request body:`, body);
 
     const { action, adminNotes, subscriptionTier, visibilityScore } = body;
     const qualityScore = Math.min(100, Math.max(0, Number(visibilityScore) || 0));
@@ -16336,6 +16618,7 @@ if (path.match(/^\/(api\/)?admin\/user-listings\/[a-f\d]{24}\/review$/) && req.m
           // Insert the listing
           const listingResult = await listingsCollection.insertOne(newListing);
           console.log(`[${timestamp}] ✅ Free listing created: ${listingResult.insertedId}`);
+          await matchSavedSearches(db, { ...newListing, _id: listingResult.insertedId });
           
           // Update submission status to listing_created
           const updateData = {
@@ -16483,6 +16766,7 @@ if (path.match(/^\/(api\/)?admin\/user-listings\/[a-f\d]{24}\/review$/) && req.m
 
           const listingResult = await listingsCollection.insertOne(newListing);
           console.log(`[${timestamp}] ✅ Basic listing created for paid submission: ${listingResult.insertedId}`);
+          await matchSavedSearches(db, { ...newListing, _id: listingResult.insertedId });
 
           const updateData = {
             status: 'listing_created',
@@ -17188,11 +17472,7 @@ if ((path === '/admin/broadcast-notification' || path === '/api/admin/broadcast-
       return res.status(403).json({ success: false, message: 'Admin access required' });
     }
 
-    // Parse body
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    const { title, message, type = 'system_alert' } = rawBody ? JSON.parse(rawBody) : {};
+    const { title, message, type = 'system_alert' } = req.body;
 
     if (!title || !message) {
       return res.status(400).json({ success: false, message: 'Title and message are required' });
@@ -17298,20 +17578,7 @@ if ((path === '/admin/payments/approve-manual' || path === '/api/admin/payments/
       });
     }
 
-    let body = {};
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    if (rawBody) {
-      try {
-        body = JSON.parse(rawBody);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON in request body'
-        });
-      }
-    }
+    const body = req.body;
 
     const { 
       submissionId, 
@@ -17521,6 +17788,7 @@ if ((path === '/admin/payments/approve-manual' || path === '/api/admin/payments/
       const result = await paymentsCollection.insertOne(paymentData);
       payment = { _id: result.insertedId, ...paymentData };
     }
+    await postLedgerFor(db, 'payments', payment._id);
 
     // ENHANCED: Activate listing with proper subscription and featured status
     const expiresAt = new Date();
@@ -18036,18 +18304,7 @@ if (path === '/api/user/submit-listing' && req.method === 'POST') {
     }
 
     // Parse request body
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
 
     const { listingData } = body;
 
@@ -18840,7 +19097,7 @@ if (path.match(/^\/api\/models\/(.+)$/) && req.method === 'GET') {
     
     // Get models for the specific make (case insensitive)
     const models = await listingsCollection.distinct('specifications.model', {
-      'specifications.make': { $regex: new RegExp(`^${make}$`, 'i') },
+      'specifications.make': { $regex: exactMatchRegex(make) },
       status: 'active', // Only get models from active listings
       'specifications.model': { $exists: true, $ne: null, $ne: '' }
     });
@@ -18910,7 +19167,7 @@ if (path.match(/^\/models\/(.+)$/) && req.method === 'GET') {
     
     // Get unique models for the specified make
     const models = await listingsCollection.distinct('specifications.model', {
-      'specifications.make': { $regex: new RegExp(`^${make}$`, 'i') }, // Case-insensitive exact match
+      'specifications.make': { $regex: exactMatchRegex(make) }, // Case-insensitive exact match
       status: { $ne: 'deleted' },
       'specifications.model': { $exists: true, $ne: null, $ne: '' }
     });
@@ -19053,69 +19310,25 @@ if ((path === '/images/upload' || path === '/api/images/upload') && req.method =
   try {
     console.log(`[${timestamp}] → S3 IMAGE UPLOAD: Starting real upload`);
     
-    // Parse multipart form data for file upload
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
-    console.log(`[${timestamp}] S3 UPLOAD - Received ${rawBody.length} bytes`);
-    
-    // Extract boundary from content-type
+    // Multipart form data is parsed by the shared body layer; take the first file
     const contentType = req.headers['content-type'] || '';
-    const boundaryMatch = contentType.match(/boundary=(.+)$/);
-    
-    if (!boundaryMatch) {
-      console.log(`[${timestamp}] S3 UPLOAD - No boundary found in content-type`);
+    if (!contentType.includes('multipart/form-data')) {
+      console.log(`[${timestamp}] S3 UPLOAD - Not a multipart request`);
       return res.status(400).json({
         success: false,
         message: 'Invalid multipart request - no boundary found'
       });
     }
     
-    const boundary = boundaryMatch[1];
-    const boundaryBuffer = Buffer.from(`--${boundary}`);
-    
-    // Simple file extraction from multipart data
-    const bodyString = rawBody.toString('binary');
-    const parts = bodyString.split(`--${boundary}`);
-    
-    let fileBuffer = null;
-    let filename = null;
-    let fileType = null;
-    
-    for (const part of parts) {
-      if (part.includes('Content-Disposition: form-data') && part.includes('filename=')) {
-        // Extract filename
-        const filenameMatch = part.match(/filename="([^"]+)"/);
-        if (filenameMatch) {
-          filename = filenameMatch[1];
-        }
-        
-        // Extract content type
-        const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-        if (contentTypeMatch) {
-          fileType = contentTypeMatch[1].trim();
-        }
-        
-        // Extract file data (after double CRLF)
-        const dataStart = part.indexOf('\r\n\r\n');
-        if (dataStart !== -1) {
-          const fileData = part.substring(dataStart + 4);
-          // Remove trailing boundary if present
-          const cleanData = fileData.replace(/\r\n$/, '');
-          fileBuffer = Buffer.from(cleanData, 'binary');
-          break;
-        }
-      }
-    }
-    
-    if (!fileBuffer || !filename) {
+    const [upload] = req.files;
+    if (!upload) {
       console.log(`[${timestamp}] S3 UPLOAD - No file found in multipart data`);
       return res.status(400).json({
         success: false,
         message: 'No file found in upload request'
       });
     }
+    const { buffer: fileBuffer, filename, mimetype: fileType } = upload;
     
     console.log(`[${timestamp}] S3 UPLOAD - File extracted: ${filename} (${fileBuffer.length} bytes, type: ${fileType})`);
     
@@ -19235,84 +19448,34 @@ if ((path === '/images/upload' || path === '/api/images/upload') && req.method =
       try {
         console.log(`[${timestamp}] → MULTIPLE S3 IMAGE UPLOAD: Starting`);
         
-        // Parse multipart form data for multiple file uploads
-        const chunks = [];
-        for await (const chunk of req) chunks.push(chunk);
-        const rawBody = Buffer.concat(chunks);
-        
-        console.log(`[${timestamp}] MULTIPLE UPLOAD - Received ${rawBody.length} bytes`);
+        // Multipart form data is parsed by the shared body layer
+        const rawSize = req.rawBody?.length || 0;
+        console.log(`[${timestamp}] MULTIPLE UPLOAD - Received ${rawSize} bytes`);
         
         // Check payload size (Vercel limit is ~4.5MB)
-        if (rawBody.length > 4400000) { // 4.4MB
+        if (rawSize > 4400000) { // 4.4MB
           return res.status(413).json({
             success: false,
             message: 'Payload too large. Maximum total size is 4.4MB for all images combined.',
-            receivedSize: rawBody.length,
+            receivedSize: rawSize,
             maxSize: 4400000
           });
         }
         
-        // Extract boundary from content-type
         const contentType = req.headers['content-type'] || '';
-        const boundaryMatch = contentType.match(/boundary=(.+)$/);
-        
-        if (!boundaryMatch) {
-          console.log(`[${timestamp}] MULTIPLE UPLOAD - No boundary found`);
+        if (!contentType.includes('multipart/form-data')) {
+          console.log(`[${timestamp}] MULTIPLE UPLOAD - Not a multipart request`);
           return res.status(400).json({
             success: false,
             message: 'Invalid multipart request - no boundary found'
           });
         }
         
-        const boundary = boundaryMatch[1];
-        console.log(`[${timestamp}] MULTIPLE UPLOAD - Using boundary: ${boundary}`);
-        
-        // Parse multipart data to extract multiple files
-        const bodyString = rawBody.toString('binary');
-        const parts = bodyString.split(`--${boundary}`);
-        
-        const files = [];
-        
-        for (const part of parts) {
-          if (part.includes('Content-Disposition: form-data') && part.includes('filename=')) {
-            // Extract filename
-            const filenameMatch = part.match(/filename="([^"]+)"/);
-            if (!filenameMatch) continue;
-            
-            const filename = filenameMatch[1];
-            
-            // Skip empty filenames
-            if (!filename || filename === '""') continue;
-            
-            // Extract content type
-            let fileType = 'image/jpeg'; // default
-            const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-            if (contentTypeMatch) {
-              fileType = contentTypeMatch[1].trim();
-            }
-            
-            // Extract file data (after double CRLF)
-            const dataStart = part.indexOf('\r\n\r\n');
-            if (dataStart !== -1) {
-              const fileData = part.substring(dataStart + 4);
-              // Remove trailing boundary and whitespace
-              const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-              const fileBuffer = Buffer.from(cleanData, 'binary');
-              
-              // Skip very small files (likely empty)
-              if (fileBuffer.length < 100) continue;
-              
-              files.push({
-                filename: filename,
-                fileType: fileType,
-                buffer: fileBuffer,
-                size: fileBuffer.length
-              });
-              
-              console.log(`[${timestamp}] MULTIPLE UPLOAD - File parsed: ${filename} (${fileBuffer.length} bytes, ${fileType})`);
-            }
-          }
-        }
+        // Skip very small files (likely empty)
+        const files = req.files
+          .filter(file => file.size >= 100)
+          .map(file => ({ filename: file.filename, fileType: file.mimetype, buffer: file.buffer, size: file.size }));
+        files.forEach(file => console.log(`[${timestamp}] MULTIPLE UPLOAD - File parsed: ${file.filename} (${file.size} bytes, ${file.fileType})`));
         
         if (files.length === 0) {
           return res.status(400).json({
@@ -19480,19 +19643,18 @@ if ((path === '/ai/subscription' || path === '/api/ai/subscription') && req.meth
   try {
     const authResult = await verifyUserToken(req);
     if (!authResult.success) return res.status(401).json({ success: false, message: 'Unauthorized' });
-    const sub = await db.collection('ai_subscriptions').findOne({
-      userId: String(authResult.user.id),
-      status: 'active',
-      expiresAt: { $gt: new Date() }
-    });
+    const sub = await findLiveMphoSubscription(db, authResult.user.id);
     return res.status(200).json({
       success: true,
       isPro: !!sub,
       subscription: sub ? {
-        status: sub.status,
+        status: sub.inGrace ? 'grace' : sub.status,
         expiresAt: sub.expiresAt,
+        inGrace: sub.inGrace,
+        graceEndsAt: sub.graceEndsAt,
         plan: sub.plan,
-        amount: sub.amount
+        amount: sub.amount,
+        renewalInvoiceId: sub.renewalInvoiceId || null
       } : null
     });
   } catch (err) {
@@ -19505,18 +19667,22 @@ if ((path === '/ai/subscription/activate' || path === '/api/ai/subscription/acti
   try {
     const adminCheck = await verifyAdminToken(req);
     if (!adminCheck.success) return res.status(403).json({ success: false, message: 'Admin only' });
-    const { targetUserId, months = 1 } = body;
+    const { targetUserId, months = 1, adminNotes = '' } = req.body;
     if (!targetUserId) return res.status(400).json({ success: false, message: 'targetUserId required' });
-    const expiresAt = new Date();
-    expiresAt.setMonth(expiresAt.getMonth() + Number(months));
-    const col = db.collection('ai_subscriptions');
-    await col.updateOne(
-      { userId: String(targetUserId) },
-      { $set: { userId: String(targetUserId), status: 'active', plan: 'pro', amount: 100, expiresAt, activatedBy: String(adminCheck.user.id), updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
-      { upsert: true }
-    );
-    return res.status(200).json({ success: true, message: `Mpho activated for ${months} month(s)`, expiresAt });
+    const { subscription, renewal } = await activateMphoSubscription(db, {
+      userId: targetUserId,
+      months,
+      adminId: adminCheck.user.id,
+      adminNotes
+    });
+    return res.status(200).json({
+      success: true,
+      message: `Mpho ${renewal ? 'renewed' : 'activated'} for ${months} month(s)`,
+      expiresAt: subscription.expiresAt,
+      renewal
+    });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
     return res.status(500).json({ success: false, message: 'Error activating subscription' });
   }
 }
@@ -19526,12 +19692,10 @@ if ((path === '/ai/subscription/cancel' || path === '/api/ai/subscription/cancel
   try {
     const adminCheck = await verifyAdminToken(req);
     if (!adminCheck.success) return res.status(403).json({ success: false, message: 'Admin only' });
-    const { targetUserId } = body;
+    const { targetUserId, reason = '' } = req.body;
     if (!targetUserId) return res.status(400).json({ success: false, message: 'targetUserId required' });
-    await db.collection('ai_subscriptions').updateOne(
-      { userId: String(targetUserId) },
-      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: String(adminCheck.user.id) } }
-    );
+    const cancelled = await cancelMphoSubscription(db, { userId: targetUserId, adminId: adminCheck.user.id, reason });
+    if (!cancelled) return res.status(404).json({ success: false, message: 'No active subscription for this user' });
     return res.status(200).json({ success: true, message: 'Subscription cancelled' });
   } catch (err) {
     return res.status(500).json({ success: false, message: 'Error cancelling subscription' });
@@ -19543,7 +19707,7 @@ if ((path === '/ai/subscription/submit-proof' || path === '/api/ai/subscription/
   try {
     const authResult = await verifyUserToken(req);
     if (!authResult.success) return res.status(401).json({ success: false, message: 'Unauthorized' });
-    const { proofFile, amount = 100 } = body;
+    const { proofFile, amount = 100 } = req.body;
     if (!proofFile?.url) return res.status(400).json({ success: false, message: 'Proof of payment file required' });
     const col = db.collection('ai_subscriptions');
     // Cancel any existing pending proof for this user first
@@ -19593,40 +19757,23 @@ if ((path === '/admin/ai-subscriptions/approve' || path === '/api/admin/ai-subsc
   try {
     const adminCheck = await verifyAdminToken(req);
     if (!adminCheck.success) return res.status(403).json({ success: false, message: 'Admin only' });
-    const { submissionId, months = 1, adminNotes = '' } = body;
+    const { submissionId, months = 1, adminNotes = '' } = req.body;
     if (!submissionId) return res.status(400).json({ success: false, message: 'submissionId required' });
-    const { ObjectId } = await import('mongodb');
-    const col = db.collection('ai_subscriptions');
-    const submission = await col.findOne({ _id: new ObjectId(submissionId) });
-    if (!submission) return res.status(404).json({ success: false, message: 'Submission not found' });
-    const expiresAt = new Date();
-    expiresAt.setMonth(expiresAt.getMonth() + Number(months));
-    await col.updateOne(
-      { _id: new ObjectId(submissionId) },
-      { $set: {
-        status: 'active',
-        plan: 'mpho',
-        expiresAt,
-        activatedBy: String(adminCheck.user.id),
-        activatedAt: new Date(),
-        adminNotes,
-        updatedAt: new Date()
-      }}
-    );
-    // Notify user via notification
-    try {
-      await db.collection('notifications').insertOne({
-        userId: submission.userId,
-        type: 'mpho_activated',
-        title: 'Mpho Activated! 🎉',
-        message: `Your Mpho subscription is now active. Enjoy 50 AI messages/day, vehicle valuations, market data and more until ${expiresAt.toLocaleDateString()}.`,
-        read: false,
-        createdAt: new Date()
-      });
-    } catch (_) {}
-    console.log(`[${timestamp}] Mpho approved for user ${submission.userId} by admin ${adminCheck.user.id}`);
-    return res.status(200).json({ success: true, message: `Mpho activated for ${months} month(s)`, expiresAt });
+    const { subscription, renewal } = await activateMphoSubscription(db, {
+      submissionId,
+      months,
+      adminId: adminCheck.user.id,
+      adminNotes
+    });
+    console.log(`[${timestamp}] Mpho ${renewal ? 'renewed' : 'approved'} for user ${subscription.userId} by admin ${adminCheck.user.id}`);
+    return res.status(200).json({
+      success: true,
+      message: `Mpho ${renewal ? 'renewed' : 'activated'} for ${months} month(s)`,
+      expiresAt: subscription.expiresAt,
+      renewal
+    });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
     console.error(`[${timestamp}] Mpho approve error:`, err);
     return res.status(500).json({ success: false, message: 'Error approving subscription' });
   }
@@ -19639,12 +19786,12 @@ if ((path === '/ai/history' || path === '/api/ai/history') && req.method === 'GE
     const authResult = await verifyUserToken(req);
     if (!authResult.success) return res.status(401).json({ success: false });
     const userId = String(authResult.user.id);
-    const histCol = db.collection('ai_chat_history');
-    const doc = await histCol.findOne({ userId });
+    const memory = await loadMphoMemory(db, userId);
     return res.status(200).json({
       success: true,
-      messages: doc?.messages || [],
-      profile: doc?.profile || {}
+      messages: memory.messages,
+      summary: memory.summary,
+      facts: memory.facts
     });
   } catch (err) {
     return res.status(500).json({ success: false });
@@ -19664,25 +19811,33 @@ if ((path === '/ai/history/clear' || path === '/api/ai/history/clear') && req.me
   }
 }
 
- // ==================== SECTION 4B: AI CHAT ENDPOINT (Gemini) ====================
+ // ==================== SECTION 4B: AI CHAT ENDPOINT (Mpho) ====================
 
 if ((path === '/ai/chat' || path === '/api/ai/chat') && req.method === 'POST') {
-  console.log(`[${timestamp}] → AI CHAT (Gemini)`);
+  console.log(`[${timestamp}] → AI CHAT (Mpho)`);
+
+  // ?stream=1 (or Accept: text/event-stream) streams the reply as SSE:
+  // delta / tool_call / tool_result / action events, then one `done` event
+  // carrying the same payload the JSON mode returns
+  const stream = wantsEventStream(req, searchParams) ? openEventStream(res) : null;
+  const respond = (payload) => {
+    if (!stream) return res.status(200).json(payload);
+    stream.send('done', payload);
+    stream.close();
+  };
+  // Set once the caller is known, so failed requests are accounted for too
+  const startedAt = Date.now();
+  let accounting = null;
+
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (_) {}
+    let body = req.body;
 
     const { messages = [] } = body;
 
     // ── Auth check ──────────────────────────────────────────────────────────
     const authResult = await verifyUserToken(req);
     if (!authResult.success) {
-      return res.status(200).json({
+      return respond({
         success: false,
         reply: "To chat with Mpho AI you need to log in or create a free account first.",
         actions: [{ type: 'navigate', path: '/login' }]
@@ -19695,16 +19850,14 @@ if ((path === '/ai/chat' || path === '/api/ai/chat') && req.method === 'POST') {
     const isAdminRole = ['admin','super-admin','administrator'].includes(userRole);
 
     // Check Mpho subscription
-    const aiSubCol = db.collection('ai_subscriptions');
-    const activeSub = !isAdminRole ? await aiSubCol.findOne({
-      userId: String(userId),
-      status: 'active',
-      expiresAt: { $gt: new Date() }
-    }) : null;
+    // Includes the grace period after expiry
+    const activeSub = !isAdminRole ? await findLiveMphoSubscription(db, userId) : null;
     const isPro = !!activeSub;
 
-    // Daily limits: admin=100, pro=50, free=12
-    const dailyLimit = isAdminRole ? 100 : isPro ? 50 : 12;
+    // Daily limits per plan are configurable in site_settings (_id: 'mpho')
+    const mphoSettings = await getMphoSettings(db);
+    const plan = planFor({ isAdmin: isAdminRole, isPro });
+    const dailyLimit = mphoSettings.dailyLimits[plan];
     const todayKey = new Date().toISOString().slice(0, 10);
 
     const usageCol = db.collection('ai_usage');
@@ -19714,8 +19867,8 @@ if ((path === '/ai/chat' || path === '/api/ai/chat') && req.method === 'POST') {
     if (usedToday >= dailyLimit) {
       const upsellReply = isPro
         ? `You've used your ${dailyLimit} Pro messages for today. Your limit resets at midnight.`
-        : `You've used your ${dailyLimit} free messages for today.\n\n**Upgrade to Mpho** for BWP 100/month and get:\n• 50 messages/day\n• AI-assisted listing form filling\n• Vehicle valuations from real market data\n• Market price insights & trends\n• Priority admin review of your listings\n\nReply "subscribe" or tap the button below to upgrade.`;
-      return res.status(200).json({
+        : `You've used your ${dailyLimit} free messages for today.\n\n**Upgrade to Mpho** for BWP 100/month and get:\n• ${mphoSettings.dailyLimits.pro} messages/day\n• AI-assisted listing form filling\n• Vehicle valuations from real market data\n• Market price insights & trends\n• Priority admin review of your listings\n\nReply "subscribe" or tap the button below to upgrade.`;
+      return respond({
         success: false,
         reply: upsellReply,
         actions: isPro ? [] : [{ type: 'show_upsell' }],
@@ -19723,416 +19876,62 @@ if ((path === '/ai/chat' || path === '/api/ai/chat') && req.method === 'POST') {
       });
     }
 
-    // ── Load chat history + user profile ────────────────────────────────────
-    const histCol = db.collection('ai_chat_history');
-    const histDoc = await histCol.findOne({ userId: String(userId) });
-    const storedMessages = histDoc?.messages || [];
-    const userProfile = histDoc?.profile || {};
+    // ── Load memory: recent turns, rolling summary, remembered facts ───────────
+    const memory = await loadMphoMemory(db, userId);
 
-    const GEMINI_KEY = process.env.GEMINI_API_KEY;
+    const providers = resolveProviders();
 
-    if (!GEMINI_KEY) {
-      return res.status(200).json({
+    if (providers.length === 0) {
+      return respond({
         success: true,
         reply: "Hi, I'm Mpho AI — your Bw Car Culture assistant. I can help you find cars, services, and more. Try browsing the marketplace in the meantime, or contact us on WhatsApp at +26774122453.",
         actions: []
       });
     }
 
-    const { GoogleGenerativeAI } = await import('@google/generative-ai');
-    const genAI = new GoogleGenerativeAI(GEMINI_KEY);
-
     const isAdmin = isAdminRole;
+    const systemPrompt = buildMphoSystemPrompt({
+      isPro,
+      isAdmin,
+      memoryNote: describeMemory(memory),
+      proDailyLimit: mphoSettings.dailyLimits.pro,
+      hasHistory: memory.messages.length > 0 || Boolean(memory.summary)
+    });
+    const tools = mphoToolsFor({ isPro, isAdmin });
 
-    const systemPrompt = `You are Mpho, the intelligent AI assistant for Bw Car Culture (also known as I3w Car Culture), Botswana's premier automotive marketplace and platform.
-
-Your capabilities:
-- Find and present vehicle listings from the marketplace
-- Search for automotive service providers (workshops, car rentals, public transport)
-- Navigate users to specific sections of the website
-- Answer questions about cars, the Botswana car market, pricing, maintenance, EV/hybrid vehicles
-- Provide information about driving in Botswana
-${isPro || isAdmin ? '- Help users create vehicle listings by filling the listing form through conversation (prepare_listing tool)\n- Provide vehicle valuations based on real market data from our listings (get_valuation tool)\n- Share market insights: average prices, popular makes, price trends (get_market_data tool)' : '- You can answer general questions about selling but cannot fill listing forms or provide valuations — those are Mpho features (BWP 100/month)'}
-${isAdmin ? '- Help admins create news articles from pasted text (Facebook posts, press releases) using prepare_article tool' : ''}
-
-Key facts:
-- Currency: Botswana Pula (BWP, symbol "P"). Always show prices as "P X,XXX"
-- Main cities: Gaborone, Francistown, Maun, Kasane, Palapye, Mahalapye, Serowe
-- Contact: WhatsApp +26774122453
-- Site sections: /marketplace (buy/sell cars), /services (workshops, rentals, transport), /news (car news), /dealerships, /ev-charging (EV stations)
-- Listings can be free for private sellers; dealers have subscription plans
-- Mpho: BWP 100/month — 50 messages/day, listing form filling, valuations, market data, priority admin review
-
-PRIVACY RULES — strictly follow at all times:
-- Only discuss publicly visible information (active listings, public service providers, published news)
-- NEVER reveal: user emails, passwords, user phone numbers, payment details, order history, internal revenue/metrics, admin settings, or other users' personal data
-- If asked about private data or anything not publicly accessible, decline and redirect to WhatsApp support
-- Do not confirm or deny whether a specific person has an account
-
-${isPro || isAdmin ? 'When helping users sell a vehicle, collect: make, model, year, condition, price in Pula, mileage, fuel type, transmission, colour. Call prepare_listing as soon as you have make/model/year/price. For valuations, call get_valuation with make/model/year and optionally condition and mileage.' : 'If a user asks to sell a car or wants their listing form filled, let them know this is a Mpho feature and suggest upgrading.'}
-${isAdmin ? '\nWhen an admin pastes text (Facebook post, article draft, press release): extract a clean title, write/clean the content, suggest category (news/feature/industry), extract tags, and call prepare_article immediately. Remind admin to go to the Images tab for photos.' : ''}
-
-Personality: Professional, friendly, and concise. Use plain language — avoid emojis entirely. Keep responses short and action-oriented. Never repeat yourself.
-${[
-  userProfile.city         ? `User is based in ${userProfile.city}.` : '',
-  userProfile.interests?.length ? `Previously interested in: ${userProfile.interests.slice(0,5).join(', ')}.` : '',
-  userProfile.budget       ? `Budget mentioned: around P${Number(userProfile.budget).toLocaleString()}.` : '',
-  userProfile.name         ? `User's name: ${userProfile.name}.` : ''
-].filter(Boolean).join(' ')}
-${storedMessages.length ? 'You have memory of previous conversations with this user shown in the chat history. Reference it naturally when relevant — greet returning users warmly, remember their preferences, avoid asking for info they already gave you.' : 'This appears to be the user\'s first conversation.'}`;
-
-    const tools = [{
-      functionDeclarations: [
-        {
-          name: 'search_listings',
-          description: 'Search vehicle listings on the marketplace. Use when users ask about available cars, prices, or specific models.',
-          parameters: {
-            type: 'OBJECT',
-            properties: {
-              make:      { type: 'STRING', description: 'Brand e.g. Toyota, BMW, Mercedes-Benz' },
-              model:     { type: 'STRING', description: 'Model e.g. Hilux, X5, C-Class' },
-              minPrice:  { type: 'NUMBER', description: 'Min price in Pula' },
-              maxPrice:  { type: 'NUMBER', description: 'Max price in Pula' },
-              fuelType:  { type: 'STRING', description: 'petrol/diesel/electric/hybrid' },
-              category:  { type: 'STRING', description: 'SUV/Sedan/Pickup/Hatchback etc.' },
-              condition: { type: 'STRING', description: 'new or used' },
-              city:      { type: 'STRING', description: 'City in Botswana' }
-            }
-          }
-        },
-        {
-          name: 'search_services',
-          description: 'Search service providers: workshops, car rentals, public transport.',
-          parameters: {
-            type: 'OBJECT',
-            properties: {
-              query:       { type: 'STRING' },
-              serviceType: { type: 'STRING', description: 'workshop, car_rental, or public_transport' },
-              city:        { type: 'STRING' }
-            }
-          }
-        },
-        {
-          name: 'navigate_to',
-          description: 'Send the user to a page. Use for browsing requests like "take me to marketplace" or "show me EV section".',
-          parameters: {
-            type: 'OBJECT',
-            required: ['path'],
-            properties: {
-              path:        { type: 'STRING', description: 'e.g. /marketplace, /services, /news, /dealerships, /ev-charging' },
-              queryParams: { type: 'STRING', description: 'Optional query string e.g. ?fuelType=electric&maxPrice=500000' }
-            }
-          }
-        },
-        ...(isPro || isAdmin ? [{
-          name: 'prepare_listing',
-          description: 'Prepare a vehicle listing form for Pro/admin users. Call as soon as you have make, model, year and price.',
-          parameters: {
-            type: 'OBJECT',
-            required: ['make', 'model', 'year', 'price'],
-            properties: {
-              make:         { type: 'STRING' },
-              model:        { type: 'STRING' },
-              year:         { type: 'NUMBER' },
-              price:        { type: 'NUMBER', description: 'Price in Pula' },
-              condition:    { type: 'STRING' },
-              fuelType:     { type: 'STRING' },
-              transmission: { type: 'STRING' },
-              mileage:      { type: 'NUMBER' },
-              exteriorColor:{ type: 'STRING' },
-              description:  { type: 'STRING' },
-              category:     { type: 'STRING' }
-            }
-          }
-        },
-        {
-          name: 'get_valuation',
-          description: 'Estimate a vehicle\'s market value using real listing data. Use when a user asks "how much is my car worth", "what should I price my car at", or wants a valuation.',
-          parameters: {
-            type: 'OBJECT',
-            required: ['make', 'model', 'year'],
-            properties: {
-              make:      { type: 'STRING' },
-              model:     { type: 'STRING' },
-              year:      { type: 'NUMBER' },
-              condition: { type: 'STRING', description: 'new or used' },
-              mileage:   { type: 'NUMBER', description: 'Odometer reading in km' }
-            }
-          }
-        },
-        {
-          name: 'get_market_data',
-          description: 'Get market overview: average prices, popular makes/models, listing counts. Use when user asks about market trends, price ranges, or what cars are popular.',
-          parameters: {
-            type: 'OBJECT',
-            properties: {
-              make:     { type: 'STRING', description: 'Filter by make (optional)' },
-              category: { type: 'STRING', description: 'Filter by category e.g. SUV, Sedan (optional)' }
-            }
-          }
-        }] : []),
-        ...(isAdmin ? [{
-          name: 'prepare_article',
-          description: 'Extract and prepare a news article from pasted text (Facebook post, press release, draft). Call this whenever an admin pastes content they want to turn into an article.',
-          parameters: {
-            type: 'OBJECT',
-            required: ['title', 'content'],
-            properties: {
-              title:       { type: 'STRING', description: 'Clean, compelling article headline' },
-              subtitle:    { type: 'STRING', description: 'Optional sub-headline or summary sentence' },
-              content:     { type: 'STRING', description: 'Full article body, cleaned up and formatted as plain text paragraphs' },
-              category:    { type: 'STRING', description: 'news, feature, or industry' },
-              tags:        { type: 'STRING', description: 'Comma-separated tags e.g. "Toyota, SUV, Gaborone"' },
-              seoTitle:    { type: 'STRING', description: 'SEO meta title (max 60 chars)' },
-              seoDesc:     { type: 'STRING', description: 'SEO meta description (max 160 chars)' }
-            }
-          }
-        }] : [])
-      ]
-    }];
-
-    // Convert messages to Gemini history format (all except last user message)
+    // Last message must be the user's; everything before it becomes history
     const validMsgs = messages.filter(m => m.role && m.content);
     if (validMsgs.length === 0 || validMsgs[validMsgs.length - 1].role !== 'user') {
-      return res.status(200).json({ success: false, reply: 'No user message found.', actions: [] });
+      return respond({ success: false, reply: 'No user message found.', actions: [] });
     }
 
     const lastUserMsg = String(validMsgs[validMsgs.length - 1].content);
 
-    // Build Gemini history — must strictly alternate user/model, start with user
-    const toGemini = (msgs) => msgs
-      .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content)
-      .map(m => ({ role: m.role === 'user' ? 'user' : 'model', parts: [{ text: String(m.content) }] }));
-
-    // Enforce strict alternation: drop any turn that repeats the previous role
-    const strictAlternate = (turns) => {
-      const out = [];
-      for (const t of turns) {
-        if (out.length === 0 || out[out.length - 1].role !== t.role) out.push(t);
-        // if same role, replace last with the newer one (keeps most recent context)
-        else out[out.length - 1] = t;
-      }
-      // must start with user
-      while (out.length && out[0].role !== 'user') out.shift();
-      // must end with model — history is the prefix before the current user sendMessage call
-      while (out.length && out[out.length - 1].role !== 'model') out.pop();
-      return out;
-    };
-
-    const storedGeminiHistory = strictAlternate(toGemini(storedMessages.slice(-20)));
-    const sessionHistory      = toGemini(validMsgs.slice(0, -1));
-
-    // Merge: stored first, then session — re-enforce alternation across the join
-    const history = strictAlternate([...storedGeminiHistory, ...sessionHistory]);
+    // Stored turns that fit the budget first, then this session — alternation re-enforced across the join
+    const history = alternateTurns([...alternateTurns(recentTurnsWithinBudget(memory.messages)), ...validMsgs.slice(0, -1)]);
 
-    console.log(`[${timestamp}] Gemini call — history: ${history.length} turns, lastMsg: "${lastUserMsg.slice(0,60)}"`);
-    if (history.length) {
-      console.log(`[${timestamp}] History shape: first=${history[0].role}, last=${history[history.length-1].role}`);
-    }
-
-    // Try gemini-2.0-flash first; fall back to gemini-1.5-flash on quota errors
-    let model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash', systemInstruction: systemPrompt, tools });
-    let chat = model.startChat({ history });
+    console.log(`[${timestamp}] AI call (${providers.map(p => p.name).join(' → ')}) — history: ${history.length} turns, lastMsg: "${lastUserMsg.slice(0,60)}"`);
 
-    // Test reachability with a lightweight probe — if 429, switch model
-    // (We don't probe here; instead we catch 429 mid-loop and retry with fallback)
-    let usedFallbackModel = false;
     const actions = [];
-
-    // Agentic loop — up to 3 rounds
-    let rounds = 0;
-    let currentMsg = lastUserMsg;
-    let finalReply = '';
-
-    while (rounds < 3) {
-      rounds++;
-      let result;
-      try {
-        result = await chat.sendMessage(currentMsg);
-      } catch (sendErr) {
-        const sendMsg = sendErr?.message || '';
-        const isRateLimit = sendMsg.includes('429') || sendMsg.toLowerCase().includes('resource exhausted') || sendMsg.toLowerCase().includes('quota');
-        if (isRateLimit && !usedFallbackModel) {
-          console.log(`[${timestamp}] 429 on gemini-2.0-flash — retrying with gemini-1.5-flash`);
-          usedFallbackModel = true;
-          model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-lite', systemInstruction: systemPrompt, tools });
-          chat = model.startChat({ history });
-          result = await chat.sendMessage(currentMsg);
-        } else {
-          throw sendErr;
-        }
-      }
-      const response = result.response;
-      const functionCalls = response.functionCalls();
-
-      if (!functionCalls || functionCalls.length === 0) {
-        finalReply = response.text();
-        break;
-      }
-
-      // Process tool calls and build function responses
-      const functionResponses = [];
-
-      for (const fc of functionCalls) {
-        const args = fc.args || {};
-        let toolResult = '';
-
-        if (fc.name === 'search_listings') {
-          const { make, model: mdl, minPrice, maxPrice, fuelType, category, condition, city } = args;
-          const col = db.collection('listings');
-          const filter = { status: 'active' };
-          if (make)      filter['specifications.make']     = { $regex: make, $options: 'i' };
-          if (mdl)       filter['specifications.model']    = { $regex: mdl, $options: 'i' };
-          if (fuelType)  filter['specifications.fuelType'] = { $regex: fuelType, $options: 'i' };
-          if (category)  filter.category                   = { $regex: category, $options: 'i' };
-          if (condition) filter.condition                  = condition;
-          if (city)      filter['location.city']           = { $regex: city, $options: 'i' };
-          if (minPrice || maxPrice) {
-            filter.price = {};
-            if (minPrice) filter.price.$gte = Number(minPrice);
-            if (maxPrice) filter.price.$lte = Number(maxPrice);
-          }
-          const listings = await col.find(filter).sort({ listingQuality: -1, createdAt: -1 }).limit(6).toArray();
-          if (listings.length === 0) {
-            toolResult = 'No listings matched those criteria.';
-          } else {
-            actions.push({
-              type: 'show_listings',
-              listings: listings.map(l => ({
-                id: l._id.toString(),
-                title: l.title || `${l.specifications?.year} ${l.specifications?.make} ${l.specifications?.model}`,
-                price: l.price,
-                year: l.specifications?.year,
-                make: l.specifications?.make,
-                model: l.specifications?.model,
-                mileage: l.specifications?.mileage,
-                fuelType: l.specifications?.fuelType,
-                transmission: l.specifications?.transmission,
-                image: Array.isArray(l.images) ? l.images[0] : null,
-                location: l.location?.city || 'Botswana',
-                condition: l.condition
-              }))
-            });
-            toolResult = `Found ${listings.length} listings. Prices P${Math.min(...listings.map(l=>l.price||0)).toLocaleString()} – P${Math.max(...listings.map(l=>l.price||0)).toLocaleString()}.`;
-          }
-        } else if (fc.name === 'search_services') {
-          const { query, serviceType, city } = args;
-          const col = db.collection('serviceproviders');
-          const filter = { status: { $ne: 'deleted' } };
-          if (serviceType) filter.providerType = serviceType;
-          if (city)        filter['location.city'] = { $regex: city, $options: 'i' };
-          if (query)       filter.$or = [{ businessName: { $regex: query, $options: 'i' } }, { 'profile.description': { $regex: query, $options: 'i' } }];
-          const providers = await col.find(filter).limit(5).toArray();
-          if (providers.length === 0) {
-            toolResult = 'No service providers found.';
-          } else {
-            actions.push({
-              type: 'show_services',
-              services: providers.map(p => ({
-                id: p._id.toString(),
-                name: p.businessName,
-                type: p.providerType,
-                city: p.location?.city,
-                phone: p.contact?.phone,
-                verified: p.verification?.status === 'verified',
-                rating: p.metrics?.averageRating
-              }))
-            });
-            toolResult = `Found ${providers.length} providers: ${providers.map(p => p.businessName).join(', ')}.`;
-          }
-        } else if (fc.name === 'navigate_to') {
-          const fullPath = args.queryParams ? `${args.path}${args.queryParams}` : args.path;
-          actions.push({ type: 'navigate', path: fullPath });
-          toolResult = `Navigation queued: ${fullPath}`;
-        } else if (fc.name === 'get_valuation') {
-          const { make, model, year, condition, mileage } = args;
-          const col = db.collection('listings');
-          const filter = { status: 'active' };
-          if (make)  filter['specifications.make']  = { $regex: make, $options: 'i' };
-          if (model) filter['specifications.model'] = { $regex: model, $options: 'i' };
-          // Year range ±2
-          if (year) filter['specifications.year'] = { $gte: Number(year) - 2, $lte: Number(year) + 2 };
-          if (condition) filter.condition = condition;
-          const similar = await col.find(filter, { projection: { price: 1, 'specifications.year': 1, 'specifications.mileage': 1, condition: 1 } }).limit(30).toArray();
-          if (similar.length === 0) {
-            toolResult = `No similar listings found for ${make} ${model} around ${year}. Market data is limited — price based on regional knowledge.`;
-          } else {
-            const prices = similar.map(l => l.price).filter(p => p > 0).sort((a,b) => a-b);
-            const avg = Math.round(prices.reduce((s,p) => s+p, 0) / prices.length);
-            const med = prices[Math.floor(prices.length / 2)];
-            const low = prices[0];
-            const high = prices[prices.length - 1];
-            // Mileage adjustment: -1% per 10,000km above 100,000km for used
-            let adjusted = avg;
-            if (mileage && condition === 'used' && Number(mileage) > 100000) {
-              const excess = (Number(mileage) - 100000) / 10000;
-              adjusted = Math.round(avg * (1 - Math.min(0.15, excess * 0.01)));
-            }
-            actions.push({
-              type: 'show_valuation',
-              valuation: { make, model, year, avg, median: med, low, high, adjusted, sampleSize: prices.length, mileageAdjusted: adjusted !== avg }
-            });
-            toolResult = `Based on ${prices.length} similar listings: avg P${avg.toLocaleString()}, range P${low.toLocaleString()}–P${high.toLocaleString()}${adjusted !== avg ? `, mileage-adjusted estimate P${adjusted.toLocaleString()}` : ''}.`;
-          }
-        } else if (fc.name === 'get_market_data') {
-          const { make, category } = args;
-          const col = db.collection('listings');
-          const filter = { status: 'active' };
-          if (make)     filter['specifications.make'] = { $regex: make, $options: 'i' };
-          if (category) filter.category = { $regex: category, $options: 'i' };
-          const [topMakes, avgByCategory, recentCount] = await Promise.all([
-            col.aggregate([
-              { $match: { status: 'active' } },
-              { $group: { _id: '$specifications.make', count: { $sum: 1 }, avgPrice: { $avg: '$price' } } },
-              { $sort: { count: -1 } }, { $limit: 5 }
-            ]).toArray(),
-            col.aggregate([
-              { $match: filter },
-              { $group: { _id: '$category', avgPrice: { $avg: '$price' }, count: { $sum: 1 } } },
-              { $sort: { count: -1 } }, { $limit: 6 }
-            ]).toArray(),
-            col.countDocuments({ status: 'active', createdAt: { $gte: new Date(Date.now() - 30*24*60*60*1000) } })
-          ]);
-          actions.push({
-            type: 'show_market_data',
-            data: {
-              topMakes: topMakes.map(m => ({ make: m._id, count: m.count, avgPrice: Math.round(m.avgPrice || 0) })),
-              categories: avgByCategory.map(c => ({ category: c._id, count: c.count, avgPrice: Math.round(c.avgPrice || 0) })),
-              recentListings: recentCount
-            }
-          });
-          toolResult = `Market data: ${recentCount} new listings in last 30 days. Top makes: ${topMakes.slice(0,3).map(m=>m._id).join(', ')}. Avg prices by category compiled.`;
-        } else if (fc.name === 'prepare_listing') {
-          actions.push({ type: 'prefill_listing', data: { ...args, aiPriority: isPro } });
-          toolResult = `Form prepared for ${args.make} ${args.model} ${args.year} at P${Number(args.price).toLocaleString()}.`;
-        } else if (fc.name === 'prepare_article') {
-          const articleData = {
-            title: args.title || '',
-            subtitle: args.subtitle || '',
-            content: args.content || '',
-            category: args.category || 'news',
-            tags: args.tags ? args.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
-            status: 'draft',
-            seo: {
-              metaTitle: args.seoTitle || args.title?.slice(0, 60) || '',
-              metaDescription: args.seoDesc || args.subtitle?.slice(0, 160) || '',
-              keywords: args.tags ? args.tags.split(',').map(t => t.trim()).filter(Boolean) : []
-            }
-          };
-          actions.push({ type: 'prefill_article', data: articleData });
-          toolResult = `Article form prepared: "${args.title}" (${articleData.category}, ${articleData.tags.length} tags).`;
-        }
-
-        functionResponses.push({
-          functionResponse: { name: fc.name, response: { result: toolResult } }
-        });
-      }
-
-      // Send tool results back; next iteration will get the final text reply
-      currentMsg = functionResponses;
-    }
-
-    const reply = finalReply.trim() || "I'm here to help! Ask me anything about cars or our services.";
+    const toolLog = [];
+    const allowedTools = new Set(tools.map(t => t.name));
+    accounting = { userId, plan, pricing: mphoSettings.pricing, toolLog };
+    let actionsSent = 0;
+    const conversation = await runMphoConversation({
+      providers,
+      system: systemPrompt,
+      history,
+      message: lastUserMsg,
+      tools,
+      executeTool: (call) => executeMphoTool(db, call, { actions, allowed: allowedTools, isPro, toolLog }),
+      onEvent: stream && ((event) => {
+        if (event.type === 'delta') return stream.send('delta', { text: event.text });
+        if (event.type === 'tool_call') return stream.send('tool_call', { name: event.name, args: event.args });
+        stream.send('tool_result', { name: event.name, result: event.result });
+        while (actionsSent < actions.length) stream.send('action', actions[actionsSent++]);
+      })
+    });
+    const reply = conversation.reply.trim() || "I'm here to help! Ask me anything about cars or our services.";
 
     // ── Increment usage counter ───────────────────────────────────────────────
     await usageCol.updateOne(
@@ -20141,49 +19940,72 @@ ${storedMessages.length ? 'You have memory of previous conversations with this u
       { upsert: true }
     );
     const newUsed = usedToday + 1;
+    await recordAiRequest(db, {
+      userId,
+      plan,
+      kind: 'chat',
+      provider: conversation.provider,
+      model: conversation.model,
+      usage: conversation.usage,
+      latencyMs: Date.now() - startedAt,
+      tools: toolLog,
+      rounds: conversation.rounds,
+      pricing: mphoSettings.pricing
+    });
+    accounting = null;
+
+    // ── Save the exchange ─────────────────────────────────────────────────────
+    await recordMphoExchange(db, userId, { userMessage: lastUserMsg, reply });
+
+    console.log(`[${timestamp}] AI chat OK via ${conversation.provider}/${conversation.model} — ${reply.length} chars, ${actions.length} actions (user ${userId}: ${newUsed}/${dailyLimit}${isPro?' PRO':''} )`);
+    respond({
+      success: true,
+      reply,
+      actions,
+      usage: { used: newUsed, limit: dailyLimit, isPro, inputTokens: conversation.usage.inputTokens, outputTokens: conversation.usage.outputTokens }
+    });
 
-    // ── Save conversation to history (async, don't await) ─────────────────────
-    const newPair = [
-      { role: 'user',      content: lastUserMsg,  ts: new Date() },
-      { role: 'assistant', content: reply,         ts: new Date() }
-    ];
-    const MAX_HISTORY = 30; // 15 exchanges
-    // Extract profile signals from user message
-    const profileUpdate = {};
-    const bwCities = ['gaborone','francistown','maun','kasane','palapye','mahalapye','serowe','lobatse','kanye','molepolole','selebi-phikwe','orapa'];
-    const carMakes  = ['toyota','honda','mazda','bmw','mercedes','vw','volkswagen','ford','nissan','hyundai','kia','mitsubishi','isuzu','land rover','jeep','peugeot','renault','volvo','lexus','audi'];
-    const lowerMsg  = lastUserMsg.toLowerCase();
-    const cityFound = bwCities.find(c => lowerMsg.includes(c));
-    if (cityFound) profileUpdate['profile.city'] = cityFound.charAt(0).toUpperCase() + cityFound.slice(1);
-    const makeFound = carMakes.find(m => lowerMsg.includes(m));
-    if (makeFound) {
-      const cap = makeFound.charAt(0).toUpperCase() + makeFound.slice(1);
-      profileUpdate['profile.interests'] = { $each: [cap], $slice: -10 }; // last 10 interests
-    }
-    const budgetMatch = lowerMsg.match(/p\s?([\d,]+)/i) || lowerMsg.match(/budget[^\d]*([\d,]+)/i);
-    if (budgetMatch) profileUpdate['profile.budget'] = parseInt(budgetMatch[1].replace(/,/g,''));
-
-    const histUpdate = {
-      $push: { messages: { $each: newPair, $slice: -MAX_HISTORY } },
-      $set: { updatedAt: new Date() },
-      $setOnInsert: { userId: String(userId) }
-    };
-    if (profileUpdate['profile.city'])   histUpdate.$set['profile.city']   = profileUpdate['profile.city'];
-    if (profileUpdate['profile.budget']) histUpdate.$set['profile.budget'] = profileUpdate['profile.budget'];
-    if (profileUpdate['profile.interests']) histUpdate.$addToSet = { 'profile.interests': profileUpdate['profile.interests'] };
-    histCol.updateOne({ userId: String(userId) }, histUpdate, { upsert: true }).catch(() => {});
+    // ── Fold older turns into the summary once the reply is out ───────────────
+    try {
+      const summaryStartedAt = Date.now();
+      const { usage: summaryUsage } = await summarizeIfNeeded(db, userId, providers);
+      if (summaryUsage) {
+        await recordAiRequest(db, {
+          userId,
+          plan,
+          kind: 'summary',
+          provider: summaryUsage.provider,
+          model: summaryUsage.model,
+          usage: summaryUsage,
+          latencyMs: Date.now() - summaryStartedAt,
+          pricing: mphoSettings.pricing
+        });
+      }
+    } catch (summaryErr) {
+      console.error(`[${timestamp}] Mpho summary failed for user ${userId}:`, summaryErr.message);
+    }
 
-    console.log(`[${timestamp}] AI chat OK — ${reply.length} chars, ${actions.length} actions (user ${userId}: ${newUsed}/${dailyLimit}${isPro?' PRO':''} )`);
-    return res.status(200).json({ success: true, reply, actions, usage: { used: newUsed, limit: dailyLimit, isPro } });
+    return;
 
   } catch (err) {
     const errMsg = err?.message || String(err) || 'unknown';
     console.error(`[${timestamp}] AI chat error:`, errMsg);
-    // Surface quota / auth errors from Gemini clearly
-    const msg = errMsg;
-    const isQuota   = msg.includes('429') || msg.toLowerCase().includes('quota') || msg.toLowerCase().includes('resource exhausted');
-    const isInvalid = msg.includes('400') || msg.toLowerCase().includes('invalid') || msg.toLowerCase().includes('alternating');
-    return res.status(200).json({
+    // Provider errors arrive classified; surface quota / bad-context failures clearly
+    const isQuota   = err instanceof LlmProviderError && err.kind === 'rate_limit';
+    const isInvalid = err instanceof LlmProviderError && err.kind === 'invalid_request';
+    if (accounting) {
+      await recordAiRequest(db, {
+        userId: accounting.userId,
+        plan: accounting.plan,
+        kind: 'chat',
+        latencyMs: Date.now() - startedAt,
+        tools: accounting.toolLog,
+        success: false,
+        error: err instanceof LlmProviderError ? err.kind : 'error',
+        pricing: accounting.pricing
+      });
+    }
+    return respond({
       success: false,
       reply: isQuota
         ? "Mpho is temporarily unavailable due to high demand. Upgrading to Mpho gives you priority access with a higher daily message limit."
@@ -20205,18 +20027,7 @@ if (path === '/listings' && req.method === 'POST') {
   try {
     console.log(`[${timestamp}] → FRONTEND: Create Listing`);
     
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     console.log(`[${timestamp}] Creating listing: ${body.title || 'Untitled'}`);
     
@@ -20371,6 +20182,8 @@ if (path === '/listings' && req.method === 'POST') {
     
     // INSERT LISTING INTO DATABASE
     const result = await listingsCollection.insertOne(newListing);
+    await queueListingScreening(db, 'listing', { ...newListing, _id: result.insertedId });
+    await matchSavedSearches(db, { ...newListing, _id: result.insertedId });
     
     console.log(`[${timestamp}] ✅ Listing created successfully: ${newListing.title} (ID: ${result.insertedId}, Slug: ${newListing.slug})`);
     
@@ -20421,19 +20234,7 @@ if (path.match(/^\/listings\/[a-fA-F0-9]{24}$/) && req.method === 'PUT') {
   console.log(`[${timestamp}] → UPDATE LISTING: ${listingId}`);
   
   try {
-    let requestBody = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) requestBody = JSON.parse(rawBody);
-    } catch (parseError) {
-      console.error(`[${timestamp}] Body parse error:`, parseError);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    const requestBody = req.body;
     
     console.log(`[${timestamp}] Request body keys:`, Object.keys(requestBody));
     
@@ -20676,10 +20477,13 @@ if (path.match(/^\/listings\/[a-fA-F0-9]{24}$/) && req.method === 'PUT') {
       });
     }
     
+    await trackListingChange(db, existingListing, updateFields, { source: 'listing_update' });
+
     // Fetch updated listing
     const updatedListing = await listingsCollection.findOne({ 
       _id: new ObjectId(listingId) 
     });
+    await matchSavedSearches(db, updatedListing, { previousStatus: existingListing.status });
     
     console.log(`[${timestamp}] ✅ Listing updated successfully: ${updatedListing.title}`);
     
@@ -20744,6 +20548,7 @@ if (path.match(/^\/listings\/[a-fA-F0-9]{24}$/) && req.method === 'DELETE') {
         { _id: listingObjectId },
         { $set: { status: 'deleted', deletedAt: new Date(), updatedAt: new Date() } }
       );
+      await trackListingChange(db, existingListing, { status: 'deleted' }, { source: 'listing_delete' });
 
       console.log(`[${timestamp}] ✅ Listing soft-deleted: ${existingListing.title}`);
       return res.status(200).json({
@@ -20811,25 +20616,20 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
     filter.status = { $in: ['active', 'pending', 'published'] }; // Include published status
   }
   
-  // ENHANCED: Advanced search functionality
-  const search = searchParams.get('search') || searchParams.get('searchKeyword');
-  if (search) {
-    const searchRegex = { $regex: search, $options: 'i' };
-    filter.$or = [
-      { title: searchRegex },
-      { description: searchRegex },
-      { 'specifications.make': searchRegex },
-      { 'specifications.model': searchRegex },
-      { features: searchRegex },
-      { safetyFeatures: searchRegex },
-      { comfortFeatures: searchRegex }
-    ];
-  }
+  // Free-text search is matched and ranked in-process once the candidates are
+  // loaded (see listingSearchService), so it adds nothing to the Mongo filter
+  const search = (searchParams.get('search') || searchParams.get('searchKeyword') || '').trim();
+
+  // Optional sidebar counts: ?facets=true for all of them, or ?facets=make,price,...
+  const facetsParam = (searchParams.get('facets') || '').trim();
+  const requestedFacets = !facetsParam || facetsParam === 'false'
+    ? null
+    : ['true', '1', 'all'].includes(facetsParam) ? FACETS : facetsParam.split(',').map(f => f.trim()).filter(f => FACETS.includes(f));
   
   // ENHANCED: Make filtering — check both top-level and specifications sub-document
   const make = searchParams.get('make');
   if (make && make !== 'all' && make !== '') {
-    const makeRx = { $regex: new RegExp(`^${make}$`, 'i') };
+    const makeRx = { $regex: exactMatchRegex(make) };
     if (!filter.$and) filter.$and = [];
     filter.$and.push({ $or: [{ 'specifications.make': makeRx }, { make: makeRx }] });
   }
@@ -20837,7 +20637,7 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
   // ENHANCED: Model filtering — check both top-level and specifications sub-document
   const model = searchParams.get('model');
   if (model && model !== 'all' && model !== '') {
-    const modelRx = { $regex: new RegExp(`^${model}$`, 'i') };
+    const modelRx = { $regex: exactMatchRegex(model) };
     if (!filter.$and) filter.$and = [];
     filter.$and.push({ $or: [{ 'specifications.model': modelRx }, { model: modelRx }] });
   }
@@ -20892,59 +20692,40 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
   // ENHANCED: Fuel type filtering — check both top-level and specifications sub-document
   const fuelType = searchParams.get('fuelType');
   if (fuelType && fuelType !== 'all') {
-    const fuelRx = { $regex: new RegExp(`^${fuelType}$`, 'i') };
+    const fuelRx = { $regex: exactMatchRegex(fuelType) };
     if (!filter.$and) filter.$and = [];
     filter.$and.push({ $or: [{ 'specifications.fuelType': fuelRx }, { fuelType: fuelRx }] });
   }
 
   // Country filtering — matches full names AND common ISO codes/abbreviations
-  // Keys cover both short codes AND full names sent by the UI dropdowns
   const countryFilter = searchParams.get('country');
   if (countryFilter) {
-    const countryAliasMap = {
-      'botswana':             ['Botswana', 'BW', 'BWA'],
-      'south africa':         ['South Africa', 'ZA', 'RSA', 'SA', 'S. Africa', 'S Africa'],
-      'zimbabwe':             ['Zimbabwe', 'ZW', 'ZWE'],
-      'namibia':              ['Namibia', 'NA', 'NAM'],
-      'zambia':               ['Zambia', 'ZM', 'ZMB'],
-      'mozambique':           ['Mozambique', 'MZ', 'MOZ'],
-      'tanzania':             ['Tanzania', 'TZ', 'TZA'],
-      'kenya':                ['Kenya', 'KE', 'KEN'],
-      'japan':                ['Japan', 'JP', 'JPN'],
-      'germany':              ['Germany', 'DE', 'DEU'],
-      'uk':                   ['United Kingdom', 'UK', 'GB', 'GBR', 'England', 'Britain'],
-      'united kingdom':       ['United Kingdom', 'UK', 'GB', 'GBR', 'England', 'Britain'],
-      'usa':                  ['United States', 'USA', 'US', 'America'],
-      'united states':        ['United States', 'USA', 'US', 'America'],
-      'uae':                  ['UAE', 'United Arab Emirates', 'AE'],
-      'united arab emirates': ['UAE', 'United Arab Emirates', 'AE'],
-    };
-    const aliases = countryAliasMap[countryFilter.toLowerCase()] || [countryFilter];
-    filter['location.country'] = { $in: aliases.map(a => new RegExp(`^${a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')) };
+    const aliases = countryAliases(countryFilter);
+    filter['location.country'] = { $in: aliases.map(a => exactMatchRegex(a)) };
   }
   
   // ENHANCED: Transmission filtering
   const transmission = searchParams.get('transmission') || searchParams.get('transmissionType');
   if (transmission && transmission !== 'all') {
-    filter['specifications.transmission'] = { $regex: new RegExp(`^${transmission}$`, 'i') };
+    filter['specifications.transmission'] = { $regex: exactMatchRegex(transmission) };
   }
   
   // City filtering
   const cityFilter = searchParams.get('city');
   if (cityFilter) {
-    filter['location.city'] = { $regex: new RegExp(cityFilter, 'i') };
+    filter['location.city'] = { $regex: containsRegex(cityFilter) };
   }
 
   // ENHANCED: Body style / category filtering
   const bodyStyle = searchParams.get('bodyStyle') || searchParams.get('vehicleType') || searchParams.get('category');
   if (bodyStyle && bodyStyle !== 'all') {
-    filter.category = { $regex: new RegExp(`^${bodyStyle}$`, 'i') };
+    filter.category = { $regex: exactMatchRegex(bodyStyle) };
   }
 
   // Drivetrain filtering
   const drivetrain = searchParams.get('drivetrain');
   if (drivetrain && drivetrain !== 'all') {
-    filter['specifications.drivetrain'] = { $regex: new RegExp(`^${drivetrain}$`, 'i') };
+    filter['specifications.drivetrain'] = { $regex: exactMatchRegex(drivetrain) };
   }
 
   // Year range filtering
@@ -21185,25 +20966,14 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
       status: 'approved'
     };
     
-    // Apply search to usersubmissions
-    if (search) {
-      const searchRegex = { $regex: search, $options: 'i' };
-      userSubmissionsFilter.$or = [
-        { 'listingData.title': searchRegex },
-        { 'listingData.description': searchRegex },
-        { 'listingData.specifications.make': searchRegex },
-        { 'listingData.specifications.model': searchRegex }
-      ];
-    }
-    
     // Apply make filter to usersubmissions
     if (make && make !== 'all' && make !== '') {
-      userSubmissionsFilter['listingData.specifications.make'] = { $regex: new RegExp(`^${make}$`, 'i') };
+      userSubmissionsFilter['listingData.specifications.make'] = { $regex: exactMatchRegex(make) };
     }
     
     // Apply model filter to usersubmissions
     if (model && model !== 'all' && model !== '') {
-      userSubmissionsFilter['listingData.specifications.model'] = { $regex: new RegExp(`^${model}$`, 'i') };
+      userSubmissionsFilter['listingData.specifications.model'] = { $regex: exactMatchRegex(model) };
     }
     
     // Apply year filter to usersubmissions
@@ -21227,47 +20997,29 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
     
     // Apply fuel type filter to usersubmissions
     if (fuelType && fuelType !== 'all') {
-      userSubmissionsFilter['listingData.specifications.fuelType'] = { $regex: new RegExp(`^${fuelType}$`, 'i') };
+      userSubmissionsFilter['listingData.specifications.fuelType'] = { $regex: exactMatchRegex(fuelType) };
     }
     
     // Apply transmission filter to usersubmissions
     if (transmission && transmission !== 'all') {
-      userSubmissionsFilter['listingData.specifications.transmission'] = { $regex: new RegExp(`^${transmission}$`, 'i') };
+      userSubmissionsFilter['listingData.specifications.transmission'] = { $regex: exactMatchRegex(transmission) };
     }
     
     // Apply body style filter to usersubmissions
     if (bodyStyle && bodyStyle !== 'all') {
-      userSubmissionsFilter['listingData.category'] = { $regex: new RegExp(`^${bodyStyle}$`, 'i') };
+      userSubmissionsFilter['listingData.category'] = { $regex: exactMatchRegex(bodyStyle) };
     }
 
     // Apply country filter to usersubmissions (same alias map as regular listings)
     if (countryFilter) {
-      const countryAliasMap = {
-        'botswana':             ['Botswana', 'BW', 'BWA'],
-        'south africa':         ['South Africa', 'ZA', 'RSA', 'SA', 'S. Africa', 'S Africa'],
-        'zimbabwe':             ['Zimbabwe', 'ZW', 'ZWE'],
-        'namibia':              ['Namibia', 'NA', 'NAM'],
-        'zambia':               ['Zambia', 'ZM', 'ZMB'],
-        'mozambique':           ['Mozambique', 'MZ', 'MOZ'],
-        'tanzania':             ['Tanzania', 'TZ', 'TZA'],
-        'kenya':                ['Kenya', 'KE', 'KEN'],
-        'japan':                ['Japan', 'JP', 'JPN'],
-        'germany':              ['Germany', 'DE', 'DEU'],
-        'uk':                   ['United Kingdom', 'UK', 'GB', 'GBR', 'England', 'Britain'],
-        'united kingdom':       ['United Kingdom', 'UK', 'GB', 'GBR', 'England', 'Britain'],
-        'usa':                  ['United States', 'USA', 'US', 'America'],
-        'united states':        ['United States', 'USA', 'US', 'America'],
-        'uae':                  ['UAE', 'United Arab Emirates', 'AE'],
-        'united arab emirates': ['UAE', 'United Arab Emirates', 'AE'],
-      };
-      const aliases = countryAliasMap[countryFilter.toLowerCase()] || [countryFilter];
-      const countryRegexes = aliases.map(a => new RegExp(`^${a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+      const aliases = countryAliases(countryFilter);
+      const countryRegexes = aliases.map(a => exactMatchRegex(a));
       userSubmissionsFilter['listingData.location.country'] = { $in: countryRegexes };
     }
 
     // Apply city filter to usersubmissions
     if (cityFilter) {
-      userSubmissionsFilter['listingData.location.city'] = { $regex: new RegExp(cityFilter, 'i') };
+      userSubmissionsFilter['listingData.location.city'] = { $regex: containsRegex(cityFilter) };
     }
 
     console.log(`[${timestamp}] UserSubmissions filter:`, JSON.stringify(userSubmissionsFilter));
@@ -21417,8 +21169,21 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
     // =================================
     
     // Combine regular listings + eligible usersubmissions
-    const allListings = [...regularListings, ...transformedSubmissions];
+    let allListings = [...regularListings, ...transformedSubmissions];
+
+    // Free-text search: keep the matches, remembering each one's text relevance
+    const searchResult = search ? searchListings(allListings, search) : null;
+    const searchScores = new Map();
+    if (searchResult && searchResult.terms.length) {
+      allListings = searchResult.results.map(({ listing, score }) => {
+        searchScores.set(listing, score);
+        return listing;
+      });
+    }
     
+    // Counted over every match, before pagination
+    const facets = requestedFacets ? listingFacets(allListings, requestedFacets) : null;
+
     // Apply sorting to combined results
     // Quality tier is the primary sort override across ALL sort modes:
     // Tier 3: Showcase (85+) | Tier 2: Premium (60-84) | Tier 1: Good (35-59) | Tier 0: Standard (<35)
@@ -21443,7 +21208,18 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
       return new Date(b.createdAt) - new Date(a.createdAt);
     };
 
-    if (useRelevanceSort) {
+    if (useRelevanceSort && searchScores.size) {
+      // Searching: how well the text matches comes first, then the usual ranking
+      allListings.sort((a, b) => {
+        const sA = searchScores.get(a);
+        const sB = searchScores.get(b);
+        if (sA !== sB) return sB - sA;
+        const tA = qualityTier(a.listingQuality || 0);
+        const tB = qualityTier(b.listingQuality || 0);
+        if (tA !== tB) return tB - tA;
+        return computeScore(b) - computeScore(a);
+      });
+    } else if (useRelevanceSort) {
       allListings.sort((a, b) => {
         const tA = qualityTier(a.listingQuality || 0);
         const tB = qualityTier(b.listingQuality || 0);
@@ -21621,7 +21397,9 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
     console.log(`[${timestamp}] ✅ Combined results: ${regularListings.length} regular + ${transformedSubmissions.length} user submissions = ${total} total, showing ${enhancedListings.length}`);
 
     // Stringify _id fields to avoid [object Object] in frontend URLs
-    const stringifiedListings = enhancedListings.map(l => ({ ...l, _id: String(l._id) }));
+    const stringifiedListings = enhancedListings.map(l => (searchScores.has(l)
+      ? { ...l, _id: String(l._id), searchScore: searchScores.get(l) }
+      : { ...l, _id: String(l._id) }));
 
     // ENHANCED: Response with comprehensive metadata
     return res.status(200).json({
@@ -21641,9 +21419,13 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
         applied: Object.keys(filter).length > 1 ? filter : null,
         section: section || 'all',
         search: search || null,
+        searchTerms: searchResult ? searchResult.terms : [],
+        corrections: searchResult ? searchResult.corrections : {},
+        partialMatch: searchResult ? searchResult.partial : false,
         sortBy: sortBy || 'createdAt',
         sortOrder: sortOrder === 1 ? 'asc' : 'desc'
       },
+      ...(facets && { facets }),
       debug: {
         regularListings: regularListings.length,
         userSubmissions: transformedSubmissions.length,
@@ -21660,9 +21442,11 @@ if ((path === '/listings' || path === '/api/listings') && req.method === 'GET')
     // FALLBACK: If usersubmissions integration fails, return regular listings only
     try {
       console.log(`[${timestamp}] Falling back to regular listings only due to error`);
-      
-      const total = await listingsCollection.countDocuments(filter);
-      const listings = await listingsCollection.find(filter)
+
+      // No ranking here: plain escaped substring match on the same fields
+      const fallbackFilter = search ? { $and: [filter, searchFallbackFilter(search)] } : filter;
+      const total = await listingsCollection.countDocuments(fallbackFilter);
+      const listings = await listingsCollection.find(fallbackFilter)
         .skip(skip)
         .limit(limit)
         .sort(sort)
@@ -22176,8 +21960,7 @@ if (path === '/admin/sync-featured-listings' && req.method === 'POST') {
 // POST /listings/track-click — records a user's listing or article click for personalization
 if (path === '/listings/track-click' && req.method === 'POST') {
   try {
-    const chunks = []; for await (const c of req) chunks.push(c);
-    const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+    const body = req.body;
     const { listingId, make, model, category, fuelType, price, source, sessionId } = body;
 
     const clicksCollection = db.collection('userclicks');
@@ -22431,18 +22214,7 @@ if (path === '/listings/batch-delete' && req.method === 'POST') {
   console.log(`[${timestamp}] → BATCH DELETE LISTINGS`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     const { ids } = body;
     
@@ -22494,18 +22266,7 @@ if (path === '/listings/batch-status' && req.method === 'PATCH') {
   console.log(`[${timestamp}] → BATCH STATUS UPDATE`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     const { ids, status } = body;
     
@@ -22527,6 +22288,7 @@ if (path === '/listings/batch-status' && req.method === 'PATCH') {
     const { ObjectId } = await import('mongodb');
     
     const objectIds = ids.map(id => new ObjectId(id));
+    const previousListings = await listingsCollection.find({ _id: { $in: objectIds } }).toArray();
     
     const result = await listingsCollection.updateMany(
       { _id: { $in: objectIds } },
@@ -22537,6 +22299,10 @@ if (path === '/listings/batch-status' && req.method === 'PATCH') {
         }
       }
     );
+    for (const before of previousListings) {
+      await trackListingChange(db, before, { status }, { source: 'listing_batch_status' });
+      await matchSavedSearches(db, { ...before, status }, { previousStatus: before.status });
+    }
     
     console.log(`[${timestamp}] ✅ Batch updated ${result.modifiedCount} listings to ${status}`);
     
@@ -22673,6 +22439,9 @@ if (path.match(/^\/listings\/[a-fA-F0-9]{24}\/status\/[a-zA-Z]+$/) && (req.metho
       }
     );
     
+    await trackListingChange(db, existingListing, { status: newStatus }, { source: 'listing_status' });
+    await matchSavedSearches(db, { ...existingListing, status: newStatus }, { previousStatus: existingListing.status });
+    
     console.log(`[${timestamp}] ✅ Listing status updated: ${existingListing.title} → ${newStatus}`);
     
     return res.status(200).json({
@@ -22760,7 +22529,7 @@ if (path.match(/^\/models\/(.+)$/) && req.method === 'GET') {
     const listingsCollection = db.collection('listings');
     
     const models = await listingsCollection.distinct('specifications.model', {
-      'specifications.make': { $regex: new RegExp(`^${make}$`, 'i') },
+      'specifications.make': { $regex: exactMatchRegex(make) },
       status: { $ne: 'deleted' },
       'specifications.model': { $exists: true, $ne: null, $ne: '' }
     });
@@ -22822,7 +22591,7 @@ if (path.match(/^\/listings\/models\/(.+)$/) && req.method === 'GET') {
     const listingsCollection = db.collection('listings');
     
     const models = await listingsCollection.distinct('specifications.model', {
-      'specifications.make': { $regex: new RegExp(`^${make}$`, 'i') },
+      'specifications.make': { $regex: exactMatchRegex(make) },
       status: { $ne: 'deleted' },
       'specifications.model': { $exists: true, $ne: null, $ne: '' }
     });
@@ -22885,7 +22654,7 @@ if (path === '/listings/models' && req.method === 'GET') {
     const listingsCollection = db.collection('listings');
     
     const models = await listingsCollection.distinct('specifications.model', {
-      'specifications.make': { $regex: new RegExp(`^${make}$`, 'i') },
+      'specifications.make': { $regex: exactMatchRegex(make) },
       status: { $ne: 'deleted' },
       'specifications.model': { $exists: true, $ne: null, $ne: '' }
     });
@@ -23567,98 +23336,49 @@ if (path.includes('/listings/') &&
           }
         }
         
-        // Parse request body - handle both JSON and FormData
+        // Request body comes from the shared body layer - handle both JSON and FormData
+        const contentType = req.headers['content-type'] || '';
         let dealerData = {};
-        let body = {};
+        console.log(`[${timestamp}] Request Content-Type: ${contentType}`);
         
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          
-          console.log(`[${timestamp}] Request Content-Type: ${req.headers['content-type']}`);
-          console.log(`[${timestamp}] Raw body preview: ${rawBody.substring(0, 200)}...`);
+        if (contentType.includes('multipart/form-data')) {
+          console.log(`[${timestamp}] Parsing as FormData`);
+          const fields = req.body;
           
-          // Check if it's JSON or FormData
-          const contentType = req.headers['content-type'] || '';
-          
-          if (contentType.includes('application/json')) {
-            // Handle JSON request
-            console.log(`[${timestamp}] Parsing as JSON`);
-            body = JSON.parse(rawBody);
-            dealerData = body;
-          } else if (contentType.includes('multipart/form-data') || rawBody.includes('Content-Disposition')) {
-            // Handle FormData request
-            console.log(`[${timestamp}] Parsing as FormData`);
-            
-            // Simple FormData parser for dealerData field
-            const dealerDataMatch = rawBody.match(/name="dealerData"[^]*?\r\n\r\n([^]*?)\r\n--/);
-            if (dealerDataMatch) {
-              try {
-                dealerData = JSON.parse(dealerDataMatch[1]);
-                console.log(`[${timestamp}] Extracted dealerData from FormData:`, Object.keys(dealerData));
-              } catch (jsonError) {
-                console.log(`[${timestamp}] Failed to parse dealerData JSON:`, jsonError.message);
-              }
-            }
-            
-            // Extract individual fields as fallback
-            const extractField = (fieldName) => {
-              const regex = new RegExp(`name="${fieldName}"[^]*?\\r\\n\\r\\n([^\\r\\n]+)`);
-              const match = rawBody.match(regex);
-              return match ? match[1].trim() : null;
-            };
-            
-            // Fallback field extraction
-            if (!dealerData.businessName) dealerData.businessName = extractField('businessName');
-            if (!dealerData.businessType) dealerData.businessType = extractField('businessType');
-            if (!dealerData.sellerType) dealerData.sellerType = extractField('sellerType');
-            if (!dealerData.status) dealerData.status = extractField('status') || 'active';
-            if (!dealerData.user) dealerData.user = extractField('user');
-            
-            // Parse JSON fields from FormData
-            const jsonFields = ['contact', 'location', 'profile', 'subscription', 'privateSeller'];
-            jsonFields.forEach(fieldName => {
-              if (!dealerData[fieldName]) {
-                const fieldValue = extractField(fieldName);
-                if (fieldValue) {
-                  try {
-                    dealerData[fieldName] = JSON.parse(fieldValue);
-                  } catch (parseError) {
-                    console.log(`[${timestamp}] Failed to parse ${fieldName}:`, parseError.message);
-                  }
-                }
-              }
-            });
-            
-          } else {
-            // Try JSON as fallback
-            console.log(`[${timestamp}] Unknown content type, trying JSON fallback`);
-            try {
-              body = JSON.parse(rawBody);
-              dealerData = body;
-            } catch (jsonError) {
-              console.log(`[${timestamp}] JSON fallback failed:`, jsonError.message);
-              // If everything fails, return error with more info
-              return res.status(400).json({
-                success: false,
-                message: 'Invalid request body format',
-                debug: {
-                  contentType: contentType,
-                  bodyPreview: rawBody.substring(0, 100),
-                  suggestion: 'Expected JSON or multipart/form-data'
-                }
-              });
+          // dealerData carries the whole dealer as one JSON field
+          if (fields.dealerData) {
+            try {
+              dealerData = JSON.parse(fields.dealerData);
+              console.log(`[${timestamp}] Extracted dealerData from FormData:`, Object.keys(dealerData));
+            } catch (jsonError) {
+              console.log(`[${timestamp}] Failed to parse dealerData JSON:`, jsonError.message);
             }
           }
           
-        } catch (parseError) {
-          console.error(`[${timestamp}] Body parsing error:`, parseError);
-          return res.status(400).json({
-            success: false,
-            message: 'Failed to parse request body',
-            error: parseError.message
+          const formField = (fieldName) => (typeof fields[fieldName] === 'string' ? fields[fieldName].trim() || null : null);
+          
+          // Fallback field extraction
+          if (!dealerData.businessName) dealerData.businessName = formField('businessName');
+          if (!dealerData.businessType) dealerData.businessType = formField('businessType');
+          if (!dealerData.sellerType) dealerData.sellerType = formField('sellerType');
+          if (!dealerData.status) dealerData.status = formField('status') || 'active';
+          if (!dealerData.user) dealerData.user = formField('user');
+          
+          // Parse JSON fields from FormData
+          const jsonFields = ['contact', 'location', 'profile', 'subscription', 'privateSeller'];
+          jsonFields.forEach(fieldName => {
+            const fieldValue = !dealerData[fieldName] && formField(fieldName);
+            if (fieldValue) {
+              try {
+                dealerData[fieldName] = JSON.parse(fieldValue);
+              } catch (parseError) {
+                console.log(`[${timestamp}] Failed to parse ${fieldName}:`, parseError.message);
+              }
+            }
           });
+          
+        } else {
+          dealerData = { ...req.body };
         }
         
         console.log(`[${timestamp}] Final parsed dealer data:`, {
@@ -23914,18 +23634,7 @@ if (path.includes('/listings/') &&
           }
         }
         
-        let body = {};
-        try {
-          const chunks = [];
-          for await (const chunk of req) chunks.push(chunk);
-          const rawBody = Buffer.concat(chunks).toString();
-          if (rawBody) body = JSON.parse(rawBody);
-        } catch (parseError) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid request body format'
-          });
-        }
+        let body = req.body;
         
         console.log(`[${timestamp}] Creating dealer via traditional API:`, body);
         
@@ -24208,8 +23917,7 @@ if (path.includes('/listings/') &&
       if (!authResult.success) return;
       const { ObjectId } = await import('mongodb');
       const dealerId = path.split('/')[2];
-      const chunks = []; for await (const c of req) chunks.push(c);
-      const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+      const body = req.body;
       const claimsCollection = db.collection('dealerclaims');
       const dealersCollection = db.collection('dealers');
       const usersCollection = db.collection('users');
@@ -24290,8 +23998,7 @@ if (path.includes('/listings/') &&
       if (authResult.user?.role !== 'admin') return res.status(403).json({ success: false, message: 'Admin only' });
       const { ObjectId } = await import('mongodb');
       const claimId = path.split('/').pop();
-      const chunks = []; for await (const c of req) chunks.push(c);
-      const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+      const body = req.body;
       const { action, adminNote } = body; // action: 'approve' | 'reject'
       if (!['approve', 'reject'].includes(action)) return res.status(400).json({ success: false, message: 'action must be approve or reject' });
 
@@ -24357,15 +24064,6 @@ if (path.includes('/listings/') &&
 
       if (contentType.includes('multipart/form-data')) {
         // ── Image upload (banner or logo) ──────────────────────────────────
-        const boundaryMatch = contentType.match(/boundary=([^\s;]+)/);
-        if (!boundaryMatch) return res.status(400).json({ success: false, message: 'No multipart boundary' });
-        const boundary = boundaryMatch[1];
-
-        const chunks = []; for await (const c of req) chunks.push(c);
-        const rawBody = Buffer.concat(chunks);
-        const bodyStr = rawBody.toString('binary');
-        const parts = bodyStr.split('--' + boundary);
-
         const awsKey = process.env.AWS_ACCESS_KEY_ID;
         const awsSecret = process.env.AWS_SECRET_ACCESS_KEY;
         const awsBucket = process.env.AWS_S3_BUCKET_NAME || 'bw-car-culture-images';
@@ -24375,34 +24073,20 @@ if (path.includes('/listings/') &&
         const { S3Client, PutObjectCommand } = await import('@aws-sdk/client-s3');
         const s3 = new S3Client({ region: awsRegion, credentials: { accessKeyId: awsKey, secretAccessKey: awsSecret } });
 
-        for (const part of parts) {
-          const fieldMatch = part.match(/Content-Disposition:.*name="([^"]+)"/);
-          if (!fieldMatch) continue;
-          const fieldName = fieldMatch[1]; // 'banner' or 'logo'
+        for (const file of req.files) {
+          const fieldName = file.fieldname; // 'banner' or 'logo'
           if (fieldName !== 'banner' && fieldName !== 'logo') continue;
+          if (file.size < 100) continue;
 
-          const filenameMatch = part.match(/filename="([^"]*)"/);
-          const filename = filenameMatch ? filenameMatch[1] : `${fieldName}.jpg`;
-          const ctMatch = part.match(/Content-Type: ([^\r\n]*)/);
-          const fileType = ctMatch ? ctMatch[1].trim() : 'image/jpeg';
-
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart === -1) continue;
-          const fileData = part.substring(dataStart + 4).replace(/\r\n$/, '').replace(/\r\n--$/, '');
-          const fileBuffer = Buffer.from(fileData, 'binary');
-          if (fileBuffer.length < 100) continue;
-
-          const ext = filename.split('.').pop() || 'jpg';
+          const ext = file.filename.split('.').pop() || 'jpg';
           const s3Key = `dealers/${resolvedDealerId}/${fieldName}-${Date.now()}-${Math.random().toString(36).slice(2)}.${ext}`;
-          await s3.send(new PutObjectCommand({ Bucket: awsBucket, Key: s3Key, Body: fileBuffer, ContentType: fileType }));
+          await s3.send(new PutObjectCommand({ Bucket: awsBucket, Key: s3Key, Body: file.buffer, ContentType: file.mimetype }));
           const url = `https://${awsBucket}.s3.${awsRegion}.amazonaws.com/${s3Key}`;
           updates[`profile.${fieldName}`] = url;
         }
       } else {
         // ── JSON update (bio, hours, contact) ─────────────────────────────
-        const chunks = []; for await (const c of req) chunks.push(c);
-        let body = {};
-        try { body = JSON.parse(Buffer.concat(chunks).toString() || '{}'); } catch (_) {}
+        const body = req.body;
 
         if (body.description !== undefined) updates['profile.description'] = body.description;
         if (body.workingHours !== undefined) {
@@ -24460,8 +24144,7 @@ if (path.includes('/listings/') &&
       const authResult = await verifyUserToken(req);
       if (!authResult.success) return res.status(401).json({ success: false, message: authResult.message || 'Unauthorised' });
       const { ObjectId } = await import('mongodb');
-      const chunks = []; for await (const c of req) chunks.push(c);
-      const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+      const body = req.body;
       const { businessId, businessType, title, content, type, pinned, expiresAt } = body;
       if (!businessId || !businessType || !title || !content) return res.status(400).json({ success: false, message: 'businessId, businessType, title and content are required' });
 
@@ -24720,126 +24403,59 @@ if (path.match(/^\/dealers\/[a-fA-F0-9]{24}$/) && req.method === 'PUT') {
       }
     }
     
-    // Enhanced request body parsing with detailed logging
+    // Request body comes from the shared body layer (JSON or FormData)
+    const contentType = req.headers['content-type'] || '';
     let dealerData = {};
-    let rawBody = '';
+    console.log(`[${timestamp}] UPDATE - Content-Type: ${contentType}`);
     
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      rawBody = Buffer.concat(chunks).toString();
+    if (contentType.includes('multipart/form-data')) {
+      console.log(`[${timestamp}] UPDATE - Parsing as FormData`);
+      const fields = req.body;
       
-      console.log(`[${timestamp}] UPDATE - Content-Type: ${req.headers['content-type']}`);
-      console.log(`[${timestamp}] UPDATE - Body size: ${rawBody.length} bytes`);
-      console.log(`[${timestamp}] UPDATE - Body preview: ${rawBody.substring(0, 200)}...`);
+      // dealerData carries the whole update as one JSON field
+      if (fields.dealerData) {
+        try {
+          dealerData = JSON.parse(String(fields.dealerData).trim());
+          console.log(`[${timestamp}] UPDATE - FormData dealerData parsed:`, Object.keys(dealerData));
+        } catch (jsonParseError) {
+          console.error(`[${timestamp}] UPDATE - Failed to parse dealerData JSON:`, jsonParseError.message);
+          // Fallback: take individual fields below
+          dealerData = {};
+        }
+      }
       
-      const contentType = req.headers['content-type'] || '';
+      const formField = (fieldName) => {
+        const value = typeof fields[fieldName] === 'string' ? fields[fieldName].trim() : null;
+        return value && value !== 'undefined' && value !== 'null' ? value : null;
+      };
       
-      if (contentType.includes('application/json')) {
-        // Handle JSON request
-        console.log(`[${timestamp}] UPDATE - Parsing as JSON`);
-        dealerData = JSON.parse(rawBody);
-        console.log(`[${timestamp}] UPDATE - JSON parsed successfully:`, Object.keys(dealerData));
-        
-      } else if (contentType.includes('multipart/form-data') || rawBody.includes('Content-Disposition')) {
-        // Handle FormData request with enhanced parsing
-        console.log(`[${timestamp}] UPDATE - Parsing as FormData`);
-        
-        // Extract dealerData JSON field
-        const dealerDataPattern = /name="dealerData"[^]*?\r\n\r\n([^]*?)\r\n--/;
-        const dealerDataMatch = rawBody.match(dealerDataPattern);
-        
-        if (dealerDataMatch) {
+      // Extract and parse complex fields
+      const complexFields = ['contact', 'location', 'profile', 'subscription', 'verification', 'privateSeller'];
+      complexFields.forEach(fieldName => {
+        const fieldValue = !dealerData[fieldName] && formField(fieldName);
+        if (fieldValue) {
           try {
-            const dealerDataJSON = dealerDataMatch[1].trim();
-            dealerData = JSON.parse(dealerDataJSON);
-            console.log(`[${timestamp}] UPDATE - FormData dealerData parsed:`, Object.keys(dealerData));
-          } catch (jsonParseError) {
-            console.error(`[${timestamp}] UPDATE - Failed to parse dealerData JSON:`, jsonParseError.message);
-            console.log(`[${timestamp}] UPDATE - Raw dealerData content:`, dealerDataMatch[1]);
-            
-            // Fallback: try to extract individual fields
-            dealerData = {};
-          }
-        }
-        
-        // Enhanced field extraction function
-        const extractFormField = (fieldName) => {
-          const patterns = [
-            new RegExp(`name="${fieldName}"[^]*?\\r\\n\\r\\n([^\\r\\n]+)`, 'g'),
-            new RegExp(`name="${fieldName}"[^]*?\\n\\n([^\\n]+)`, 'g'),
-            new RegExp(`name="${fieldName}".*?\\r\\n\\r\\n([^\\r\\n--]+)`, 'g')
-          ];
-          
-          for (const pattern of patterns) {
-            const match = pattern.exec(rawBody);
-            if (match && match[1]) {
-              return match[1].trim();
-            }
-          }
-          return null;
-        };
-        
-        // Extract and parse complex fields
-        const complexFields = ['contact', 'location', 'profile', 'subscription', 'verification', 'privateSeller'];
-        complexFields.forEach(fieldName => {
-          if (!dealerData[fieldName]) {
-            const fieldValue = extractFormField(fieldName);
-            if (fieldValue && fieldValue !== 'undefined' && fieldValue !== 'null') {
-              try {
-                dealerData[fieldName] = JSON.parse(fieldValue);
-                console.log(`[${timestamp}] UPDATE - Parsed ${fieldName} from FormData`);
-              } catch (parseError) {
-                console.log(`[${timestamp}] UPDATE - Failed to parse ${fieldName}:`, parseError.message);
-              }
-            }
-          }
-        });
-        
-        // Extract simple fields as fallback
-        const simpleFields = ['businessName', 'businessType', 'sellerType', 'status', 'user'];
-        simpleFields.forEach(fieldName => {
-          if (!dealerData[fieldName]) {
-            const fieldValue = extractFormField(fieldName);
-            if (fieldValue && fieldValue !== 'undefined' && fieldValue !== 'null') {
-              dealerData[fieldName] = fieldValue;
-              console.log(`[${timestamp}] UPDATE - Extracted ${fieldName}: ${fieldValue}`);
-            }
+            dealerData[fieldName] = JSON.parse(fieldValue);
+            console.log(`[${timestamp}] UPDATE - Parsed ${fieldName} from FormData`);
+          } catch (parseError) {
+            console.log(`[${timestamp}] UPDATE - Failed to parse ${fieldName}:`, parseError.message);
           }
-        });
-        
-      } else {
-        // Try JSON fallback
-        console.log(`[${timestamp}] UPDATE - Unknown content type, trying JSON fallback`);
-        try {
-          dealerData = JSON.parse(rawBody);
-          console.log(`[${timestamp}] UPDATE - JSON fallback successful`);
-        } catch (jsonFallbackError) {
-          console.error(`[${timestamp}] UPDATE - All parsing methods failed`);
-          return res.status(400).json({
-            success: false,
-            message: 'Unable to parse request body',
-            debug: {
-              contentType: contentType,
-              bodySize: rawBody.length,
-              bodyPreview: rawBody.substring(0, 100),
-              error: jsonFallbackError.message
-            }
-          });
         }
-      }
+      });
       
-    } catch (bodyParseError) {
-      console.error(`[${timestamp}] UPDATE - Body parsing error:`, bodyParseError.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to parse request body',
-        error: bodyParseError.message,
-        debug: {
-          bodySize: rawBody.length,
-          hasContent: rawBody.length > 0
+      // Extract simple fields as fallback
+      const simpleFields = ['businessName', 'businessType', 'sellerType', 'status', 'user'];
+      simpleFields.forEach(fieldName => {
+        const fieldValue = !dealerData[fieldName] && formField(fieldName);
+        if (fieldValue) {
+          dealerData[fieldName] = fieldValue;
+          console.log(`[${timestamp}] UPDATE - Extracted ${fieldName}: ${fieldValue}`);
         }
       });
+      
+    } else {
+      dealerData = { ...req.body };
+      console.log(`[${timestamp}] UPDATE - JSON body fields:`, Object.keys(dealerData));
     }
     
     console.log(`[${timestamp}] UPDATE - Final parsed data structure:`, {
@@ -25397,10 +25013,6 @@ if (path === '/providers' && req.method === 'POST') {
   try {
     console.log(`[${timestamp}] → CREATE SERVICE PROVIDER WITH FILES`);
     
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
     const contentType = req.headers['content-type'] || '';
     
     if (!contentType.includes('multipart/form-data')) {
@@ -25410,73 +25022,27 @@ if (path === '/providers' && req.method === 'POST') {
       });
     }
     
-    const boundaryMatch = contentType.match(/boundary=(.+)$/);
-    if (!boundaryMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'No boundary found in multipart data'
-      });
-    }
-    
-    const boundary = boundaryMatch[1];
-    const bodyString = rawBody.toString('binary');
-    const parts = bodyString.split(`--${boundary}`);
-    
     let providerData = {};
     const files = {}; // Store uploaded files
     
-    // Parse each part of the multipart data
-    for (const part of parts) {
-      if (part.includes('Content-Disposition: form-data')) {
-        const nameMatch = part.match(/name="([^"]+)"/);
-        if (!nameMatch) continue;
-        
-        const fieldName = nameMatch[1];
-        const isFile = part.includes('filename=');
-        
-        if (isFile) {
-          // Handle file upload
-          const filenameMatch = part.match(/filename="([^"]+)"/);
-          if (!filenameMatch || !filenameMatch[1]) continue;
-          
-          const filename = filenameMatch[1];
-          const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-          const fileType = contentTypeMatch ? contentTypeMatch[1].trim() : 'image/jpeg';
-          
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart !== -1) {
-            const fileData = part.substring(dataStart + 4);
-            const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-            const fileBuffer = Buffer.from(cleanData, 'binary');
-            
-            if (fileBuffer.length > 100) { // Skip very small files
-              files[fieldName] = {
-                filename: filename,
-                buffer: fileBuffer,
-                mimetype: fileType,
-                size: fileBuffer.length
-              };
-              console.log(`[${timestamp}] Found file: ${fieldName} (${filename}, ${fileBuffer.length} bytes)`);
-            }
-          }
-        } else {
-          // Handle regular form field
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart !== -1) {
-            const fieldValue = part.substring(dataStart + 4).replace(/\r\n$/, '').trim();
-            
-            // Try to parse JSON fields
-            if (['contact', 'location', 'profile', 'social'].includes(fieldName)) {
-              try {
-                providerData[fieldName] = JSON.parse(fieldValue);
-              } catch (e) {
-                providerData[fieldName] = fieldValue;
-              }
-            } else {
-              providerData[fieldName] = fieldValue;
-            }
-          }
+    for (const file of req.files) {
+      if (file.size > 100) { // Skip very small files
+        files[file.fieldname] = file;
+        console.log(`[${timestamp}] Found file: ${file.fieldname} (${file.filename}, ${file.size} bytes)`);
+      }
+    }
+    
+    for (const [fieldName, rawValue] of Object.entries(req.body)) {
+      const fieldValue = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+      // Try to parse JSON fields
+      if (['contact', 'location', 'profile', 'social'].includes(fieldName)) {
+        try {
+          providerData[fieldName] = JSON.parse(fieldValue);
+        } catch (e) {
+          providerData[fieldName] = fieldValue;
         }
+      } else {
+        providerData[fieldName] = fieldValue;
       }
     }
     
@@ -26055,18 +25621,7 @@ if (path.match(/^\/providers\/[a-fA-F0-9]{24}$/) && req.method === 'PUT') {
   console.log(`[${timestamp}] → UPDATE SERVICE PROVIDER ${providerId}`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     const providersCollection = db.collection('serviceproviders');
     const { ObjectId } = await import('mongodb');
@@ -27129,10 +26684,6 @@ if (path === '/rentals' && req.method === 'POST') {
   try {
     console.log(`[${timestamp}] → CREATE CAR RENTAL WITH IMAGES`);
     
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
     const contentType = req.headers['content-type'] || '';
     let rentalData = {};
     const uploadedImages = [];
@@ -27140,104 +26691,47 @@ if (path === '/rentals' && req.method === 'POST') {
     if (contentType.includes('application/json')) {
       // Handle JSON request (no images)
       console.log(`[${timestamp}] Processing JSON car rental request`);
-      try {
-        const rawBodyString = rawBody.toString();
-        if (rawBodyString) rentalData = JSON.parse(rawBodyString);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON format'
-        });
-      }
+      rentalData = { ...req.body };
       
     } else if (contentType.includes('multipart/form-data')) {
       // Handle FormData request (with images)
       console.log(`[${timestamp}] Processing FormData car rental request with images`);
       
-      const boundaryMatch = contentType.match(/boundary=(.+)$/);
-      if (!boundaryMatch) {
-        return res.status(400).json({
-          success: false,
-          message: 'No boundary found in multipart data'
-        });
-      }
-      
-      const boundary = boundaryMatch[1];
-      const bodyString = rawBody.toString('binary');
-      const parts = bodyString.split(`--${boundary}`);
-      
       const files = {};
       
-      // Parse each part of the multipart data
-      for (const part of parts) {
-        if (part.includes('Content-Disposition: form-data')) {
-          const nameMatch = part.match(/name="([^"]+)"/);
-          if (!nameMatch) continue;
-          
-          const fieldName = nameMatch[1];
-          const isFile = part.includes('filename=');
-          
-          if (isFile) {
-            // Handle file upload
-            const filenameMatch = part.match(/filename="([^"]+)"/);
-            if (!filenameMatch || !filenameMatch[1]) continue;
-            
-            const filename = filenameMatch[1];
-            const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-            const fileType = contentTypeMatch ? contentTypeMatch[1].trim() : 'image/jpeg';
-            
-            const dataStart = part.indexOf('\r\n\r\n');
-            if (dataStart !== -1) {
-              const fileData = part.substring(dataStart + 4);
-              const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-              const fileBuffer = Buffer.from(cleanData, 'binary');
-              
-              if (fileBuffer.length > 100) {
-                const fileObj = {
-                  filename: filename,
-                  buffer: fileBuffer,
-                  mimetype: fileType,
-                  size: fileBuffer.length
-                };
-                
-                // ENHANCED: Validate file before processing
-                try {
-                  validateImageFile(fileObj);
-                  files[fieldName] = fileObj;
-                  console.log(`[${timestamp}] Valid car image: ${fieldName} (${filename}, ${fileBuffer.length} bytes)`);
-                } catch (validationError) {
-                  console.warn(`[${timestamp}] Invalid file ${fieldName}: ${validationError.message}`);
-                  // Skip invalid files instead of failing entire request
-                }
-              }
-            }
-          } else {
-            // Handle regular form field
-            const dataStart = part.indexOf('\r\n\r\n');
-            if (dataStart !== -1) {
-              const fieldValue = part.substring(dataStart + 4).replace(/\r\n$/, '').trim();
-              
-              // Try to parse JSON fields first
-              if (fieldName === 'vehicleData') {
-                try {
-                  const vehicleDataParsed = JSON.parse(fieldValue);
-                  rentalData = { ...rentalData, ...vehicleDataParsed };
-                  console.log(`[${timestamp}] Parsed vehicleData from FormData`);
-                } catch (e) {
-                  console.log(`[${timestamp}] Failed to parse vehicleData, treating as regular field`);
-                  rentalData[fieldName] = fieldValue;
-                }
-              } else if (['specifications', 'features', 'rates', 'location', 'provider', 'rentalTerms'].includes(fieldName)) {
-                try {
-                  rentalData[fieldName] = JSON.parse(fieldValue);
-                } catch (e) {
-                  rentalData[fieldName] = fieldValue;
-                }
-              } else {
-                rentalData[fieldName] = fieldValue;
-              }
-            }
+      for (const file of req.files) {
+        if (file.size <= 100) continue;
+        // ENHANCED: Validate file before processing
+        try {
+          validateImageFile(file);
+          files[file.fieldname] = file;
+          console.log(`[${timestamp}] Valid car image: ${file.fieldname} (${file.filename}, ${file.size} bytes)`);
+        } catch (validationError) {
+          console.warn(`[${timestamp}] Invalid file ${file.fieldname}: ${validationError.message}`);
+          // Skip invalid files instead of failing entire request
+        }
+      }
+      
+      for (const [fieldName, rawValue] of Object.entries(req.body)) {
+        const fieldValue = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+        // Try to parse JSON fields first
+        if (fieldName === 'vehicleData') {
+          try {
+            const vehicleDataParsed = JSON.parse(fieldValue);
+            rentalData = { ...rentalData, ...vehicleDataParsed };
+            console.log(`[${timestamp}] Parsed vehicleData from FormData`);
+          } catch (e) {
+            console.log(`[${timestamp}] Failed to parse vehicleData, treating as regular field`);
+            rentalData[fieldName] = fieldValue;
+          }
+        } else if (['specifications', 'features', 'rates', 'location', 'provider', 'rentalTerms'].includes(fieldName)) {
+          try {
+            rentalData[fieldName] = JSON.parse(fieldValue);
+          } catch (e) {
+            rentalData[fieldName] = fieldValue;
           }
+        } else {
+          rentalData[fieldName] = fieldValue;
         }
       }
       
@@ -28221,20 +27715,7 @@ if (path.match(/^\/rentals\/[a-fA-F0-9]{24}\/status$/) && req.method === 'PATCH'
   console.log(`[${timestamp}] → UPDATE RENTAL STATUS: ${rentalId}`);
   
   try {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
-    let requestData = {};
-    try {
-      const rawBodyString = rawBody.toString();
-      if (rawBodyString) requestData = JSON.parse(rawBodyString);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid JSON format'
-      });
-    }
+    const requestData = req.body;
     
     const { status } = requestData;
     
@@ -28322,20 +27803,7 @@ if (path === '/rentals/batch' && req.method === 'PATCH') {
   console.log(`[${timestamp}] → RENTAL BATCH OPERATIONS`);
   
   try {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
-    let requestData = {};
-    try {
-      const rawBodyString = rawBody.toString();
-      if (rawBodyString) requestData = JSON.parse(rawBodyString);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid JSON format'
-      });
-    }
+    const requestData = req.body;
     
     const { action, rentalIds, data } = requestData;
     
@@ -28450,61 +27918,25 @@ if (path.match(/^\/rentals\/[a-fA-F0-9]{24}$/) && req.method === 'PUT') {
   console.log(`[${timestamp}] → UPDATE RENTAL: ${rentalId}`);
   
   try {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
     const contentType = req.headers['content-type'] || '';
     let rentalData = {};
     let uploadedImages = [];
     
     // Parse request body similar to create endpoint
     if (contentType.includes('application/json')) {
-      try {
-        const rawBodyString = rawBody.toString();
-        if (rawBodyString) rentalData = JSON.parse(rawBodyString);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON format'
-        });
-      }
+      rentalData = { ...req.body };
     } else if (contentType.includes('multipart/form-data')) {
-      // Handle FormData parsing (similar to create)
-      const boundaryMatch = contentType.match(/boundary=(.+)$/);
-      if (!boundaryMatch) {
-        return res.status(400).json({
-          success: false,
-          message: 'No boundary found in multipart data'
-        });
-      }
-      
-      const boundary = boundaryMatch[1];
-      const bodyString = rawBody.toString('binary');
-      const parts = bodyString.split(`--${boundary}`);
-      
-      // Parse form data similar to create endpoint
-      for (const part of parts) {
-        if (part.includes('Content-Disposition: form-data')) {
-          const nameMatch = part.match(/name="([^"]+)"/);
-          if (!nameMatch) continue;
-          
-          const fieldName = nameMatch[1];
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart !== -1) {
-            const fieldValue = part.substring(dataStart + 4).replace(/\r\n$/, '').trim();
-            
-            if (fieldName === 'vehicleData') {
-              try {
-                const vehicleDataParsed = JSON.parse(fieldValue);
-                rentalData = { ...rentalData, ...vehicleDataParsed };
-              } catch (e) {
-                rentalData[fieldName] = fieldValue;
-              }
-            } else {
-              rentalData[fieldName] = fieldValue;
-            }
+      for (const [fieldName, rawValue] of Object.entries(req.body)) {
+        const fieldValue = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+        if (fieldName === 'vehicleData') {
+          try {
+            const vehicleDataParsed = JSON.parse(fieldValue);
+            rentalData = { ...rentalData, ...vehicleDataParsed };
+          } catch (e) {
+            rentalData[fieldName] = fieldValue;
           }
+        } else {
+          rentalData[fieldName] = fieldValue;
         }
       }
     }
@@ -29103,95 +28535,36 @@ if (path === '/transport' && req.method === 'POST') {
   try {
     console.log(`[${timestamp}] → CREATE TRANSPORT ROUTE`);
     
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
     const contentType = req.headers['content-type'] || '';
     let routeData = {};
     const uploadedImages = [];
     
-    // Handle both JSON and FormData requests
+    // Handle both JSON and FormData requests (parsed by the shared body layer)
     if (contentType.includes('application/json')) {
-      try {
-        const rawBodyString = rawBody.toString();
-        if (rawBodyString) routeData = JSON.parse(rawBodyString);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid JSON format'
-        });
-      }
+      routeData = { ...req.body };
       
     } else if (contentType.includes('multipart/form-data')) {
       console.log(`[${timestamp}] Processing FormData with images`);
       
-      const boundaryMatch = contentType.match(/boundary=(.+)$/);
-      if (!boundaryMatch) {
-        return res.status(400).json({
-          success: false,
-          message: 'No boundary found in multipart data'
-        });
-      }
-      
-      const boundary = boundaryMatch[1];
-      const bodyString = rawBody.toString('binary');
-      const parts = bodyString.split(`--${boundary}`);
-      const files = {};
-      
-      // Parse multipart data
-      for (const part of parts) {
-        if (part.includes('Content-Disposition: form-data')) {
-          const nameMatch = part.match(/name="([^"]+)"/);
-          if (!nameMatch) continue;
-          
-          const fieldName = nameMatch[1];
-          const isFile = part.includes('filename=');
-          
-          if (isFile) {
-            const filenameMatch = part.match(/filename="([^"]+)"/);
-            if (!filenameMatch || !filenameMatch[1]) continue;
-            
-            const filename = filenameMatch[1];
-            const contentTypeMatch = part.match(/Content-Type: ([^\r\n]+)/);
-            const fileType = contentTypeMatch ? contentTypeMatch[1].trim() : 'image/jpeg';
-            
-            const dataStart = part.indexOf('\r\n\r\n');
-            if (dataStart !== -1) {
-              const fileData = part.substring(dataStart + 4);
-              const cleanData = fileData.replace(/\r\n$/, '').replace(/\r\n--$/, '');
-              const fileBuffer = Buffer.from(cleanData, 'binary');
-              
-              if (fileBuffer.length > 100) {
-                // Support multiple files with the same field name by storing as array
-                if (!files[fieldName]) files[fieldName] = [];
-                files[fieldName].push({
-                  filename: filename,
-                  buffer: fileBuffer,
-                  mimetype: fileType,
-                  size: fileBuffer.length
-                });
-              }
-            }
-          } else {
-            const dataStart = part.indexOf('\r\n\r\n');
-            if (dataStart !== -1) {
-              const fieldValue = part.substring(dataStart + 4).replace(/\r\n$/, '').trim();
-              
-              // Parse JSON fields
-              if (['origin', 'destination', 'stops', 'schedule', 'pricing', 'accessibility', 'contact'].includes(fieldName)) {
-                try {
-                  routeData[fieldName] = JSON.parse(fieldValue);
-                } catch (e) {
-                  routeData[fieldName] = fieldValue;
-                }
-              } else {
-                routeData[fieldName] = fieldValue;
-              }
-            }
+      for (const [fieldName, rawValue] of Object.entries(req.body)) {
+        const fieldValue = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+        // Parse JSON fields
+        if (['origin', 'destination', 'stops', 'schedule', 'pricing', 'accessibility', 'contact'].includes(fieldName)) {
+          try {
+            routeData[fieldName] = JSON.parse(fieldValue);
+          } catch (e) {
+            routeData[fieldName] = fieldValue;
           }
+        } else {
+          routeData[fieldName] = fieldValue;
         }
       }
+
+      // Files grouped by field name to support multiple uploads with the same name
+      const files = {};
+      for (const file of req.files) {
+        if (file.size > 100) (files[file.fieldname] ||= []).push(file);
+      }
       
       // Upload images to S3 if configured
       if (Object.keys(files).length > 0) {
@@ -29766,9 +29139,7 @@ if (
   req.method === 'POST'
 ) {
   try {
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = JSON.parse(Buffer.concat(chunks).toString());
+    const body = req.body;
     if (!body.origin?.trim() || !body.destination?.trim() || body.standardFare == null) {
       return res.status(400).json({ success: false, message: 'origin, destination, and standardFare are required' });
     }
@@ -29805,9 +29176,7 @@ if (
 ) {
   try {
     const fareId = path.split('/').pop();
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const body = JSON.parse(Buffer.concat(chunks).toString());
+    const body = req.body;
     const { ObjectId } = await import('mongodb');
     const col = db.collection('transitfares');
     const update = {
@@ -30247,11 +29616,7 @@ if (path.match(/^\/transport\/[a-fA-F0-9]{24}\/status$/) && req.method === 'PATC
   console.log(`[${timestamp}] → UPDATE ROUTE STATUS: ${routeId}`);
   
   try {
-    let body = {};
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks).toString();
-    if (rawBody) body = JSON.parse(rawBody);
+    const body = req.body;
     
     const transportCollection = db.collection('transportroutes');
     const { ObjectId } = await import('mongodb');
@@ -30302,68 +29667,33 @@ if (path.match(/^\/transport\/[a-fA-F0-9]{24}$/) && req.method === 'PUT') {
     const { ObjectId } = await import('mongodb');
     const contentType = req.headers['content-type'] || '';
 
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-
-    let body = {};
+    const body = { ...req.body };
     const newImages = [];
 
-    if (contentType.includes('application/json')) {
-      try { body = JSON.parse(rawBody.toString()); } catch (e) {}
-    } else if (contentType.includes('multipart/form-data')) {
-      // Parse multipart (reuse same logic as POST)
-      const boundaryMatch = contentType.match(/boundary=(.+)$/);
-      if (boundaryMatch) {
-        const boundary = boundaryMatch[1];
-        const bodyString = rawBody.toString('binary');
-        const parts = bodyString.split(`--${boundary}`);
-        const files = {};
-        for (const part of parts) {
-          if (!part.includes('Content-Disposition: form-data')) continue;
-          const nameMatch = part.match(/name="([^"]+)"/);
-          if (!nameMatch) continue;
-          const fieldName = nameMatch[1];
-          const isFile = part.includes('filename=');
-          const dataStart = part.indexOf('\r\n\r\n');
-          if (dataStart === -1) continue;
-          if (isFile) {
-            const filenameMatch = part.match(/filename="([^"]+)"/);
-            if (!filenameMatch?.[1]) continue;
-            const ctMatch = part.match(/Content-Type: ([^\r\n]+)/);
-            const fileType = ctMatch ? ctMatch[1].trim() : 'image/jpeg';
-            const fileData = part.substring(dataStart + 4).replace(/\r\n$/, '').replace(/\r\n--$/, '');
-            const fileBuffer = Buffer.from(fileData, 'binary');
-            if (fileBuffer.length > 100) {
-              if (!files[fieldName]) files[fieldName] = [];
-              files[fieldName].push({ filename: filenameMatch[1], buffer: fileBuffer, mimetype: fileType, size: fileBuffer.length });
-            }
-          } else {
-            const fieldValue = part.substring(dataStart + 4).replace(/\r\n$/, '').trim();
-            try { body[fieldName] = JSON.parse(fieldValue); } catch (e) { body[fieldName] = fieldValue; }
-          }
-        }
-        // Upload new images to S3 if configured
-        const awsAccessKey = process.env.AWS_ACCESS_KEY_ID;
-        const awsSecretKey = process.env.AWS_SECRET_ACCESS_KEY;
-        const awsBucket = process.env.AWS_S3_BUCKET_NAME || 'bw-car-culture-images';
-        const awsRegion = process.env.AWS_S3_REGION || 'us-east-1';
-        if (Object.keys(files).length > 0 && awsAccessKey && awsSecretKey) {
-          const { S3Client, PutObjectCommand } = await import('@aws-sdk/client-s3');
-          const s3Client = new S3Client({ region: awsRegion, credentials: { accessKeyId: awsAccessKey, secretAccessKey: awsSecretKey } });
-          for (const [fieldName, fileOrFiles] of Object.entries(files)) {
-            const fileList = Array.isArray(fileOrFiles) ? fileOrFiles : [fileOrFiles];
-            for (const file of fileList) {
-              try {
-                const ts = Date.now();
-                const rand = Math.random().toString(36).substring(2, 8);
-                const ext = file.filename.split('.').pop() || 'jpg';
-                const key = `images/transport/${ts}-${rand}-${fieldName}.${ext}`;
-                await s3Client.send(new PutObjectCommand({ Bucket: awsBucket, Key: key, Body: file.buffer, ContentType: file.mimetype }));
-                newImages.push({ url: `https://${awsBucket}.s3.amazonaws.com/${key}`, key, size: file.size, mimetype: file.mimetype, isPrimary: newImages.length === 0 });
-              } catch (e) { console.error(`[${timestamp}] S3 upload failed:`, e.message); }
-            }
-          }
+    if (contentType.includes('multipart/form-data')) {
+      // FormData sends everything as strings; JSON-looking fields are decoded
+      for (const [fieldName, fieldValue] of Object.entries(body)) {
+        if (typeof fieldValue !== 'string') continue;
+        try { body[fieldName] = JSON.parse(fieldValue.trim()); } catch (e) { body[fieldName] = fieldValue.trim(); }
+      }
+      const files = req.files.filter(file => file.size > 100);
+      // Upload new images to S3 if configured
+      const awsAccessKey = process.env.AWS_ACCESS_KEY_ID;
+      const awsSecretKey = process.env.AWS_SECRET_ACCESS_KEY;
+      const awsBucket = process.env.AWS_S3_BUCKET_NAME || 'bw-car-culture-images';
+      const awsRegion = process.env.AWS_S3_REGION || 'us-east-1';
+      if (files.length > 0 && awsAccessKey && awsSecretKey) {
+        const { S3Client, PutObjectCommand } = await import('@aws-sdk/client-s3');
+        const s3Client = new S3Client({ region: awsRegion, credentials: { accessKeyId: awsAccessKey, secretAccessKey: awsSecretKey } });
+        for (const file of files) {
+          try {
+            const ts = Date.now();
+            const rand = Math.random().toString(36).substring(2, 8);
+            const ext = file.filename.split('.').pop() || 'jpg';
+            const key = `images/transport/${ts}-${rand}-${file.fieldname}.${ext}`;
+            await s3Client.send(new PutObjectCommand({ Bucket: awsBucket, Key: key, Body: file.buffer, ContentType: file.mimetype }));
+            newImages.push({ url: `https://${awsBucket}.s3.amazonaws.com/${key}`, key, size: file.size, mimetype: file.mimetype, isPrimary: newImages.length === 0 });
+          } catch (e) { console.error(`[${timestamp}] S3 upload failed:`, e.message); }
         }
       }
     }
@@ -30476,8 +29806,7 @@ if (path === '/transport/fleet' && req.method === 'POST') {
     const authResult = await verifyToken(req, res);
     if (!authResult.success) return;
     const { ObjectId } = await import('mongodb');
-    const chunks = []; for await (const c of req) chunks.push(c);
-    const body = JSON.parse(Buffer.concat(chunks).toString());
+    const body = req.body;
     const { registration, make, model, year, color, vehicleType, capacity, routeIds } = body;
     if (!registration || !vehicleType) return res.status(400).json({ success: false, message: 'Registration and vehicle type are required' });
 
@@ -30522,8 +29851,7 @@ if (path.match(/^\/transport\/fleet\/[a-fA-F0-9]{24}$/) && req.method === 'PUT')
     if (!authResult.success) return;
     const { ObjectId } = await import('mongodb');
     const vehicleId = path.split('/').pop();
-    const chunks = []; for await (const c of req) chunks.push(c);
-    const body = JSON.parse(Buffer.concat(chunks).toString());
+    const body = req.body;
     const { registration, make, model, year, color, vehicleType, capacity, routeIds, status } = body;
 
     const update = {};
@@ -30638,8 +29966,7 @@ if (path === '/transport/review' && req.method === 'POST') {
     const authResult = await verifyToken(req, res);
     if (!authResult.success) return;
     const { ObjectId } = await import('mongodb');
-    const chunks = []; for await (const c of req) chunks.push(c);
-    const body = JSON.parse(Buffer.concat(chunks).toString());
+    const body = req.body;
     const { identifier, identifierType, rating, comment, providerId, providerName } = body;
 
     if (!rating || rating < 1 || rating > 5) return res.status(400).json({ success: false, message: 'Rating (1–5) is required' });
@@ -30755,8 +30082,7 @@ if (path.match(/^\/transport\/reviews\/[a-fA-F0-9]{24}\/reply$/) && req.method =
     if (!authResult.success) return;
     const { ObjectId } = await import('mongodb');
     const reviewId = path.split('/')[3];
-    const chunks = []; for await (const c of req) chunks.push(c);
-    const { reply } = JSON.parse(Buffer.concat(chunks).toString());
+    const { reply } = req.body;
     if (!reply?.trim()) return res.status(400).json({ success: false, message: 'Reply is required' });
     await db.collection('transport_reviews').updateOne(
       { _id: new ObjectId(reviewId) },
@@ -30775,18 +30101,7 @@ if (path === '/transport/bulk-upload' && req.method === 'POST') {
   try {
     console.log(`[${timestamp}] → BULK UPLOAD TRANSPORT ROUTES`);
     
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody) body = JSON.parse(rawBody);
-    } catch (parseError) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid request body format'
-      });
-    }
+    let body = req.body;
     
     const { routes } = body;
     
@@ -31525,24 +30840,7 @@ if ((path === '/videos' || path === '/api/videos') && req.method === 'POST') {
     }
     if (!user) user = { _id: new ObjectId(userId), name: decoded.name || 'Admin' };
 
-    // Handle form data
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const rawBody = Buffer.concat(chunks);
-    
-    const contentType = req.headers['content-type'] || '';
-    let videoData = {};
-    
-    if (contentType.includes('application/json')) {
-      videoData = JSON.parse(rawBody.toString());
-    } else if (contentType.includes('multipart/form-data')) {
-      // Handle multipart form data for file uploads
-      const formData = new FormData();
-      // This is a simplified version - you might need a proper multipart parser
-      videoData = JSON.parse(rawBody.toString());
-    } else {
-      videoData = JSON.parse(rawBody.toString());
-    }
+    const videoData = { ...req.body };
     
     // Extract YouTube video ID if URL provided
     if (videoData.youtubeUrl && !videoData.youtubeVideoId) {
@@ -31643,9 +30941,7 @@ if (path.match(/^(\/api)?\/videos\/([a-f\d]{24})$/) && req.method === 'PUT') {
       });
     }
     
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const updateData = JSON.parse(Buffer.concat(chunks).toString());
+    const updateData = { ...req.body };
     
     // Extract YouTube video ID if URL changed
     if (updateData.youtubeUrl && !updateData.youtubeVideoId) {
@@ -32108,9 +31404,7 @@ if (path.match(/^\/videos\/([a-f\d]{24})\/status$/) && req.method === 'PATCH') {
       });
     }
     
-    const chunks = [];
-    for await (const chunk of req) chunks.push(chunk);
-    const { status } = JSON.parse(Buffer.concat(chunks).toString());
+    const { status } = req.body;
     
     if (!status || !['draft', 'published', 'archived'].includes(status)) {
       return res.status(400).json({
@@ -32170,21 +31464,7 @@ if ((path === '/analytics/track' || path === '/api/analytics/track') && req.meth
   console.log(`[${timestamp}] → ANALYTICS TRACK (Fixed Unique Visitors)`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody && rawBody.trim()) {
-        body = JSON.parse(rawBody);
-      }
-    } catch (parseError) {
-      console.warn(`[${timestamp}] Analytics parsing warning:`, parseError.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid JSON in request body'
-      });
-    }
+    const body = req.body || {};
     
     // Extract tracking data
     const {
@@ -32490,21 +31770,7 @@ if ((path === '/analytics/track/performance' || path === '/api/analytics/track/p
   console.log(`[${timestamp}] → ANALYTICS PERFORMANCE TRACKING`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody && rawBody.trim()) {
-        body = JSON.parse(rawBody);
-      }
-    } catch (parseError) {
-      console.warn(`[${timestamp}] Performance tracking parsing warning:`, parseError.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid JSON in request body'
-      });
-    }
+    const body = req.body || {};
     
     console.log(`[${timestamp}] Performance data received:`, body);
     
@@ -32603,17 +31869,7 @@ if (path.startsWith('/track/') && req.method === 'POST') {
   console.log(`[${timestamp}] → GENERIC TRACKING: ${path}`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody && rawBody.trim()) {
-        body = JSON.parse(rawBody);
-      }
-    } catch (parseError) {
-      console.warn(`[${timestamp}] Generic tracking parsing warning:`, parseError.message);
-    }
+    const body = req.body || {};
     
     // Extract event type from path
     const eventType = path.replace('/track/', '');
@@ -32674,17 +31930,7 @@ if (path.startsWith('/api/analytics/track/') && req.method === 'POST') {
   console.log(`[${timestamp}] → API ANALYTICS TRACKING: ${path}`);
   
   try {
-    let body = {};
-    try {
-      const chunks = [];
-      for await (const chunk of req) chunks.push(chunk);
-      const rawBody = Buffer.concat(chunks).toString();
-      if (rawBody && rawBody.trim()) {
-        body = JSON.parse(rawBody);
-      }
-    } catch (parseError) {
-      console.warn(`[${timestamp}] API analytics parsing warning:`, parseError.message);
-    }
+    const body = req.body || {};
     
     // Extract event type from path
     const eventType = path.replace('/api/analytics/track/', '');
@@ -34570,10 +33816,7 @@ if (path === '/api/trailers' && req.method === 'GET') {
       // ==================== SECTION 13: NOT FOUND ====================
     // === NOT FOUND ===
     console.log(`[${timestamp}] ✗ NOT FOUND: "${path}"`);
-    return res.status(404).json({
-      success: false,
-      message: `Endpoint not found: ${path}`,
-      timestamp: timestamp,
+    return sendNotFound(res, path, {
       availableEndpoints: [
 '=== PUBLIC ENDPOINTS ===',
   '/dealers/{id}',
@@ -0,0 +1,214 @@
+// scripts/testMphoChat.js
+// Offline checks for Mpho's tool-calling loop and provider fallback, using the
+// deterministic mock provider. Needs no API keys and no database.
+//
+//   npm run test:mpho
+
+import assert from 'node:assert/strict';
+import { createMockProvider, resolveProviders, LlmProviderError } from '../services/llmProviders.js';
+import { mphoToolsFor, alternateTurns, executeMphoTool, runMphoConversation } from '../services/mphoService.js';
+import { extractFacts, mergeFacts, recentTurnsWithinBudget } from '../services/mphoMemoryService.js';
+import { estimateCostUsd, planFor, getMphoSettings, updateMphoSettings } from '../services/aiUsageService.js';
+
+const converse = async (providers, message, { isPro = false, isAdmin = false, history = [] } = {}) => {
+  const actions = [];
+  const tools = mphoToolsFor({ isPro, isAdmin });
+  const allowed = new Set(tools.map(t => t.name));
+  const result = await runMphoConversation({
+    providers,
+    system: 'test',
+    history,
+    message,
+    tools,
+    executeTool: (call) => executeMphoTool(null, call, { actions, allowed, isPro })
+  });
+  return { ...result, actions };
+};
+
+// One settings document; $set paths are split on dots the way MongoDB does
+const settingsDb = () => {
+  let doc = null;
+  const collection = {
+    findOne: async () => (doc ? structuredClone(doc) : null),
+    updateOne: async (filter, update) => {
+      doc ??= { _id: filter._id };
+      for (const [path, value] of Object.entries(update.$set || {})) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), doc);
+        parent[keys.at(-1)] = structuredClone(value);
+      }
+    }
+  };
+  return { collection: () => collection };
+};
+
+const tests = {
+  async 'keyword intent calls a tool and the result becomes the reply'() {
+    const { reply, actions, toolCalls, rounds } = await converse([createMockProvider()], 'Take me to the marketplace please');
+    assert.deepEqual(actions, [{ type: 'navigate', path: '/marketplace' }]);
+    assert.deepEqual(toolCalls.map(c => c.name), ['navigate_to']);
+    assert.equal(reply, 'Navigation queued: /marketplace');
+    assert.equal(rounds, 2);
+  },
+
+  async 'pro tools are only offered to subscribers'() {
+    const message = 'I want to sell my Toyota Hilux 2018 for P250,000';
+    const free = await converse([createMockProvider()], message);
+    assert.equal(free.actions.length, 0);
+
+    const pro = await converse([createMockProvider()], message, { isPro: true });
+    assert.equal(pro.actions[0].type, 'prefill_listing');
+    assert.equal(pro.actions[0].data.price, 250000);
+    assert.equal(pro.actions[0].data.aiPriority, true);
+  },
+
+  async 'a tool the user was not offered is refused, not executed'() {
+    const provider = createMockProvider({ script: [
+      { toolCalls: [{ name: 'prepare_article', args: { title: 'x', content: 'y' } }] },
+      { text: 'Sorry, I cannot do that.' }
+    ] });
+    const { reply, actions } = await converse([provider], 'write an article');
+    assert.equal(actions.length, 0);
+    assert.match(provider.calls[1].messages.at(-1).results[0].result, /not available/);
+    assert.equal(reply, 'Sorry, I cannot do that.');
+  },
+
+  async 'tool rounds stop after the limit'() {
+    const call = { toolCalls: [{ name: 'navigate_to', args: { path: '/news' } }] };
+    const { reply, rounds, actions } = await converse([createMockProvider({ script: [call, call, call, call] })], 'loop');
+    assert.equal(rounds, 3);
+    assert.equal(reply, '');
+    assert.equal(actions.length, 3);
+  },
+
+  async 'a failing provider falls back to the next one'() {
+    const failing = createMockProvider({ failWith: Object.assign(new Error('Resource exhausted'), { status: 429 }) });
+    const { reply, provider, usage } = await converse([failing, createMockProvider({ script: [{ text: 'Hello from the fallback' }] })], 'hi');
+    assert.equal(failing.calls.length, 1);
+    assert.equal(reply, 'Hello from the fallback');
+    assert.equal(provider, 'mock');
+    assert.ok(usage.inputTokens > 0);
+  },
+
+  async 'when every provider fails the classified error surfaces'() {
+    const quota = Object.assign(new Error('quota exceeded'), { status: 429 });
+    await assert.rejects(
+      converse([createMockProvider({ failWith: quota }), createMockProvider({ failWith: new Error('boom') })], 'hi'),
+      (error) => error instanceof LlmProviderError && error.kind === 'unavailable'
+    );
+    await assert.rejects(
+      converse([createMockProvider({ failWith: quota })], 'hi'),
+      (error) => error instanceof LlmProviderError && error.kind === 'rate_limit'
+    );
+  },
+
+  async 'streaming reports deltas and tool progress in order'() {
+    const events = [];
+    const actions = [];
+    const tools = mphoToolsFor({ isPro: false, isAdmin: false });
+    const { reply } = await runMphoConversation({
+      providers: [createMockProvider()],
+      system: 'test',
+      history: [],
+      message: 'go to the news',
+      tools,
+      executeTool: (call) => executeMphoTool(null, call, { actions, allowed: new Set(tools.map(t => t.name)), isPro: false }),
+      onEvent: (event) => events.push(event)
+    });
+    assert.deepEqual(events.map(e => e.type), ['tool_call', 'tool_result', 'delta', 'delta', 'delta']);
+    assert.equal(events.filter(e => e.type === 'delta').map(e => e.text).join(''), reply);
+  },
+
+  async 'a provider that fails mid-stream is not retried elsewhere'() {
+    const flaky = {
+      name: 'flaky',
+      async generate(request, { onDelta }) {
+        onDelta('Half an ans');
+        throw new Error('connection reset');
+      }
+    };
+    const backup = createMockProvider({ script: [{ text: 'other answer' }] });
+    await assert.rejects(runMphoConversation({
+      providers: [flaky, backup], system: 'test', history: [], message: 'hi', tools: [], executeTool: async () => '', onEvent: () => {}
+    }));
+    assert.equal(backup.calls.length, 0);
+  },
+
+  async 'history is trimmed to alternating user/assistant turns'() {
+    const turns = alternateTurns([
+      { role: 'assistant', content: 'welcome' },
+      { role: 'user', content: 'a' },
+      { role: 'user', content: 'b' },
+      { role: 'assistant', content: 'c' },
+      { role: 'user', content: 'd' }
+    ]);
+    assert.deepEqual(turns, [{ role: 'user', content: 'b' }, { role: 'assistant', content: 'c' }]);
+  },
+
+  async 'providers are picked from the environment'() {
+    assert.deepEqual(resolveProviders({ GEMINI_API_KEY: 'g', ANTHROPIC_API_KEY: 'a' }).map(p => p.name), ['gemini', 'anthropic']);
+    assert.deepEqual(resolveProviders({ AI_PROVIDER: 'anthropic', GEMINI_API_KEY: 'g', ANTHROPIC_API_KEY: 'a' }).map(p => p.name), ['anthropic', 'gemini']);
+    assert.deepEqual(resolveProviders({ GEMINI_API_KEY: 'g', AI_FALLBACK_PROVIDER: 'none' }).map(p => p.name), ['gemini']);
+    assert.deepEqual(resolveProviders({ AI_PROVIDER: 'mock' }).map(p => p.name), ['mock']);
+    assert.deepEqual(resolveProviders({}), []);
+  },
+
+  async 'facts are extracted from messages and merged without duplicates'() {
+    const first = mergeFacts([], extractFacts("I'm in Maun looking for a diesel Toyota bakkie, budget P180,000"));
+    assert.deepEqual(first.map(f => [f.type, f.value]).sort(), [
+      ['body_type', 'Pickup'], ['budget', 180000], ['fuel_type', 'Diesel'], ['location', 'Maun'], ['preferred_make', 'Toyota']
+    ].sort());
+
+    const second = mergeFacts(first, extractFacts('Actually my budget is 150k, maybe a Ford or a Toyota'));
+    assert.equal(second.filter(f => f.type === 'budget').length, 1);
+    assert.equal(second.find(f => f.type === 'budget').value, 150000);
+    assert.deepEqual(second.filter(f => f.type === 'preferred_make').map(f => f.value).sort(), ['Ford', 'Toyota']);
+    assert.equal(second.find(f => f.value === 'Toyota').id, first.find(f => f.value === 'Toyota').id);
+  },
+
+  async 'only the most recent turns that fit the budget are replayed'() {
+    const turns = Array.from({ length: 10 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `${i}`.padEnd(400, '.') }));
+    const kept = recentTurnsWithinBudget(turns, 350);
+    assert.deepEqual(kept.map(t => t.content[0]), ['7', '8', '9']);
+  },
+
+  async 'tool calls are logged for accounting and cost follows model prices'() {
+    const toolLog = [];
+    const allowed = new Set(['navigate_to']);
+    await executeMphoTool(null, { name: 'navigate_to', args: { path: '/news' } }, { actions: [], allowed, isPro: false, toolLog });
+    await executeMphoTool(null, { name: 'get_valuation', args: {} }, { actions: [], allowed, isPro: false, toolLog });
+    assert.deepEqual(toolLog.map(t => [t.name, t.ok]), [['navigate_to', true], ['get_valuation', false]]);
+
+    assert.equal(estimateCostUsd('gemini-2.0-flash', { inputTokens: 1_000_000, outputTokens: 500_000 }), 0.3);
+    assert.equal(estimateCostUsd('custom-model', { inputTokens: 10, outputTokens: 10 }, { 'custom-model': { input: 1, output: 2 } }), 0.00003);
+    assert.equal(estimateCostUsd('unknown-model', { inputTokens: 10, outputTokens: 10 }), null);
+    assert.deepEqual([planFor({ isAdmin: true, isPro: false }), planFor({ isAdmin: false, isPro: true }), planFor({})], ['admin', 'pro', 'free']);
+  },
+
+  async 'model prices with dots in the name are saved and read back'() {
+    const db = settingsDb();
+    await updateMphoSettings(db, { pricing: { 'gemini-2.0-flash': { input: 0.2, output: 0.8 }, 'claude-3.7-sonnet': { input: 3, output: 15 } } });
+    await updateMphoSettings(db, { dailyLimits: { free: 5 } });
+    const settings = await getMphoSettings(db);
+    assert.deepEqual(settings.pricing['gemini-2.0-flash'], { input: 0.2, output: 0.8 });
+    assert.equal(estimateCostUsd('claude-3.7-sonnet', { inputTokens: 1_000_000, outputTokens: 0 }, settings.pricing), 3);
+    assert.equal(settings.dailyLimits.free, 5);
+
+    const reverted = await updateMphoSettings(db, { pricing: { 'gemini-2.0-flash': null } });
+    assert.deepEqual(reverted.pricing['gemini-2.0-flash'], { input: 0.1, output: 0.4 });
+    assert.deepEqual(reverted.pricing['claude-3.7-sonnet'], { input: 3, output: 15 });
+  }
+};
+
+let failed = 0;
+for (const [name, test] of Object.entries(tests)) {
+  try {
+    await test();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,353 @@
+// scripts/testPayments.js
+// End-to-end checks for listing payments through the simulator provider:
+// initiate -> gateway callback -> payment completed -> listing activated.
+//
+// Runs against an in-memory MongoDB (mongodb-memory-server), or against
+// MONGODB_TEST_URI when that is set. Exits non-zero if any case fails.
+//
+//   npm run test:payments
+
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import jwt from 'jsonwebtoken';
+import { MongoClient, ObjectId } from 'mongodb';
+import { createSimulatorProvider, PaymentProviderError } from '../services/paymentProviders.js';
+import { quoteListingPayment, initiateListingPayment, applyPaymentReport, verifyListingPayment, refundListingPayment } from '../services/paymentService.js';
+import { receiveWebhookEvent, reprocessWebhookEvent } from '../services/paymentWebhookService.js';
+import { syncLedger } from '../services/ledgerService.js';
+
+const USER_ID = new ObjectId().toString();
+
+async function createListing(db) {
+  const { insertedId } = await db.collection('listings').insertOne({
+    title: '2018 Toyota Hilux 2.8 GD-6',
+    price: 250000,
+    status: 'pending_payment',
+    seller: { user: new ObjectId(USER_ID) },
+    createdAt: new Date()
+  });
+  return String(insertedId);
+}
+
+async function startPayment(db, simulator, listingId, input = { paymentType: 'subscription', subscriptionTier: 'standard' }) {
+  return initiateListingPayment(db, simulator, {
+    userId: USER_ID,
+    customer: { name: 'Test Seller', email: 'seller@example.com', phone: '+26771234567' },
+    listingId,
+    paymentType: input.paymentType,
+    quote: quoteListingPayment(input),
+    sellerType: 'private'
+  });
+}
+
+// Deliver a simulated gateway callback the way the webhook route does
+async function deliver(db, simulator, webhook) {
+  const { events } = simulator.parseWebhook(webhook);
+  return Promise.all(events.map(event => applyPaymentReport(db, simulator.name, event)));
+}
+
+// Call api/index.js the way the serverless runtime does, with an admin token
+let apiHandler = null;
+async function callApi(method, path, body) {
+  const token = jwt.sign({ userId: new ObjectId().toString(), role: 'admin', name: 'Test Admin' }, process.env.JWT_SECRET || 'bw-car-culture-secret-key-2025');
+  const payload = Buffer.from(JSON.stringify(body || {}));
+  const req = Object.assign(Readable.from([payload]), {
+    method,
+    url: path,
+    headers: { host: 'localhost', authorization: `Bearer ${token}`, 'content-type': 'application/json', 'content-length': String(payload.length) }
+  });
+  const response = { statusCode: 200, body: null };
+  const res = {
+    setHeader() {},
+    status(code) { response.statusCode = code; return res; },
+    json(data) { response.body = data; return res; },
+    end() { return res; }
+  };
+  await apiHandler(req, res);
+  return response;
+}
+
+const tests = {
+  async 'a successful payment activates the listing subscription'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment, checkout } = await startPayment(db, simulator, listingId);
+    assert.equal(payment.paymentMethod, 'simulator');
+    assert.ok(checkout.checkoutUrl.includes(payment.transactionRef));
+
+    const [result] = await deliver(db, simulator, simulator.settle(payment.transactionRef));
+    assert.equal(result.outcome, 'completed');
+
+    const listing = await db.collection('listings').findOne({ _id: new ObjectId(listingId) });
+    assert.equal(listing.status, 'published');
+    assert.equal(listing.subscription.status, 'active');
+    assert.equal(listing.subscription.tier, 'standard');
+    assert.ok(listing.subscription.expiresAt > new Date());
+
+    const stored = await db.collection('payments').findOne({ _id: payment._id });
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.providerData.confirmedBy, 'simulator');
+  },
+
+  async 'a replayed callback does not activate twice'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    const webhook = simulator.settle(payment.transactionRef);
+
+    const [first] = await deliver(db, simulator, webhook);
+    const firstExpiry = (await db.collection('listings').findOne({ _id: new ObjectId(listingId) })).subscription.expiresAt;
+    const [second] = await deliver(db, simulator, webhook);
+
+    assert.equal(first.outcome, 'completed');
+    assert.equal(second.outcome, 'already_processed');
+    const listing = await db.collection('listings').findOne({ _id: new ObjectId(listingId) });
+    assert.deepEqual(listing.subscription.expiresAt, firstExpiry);
+  },
+
+  async 'a failed payment leaves the listing unpublished'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+
+    const [result] = await deliver(db, simulator, simulator.settle(payment.transactionRef, { status: 'failed' }));
+    assert.equal(result.outcome, 'failed');
+    assert.equal((await db.collection('payments').findOne({ _id: payment._id })).status, 'failed');
+    assert.equal((await db.collection('listings').findOne({ _id: new ObjectId(listingId) })).status, 'pending_payment');
+  },
+
+  async 'an underpaid charge is flagged instead of activating'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+
+    const [result] = await deliver(db, simulator, simulator.settle(payment.transactionRef, { amount: 10 }));
+    assert.equal(result.outcome, 'amount_mismatch');
+    const stored = await db.collection('payments').findOne({ _id: payment._id });
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.reviewRequired.reason, 'amount_mismatch');
+    assert.equal((await db.collection('listings').findOne({ _id: new ObjectId(listingId) })).status, 'pending_payment');
+  },
+
+  async 'add-on purchases are activated on the listing'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId, { paymentType: 'addon', addons: ['featured', 'photography'] });
+    assert.equal(payment.amount, 200);
+
+    const [result] = await deliver(db, simulator, simulator.settle(payment.transactionRef));
+    assert.equal(result.outcome, 'completed');
+    const listing = await db.collection('listings').findOne({ _id: new ObjectId(listingId) });
+    assert.deepEqual(listing.addons.active.map(a => a.id).sort(), ['featured', 'photography']);
+  },
+
+  async 'verify completes a payment whose callback never arrived'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    simulator.settle(payment.transactionRef);
+
+    const stored = await db.collection('payments').findOne({ _id: payment._id });
+    const result = await verifyListingPayment(db, simulator, stored);
+    assert.equal(result.outcome, 'completed');
+    assert.equal((await db.collection('listings').findOne({ _id: new ObjectId(listingId) })).status, 'published');
+  },
+
+  async 'the event log applies a replayed callback once'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    const webhook = simulator.settle(payment.transactionRef);
+    const [event] = simulator.parseWebhook(webhook).events;
+
+    const first = await receiveWebhookEvent(db, simulator.name, event, webhook.rawBody);
+    const second = await receiveWebhookEvent(db, simulator.name, event, webhook.rawBody);
+    assert.equal(first.duplicate, false);
+    assert.equal(first.outcome, 'completed');
+    assert.equal(second.duplicate, true);
+    assert.deepEqual(second.eventLogId, first.eventLogId);
+
+    const logged = await db.collection('payment_webhook_events').findOne({ _id: first.eventLogId });
+    assert.equal(logged.status, 'processed');
+    assert.equal(logged.attempts, 1);
+    assert.equal(logged.deliveries, 2);
+  },
+
+  async 'an unmatched callback can be re-processed once its payment exists'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    const webhook = simulator.settle(payment.transactionRef);
+    const [event] = simulator.parseWebhook(webhook).events;
+
+    const stored = await db.collection('payments').findOneAndDelete({ _id: payment._id });
+    const early = await receiveWebhookEvent(db, simulator.name, event, webhook.rawBody);
+    assert.equal(early.outcome, 'not_found');
+
+    await db.collection('payments').insertOne(stored && 'value' in stored ? stored.value : stored);
+    const retried = await reprocessWebhookEvent(db, String(early.eventLogId), 'Test Admin');
+    assert.equal(retried.outcome, 'completed');
+    await assert.rejects(reprocessWebhookEvent(db, String(early.eventLogId), 'Test Admin'), (error) => error.status === 409);
+    assert.equal((await db.collection('listings').findOne({ _id: new ObjectId(listingId) })).status, 'published');
+  },
+
+  async 'a partial refund keeps the subscription and a full one cancels it'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    await deliver(db, simulator, simulator.settle(payment.transactionRef));
+
+    const partial = await refundListingPayment(db, simulator, await db.collection('payments').findOne({ _id: payment._id }), { amount: 40, reason: 'Listed late' });
+    assert.equal(partial.fullyRefunded, false);
+    assert.equal(partial.reversal, null);
+    assert.equal((await db.collection('listings').findOne({ _id: new ObjectId(listingId) })).status, 'published');
+    await assert.rejects(
+      refundListingPayment(db, simulator, await db.collection('payments').findOne({ _id: payment._id }), { amount: 61, reason: 'Too much' }),
+      (error) => error.status === 400
+    );
+
+    const rest = await refundListingPayment(db, simulator, await db.collection('payments').findOne({ _id: payment._id }), { reason: 'Sold elsewhere' });
+    assert.equal(rest.refund.amount, 60);
+    assert.equal(rest.fullyRefunded, true);
+    const stored = await db.collection('payments').findOne({ _id: payment._id });
+    assert.equal(stored.status, 'refunded');
+    assert.equal(stored.refundAmount, 100);
+    assert.equal(stored.refunds.length, 2);
+    const listing = await db.collection('listings').findOne({ _id: new ObjectId(listingId) });
+    assert.equal(listing.subscription.status, 'cancelled');
+    assert.equal(listing.status, 'draft');
+
+    const ledger = await db.collection('financial_transactions').find({ paymentId: payment._id }).toArray();
+    assert.deepEqual(ledger.map(t => t.amount).sort(), [-60, -40]);
+    assert.equal(await db.collection('notifications').countDocuments({ type: 'payment_refunded', userId: new ObjectId(USER_ID) }) >= 2, true);
+  },
+
+  async 'two refunds started from the same snapshot cannot refund more than was paid'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    await deliver(db, simulator, simulator.settle(payment.transactionRef));
+
+    const snapshot = await db.collection('payments').findOne({ _id: payment._id });
+    await refundListingPayment(db, simulator, snapshot, { amount: 70, reason: 'First admin' });
+    await assert.rejects(
+      refundListingPayment(db, simulator, snapshot, { amount: 70, reason: 'Second admin' }),
+      (error) => error.status === 400
+    );
+    const stored = await db.collection('payments').findOne({ _id: payment._id });
+    assert.equal(stored.refundAmount, 70);
+    assert.equal(stored.refundInProgress, undefined);
+
+    const results = await Promise.allSettled([
+      refundListingPayment(db, simulator, stored, { amount: 30, reason: 'Race one' }),
+      refundListingPayment(db, simulator, stored, { amount: 30, reason: 'Race two' })
+    ]);
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.equal((await db.collection('payments').findOne({ _id: payment._id })).refundAmount, 100);
+  },
+
+  async 'the admin refund route records a manual refund'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    await deliver(db, simulator, simulator.settle(payment.transactionRef));
+
+    const missing = await callApi('POST', `/api/admin/payments/${new ObjectId()}/refund`, { reason: 'Nothing to refund', manual: true });
+    assert.equal(missing.statusCode, 404);
+
+    const { statusCode, body } = await callApi('POST', `/api/admin/payments/${payment._id}/refund`, { amount: 25, reason: 'Paid back in cash', manual: true });
+    assert.equal(statusCode, 200, body?.message);
+    assert.equal(body.data.refund.amount, 25);
+    assert.equal(body.data.refund.manual, true);
+    assert.equal((await db.collection('payments').findOne({ _id: payment._id })).refundAmount, 25);
+  },
+
+  async 'payments and refunds post to the ledger, and corrections reverse instead of rewriting'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId);
+    await deliver(db, simulator, simulator.settle(payment.transactionRef));
+    await refundListingPayment(db, simulator, await db.collection('payments').findOne({ _id: payment._id }), { amount: 40, reason: 'Listed late' });
+
+    const posted = await db.collection('ledger_entries').find({ 'source.id': String(payment._id) }).toArray();
+    assert.deepEqual(posted.map(e => e.source.type).sort(), ['payment', 'payment_refund']);
+    assert.deepEqual((await syncLedger(db)).posted, 0);
+
+    const txn = await callApi('POST', '/admin/transactions', { type: 'expense', status: 'spent', amount: 80, category: 'Hosting' });
+    assert.equal(txn.statusCode, 200, txn.body?.message);
+    const first = await db.collection('ledger_entries').findOne({ 'source.id': txn.body.data._id });
+    assert.equal(first.total, 80);
+
+    await callApi('PUT', `/admin/transactions/${txn.body.data._id}`, { amount: 90 });
+    await callApi('DELETE', `/admin/transactions/${txn.body.data._id}`);
+    const history = await db.collection('ledger_entries').find({ 'source.id': txn.body.data._id }).sort({ postingKey: 1 }).toArray();
+    assert.deepEqual(history.map(e => [e.kind, e.total]), [['posting', 80], ['reversal', 80], ['posting', 90], ['reversal', 90]]);
+    assert.deepEqual(await db.collection('ledger_entries').findOne({ _id: first._id }), first);
+  },
+
+  async 'refunding one add-on removes only that add-on'(db) {
+    const simulator = createSimulatorProvider();
+    const listingId = await createListing(db);
+    const { payment } = await startPayment(db, simulator, listingId, { paymentType: 'addon', addons: ['featured', 'photography'] });
+    await deliver(db, simulator, simulator.settle(payment.transactionRef));
+
+    const result = await refundListingPayment(db, simulator, await db.collection('payments').findOne({ _id: payment._id }), {
+      amount: 50, reason: 'Featured slot unavailable', reverse: true, addons: ['featured']
+    });
+    assert.deepEqual(result.reversal.addons, ['featured']);
+    const listing = await db.collection('listings').findOne({ _id: new ObjectId(listingId) });
+    assert.deepEqual(listing.addons.active.map(a => a.id), ['photography']);
+    assert.deepEqual(listing.addons.refunded.map(a => a.id), ['featured']);
+  },
+
+  async 'callbacks with a bad signature are rejected'() {
+    const simulator = createSimulatorProvider({ secret: 'right' });
+    const forged = createSimulatorProvider({ secret: 'wrong' }).settle('subscription_x_1');
+    assert.throws(() => simulator.parseWebhook(forged), (error) => error instanceof PaymentProviderError && error.kind === 'signature');
+  }
+};
+
+async function run() {
+  let memoryServer = null;
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  const client = new MongoClient(uri);
+  await client.connect();
+  const dbName = `payments-test-${Date.now()}`;
+  const db = client.db(dbName);
+
+  // The API connects on its own, so point it at the same database
+  process.env.MONGODB_URI = uri;
+  process.env.MONGODB_NAME = dbName;
+  apiHandler = (await import('../api/index.js')).default;
+
+  let failed = 0;
+  try {
+    for (const [name, test] of Object.entries(tests)) {
+      try {
+        await test(db);
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+      }
+    }
+  } finally {
+    await db.dropDatabase();
+    await client.close();
+    if (memoryServer) await memoryServer.stop();
+  }
+
+  console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
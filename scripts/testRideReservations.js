@@ -0,0 +1,145 @@
+// scripts/testRideReservations.js
+// Regression test: parallel seat reservations must never oversell a ride.
+//
+// Runs against an in-memory MongoDB (mongodb-memory-server), or against
+// MONGODB_TEST_URI when that is set. Exits non-zero if any case fails.
+//
+//   npm run test:rides
+
+import assert from 'node:assert/strict';
+import { MongoClient, ObjectId } from 'mongodb';
+import { reserveSeats, transitionReservation, HOLDING_STATUSES } from '../services/rideService.js';
+
+const DRIVER_ID = new ObjectId().toString();
+
+async function createRide(db, seatsTotal) {
+  const doc = {
+    userId: DRIVER_ID,
+    driverName: 'Test Driver',
+    origin: 'Mochudi',
+    destination: 'Gaborone',
+    departureTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    recurrence: 'once',
+    seatsTotal,
+    seatsAvailable: seatsTotal,
+    pricePerSeat: 30,
+    reservations: [],
+    status: 'active',
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  const { insertedId } = await db.collection('rides').insertOne(doc);
+  return String(insertedId);
+}
+
+async function assertConsistent(db, rideId) {
+  const ride = await db.collection('rides').findOne({ _id: new ObjectId(rideId) });
+  const held = ride.reservations
+    .filter(r => HOLDING_STATUSES.includes(r.status))
+    .reduce((sum, r) => sum + r.seats, 0);
+  assert.ok(ride.seatsAvailable >= 0, `seatsAvailable went negative: ${ride.seatsAvailable}`);
+  assert.equal(ride.seatsAvailable + held, ride.seatsTotal, 'held seats + available seats must equal total seats');
+  assert.equal(ride.status, ride.seatsAvailable === 0 ? 'full' : 'active');
+  return ride;
+}
+
+const tests = {
+  async 'parallel single-seat requests fill the ride exactly'(db) {
+    const rideId = await createRide(db, 3);
+    const results = await Promise.allSettled(Array.from({ length: 20 }, () => reserveSeats(db, {
+      rideId,
+      userId: new ObjectId().toString(),
+      seats: 1
+    })));
+
+    const succeeded = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert.equal(succeeded.length, 3);
+    assert.ok(rejected.every(r => r.reason.status === 409 || r.reason.status === 404));
+
+    const ride = await assertConsistent(db, rideId);
+    assert.equal(ride.seatsAvailable, 0);
+    assert.equal(ride.reservations.length, 3);
+  },
+
+  async 'multi-seat requests never take more than what is left'(db) {
+    const rideId = await createRide(db, 5);
+    const results = await Promise.allSettled(Array.from({ length: 10 }, () => reserveSeats(db, {
+      rideId,
+      userId: new ObjectId().toString(),
+      seats: 2
+    })));
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 2);
+    const ride = await assertConsistent(db, rideId);
+    assert.equal(ride.seatsAvailable, 1);
+  },
+
+  async 'the same passenger double-submitting gets one reservation'(db) {
+    const rideId = await createRide(db, 4);
+    const passengerId = new ObjectId().toString();
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => reserveSeats(db, {
+      rideId,
+      userId: passengerId,
+      seats: 1
+    })));
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    const ride = await assertConsistent(db, rideId);
+    assert.equal(ride.reservations.length, 1);
+  },
+
+  async 'racing cancel and decline release the seats once'(db) {
+    const rideId = await createRide(db, 2);
+    const passengerId = new ObjectId().toString();
+    const { reservation } = await reserveSeats(db, { rideId, userId: passengerId, seats: 2 });
+
+    const results = await Promise.allSettled([
+      transitionReservation(db, { rideId, reservationId: String(reservation._id), action: 'cancel', userId: passengerId }),
+      transitionReservation(db, { rideId, reservationId: String(reservation._id), action: 'decline', userId: DRIVER_ID })
+    ]);
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    const ride = await assertConsistent(db, rideId);
+    assert.equal(ride.seatsAvailable, 2);
+  }
+};
+
+async function run() {
+  let memoryServer = null;
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  const client = new MongoClient(uri);
+  await client.connect();
+  const db = client.db(`ride-reservation-test-${Date.now()}`);
+
+  let failed = 0;
+  try {
+    for (const [name, test] of Object.entries(tests)) {
+      try {
+        await test(db);
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${name}\n   ${error.message}`);
+      }
+    }
+  } finally {
+    await db.dropDatabase();
+    await client.close();
+    if (memoryServer) await memoryServer.stop();
+  }
+
+  console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
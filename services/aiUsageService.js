@@ -0,0 +1,296 @@
+// services/aiUsageService.js
+// Per-request accounting for Mpho AI: tokens, model, latency, tools and cost.
+//
+// Every model call is written to `ai_requests`; `ai_usage` keeps the per-user
+// daily message count that limits are checked against, plus running token and
+// cost totals. Plan limits and model prices live in `site_settings` under
+// `_id: 'mpho'` so admins can change them without a deploy.
+
+import { ObjectId } from 'mongodb';
+
+const REQUESTS_COLLECTION = 'ai_requests';
+const SETTINGS_ID = 'mpho';
+
+export const AI_PLANS = ['free', 'pro', 'admin'];
+
+export const DEFAULT_DAILY_LIMITS = { free: 12, pro: 50, admin: 100 };
+
+// USD per million tokens, from the providers' published price lists
+export const DEFAULT_MODEL_PRICING = {
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'mock-1': { input: 0, output: 0 }
+};
+
+const MAX_DAILY_LIMIT = 10000;
+const MAX_REPORT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Which plan a chat user is on
+ * @param {Object} flags
+ * @param {boolean} flags.isAdmin
+ * @param {boolean} flags.isPro
+ * @returns {string}
+ */
+export const planFor = ({ isAdmin, isPro }) => (isAdmin ? 'admin' : isPro ? 'pro' : 'free');
+
+// Price overrides are stored as `[{ model, input, output }]`: model names
+// contain dots, so they can't be keys in an update path
+const storedPricing = (stored) => new Map(
+  (Array.isArray(stored) ? stored : []).map(({ model, input, output }) => [model, { input, output }])
+);
+
+/**
+ * Daily limits and model prices, with defaults for anything not configured
+ * @param {Object} db - Database handle
+ * @returns {Promise<{dailyLimits: Object, pricing: Object, updatedAt: Date|null, updatedBy: string|null}>}
+ */
+export const getMphoSettings = async (db) => {
+  const doc = await db.collection('site_settings').findOne({ _id: SETTINGS_ID });
+  return {
+    dailyLimits: { ...DEFAULT_DAILY_LIMITS, ...(doc?.dailyLimits || {}) },
+    pricing: { ...DEFAULT_MODEL_PRICING, ...Object.fromEntries(storedPricing(doc?.pricing)) },
+    updatedAt: doc?.updatedAt || null,
+    updatedBy: doc?.updatedBy || null
+  };
+};
+
+/**
+ * Change daily limits and/or model prices
+ *
+ * `dailyLimits` takes any of free/pro/admin as whole numbers. `pricing` maps a
+ * model name to `{ input, output }` in USD per million tokens; `null` removes
+ * an override.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} input - `{ dailyLimits?, pricing? }`
+ * @param {string} adminName - Who made the change
+ * @returns {Promise<Object>} - Settings after the update
+ */
+export const updateMphoSettings = async (db, input = {}, adminName = 'admin') => {
+  const $set = {};
+
+  if (input.dailyLimits !== undefined) {
+    if (!input.dailyLimits || typeof input.dailyLimits !== 'object') throw httpError('dailyLimits must be an object');
+    for (const [plan, value] of Object.entries(input.dailyLimits)) {
+      if (!AI_PLANS.includes(plan)) throw httpError(`Unknown plan "${plan}". Use one of: ${AI_PLANS.join(', ')}`);
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0 || limit > MAX_DAILY_LIMIT) {
+        throw httpError(`Daily limit for ${plan} must be a whole number between 0 and ${MAX_DAILY_LIMIT}`);
+      }
+      $set[`dailyLimits.${plan}`] = limit;
+    }
+  }
+
+  if (input.pricing !== undefined) {
+    if (!input.pricing || typeof input.pricing !== 'object') throw httpError('pricing must be an object');
+    const current = await db.collection('site_settings').findOne({ _id: SETTINGS_ID }, { projection: { pricing: 1 } });
+    const overrides = storedPricing(current?.pricing);
+    for (const [model, price] of Object.entries(input.pricing)) {
+      if (!/^[\w.:-]{1,100}$/.test(model)) throw httpError(`Invalid model name "${model}"`);
+      if (price === null) {
+        overrides.delete(model);
+        continue;
+      }
+      const inputPrice = Number(price?.input);
+      const outputPrice = Number(price?.output);
+      if (!Number.isFinite(inputPrice) || !Number.isFinite(outputPrice) || inputPrice < 0 || outputPrice < 0) {
+        throw httpError(`Pricing for ${model} needs non-negative input and output prices per million tokens`);
+      }
+      overrides.set(model, { input: inputPrice, output: outputPrice });
+    }
+    $set.pricing = [...overrides].map(([model, price]) => ({ model, ...price }));
+  }
+
+  if (Object.keys($set).length === 0) {
+    throw httpError('Nothing to update. Send dailyLimits and/or pricing');
+  }
+
+  await db.collection('site_settings').updateOne(
+    { _id: SETTINGS_ID },
+    { $set: { ...$set, updatedAt: new Date(), updatedBy: adminName } },
+    { upsert: true }
+  );
+  return getMphoSettings(db);
+};
+
+/**
+ * Cost of one call in USD, or null when the model has no price
+ * @param {string} model - Model name
+ * @param {{inputTokens: number, outputTokens: number}} usage
+ * @param {Object} pricing - From getMphoSettings
+ * @returns {number|null}
+ */
+export const estimateCostUsd = (model, usage, pricing = DEFAULT_MODEL_PRICING) => {
+  const price = pricing[model];
+  if (!price) return null;
+  const cost = ((usage?.inputTokens || 0) * price.input + (usage?.outputTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+};
+
+/**
+ * Store one model request and add its tokens and cost to the user's day
+ *
+ * Accounting must never break a chat, so failures are logged and swallowed.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} record
+ * @param {string} record.userId
+ * @param {string} record.plan - free, pro or admin
+ * @param {string} record.kind - 'chat' or 'summary'
+ * @param {string} [record.provider]
+ * @param {string} [record.model]
+ * @param {Object} [record.usage] - `{ inputTokens, outputTokens }`
+ * @param {number} record.latencyMs - Wall time of the whole request
+ * @param {Array} [record.tools] - `[{ name, ms, ok }]` per tool call
+ * @param {number} [record.rounds] - Model round trips
+ * @param {boolean} [record.success]
+ * @param {string} [record.error] - Error kind or message when the request failed
+ * @param {Object} [record.pricing] - From getMphoSettings
+ * @returns {Promise<boolean>}
+ */
+export const recordAiRequest = async (db, {
+  userId, plan, kind = 'chat', provider = null, model = null, usage = null, latencyMs,
+  tools = [], rounds = null, success = true, error = null, pricing = DEFAULT_MODEL_PRICING
+}) => {
+  try {
+    const now = new Date();
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+    const costUsd = model ? estimateCostUsd(model, usage, pricing) : null;
+    const date = now.toISOString().slice(0, 10);
+
+    await db.collection(REQUESTS_COLLECTION).insertOne({
+      userId: String(userId),
+      plan,
+      kind,
+      provider,
+      model,
+      inputTokens,
+      outputTokens,
+      costUsd,
+      latencyMs: Math.round(latencyMs || 0),
+      tools,
+      rounds,
+      success,
+      error,
+      date,
+      createdAt: now
+    });
+    await db.collection('ai_usage').updateOne(
+      { userId: String(userId), date },
+      {
+        $inc: { inputTokens, outputTokens, costUsd: costUsd || 0, requests: 1 },
+        $setOnInsert: { userId: String(userId), date, count: 0 }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (recordErr) {
+    console.error('AI usage record failed:', recordErr.message);
+    return false;
+  }
+};
+
+const parseDay = (value, fallback) => {
+  if (!value) return fallback;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw httpError(`Invalid date "${value}". Use YYYY-MM-DD`);
+  }
+  return value;
+};
+
+const spendTotals = {
+  requests: { $sum: 1 },
+  failures: { $sum: { $cond: ['$success', 0, 1] } },
+  inputTokens: { $sum: '$inputTokens' },
+  outputTokens: { $sum: '$outputTokens' },
+  costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+  avgLatencyMs: { $avg: '$latencyMs' }
+};
+
+const tidy = ({ _id, avgLatencyMs, costUsd, ...rest }) => ({
+  ...rest,
+  costUsd: Math.round(costUsd * 1e6) / 1e6,
+  avgLatencyMs: Math.round(avgLatencyMs || 0)
+});
+
+/**
+ * AI spend between two days (inclusive), broken down by day, plan, user, model and tool
+ * @param {Object} db - Database handle
+ * @param {Object} query
+ * @param {string} [query.from] - YYYY-MM-DD, default 30 days ago
+ * @param {string} [query.to] - YYYY-MM-DD, default today
+ * @param {string} [query.plan] - Only one plan
+ * @param {string} [query.userId] - Only one user
+ * @param {number} [query.topUsers] - How many users to list, by cost
+ * @returns {Promise<Object>}
+ */
+export const aiSpendReport = async (db, { from, to, plan, userId, topUsers = 20 } = {}) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const toDay = parseDay(to, today);
+  const fromDay = parseDay(from, new Date(Date.parse(`${toDay}T00:00:00Z`) - 29 * DAY_MS).toISOString().slice(0, 10));
+  if (fromDay > toDay) throw httpError('from must be on or before to');
+  if ((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS >= MAX_REPORT_DAYS) {
+    throw httpError(`Reports cover at most ${MAX_REPORT_DAYS} days`);
+  }
+  if (plan && !AI_PLANS.includes(plan)) throw httpError(`Unknown plan "${plan}"`);
+
+  const match = { date: { $gte: fromDay, $lte: toDay } };
+  if (plan) match.plan = plan;
+  if (userId) match.userId = String(userId);
+  const limit = Math.min(Math.max(parseInt(topUsers, 10) || 20, 1), 100);
+
+  const [facets] = await db.collection(REQUESTS_COLLECTION).aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...spendTotals } }],
+        byDay: [{ $group: { _id: '$date', ...spendTotals } }, { $sort: { _id: 1 } }],
+        byPlan: [{ $group: { _id: '$plan', ...spendTotals } }, { $sort: { costUsd: -1 } }],
+        byModel: [{ $group: { _id: '$model', ...spendTotals } }, { $sort: { costUsd: -1 } }],
+        byUser: [{ $group: { _id: '$userId', plan: { $last: '$plan' }, ...spendTotals } }, { $sort: { costUsd: -1, requests: -1 } }, { $limit: limit }],
+        byTool: [
+          { $unwind: '$tools' },
+          {
+            $group: {
+              _id: '$tools.name',
+              calls: { $sum: 1 },
+              failures: { $sum: { $cond: ['$tools.ok', 0, 1] } },
+              avgMs: { $avg: '$tools.ms' }
+            }
+          },
+          { $sort: { calls: -1 } }
+        ]
+      }
+    }
+  ]).toArray();
+
+  const userIds = facets.byUser.map(u => u._id).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+  const users = userIds.length
+    ? await db.collection('users').find({ _id: { $in: userIds } }, { projection: { name: 1, email: 1 } }).toArray()
+    : [];
+  const userById = new Map(users.map(u => [String(u._id), u]));
+
+  const empty = { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, avgLatencyMs: 0 };
+  return {
+    from: fromDay,
+    to: toDay,
+    currency: 'USD',
+    totals: facets.totals[0] ? tidy(facets.totals[0]) : empty,
+    byDay: facets.byDay.map(d => ({ date: d._id, ...tidy(d) })),
+    byPlan: facets.byPlan.map(p => ({ plan: p._id, ...tidy(p) })),
+    byModel: facets.byModel.map(m => ({ model: m._id, ...tidy(m) })),
+    byUser: facets.byUser.map(u => ({
+      userId: u._id,
+      name: userById.get(u._id)?.name || null,
+      email: userById.get(u._id)?.email || null,
+      ...tidy(u)
+    })),
+    byTool: facets.byTool.map(t => ({ tool: t._id, calls: t.calls, failures: t.failures, avgMs: Math.round(t.avgMs || 0) }))
+  };
+};
@@ -0,0 +1,672 @@
+// services/driveMapService.js
+// Geospatial layers behind /api/drive-map/* (EV charging, traffic cameras,
+// eco spots, road hazards).
+//
+// Every point is stored as a GeoJSON `location` alongside the legacy lat/lng
+// fields, indexed 2dsphere, and served back as a FeatureCollection.
+
+import { ObjectId } from 'mongodb';
+
+export const DRIVE_MAP_LAYERS = {
+  'charging-stations': { collection: 'ev_charging_stations', filter: {} },
+  'traffic-cameras': { collection: 'traffic_cameras', filter: { approved: true } },
+  'eco-spots': { collection: 'eco_spots', filter: {} },
+  'road-hazards': { collection: 'road_hazards', filter: { approved: true } }
+};
+
+export const DEFAULT_RADIUS_METERS = 10000;
+export const MAX_RADIUS_METERS = 200000;
+export const MAX_FEATURES = 1000;
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * GeoJSON point from latitude/longitude
+ * @param {number|string} lat - Latitude
+ * @param {number|string} lng - Longitude
+ * @returns {{type: string, coordinates: number[]}|null} - null when the pair is not a valid position
+ */
+export const toPoint = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+const parseNumberList = (value, expected, name) => {
+  const numbers = String(value).split(',').map(n => parseFloat(n.trim()));
+  if (numbers.length !== expected || numbers.some(n => !Number.isFinite(n))) {
+    throw httpError(`${name} must be ${expected} comma-separated numbers`, 400);
+  }
+  return numbers;
+};
+
+/**
+ * Mongo filter for the spatial part of a layer query
+ *
+ * Coordinates follow GeoJSON order (longitude first):
+ *   bbox=minLng,minLat,maxLng,maxLat
+ *   near=lng,lat&radius=<meters>
+ *
+ * @param {URLSearchParams} searchParams - Query string
+ * @returns {Object} - Filter on `location`, empty when neither parameter is given
+ */
+export const parseGeoQuery = (searchParams) => {
+  const bbox = searchParams.get('bbox');
+  const near = searchParams.get('near');
+  if (bbox && near) throw httpError('Use either bbox or near, not both', 400);
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = parseNumberList(bbox, 4, 'bbox');
+    if (!toPoint(minLat, minLng) || !toPoint(maxLat, maxLng) || minLng >= maxLng || minLat >= maxLat) {
+      throw httpError('bbox must be minLng,minLat,maxLng,maxLat with min < max', 400);
+    }
+    return {
+      location: {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+          }
+        }
+      }
+    };
+  }
+
+  if (near) {
+    const [lng, lat] = parseNumberList(near, 2, 'near');
+    const point = toPoint(lat, lng);
+    if (!point) throw httpError('near must be a valid lng,lat position', 400);
+    const radius = searchParams.get('radius') ? parseFloat(searchParams.get('radius')) : DEFAULT_RADIUS_METERS;
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+      throw httpError(`radius must be between 1 and ${MAX_RADIUS_METERS} meters`, 400);
+    }
+    // $nearSphere also sorts the results closest first
+    return { location: { $nearSphere: { $geometry: point, $maxDistance: radius } } };
+  }
+
+  return {};
+};
+
+/**
+ * Wrap layer documents as a GeoJSON FeatureCollection
+ * @param {Object[]} docs - Documents carrying a `location` point
+ * @returns {{type: string, features: Object[]}}
+ */
+export const toFeatureCollection = (docs) => ({
+  type: 'FeatureCollection',
+  features: docs
+    .filter(doc => doc.location?.type === 'Point')
+    .map(({ _id, location, ...properties }) => ({
+      type: 'Feature',
+      id: String(_id),
+      geometry: location,
+      properties: { id: String(_id), ...properties }
+    }))
+});
+
+const preparedCollections = new Set();
+
+/**
+ * Make sure a layer collection has its 2dsphere index, backfilling `location`
+ * on documents written before it existed. Runs once per collection per cold start.
+ * @param {Object} db - Database handle
+ * @param {string} collectionName - Layer collection
+ */
+export const ensureGeoIndex = async (db, collectionName) => {
+  if (preparedCollections.has(collectionName)) return;
+  const col = db.collection(collectionName);
+  try {
+    await col.updateMany(
+      { location: { $exists: false }, lat: { $type: 'number', $gte: -90, $lte: 90 }, lng: { $type: 'number', $gte: -180, $lte: 180 } },
+      [{ $set: { location: { type: 'Point', coordinates: ['$lng', '$lat'] } } }]
+    );
+    await col.createIndex({ location: '2dsphere' }, { background: true });
+    preparedCollections.add(collectionName);
+  } catch (indexErr) {
+    console.warn(`Drive map geo index for ${collectionName} skipped:`, indexErr.message);
+  }
+};
+
+/**
+ * Query one map layer
+ * @param {Object} db - Database handle
+ * @param {string} layer - Key of DRIVE_MAP_LAYERS
+ * @param {URLSearchParams} searchParams - bbox / near / radius / limit
+ * @param {Object} [extraFilter] - Additional conditions, e.g. expiry
+ * @returns {Promise<Object[]>}
+ */
+export const findLayerDocuments = async (db, layer, searchParams, extraFilter = {}) => {
+  const { collection, filter } = DRIVE_MAP_LAYERS[layer];
+  await ensureGeoIndex(db, collection);
+
+  const limit = Math.min(parseInt(searchParams.get('limit')) || MAX_FEATURES, MAX_FEATURES);
+  return db.collection(collection)
+    .find({ ...filter, ...extraFilter, ...parseGeoQuery(searchParams) })
+    .limit(limit)
+    .toArray();
+};
+
+const seededLayers = new Set();
+
+/**
+ * Insert seed documents into an empty layer, adding their GeoJSON location
+ *
+ * With `once`, the seed is recorded in `site_settings` and never re-applied, so
+ * a layer that admins manage can be emptied without the seed coming back.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} layer - Key of DRIVE_MAP_LAYERS
+ * @param {Object[]} seed - Documents with lat/lng
+ * @param {Object} [options]
+ * @param {boolean} [options.once] - Seed at most once per database
+ */
+export const seedLayerIfEmpty = async (db, layer, seed, { once = false } = {}) => {
+  if (seededLayers.has(layer)) return;
+  const col = db.collection(DRIVE_MAP_LAYERS[layer].collection);
+  const settings = db.collection('site_settings');
+  const markerField = `seededAt.${layer}`;
+
+  if (once && await settings.findOne({ _id: 'drive_map', [markerField]: { $exists: true } }, { projection: { _id: 1 } })) {
+    seededLayers.add(layer);
+    return;
+  }
+  if (await col.estimatedDocumentCount() === 0) {
+    const now = new Date();
+    await col.insertMany(seed.map(s => ({ ...s, location: toPoint(s.lat, s.lng), createdAt: now, updatedAt: now })));
+  }
+  if (once) await settings.updateOne({ _id: 'drive_map' }, { $set: { [markerField]: new Date() } }, { upsert: true });
+  seededLayers.add(layer);
+};
+
+// ==================== MODERATION & HAZARD EXPIRY ====================
+
+// Community submissions that go through the admin queue
+export const MODERATED_LAYERS = ['traffic-cameras', 'road-hazards'];
+
+export const MODERATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RETIRED: 'retired'
+};
+
+// How long an approved hazard stays on the map before it expires on its own
+export const HAZARD_LIFETIME_HOURS = {
+  accident: 6,
+  police: 4,
+  roadblock: 4,
+  animal: 3,
+  debris: 12,
+  breakdown: 6,
+  flooding: 48,
+  fire: 12,
+  construction: 24 * 14,
+  roadworks: 24 * 14,
+  pothole: 24 * 30,
+  other: 24
+};
+
+// Community votes: this many more "gone" than "still there" votes retires a hazard
+export const HAZARD_GONE_MARGIN = 3;
+export const HAZARD_VOTES = ['still_there', 'gone'];
+
+const EDITABLE_FIELDS = {
+  'traffic-cameras': ['description', 'road', 'direction'],
+  'road-hazards': ['type', 'description', 'road']
+};
+
+/**
+ * When a hazard of a given type should drop off the map
+ * @param {string} type - Hazard type
+ * @param {Date} [from] - Start of its lifetime
+ * @returns {Date}
+ */
+export const hazardExpiry = (type, from = new Date()) => {
+  const hours = HAZARD_LIFETIME_HOURS[String(type || '').toLowerCase()] || HAZARD_LIFETIME_HOURS.other;
+  return new Date(from.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Filter for hazards that are still live on the public map
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export const liveHazardFilter = (now = new Date()) => ({
+  moderationStatus: { $ne: MODERATION_STATUS.RETIRED },
+  expiresAt: { $gt: now }
+});
+
+let hazardExpiryBackfilled = false;
+
+/**
+ * Give hazards approved before expiry existed an expiry based on their type and
+ * report time, so they stop living on the map forever. Runs once per cold start.
+ * @param {Object} db - Database handle
+ */
+export const backfillHazardExpiry = async (db) => {
+  if (hazardExpiryBackfilled) return;
+  const col = db.collection('road_hazards');
+  try {
+    const legacy = await col.find({ approved: true, expiresAt: { $exists: false } }, { projection: { type: 1, createdAt: 1 } }).toArray();
+    if (legacy.length > 0) {
+      await col.bulkWrite(legacy.map(h => ({
+        updateOne: {
+          filter: { _id: h._id, expiresAt: { $exists: false } },
+          update: { $set: { expiresAt: hazardExpiry(h.type, h.createdAt ? new Date(h.createdAt) : new Date()), moderationStatus: MODERATION_STATUS.APPROVED } }
+        }
+      })), { ordered: false });
+    }
+    hazardExpiryBackfilled = true;
+  } catch (backfillErr) {
+    console.warn('Hazard expiry backfill skipped:', backfillErr.message);
+  }
+};
+
+/**
+ * Replace the raw vote list with counts before a hazard leaves the API
+ * @param {Object} hazard - Hazard document
+ * @returns {Object}
+ */
+export const publicHazard = ({ votes = [], contributorId, ...hazard }) => ({
+  ...hazard,
+  confirmations: {
+    stillThere: votes.filter(v => v.vote === 'still_there').length,
+    gone: votes.filter(v => v.vote === 'gone').length
+  }
+});
+
+const toObjectIdOrThrow = (id) => {
+  if (!ObjectId.isValid(id)) throw httpError('Invalid id', 400);
+  return new ObjectId(id);
+};
+
+/**
+ * Submissions waiting for an admin decision, oldest first
+ * @param {Object} db - Database handle
+ * @param {string} layer - One of MODERATED_LAYERS
+ * @returns {Promise<Object[]>}
+ */
+export const listPendingSubmissions = async (db, layer) => {
+  const { collection } = DRIVE_MAP_LAYERS[layer];
+  return db.collection(collection)
+    .find({ approved: false, moderationStatus: { $nin: [MODERATION_STATUS.REJECTED, MODERATION_STATUS.RETIRED] } })
+    .sort({ createdAt: 1 })
+    .limit(200)
+    .toArray();
+};
+
+/**
+ * Approve, reject or edit a community submission
+ * @param {Object} db - Database handle
+ * @param {string} layer - One of MODERATED_LAYERS
+ * @param {string} id - Document id
+ * @param {string} action - 'approve' | 'reject' | 'edit'
+ * @param {Object} options
+ * @param {Object} options.admin - Acting admin ({ id, name })
+ * @param {string} [options.reason] - Required for reject
+ * @param {Object} [options.changes] - Fields for edit (lat/lng, type, description, road, direction, expiresAt)
+ * @returns {Promise<Object>} - Updated document
+ */
+export const moderateSubmission = async (db, layer, id, action, { admin, reason = '', changes = {} }) => {
+  const col = db.collection(DRIVE_MAP_LAYERS[layer].collection);
+  const _id = toObjectIdOrThrow(id);
+
+  const existing = await col.findOne({ _id });
+  if (!existing) throw httpError('Submission not found', 404);
+
+  const now = new Date();
+  const audit = { moderatedBy: String(admin.id), moderatorName: admin.name || 'Admin', moderatedAt: now, updatedAt: now };
+  let $set;
+
+  if (action === 'approve') {
+    $set = { ...audit, approved: true, moderationStatus: MODERATION_STATUS.APPROVED, rejectionReason: null };
+    if (layer === 'road-hazards') $set.expiresAt = hazardExpiry(existing.type, now);
+  } else if (action === 'reject') {
+    if (!String(reason).trim()) throw httpError('A rejection reason is required', 400);
+    $set = { ...audit, approved: false, moderationStatus: MODERATION_STATUS.REJECTED, rejectionReason: String(reason).trim() };
+  } else if (action === 'edit') {
+    $set = { ...audit };
+    for (const field of EDITABLE_FIELDS[layer]) {
+      if (changes[field] !== undefined) $set[field] = String(changes[field]).trim();
+    }
+    if (changes.lat !== undefined || changes.lng !== undefined) {
+      const location = toPoint(changes.lat ?? existing.lat, changes.lng ?? existing.lng);
+      if (!location) throw httpError('Valid latitude and longitude are required', 400);
+      Object.assign($set, { lat: location.coordinates[1], lng: location.coordinates[0], location });
+    }
+    if (layer === 'road-hazards') {
+      if (changes.expiresAt !== undefined) {
+        const expiresAt = new Date(changes.expiresAt);
+        if (isNaN(expiresAt)) throw httpError('expiresAt must be a valid date', 400);
+        $set.expiresAt = expiresAt;
+      } else if ($set.type && existing.approved) {
+        $set.expiresAt = hazardExpiry($set.type, existing.moderatedAt || now);
+      }
+    }
+  } else {
+    throw httpError(`Unknown moderation action: ${action}`, 400);
+  }
+
+  await col.updateOne({ _id }, { $set });
+  return col.findOne({ _id });
+};
+
+/**
+ * Record a community "still there" / "gone" vote on a live hazard
+ *
+ * Each user has one vote per hazard; voting again replaces it. "Still there"
+ * pushes the expiry out by half the type's lifetime, and once "gone" votes
+ * outnumber "still there" votes by HAZARD_GONE_MARGIN the hazard is retired.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} id - Hazard id
+ * @param {string} userId - Voter
+ * @param {string} vote - One of HAZARD_VOTES
+ * @returns {Promise<Object>} - Public view of the hazard after the vote
+ */
+export const voteOnHazard = async (db, id, userId, vote) => {
+  if (!HAZARD_VOTES.includes(vote)) throw httpError(`vote must be one of: ${HAZARD_VOTES.join(', ')}`, 400);
+
+  const col = db.collection('road_hazards');
+  const _id = toObjectIdOrThrow(id);
+  const now = new Date();
+
+  const hazard = await col.findOne({ _id, approved: true, ...liveHazardFilter(now) });
+  if (!hazard) throw httpError('Hazard not found or no longer active', 404);
+
+  const voter = String(userId);
+  const stages = [{
+    $set: {
+      votes: {
+        $concatArrays: [
+          { $filter: { input: { $ifNull: ['$votes', []] }, cond: { $ne: ['$$this.userId', voter] } } },
+          [{ userId: voter, vote, votedAt: now }]
+        ]
+      },
+      updatedAt: now
+    }
+  }];
+  if (vote === 'still_there') {
+    const hours = (HAZARD_LIFETIME_HOURS[String(hazard.type || '').toLowerCase()] || HAZARD_LIFETIME_HOURS.other) / 2;
+    const extended = new Date(now.getTime() + hours * 60 * 60 * 1000);
+    stages.push({ $set: { expiresAt: { $max: ['$expiresAt', extended] }, lastConfirmedAt: now } });
+  }
+  await col.updateOne({ _id }, stages);
+
+  const updated = await col.findOne({ _id });
+  const { confirmations } = publicHazard(updated);
+  if (confirmations.gone - confirmations.stillThere >= HAZARD_GONE_MARGIN) {
+    await col.updateOne(
+      { _id, moderationStatus: { $ne: MODERATION_STATUS.RETIRED } },
+      { $set: { moderationStatus: MODERATION_STATUS.RETIRED, retiredAt: now, retiredReason: 'community_votes', updatedAt: now } }
+    );
+    return publicHazard({ ...updated, moderationStatus: MODERATION_STATUS.RETIRED, retiredAt: now });
+  }
+  return publicHazard(updated);
+};
+
+// ==================== EV CHARGING STATIONS ====================
+
+export const CONNECTOR_TYPES = ['Type 1', 'Type 2', 'CCS', 'CHAdeMO', 'GB/T', 'Tesla'];
+export const STATION_REPORT_STATUSES = ['working', 'broken', 'occupied'];
+
+// How long a report keeps describing the station before it goes stale
+export const STATION_REPORT_VALIDITY_HOURS = {
+  occupied: 2,
+  working: 24,
+  broken: 24 * 7
+};
+
+const WEEK_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const HOURS_RANGE = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-4]):[0-5]\d$/;
+const RECENT_REPORTS_KEPT = 20;
+const REPORT_COOLDOWN_MINUTES = 5;
+
+/**
+ * Validate the `connectors` list of a station
+ * @param {Array} connectors - [{ type, powerKw, count }]
+ * @returns {Array}
+ */
+const normalizeConnectors = (connectors) => {
+  if (!Array.isArray(connectors) || connectors.length === 0) {
+    throw httpError('At least one connector is required', 400);
+  }
+  return connectors.map((c, i) => {
+    const type = CONNECTOR_TYPES.find(t => t.toLowerCase() === String(c?.type || '').trim().toLowerCase());
+    if (!type) throw httpError(`connectors[${i}].type must be one of: ${CONNECTOR_TYPES.join(', ')}`, 400);
+    const powerKw = parseFloat(c.powerKw);
+    if (!Number.isFinite(powerKw) || powerKw <= 0 || powerKw > 1000) {
+      throw httpError(`connectors[${i}].powerKw must be a positive number of kilowatts`, 400);
+    }
+    const count = c.count === undefined ? 1 : parseInt(c.count, 10);
+    if (!Number.isInteger(count) || count < 1) throw httpError(`connectors[${i}].count must be at least 1`, 400);
+    return { type, powerKw, current: c.current === 'AC' || c.current === 'DC' ? c.current : (powerKw > 22 ? 'DC' : 'AC'), count };
+  });
+};
+
+/**
+ * Validate opening hours: '24/7' or { mon: '06:00-22:00', ..., sun: 'closed' }
+ * @param {string|Object} hours
+ * @returns {string|Object}
+ */
+const normalizeOpeningHours = (hours) => {
+  if (hours === '24/7') return hours;
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    throw httpError("openingHours must be '24/7' or an object keyed by mon..sun", 400);
+  }
+  const normalized = {};
+  for (const day of WEEK_DAYS) {
+    const value = String(hours[day] ?? 'closed').trim();
+    if (value !== 'closed' && !HOURS_RANGE.test(value)) {
+      throw httpError(`openingHours.${day} must be HH:mm-HH:mm or 'closed'`, 400);
+    }
+    normalized[day] = value;
+  }
+  return normalized;
+};
+
+/**
+ * Validate pricing: { free: true } or { perKwh, perSession, currency, notes }
+ * @param {Object} pricing
+ * @returns {Object}
+ */
+const normalizePricing = (pricing) => {
+  if (!pricing || typeof pricing !== 'object') throw httpError('pricing must be an object', 400);
+  if (pricing.free === true || pricing.free === 'true') return { free: true, notes: String(pricing.notes || '').trim() };
+
+  const normalized = { free: false, currency: String(pricing.currency || 'BWP').trim().toUpperCase(), notes: String(pricing.notes || '').trim() };
+  for (const field of ['perKwh', 'perSession', 'perMinute']) {
+    if (pricing[field] === undefined || pricing[field] === '') continue;
+    const amount = parseFloat(pricing[field]);
+    if (!Number.isFinite(amount) || amount < 0) throw httpError(`pricing.${field} must be a non-negative number`, 400);
+    normalized[field] = amount;
+  }
+  if (normalized.perKwh === undefined && normalized.perSession === undefined && normalized.perMinute === undefined) {
+    throw httpError('pricing needs perKwh, perSession or perMinute, or free: true', 400);
+  }
+  return normalized;
+};
+
+/**
+ * Build the stored fields of a station from an admin payload
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {Object} [options.existing] - Current document when updating; only supplied fields change
+ * @returns {Object} - Fields to $set
+ */
+export const normalizeStationInput = (input = {}, { existing = null } = {}) => {
+  const fields = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (has('name') || !existing) {
+    const name = String(input.name || '').trim();
+    if (!name) throw httpError('Station name is required', 400);
+    fields.name = name;
+  }
+  for (const key of ['address', 'operator', 'operatorPhone', 'notes']) {
+    if (has(key)) fields[key] = String(input[key]).trim();
+  }
+  if (has('lat') || has('lng') || !existing) {
+    const location = toPoint(input.lat ?? existing?.lat, input.lng ?? existing?.lng);
+    if (!location) throw httpError('Valid latitude and longitude are required', 400);
+    Object.assign(fields, { lat: location.coordinates[1], lng: location.coordinates[0], location });
+  }
+  if (has('connectors') || !existing) fields.connectors = normalizeConnectors(input.connectors);
+  if (has('openingHours')) fields.openingHours = normalizeOpeningHours(input.openingHours);
+  if (has('pricing')) fields.pricing = normalizePricing(input.pricing);
+  return fields;
+};
+
+/**
+ * Current status from the station's recent reports: the newest report that is
+ * still within its validity window wins, otherwise the status is 'unknown'
+ * @param {Object[]} reports - Recent reports, any order
+ * @param {Date} [now]
+ * @returns {{currentStatus: string, lastConfirmedAt: Date|null, lastReportedStatus: string|null}}
+ */
+export const deriveStationStatus = (reports = [], now = new Date()) => {
+  const newestFirst = [...reports].sort((a, b) => new Date(b.reportedAt) - new Date(a.reportedAt));
+  const current = newestFirst.find(r =>
+    now - new Date(r.reportedAt) <= (STATION_REPORT_VALIDITY_HOURS[r.status] || 0) * 60 * 60 * 1000
+  );
+  return {
+    currentStatus: current ? current.status : 'unknown',
+    lastConfirmedAt: newestFirst[0] ? new Date(newestFirst[0].reportedAt) : null,
+    lastReportedStatus: newestFirst[0]?.status || null
+  };
+};
+
+/**
+ * Station as served on the map: derived status, reporter ids stripped, and
+ * connectors filled in for stations created before they existed
+ * @param {Object} station - Station document
+ * @returns {Object}
+ */
+export const publicStation = ({ recentReports = [], type, speed, status, ...station }) => {
+  const connectors = station.connectors?.length
+    ? station.connectors
+    : [{ type: type || 'Type 2', powerKw: parseFloat(speed) || null, current: /DC/i.test(speed || '') ? 'DC' : 'AC', count: 1 }];
+  return {
+    ...station,
+    connectors,
+    ...deriveStationStatus(recentReports),
+    recentReports: recentReports
+      .slice(-5)
+      .reverse()
+      .map(({ status: reportStatus, comment, reportedAt }) => ({ status: reportStatus, comment, reportedAt }))
+  };
+};
+
+/**
+ * Create a charging station
+ * @param {Object} db - Database handle
+ * @param {Object} input - Admin payload
+ * @param {Object} admin - Acting admin ({ id, name })
+ * @returns {Promise<Object>} - Inserted station
+ */
+export const createStation = async (db, input, admin) => {
+  const now = new Date();
+  const station = {
+    ...normalizeStationInput(input),
+    recentReports: [],
+    createdBy: String(admin.id),
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection('ev_charging_stations').insertOne(station);
+  return { _id: insertedId, ...station };
+};
+
+/**
+ * Update the fields supplied for a charging station
+ * @param {Object} db - Database handle
+ * @param {string} id - Station id
+ * @param {Object} input - Admin payload
+ * @param {Object} admin - Acting admin ({ id, name })
+ * @returns {Promise<Object>} - Updated station
+ */
+export const updateStation = async (db, id, input, admin) => {
+  const col = db.collection('ev_charging_stations');
+  const _id = toObjectIdOrThrow(id);
+  const existing = await col.findOne({ _id });
+  if (!existing) throw httpError('Charging station not found', 404);
+
+  const fields = normalizeStationInput(input, { existing });
+  // Legacy single-connector fields are superseded once connectors are edited
+  const $unset = fields.connectors ? { type: '', speed: '', status: '' } : {};
+  await col.updateOne({ _id }, {
+    $set: { ...fields, updatedBy: String(admin.id), updatedAt: new Date() },
+    ...(Object.keys($unset).length ? { $unset } : {})
+  });
+  return col.findOne({ _id });
+};
+
+/**
+ * Delete a charging station together with its report history
+ * @param {Object} db - Database handle
+ * @param {string} id - Station id
+ */
+export const deleteStation = async (db, id) => {
+  const _id = toObjectIdOrThrow(id);
+  const { deletedCount } = await db.collection('ev_charging_stations').deleteOne({ _id });
+  if (!deletedCount) throw httpError('Charging station not found', 404);
+  await db.collection('ev_station_reports').deleteMany({ stationId: _id });
+};
+
+/**
+ * Record a user's status report for a station
+ *
+ * The full history goes to `ev_station_reports`; the last few reports are also
+ * kept on the station so the map can derive its status without a second query.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} id - Station id
+ * @param {Object} report
+ * @param {string} report.userId - Reporter
+ * @param {string} report.status - One of STATION_REPORT_STATUSES
+ * @param {string} [report.comment]
+ * @returns {Promise<Object>} - Public view of the station after the report
+ */
+export const reportStationStatus = async (db, id, { userId, status, comment = '' }) => {
+  if (!STATION_REPORT_STATUSES.includes(status)) {
+    throw httpError(`status must be one of: ${STATION_REPORT_STATUSES.join(', ')}`, 400);
+  }
+  const col = db.collection('ev_charging_stations');
+  const _id = toObjectIdOrThrow(id);
+  const now = new Date();
+  const reporter = String(userId);
+  const cooldownStart = new Date(now.getTime() - REPORT_COOLDOWN_MINUTES * 60 * 1000);
+
+  const report = { userId: reporter, status, comment: String(comment).trim().slice(0, 280), reportedAt: now };
+  const updated = await col.findOneAndUpdate(
+    { _id, recentReports: { $not: { $elemMatch: { userId: reporter, reportedAt: { $gt: cooldownStart } } } } },
+    { $push: { recentReports: { $each: [report], $slice: -RECENT_REPORTS_KEPT } }, $set: { lastReportAt: now } },
+    { returnDocument: 'after' }
+  );
+  const station = updated && 'value' in updated ? updated.value : updated;
+
+  if (!station) {
+    if (!await col.findOne({ _id }, { projection: { _id: 1 } })) throw httpError('Charging station not found', 404);
+    throw httpError(`You reported this station less than ${REPORT_COOLDOWN_MINUTES} minutes ago`, 429);
+  }
+
+  await db.collection('ev_station_reports').insertOne({ stationId: _id, ...report });
+  return publicStation(station);
+};
+
+/**
+ * Full report history for a station, newest first
+ * @param {Object} db - Database handle
+ * @param {string} id - Station id
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+export const listStationReports = async (db, id, limit = 100) => {
+  return db.collection('ev_station_reports')
+    .find({ stationId: toObjectIdOrThrow(id) })
+    .sort({ reportedAt: -1 })
+    .limit(Math.min(limit, 500))
+    .toArray();
+};
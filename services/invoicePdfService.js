@@ -0,0 +1,294 @@
+// services/invoicePdfService.js
+// Renders invoices and quotations from the `invoices` collection as A4 PDFs.
+//
+// The PDF is written directly (PDF 1.4, the built-in Helvetica fonts), so no
+// PDF library or headless browser is needed in the serverless function.
+// Amounts are in BWP; the VAT line uses the document's taxRate.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+export const DEFAULT_INVOICE_BRANDING = {
+  name: 'Bw Car Culture',
+  tagline: "Botswana's car marketplace",
+  address: ['Gaborone', 'Botswana'],
+  phone: '+267 74 122 453',
+  email: '',
+  website: 'www.bwcarculture.com',
+  vatNumber: '',
+  paymentDetails: [],
+  footer: 'Thank you for your business.',
+  accentColor: '#111827'
+};
+
+const hexToRgb = (hex) => {
+  const clean = String(hex || '').replace('#', '');
+  if (!/^[0-9a-f]{6}$/i.test(clean)) return [0, 0, 0];
+  return [0, 2, 4].map(i => parseInt(clean.slice(i, i + 2), 16) / 255);
+};
+
+// PDF strings are Latin-1 here; anything else prints as '?'
+const pdfString = (value) => `(${String(value ?? '')
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)')})`;
+
+/**
+ * Width of a string in points, bold text estimated 5% wider
+ */
+export const textWidth = (text, size, bold = false) => {
+  let units = 0;
+  for (const ch of String(text ?? '')) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size / 1000) * (bold ? 1.05 : 1);
+};
+
+/**
+ * Break text into lines no wider than maxWidth
+ */
+export const wrapText = (text, size, maxWidth, bold = false) => {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * Minimal PDF writer: pages of text, lines and filled rectangles
+ */
+const createPdfDocument = () => {
+  const pages = [];
+  let ops = null;
+
+  return {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+    text(x, y, value, { size = 10, bold = false, color = [0, 0, 0], align = 'left' } = {}) {
+      const width = textWidth(value, size, bold);
+      const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+      ops.push(`BT ${color.map(c => c.toFixed(3)).join(' ')} rg /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+    },
+    line(x1, y1, x2, y2, { color = [0.8, 0.8, 0.8], width = 0.5 } = {}) {
+      ops.push(`${color.map(c => c.toFixed(3)).join(' ')} RG ${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+    rect(x, y, w, h, { color = [0.95, 0.95, 0.95] } = {}) {
+      ops.push(`${color.map(c => c.toFixed(3)).join(' ')} rg ${x} ${y} ${w} ${h} re f`);
+    },
+    toBuffer(title = '') {
+      const objects = [];
+      const add = (body) => objects.push(body);
+      add('<< /Type /Catalog /Pages 2 0 R >>');
+      add(null); // page tree, filled in once the page ids are known
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      add(`<< /Title ${pdfString(title)} /Producer (Bw Car Culture) >>`);
+
+      const pageIds = [];
+      for (const pageOps of pages) {
+        const stream = pageOps.join('\n');
+        add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        const contentId = objects.length;
+        add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+        pageIds.push(objects.length);
+      }
+      objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(Buffer.byteLength(out, 'latin1'));
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xrefAt = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+      return Buffer.from(out, 'latin1');
+    }
+  };
+};
+
+/**
+ * Amount as shown on documents, e.g. P 1,250.00
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatBwp = (amount) => {
+  const value = Number(amount) || 0;
+  const [whole, cents] = Math.abs(value).toFixed(2).split('.');
+  return `${value < 0 ? '-' : ''}P ${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Africa/Gaborone' });
+};
+
+/**
+ * Render an invoice or quotation as a PDF
+ * @param {Object} invoice - Document from the `invoices` collection
+ * @param {Object} [branding] - See DEFAULT_INVOICE_BRANDING
+ * @returns {Buffer}
+ */
+export const renderInvoicePdf = (invoice, branding = DEFAULT_INVOICE_BRANDING) => {
+  const brand = { ...DEFAULT_INVOICE_BRANDING, ...branding };
+  const accent = hexToRgb(brand.accentColor);
+  const grey = [0.42, 0.45, 0.5];
+  const isQuote = invoice.type === 'quotation';
+  const pdf = createPdfDocument();
+  const right = PAGE_WIDTH - MARGIN;
+  const cols = { qty: 360, unit: 445, amount: right };
+
+  let y;
+  const tableHeader = () => {
+    pdf.rect(MARGIN, y - 6, right - MARGIN, 20, { color: accent });
+    pdf.text(MARGIN + 6, y, 'Description', { bold: true, size: 9, color: [1, 1, 1] });
+    pdf.text(cols.qty, y, 'Qty', { bold: true, size: 9, color: [1, 1, 1], align: 'right' });
+    pdf.text(cols.unit, y, 'Unit price', { bold: true, size: 9, color: [1, 1, 1], align: 'right' });
+    pdf.text(cols.amount - 6, y, 'Amount', { bold: true, size: 9, color: [1, 1, 1], align: 'right' });
+    y -= 24;
+  };
+  const newPage = (withTable) => {
+    pdf.addPage();
+    y = PAGE_HEIGHT - MARGIN;
+    if (withTable) {
+      pdf.text(MARGIN, y, `${invoice.number || ''} (continued)`, { size: 9, color: grey });
+      y -= 24;
+      tableHeader();
+    }
+  };
+
+  newPage(false);
+
+  // Letterhead
+  pdf.text(MARGIN, y - 8, brand.name, { size: 20, bold: true, color: accent });
+  let brandY = y - 24;
+  for (const line of [brand.tagline, ...[].concat(brand.address || []), brand.phone, brand.email, brand.website].filter(Boolean)) {
+    pdf.text(MARGIN, brandY, line, { size: 9, color: grey });
+    brandY -= 12;
+  }
+  if (brand.vatNumber) {
+    pdf.text(MARGIN, brandY, `VAT reg. no. ${brand.vatNumber}`, { size: 9, color: grey });
+    brandY -= 12;
+  }
+
+  pdf.text(right, y - 8, isQuote ? 'QUOTATION' : (invoice.taxRate > 0 ? 'TAX INVOICE' : 'INVOICE'), { size: 18, bold: true, align: 'right' });
+  const meta = [
+    ['Number', invoice.number],
+    ['Date', formatDate(invoice.issueDate || invoice.createdAt)],
+    [isQuote ? 'Valid until' : 'Due date', formatDate(invoice.dueDate)],
+    ['Reference', invoice.reference]
+  ].filter(([, value]) => value);
+  let metaY = y - 28;
+  for (const [label, value] of meta) {
+    pdf.text(right - 110, metaY, label, { size: 9, color: grey, align: 'right' });
+    pdf.text(right, metaY, String(value), { size: 9, bold: true, align: 'right' });
+    metaY -= 13;
+  }
+
+  y = Math.min(brandY, metaY) - 20;
+
+  // Customer
+  pdf.text(MARGIN, y, isQuote ? 'PREPARED FOR' : 'BILL TO', { size: 8, bold: true, color: grey });
+  y -= 14;
+  const customer = invoice.customer || {};
+  pdf.text(MARGIN, y, customer.name || '-', { size: 11, bold: true });
+  y -= 13;
+  for (const line of [...String(customer.address || '').split(/\r?\n/), customer.email, customer.phone].filter(Boolean)) {
+    pdf.text(MARGIN, y, line, { size: 9, color: grey });
+    y -= 12;
+  }
+  y -= 16;
+
+  // Line items
+  tableHeader();
+  (invoice.items || []).forEach((item, index) => {
+    const lines = wrapText(item.description || '', 9, cols.qty - MARGIN - 50);
+    const rowHeight = lines.length * 12 + 8;
+    if (y - rowHeight < MARGIN + 60) newPage(true);
+    if (index % 2 === 1) pdf.rect(MARGIN, y - rowHeight + 14, right - MARGIN, rowHeight, { color: [0.97, 0.97, 0.98] });
+    lines.forEach((line, i) => pdf.text(MARGIN + 6, y - i * 12, line, { size: 9 }));
+    const quantity = Number(item.quantity) || 0;
+    const unitPrice = Number(item.unitPrice) || 0;
+    pdf.text(cols.qty, y, String(quantity), { size: 9, align: 'right' });
+    pdf.text(cols.unit, y, formatBwp(unitPrice), { size: 9, align: 'right' });
+    pdf.text(cols.amount - 6, y, formatBwp(item.total ?? quantity * unitPrice), { size: 9, align: 'right' });
+    y -= rowHeight;
+  });
+
+  // Totals
+  const totals = [['Subtotal', formatBwp(invoice.subtotal)]];
+  if (invoice.discountRate > 0) totals.push([`Discount (${invoice.discountRate}%)`, formatBwp(-(invoice.discountAmount || 0))]);
+  totals.push([`VAT (${Number(invoice.taxRate) || 0}%)`, formatBwp(invoice.taxAmount)]);
+  if (y - (totals.length + 2) * 16 < MARGIN + 40) newPage(false);
+  y -= 6;
+  pdf.line(cols.unit - 80, y + 10, right, y + 10);
+  for (const [label, value] of totals) {
+    pdf.text(cols.unit, y, label, { size: 9, color: grey, align: 'right' });
+    pdf.text(right - 6, y, value, { size: 9, align: 'right' });
+    y -= 15;
+  }
+  pdf.rect(cols.unit - 80, y - 8, right - cols.unit + 80, 22, { color: accent });
+  pdf.text(cols.unit, y, 'Total (BWP)', { size: 10, bold: true, color: [1, 1, 1], align: 'right' });
+  pdf.text(right - 6, y, formatBwp(invoice.total), { size: 10, bold: true, color: [1, 1, 1], align: 'right' });
+  y -= 24;
+  if (!isQuote && Number(invoice.amountPaid) > 0) {
+    pdf.text(cols.unit, y, 'Paid to date', { size: 9, color: grey, align: 'right' });
+    pdf.text(right - 6, y, formatBwp(-invoice.amountPaid), { size: 9, align: 'right' });
+    y -= 15;
+    pdf.text(cols.unit, y, 'Balance due', { size: 10, bold: true, align: 'right' });
+    pdf.text(right - 6, y, formatBwp(invoice.balanceDue ?? Math.max(invoice.total - invoice.amountPaid, 0)), { size: 10, bold: true, align: 'right' });
+    y -= 15;
+  }
+  y -= 20;
+
+  // Notes and payment details
+  const blocks = [];
+  if (invoice.notes) blocks.push(['NOTES', wrapText(invoice.notes, 9, right - MARGIN)]);
+  if (!isQuote && invoice.showPaymentDetails && brand.paymentDetails?.length) {
+    blocks.push(['PAYMENT DETAILS', [...brand.paymentDetails, `Use ${invoice.number} as your payment reference.`]]);
+  }
+  for (const [heading, lines] of blocks) {
+    if (y - (lines.length + 1) * 12 < MARGIN + 30) newPage(false);
+    pdf.text(MARGIN, y, heading, { size: 8, bold: true, color: grey });
+    y -= 13;
+    for (const line of lines) {
+      pdf.text(MARGIN, y, line, { size: 9 });
+      y -= 12;
+    }
+    y -= 12;
+  }
+
+  if (brand.footer) pdf.text(PAGE_WIDTH / 2, MARGIN - 20, brand.footer, { size: 8, color: grey, align: 'center' });
+
+  return pdf.toBuffer(`${isQuote ? 'Quotation' : 'Invoice'} ${invoice.number || ''}`.trim());
+};
@@ -0,0 +1,218 @@
+// services/invoiceService.js
+// Invoice and quotation numbering and totals for the `invoices` collection,
+// shared by the admin invoice endpoints and invoices raised automatically
+// (e.g. Mpho renewals). Also the branding printed on PDFs, signed public
+// links customers open without logging in, and quotation -> invoice conversion.
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { DEFAULT_INVOICE_BRANDING } from './invoicePdfService.js';
+
+const SETTINGS_ID = 'invoicing';
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_LINK_DAYS = 30;
+const MAX_LINK_DAYS = 365;
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const unwrap = (result) => (result && 'value' in result ? result.value : result);
+
+/**
+ * Next sequential number for an invoice or quotation (INV-0001, QUO-0001)
+ * @param {Object} db - Database handle
+ * @param {string} type - 'invoice' or 'quotation'
+ * @returns {Promise<string>}
+ */
+export const getNextInvoiceNumber = async (db, type) => {
+  const prefix = type === 'quotation' ? 'QUO' : 'INV';
+  const result = await db.collection('counters').findOneAndUpdate(
+    { _id: `${type}_counter` },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  const counter = unwrap(result);
+  return `${prefix}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+/**
+ * Subtotal, discount, tax and total for a list of line items
+ * @param {Array<{quantity: number, unitPrice: number}>} items
+ * @param {number} taxRate - Percent
+ * @param {number} discountRate - Percent
+ * @returns {{subtotal: number, discountAmount: number, taxAmount: number, total: number}}
+ */
+export const calcInvoiceTotals = (items, taxRate, discountRate) => {
+  const subtotal = items.reduce((s, i) => s + (Number(i.quantity) || 0) * (Number(i.unitPrice) || 0), 0);
+  const discountAmount = subtotal * ((Number(discountRate) || 0) / 100);
+  const afterDiscount = subtotal - discountAmount;
+  const taxAmount = afterDiscount * ((Number(taxRate) || 0) / 100);
+  return { subtotal, discountAmount, taxAmount, total: afterDiscount + taxAmount };
+};
+
+/**
+ * Branding printed on invoice and quotation PDFs
+ * @param {Object} db - Database handle
+ * @returns {Promise<Object>} - DEFAULT_INVOICE_BRANDING with saved overrides
+ */
+export const getInvoiceBranding = async (db) => {
+  const doc = await db.collection('site_settings').findOne({ _id: SETTINGS_ID });
+  return { ...DEFAULT_INVOICE_BRANDING, ...(doc?.branding || {}) };
+};
+
+/**
+ * Save branding overrides; unknown keys are rejected
+ * @param {Object} db - Database handle
+ * @param {Object} input - Any of the DEFAULT_INVOICE_BRANDING keys
+ * @param {string} adminName
+ * @returns {Promise<Object>} - The branding now in effect
+ */
+export const updateInvoiceBranding = async (db, input = {}, adminName = 'admin') => {
+  const $set = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_INVOICE_BRANDING)) throw httpError(`Unknown branding field "${key}"`);
+    if (Array.isArray(DEFAULT_INVOICE_BRANDING[key])) {
+      const lines = Array.isArray(value) ? value : String(value ?? '').split(/\r?\n/);
+      $set[`branding.${key}`] = lines.map(line => String(line).trim()).filter(Boolean).slice(0, 10);
+    } else if (key === 'accentColor') {
+      if (!/^#[0-9a-f]{6}$/i.test(value)) throw httpError('accentColor must be a hex colour like #111827');
+      $set['branding.accentColor'] = value;
+    } else {
+      $set[`branding.${key}`] = String(value ?? '').trim().slice(0, 200);
+    }
+  }
+  if (Object.keys($set).length === 0) throw httpError('Nothing to update');
+  await db.collection('site_settings').updateOne(
+    { _id: SETTINGS_ID },
+    { $set: { ...$set, updatedAt: new Date(), updatedBy: adminName } },
+    { upsert: true }
+  );
+  return getInvoiceBranding(db);
+};
+
+const linkSecret = () => {
+  const secret = process.env.INVOICE_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw httpError('INVOICE_LINK_SECRET is not configured', 503);
+  return secret;
+};
+
+// The share version is part of the signature, so bumping it revokes every link issued before
+const linkSignature = (invoiceId, expires, shareVersion = 0) =>
+  crypto.createHmac('sha256', linkSecret()).update(`${invoiceId}.${expires}.${shareVersion}`).digest('hex');
+
+/**
+ * Signed URL for the public PDF of an invoice or quotation
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options
+ * @param {string} options.baseUrl - API origin, e.g. https://api.example.com
+ * @param {number} [options.expiresInDays]
+ * @returns {{url: string, expiresAt: Date}}
+ */
+export const createInvoiceShareLink = (invoice, { baseUrl, expiresInDays = DEFAULT_LINK_DAYS }) => {
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_LINK_DAYS) throw httpError(`expiresInDays must be between 1 and ${MAX_LINK_DAYS}`);
+  const expires = Math.floor((Date.now() + days * DAY_MS) / 1000);
+  const id = String(invoice._id);
+  const sig = linkSignature(id, expires, invoice.shareVersion || 0);
+  return {
+    url: `${baseUrl}/api/invoices/public/${id}/pdf?expires=${expires}&sig=${sig}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check a public link's signature and expiry
+ * @param {Object} invoice - Invoice document
+ * @param {Object} query - `{ expires, sig }` from the URL
+ * @returns {boolean}
+ */
+export const verifyInvoiceShareLink = (invoice, { expires, sig }) => {
+  const expiresAt = Number(expires);
+  if (!invoice || !Number.isInteger(expiresAt) || !sig) return false;
+  if (expiresAt * 1000 < Date.now()) return false;
+  const expected = Buffer.from(linkSignature(String(invoice._id), expiresAt, invoice.shareVersion || 0));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Invalidate every public link issued for a document so far
+ * @param {Object} db - Database handle
+ * @param {string} invoiceId
+ * @returns {Promise<boolean>} - Whether the document exists
+ */
+export const revokeInvoiceShareLinks = async (db, invoiceId) => {
+  const { matchedCount } = await db.collection('invoices').updateOne(
+    { _id: new ObjectId(invoiceId) },
+    { $inc: { shareVersion: 1 }, $set: { sharedAt: null, updatedAt: new Date() } }
+  );
+  return matchedCount > 0;
+};
+
+/**
+ * Turn a quotation into an invoice with the same customer and line items
+ *
+ * The quotation is marked accepted and both documents point at each other.
+ * A quotation converts once; a second call is refused.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} quotationId
+ * @param {Object} [options]
+ * @param {string|Date} [options.dueDate]
+ * @param {string} [options.adminName]
+ * @returns {Promise<{invoice: Object, quotation: Object}>}
+ */
+export const convertQuotationToInvoice = async (db, quotationId, { dueDate = null, adminName = 'admin' } = {}) => {
+  const col = db.collection('invoices');
+  const _id = new ObjectId(quotationId);
+
+  // Claim the quotation first so two clicks cannot raise two invoices
+  const quotation = unwrap(await col.findOneAndUpdate(
+    { _id, type: 'quotation', convertedInvoiceId: { $exists: false } },
+    { $set: { convertedInvoiceId: null } }
+  ));
+  if (!quotation) {
+    const existing = await col.findOne({ _id }, { projection: { type: 1, convertedInvoiceId: 1, convertedInvoiceNumber: 1 } });
+    if (!existing) throw httpError('Quotation not found', 404);
+    if (existing.type !== 'quotation') throw httpError('Only quotations can be converted to invoices');
+    throw httpError(`Quotation was already converted${existing.convertedInvoiceNumber ? ` to ${existing.convertedInvoiceNumber}` : ''}`, 409);
+  }
+
+  try {
+    const number = await getNextInvoiceNumber(db, 'invoice');
+    const items = (quotation.items || []).map(i => ({ ...i }));
+    const now = new Date();
+    const invoice = {
+      type: 'invoice',
+      number,
+      reference: quotation.reference || '',
+      customer: quotation.customer,
+      customerId: quotation.customerId || null,
+      items,
+      notes: quotation.notes || '',
+      taxRate: quotation.taxRate || 0,
+      discountRate: quotation.discountRate || 0,
+      showPaymentDetails: true,
+      ...calcInvoiceTotals(items, quotation.taxRate, quotation.discountRate),
+      status: 'draft',
+      issueDate: now,
+      dueDate: dueDate ? new Date(dueDate) : null,
+      sourceQuotationId: quotation._id,
+      sourceQuotationNumber: quotation.number,
+      createdBy: adminName,
+      createdAt: now,
+      updatedAt: now
+    };
+    const { insertedId } = await col.insertOne(invoice);
+    invoice._id = insertedId;
+
+    const updated = unwrap(await col.findOneAndUpdate(
+      { _id },
+      { $set: { status: 'accepted', convertedInvoiceId: insertedId, convertedInvoiceNumber: number, convertedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    ));
+    return { invoice, quotation: updated };
+  } catch (convertErr) {
+    await col.updateOne({ _id, convertedInvoiceId: null }, { $unset: { convertedInvoiceId: '' } });
+    throw convertErr;
+  }
+};
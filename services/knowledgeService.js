@@ -0,0 +1,390 @@
+// services/knowledgeService.js
+// Retrieval index behind Mpho's `search_knowledge` tool.
+//
+// Published news articles, service provider profiles and FAQ entries are cut
+// into chunks and stored in `knowledge_index` with their term frequencies.
+// Queries are scored with BM25 over the chunks that share a term with the
+// query, read rarest term first. The index is kept fresh incrementally: the
+// news handlers reindex an article as soon as it changes, and every source is
+// caught up by `updatedAt` at most every few minutes before a search.
+
+import { ObjectId } from 'mongodb';
+import { tokenize as words, bm25Idf, bm25TermWeight } from '../utils/bm25.js';
+
+export const KNOWLEDGE_SOURCES = ['news', 'providers', 'faq'];
+
+const INDEX_COLLECTION = 'knowledge_index';
+const STATE_COLLECTION = 'knowledge_index_state';
+const CHUNK_CHARS = 900;
+const CATCH_UP_INTERVAL_MS = 5 * 60 * 1000;
+const CANDIDATE_LIMIT = 300;
+
+const STOPWORDS = new Set(('a an and are as at be but by can do does for from has have how i if in into is it its me my no not of on or our so that the their there these this to was we what when where which who why will with you your ' +
+  'about also any been more most other some than then they them those us very just').split(' '));
+
+// Built-in answers to the questions Mpho gets most; admins can add more in the `faqs` collection
+export const KNOWLEDGE_FAQ = [
+  {
+    slug: 'how-much-does-listing-cost',
+    question: 'How much does it cost to list a car?',
+    answer: 'Private sellers can list vehicles for free on the marketplace. Dealers list through a dealer subscription plan. Listings are reviewed by an admin before they go live.'
+  },
+  {
+    slug: 'what-is-mpho',
+    question: 'What is the Mpho subscription?',
+    answer: 'Mpho is the Bw Car Culture AI assistant subscription at BWP 100 per month. It includes 50 AI messages a day, AI-assisted listing form filling, vehicle valuations from real marketplace data, market price insights and priority admin review of your listings.'
+  },
+  {
+    slug: 'how-to-contact-support',
+    question: 'How do I contact Bw Car Culture support?',
+    answer: 'Reach the Bw Car Culture team on WhatsApp at +26774122453.'
+  },
+  {
+    slug: 'where-to-charge-an-ev',
+    question: 'Where can I charge an electric vehicle in Botswana?',
+    answer: 'The EV charging map at /ev-charging shows public charging stations with their connectors, power, opening hours, pricing and the latest status reported by drivers.'
+  },
+  {
+    slug: 'how-to-find-a-workshop',
+    question: 'How do I find a workshop, car rental or public transport operator?',
+    answer: 'The services directory at /services lists workshops, car rental companies and public transport operators, with their location, contact details, specialities and working hours.'
+  }
+];
+
+/**
+ * Lowercase, accent-free terms without stopwords, with plural "s" folded
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => words(text)
+  .filter(term => term.length > 1 && !STOPWORDS.has(term))
+  .map(term => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+
+const stripHtml = (html) => String(html || '')
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<\/(p|div|h[1-6]|li|br)>|<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+/**
+ * Split text into chunks of about CHUNK_CHARS, breaking on paragraphs then sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const chunkText = (text) => {
+  const pieces = String(text || '')
+    .split(/\n\s*\n|\n/)
+    .flatMap(p => (p.length > CHUNK_CHARS ? p.match(/[^.!?]+[.!?]*\s*/g) || [p] : [p]))
+    .map(p => p.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+const formatWorkingHours = (hours = {}) => Object.entries(hours)
+  .filter(([, h]) => h && (h.open || h.close))
+  .map(([day, h]) => `${day.charAt(0).toUpperCase()}${day.slice(1)} ${h.open}-${h.close}`)
+  .join(', ');
+
+// How each source is read and turned into indexable documents
+const SOURCES = {
+  news: {
+    collection: 'news',
+    indexable: { status: 'published' },
+    toDocument: (a) => ({
+      slug: a.slug || String(a._id),
+      title: a.title,
+      url: `/news/${a.slug || a._id}`,
+      heading: [a.title, a.subtitle, a.category, (a.tags || []).join(', ')].filter(Boolean).join(' — '),
+      body: stripHtml(a.content),
+      publishedAt: a.publishDate || a.publishedAt || a.createdAt || null
+    })
+  },
+  providers: {
+    collection: 'serviceproviders',
+    indexable: { status: { $nin: ['deleted', 'inactive', 'suspended'] } },
+    toDocument: (p) => ({
+      slug: p.slug || String(p._id),
+      title: p.businessName,
+      url: `/services/${p._id}`,
+      heading: [p.businessName, p.providerType, p.location?.city].filter(Boolean).join(' — '),
+      body: [
+        p.profile?.description,
+        p.profile?.specialties?.length ? `Specialities: ${p.profile.specialties.join(', ')}.` : '',
+        p.profile?.workingHours ? `Working hours: ${formatWorkingHours(p.profile.workingHours)}.` : '',
+        [p.location?.address, p.location?.city].filter(Boolean).length ? `Location: ${[p.location?.address, p.location?.city].filter(Boolean).join(', ')}.` : '',
+        p.contact?.phone ? `Phone: ${p.contact.phone}.` : ''
+      ].filter(Boolean).join('\n')
+    })
+  },
+  faq: {
+    collection: 'faqs',
+    indexable: { status: { $ne: 'hidden' } },
+    toDocument: (f) => ({
+      slug: f.slug || String(f._id),
+      title: f.question,
+      url: `/faq#${f.slug || f._id}`,
+      heading: f.question,
+      body: stripHtml(f.answer)
+    })
+  }
+};
+
+/**
+ * Chunk documents for one source record
+ * @returns {Object[]} - Ready to insert into knowledge_index
+ */
+const buildChunks = (source, sourceId, doc, sourceUpdatedAt) => {
+  const now = new Date();
+  const texts = chunkText(doc.body);
+  return (texts.length ? texts : ['']).map((text, position) => {
+    // The heading is repeated in every chunk so titles always count
+    const terms = tokenize(`${doc.heading} ${text}`);
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+    const termFreq = Object.fromEntries(counts);
+    return {
+      source,
+      sourceId,
+      slug: doc.slug,
+      title: doc.title,
+      url: doc.url,
+      publishedAt: doc.publishedAt || null,
+      position,
+      text,
+      terms: Object.keys(termFreq),
+      termFreq,
+      length: terms.length,
+      sourceUpdatedAt,
+      indexedAt: now
+    };
+  });
+};
+
+let indexesEnsured = false;
+const ensureIndexes = async (db) => {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(INDEX_COLLECTION).createIndex({ terms: 1 });
+    await db.collection(INDEX_COLLECTION).createIndex({ source: 1, sourceId: 1 });
+    indexesEnsured = true;
+  } catch (indexErr) {
+    console.warn('Knowledge index setup skipped:', indexErr.message);
+  }
+};
+
+/**
+ * Reindex one record, or drop it from the index when it is gone or no longer public
+ * @param {Object} db - Database handle
+ * @param {string} source - One of KNOWLEDGE_SOURCES
+ * @param {string|ObjectId} id - Record id
+ * @returns {Promise<number>} - Chunks now indexed for the record
+ */
+export const reindexKnowledgeDocument = async (db, source, id) => {
+  const spec = SOURCES[source];
+  const sourceId = String(id);
+  const index = db.collection(INDEX_COLLECTION);
+  await ensureIndexes(db);
+
+  const _id = ObjectId.isValid(sourceId) ? new ObjectId(sourceId) : sourceId;
+  const record = await db.collection(spec.collection).findOne({ _id, ...spec.indexable });
+
+  await index.deleteMany({ source, sourceId });
+  if (!record) return 0;
+
+  const chunks = buildChunks(source, sourceId, spec.toDocument(record), record.updatedAt || record.createdAt || new Date());
+  await index.insertMany(chunks);
+  return chunks.length;
+};
+
+/**
+ * Reindex from a request handler after a write; failures are logged, never thrown,
+ * so a slow or broken index cannot fail the write itself
+ * @param {Object} db - Database handle
+ * @param {string} source - One of KNOWLEDGE_SOURCES
+ * @param {string|ObjectId} id - Record id
+ * @returns {Promise<void>}
+ */
+export const syncKnowledgeDocument = async (db, source, id) => {
+  try {
+    await reindexKnowledgeDocument(db, source, id);
+  } catch (indexErr) {
+    console.warn(`Knowledge reindex of ${source}/${id} failed:`, indexErr.message);
+  }
+};
+
+const syncBuiltInFaq = async (db) => {
+  const index = db.collection(INDEX_COLLECTION);
+  const builtIn = KNOWLEDGE_FAQ.map(f => ({ _id: `builtin:${f.slug}`, ...f }));
+  await index.deleteMany({ source: 'faq', sourceId: { $regex: '^builtin:' } });
+  await index.insertMany(builtIn.flatMap(f =>
+    buildChunks('faq', f._id, SOURCES.faq.toDocument(f), new Date(0))
+  ));
+};
+
+/**
+ * Bring the index up to date
+ *
+ * Records changed since the last sync (by `updatedAt`) are reindexed; a full
+ * rebuild also drops chunks whose record has been deleted or unpublished.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Reindex everything from scratch
+ * @returns {Promise<Object>} - Per-source counts of records reindexed
+ */
+export const refreshKnowledgeIndex = async (db, { full = false } = {}) => {
+  await ensureIndexes(db);
+  const state = db.collection(STATE_COLLECTION);
+  const summary = {};
+
+  for (const source of KNOWLEDGE_SOURCES) {
+    const spec = SOURCES[source];
+    const startedAt = new Date();
+    const previous = full ? null : await state.findOne({ _id: source });
+
+    if (full) await db.collection(INDEX_COLLECTION).deleteMany({ source });
+    if (source === 'faq' && (full || !previous)) await syncBuiltInFaq(db);
+
+    const changedFilter = previous?.syncedAt
+      ? { $or: [{ updatedAt: { $gt: previous.syncedAt } }, { updatedAt: { $exists: false }, createdAt: { $gt: previous.syncedAt } }] }
+      : {};
+    const changed = await db.collection(spec.collection)
+      .find(changedFilter, { projection: { _id: 1 } })
+      .toArray();
+
+    for (const { _id } of changed) {
+      await reindexKnowledgeDocument(db, source, _id);
+    }
+
+    await state.updateOne(
+      { _id: source },
+      { $set: { syncedAt: startedAt, lastRunCount: changed.length, ...(full ? { rebuiltAt: startedAt } : {}) } },
+      { upsert: true }
+    );
+    summary[source] = changed.length;
+  }
+  return summary;
+};
+
+let lastCatchUp = 0;
+
+/**
+ * Catch the index up at most every CATCH_UP_INTERVAL_MS per instance
+ * @param {Object} db - Database handle
+ */
+export const ensureKnowledgeIndexFresh = async (db) => {
+  if (Date.now() - lastCatchUp < CATCH_UP_INTERVAL_MS) return;
+  lastCatchUp = Date.now();
+  try {
+    await refreshKnowledgeIndex(db);
+  } catch (refreshErr) {
+    console.warn('Knowledge index catch-up failed:', refreshErr.message);
+  }
+};
+
+/**
+ * Search the knowledge index
+ * @param {Object} db - Database handle
+ * @param {string} query - Free text
+ * @param {Object} [options]
+ * @param {string[]} [options.sources] - Restrict to some of KNOWLEDGE_SOURCES
+ * @param {number} [options.limit] - Results to return (best chunk per record)
+ * @returns {Promise<Array<{source: string, slug: string, title: string, url: string, snippet: string, score: number}>>}
+ */
+export const searchKnowledge = async (db, query, { sources = KNOWLEDGE_SOURCES, limit = 5 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+  await ensureKnowledgeIndexFresh(db);
+
+  const index = db.collection(INDEX_COLLECTION);
+  const scope = { source: { $in: sources.filter(s => KNOWLEDGE_SOURCES.includes(s)) } };
+  const [[stats = { count: 0, avgLength: 0 }], docFreqs] = await Promise.all([
+    index.aggregate([{ $match: scope }, { $group: { _id: null, count: { $sum: 1 }, avgLength: { $avg: '$length' } } }]).toArray(),
+    Promise.all(queryTerms.map(term => index.countDocuments({ ...scope, terms: term })))
+  ]);
+
+  const idf = Object.fromEntries(queryTerms.map((term, i) => [term, bm25Idf(stats.count, docFreqs[i])]));
+  const avgLength = stats.avgLength || 1;
+
+  // Rarest term first, each term's densest chunks first, so the cap only ever cuts the weakest candidates
+  const candidates = [];
+  const seen = [];
+  for (const term of [...queryTerms].sort((a, b) => idf[b] - idf[a])) {
+    if (candidates.length >= CANDIDATE_LIMIT) break;
+    const batch = await index
+      .find({ ...scope, terms: term, _id: { $nin: seen } }, { projection: { terms: 0 } })
+      .sort({ [`termFreq.${term}`]: -1, length: 1 })
+      .limit(CANDIDATE_LIMIT - candidates.length)
+      .toArray();
+    for (const chunk of batch) {
+      candidates.push(chunk);
+      seen.push(chunk._id);
+    }
+  }
+
+  const best = new Map();
+  for (const chunk of candidates) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = chunk.termFreq && Object.hasOwn(chunk.termFreq, term) ? chunk.termFreq[term] : 0;
+      if (!tf) continue;
+      score += idf[term] * bm25TermWeight(tf, chunk.length, avgLength);
+    }
+    const key = `${chunk.source}:${chunk.sourceId}`;
+    if (!best.has(key) || best.get(key).score < score) best.set(key, { ...chunk, score });
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(c => ({
+      source: c.source,
+      slug: c.slug,
+      title: c.title,
+      url: c.url,
+      publishedAt: c.publishedAt,
+      snippet: c.text.length > 400 ? `${c.text.slice(0, 400)}…` : c.text,
+      score: Math.round(c.score * 100) / 100
+    }));
+};
+
+/**
+ * Counts per source and last sync times, for the admin view
+ * @param {Object} db - Database handle
+ * @returns {Promise<Object>}
+ */
+export const knowledgeIndexStatus = async (db) => {
+  const [counts, state] = await Promise.all([
+    db.collection(INDEX_COLLECTION).aggregate([
+      { $group: { _id: '$source', chunks: { $sum: 1 }, records: { $addToSet: '$sourceId' } } },
+      { $project: { chunks: 1, records: { $size: '$records' } } }
+    ]).toArray(),
+    db.collection(STATE_COLLECTION).find({}).toArray()
+  ]);
+  return Object.fromEntries(KNOWLEDGE_SOURCES.map(source => {
+    const count = counts.find(c => c._id === source);
+    const sync = state.find(s => s._id === source);
+    return [source, {
+      records: count?.records || 0,
+      chunks: count?.chunks || 0,
+      syncedAt: sync?.syncedAt || null,
+      rebuiltAt: sync?.rebuiltAt || null
+    }];
+  }));
+};
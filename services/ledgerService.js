@@ -0,0 +1,705 @@
+// services/ledgerService.js
+// Double-entry ledger behind the finance screens.
+//
+// `ledger_accounts` is the chart of accounts; `ledger_entries` holds balanced
+// journal entries. Most entries are derived from a source document and posted
+// when it is written: call postLedgerFor after saving a listing payment or
+// refund, Mpho subscription, invoice or invoice payment, or a row in
+// `financial_transactions` or `financial_records`.
+//
+// Posted entries are never edited or deleted. When a source changes, its
+// entry is reversed and the corrected one posted; when it goes away (deleted,
+// cancelled, back to draft) the entry is reversed. Corrections are dated the
+// day they are made, so figures for closed months do not move. syncLedger
+// runs the same posting over every source to catch anything a write missed.
+// Manual journal entries (source 'journal') are corrected with
+// reverseJournalEntry.
+//
+// Trial balance, profit and loss, and cash flow are read from the entries.
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+
+const ACCOUNTS = 'ledger_accounts';
+const ENTRIES = 'ledger_entries';
+const TIMEZONE = 'Africa/Gaborone';
+
+export const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+const DEBIT_NORMAL = ['asset', 'expense'];
+
+export const DEFAULT_ACCOUNTS = [
+  { code: '1000', name: 'Cash on hand', type: 'asset', cash: true },
+  { code: '1010', name: 'Bank', type: 'asset', cash: true },
+  { code: '1020', name: 'Card and mobile money clearing', type: 'asset', cash: true },
+  { code: '1100', name: 'Accounts receivable', type: 'asset' },
+  { code: '2200', name: 'VAT output', type: 'liability' },
+  { code: '3000', name: "Owner's equity", type: 'equity' },
+  { code: '4000', name: 'Listing subscriptions', type: 'revenue' },
+  { code: '4010', name: 'Listing add-ons', type: 'revenue' },
+  { code: '4020', name: 'Mpho subscriptions', type: 'revenue' },
+  { code: '4030', name: 'Service packages', type: 'revenue' },
+  { code: '4090', name: 'Other income', type: 'revenue' },
+  { code: '4900', name: 'Refunds', type: 'revenue' },
+  { code: '5000', name: 'General expenses', type: 'expense' },
+  { code: '5010', name: 'Marketing and advertising', type: 'expense' },
+  { code: '5020', name: 'Hosting and software', type: 'expense' },
+  { code: '5030', name: 'Staff and contractors', type: 'expense' },
+  { code: '5040', name: 'Payment and bank fees', type: 'expense' },
+  { code: '5050', name: 'Transport and fuel', type: 'expense' }
+];
+
+const CASH = { hand: '1000', bank: '1010', clearing: '1020' };
+const RECEIVABLE = '1100';
+const VAT_OUTPUT = '2200';
+const REVENUE = { subscriptions: '4000', addons: '4010', mpho: '4020', services: '4030', other: '4090', refunds: '4900' };
+const GENERAL_EXPENSE = '5000';
+
+// Free-form categories from the finance screens, matched in order
+const INCOME_CATEGORY_ACCOUNTS = [
+  [/add-?on|featured|photo|review/i, REVENUE.addons],
+  [/mpho|\bai\b/i, REVENUE.mpho],
+  [/subscription|listing/i, REVENUE.subscriptions],
+  [/package|service|car_sales_ad|advert/i, REVENUE.services]
+];
+const EXPENSE_CATEGORY_ACCOUNTS = [
+  [/market|advert|promo|social/i, '5010'],
+  [/host|software|server|domain|vercel|aws|cloud|api/i, '5020'],
+  [/salar|staff|wage|contract|freelan/i, '5030'],
+  [/fee|charge|commission|flutterwave/i, '5040'],
+  [/fuel|transport|travel|vehicle/i, '5050']
+];
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const accountForCategory = (category, table, fallback) =>
+  table.find(([pattern]) => pattern.test(String(category || '')))?.[1] || fallback;
+
+// Where money paid through a provider or by an invoice payment method lands
+const cashAccountForProvider = (paymentMethod) => (paymentMethod === 'manual' || !paymentMethod ? CASH.bank : CASH.clearing);
+const cashAccountForMethod = (method) => ({ cash: CASH.hand, card: CASH.clearing, mobile_money: CASH.clearing }[method] || CASH.bank);
+
+/**
+ * Build a journal entry; debits must equal credits
+ * @param {Object} entry - `{ sourceKey, source, date, description, lines: [{ account, debit?, credit? }] }`
+ * @returns {Object} - The entry with rounded lines, total and hash
+ */
+export const journalEntry = ({ sourceKey, source, date, description, lines }) => {
+  const cleanLines = lines
+    .map(l => ({ account: String(l.account), debit: roundMoney(l.debit || 0), credit: roundMoney(l.credit || 0) }))
+    .filter(l => l.debit !== 0 || l.credit !== 0);
+  if (cleanLines.some(l => l.debit < 0 || l.credit < 0)) throw httpError('Debits and credits cannot be negative');
+  if (cleanLines.length < 2) throw httpError('An entry needs at least two lines');
+  const debits = roundMoney(cleanLines.reduce((s, l) => s + l.debit, 0));
+  const credits = roundMoney(cleanLines.reduce((s, l) => s + l.credit, 0));
+  if (debits !== credits) throw httpError(`Entry does not balance: debits ${debits}, credits ${credits}`);
+
+  const entryDate = new Date(date);
+  if (Number.isNaN(entryDate.getTime())) throw httpError('Invalid entry date');
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([entryDate.toISOString(), description, cleanLines]))
+    .digest('hex');
+  return { sourceKey, source, date: entryDate, description, lines: cleanLines, total: debits, hash };
+};
+
+// Two-line entry: debit one account, credit another
+const simpleEntry = (sourceKey, source, date, description, debitAccount, creditAccount, amount) =>
+  journalEntry({
+    sourceKey,
+    source,
+    date,
+    description,
+    lines: [{ account: debitAccount, debit: amount }, { account: creditAccount, credit: amount }]
+  });
+
+/**
+ * Entries for a listing payment: the sale and any refunds of it
+ */
+export const entriesForListingPayment = (payment) => {
+  if (!['completed', 'refunded'].includes(payment.status) || !(payment.amount > 0)) return [];
+  const id = String(payment._id);
+  const cash = cashAccountForProvider(payment.paymentMethod);
+  const revenue = payment.type === 'addon' ? REVENUE.addons : REVENUE.subscriptions;
+  const entries = [simpleEntry(
+    `payment:${id}`,
+    { type: 'payment', id },
+    payment.completedAt || payment.updatedAt || payment.createdAt,
+    `${payment.type === 'addon' ? 'Listing add-ons' : 'Listing subscription'} ${payment.transactionRef || id}`,
+    cash,
+    revenue,
+    payment.amount
+  )];
+  for (const refund of payment.refunds || []) {
+    if (refund.status === 'failed' || !(refund.amount > 0)) continue;
+    entries.push(simpleEntry(
+      `payment_refund:${refund._id}`,
+      { type: 'payment_refund', id, refundId: String(refund._id) },
+      refund.requestedAt || payment.refundCompletedAt,
+      `Refund of ${payment.transactionRef || id}: ${refund.reason || ''}`.trim(),
+      REVENUE.refunds,
+      cash,
+      refund.amount
+    ));
+  }
+  return entries;
+};
+
+/**
+ * Entry for a paid Mpho subscription period
+ */
+export const entriesForMphoSubscription = (sub) => {
+  if (!sub.activatedAt || !(Number(sub.amount) > 0) || ['proof_submitted', 'rejected'].includes(sub.status)) return [];
+  const id = String(sub._id);
+  return [simpleEntry(
+    `mpho_subscription:${id}`,
+    { type: 'mpho_subscription', id },
+    sub.activatedAt,
+    `Mpho subscription, ${sub.months || 1} month(s)`,
+    CASH.bank,
+    REVENUE.mpho,
+    Number(sub.amount)
+  )];
+};
+
+/**
+ * Entries for an issued invoice: the receivable, then each payment against it
+ *
+ * Mpho renewal invoices are skipped; the subscription they renew posts the revenue.
+ */
+export const entriesForInvoice = (invoice) => {
+  if (invoice.type !== 'invoice' || ['draft', 'cancelled', 'void'].includes(invoice.status)) return [];
+  if (invoice.source === 'mpho_renewal') return [];
+  const total = roundMoney(invoice.total || 0);
+  if (!(total > 0)) return [];
+  const id = String(invoice._id);
+  const tax = roundMoney(invoice.taxAmount || 0);
+
+  const entries = [journalEntry({
+    sourceKey: `invoice:${id}`,
+    source: { type: 'invoice', id },
+    date: invoice.issueDate || invoice.createdAt,
+    description: `Invoice ${invoice.number || id} - ${invoice.customer?.name || ''}`.trim(),
+    lines: [
+      { account: RECEIVABLE, debit: total },
+      { account: REVENUE.services, credit: roundMoney(total - tax) },
+      { account: VAT_OUTPUT, credit: tax }
+    ]
+  })];
+
+  const payments = invoice.payments || [];
+  for (const payment of payments) {
+    entries.push(simpleEntry(
+      `invoice_payment:${payment._id}`,
+      { type: 'invoice_payment', id, paymentId: String(payment._id) },
+      payment.date,
+      `Payment on ${invoice.number || id}${payment.reference ? ` (${payment.reference})` : ''}`,
+      cashAccountForMethod(payment.method),
+      RECEIVABLE,
+      payment.amount
+    ));
+  }
+  // Invoices marked paid before part payments existed were paid in full at once
+  if (payments.length === 0 && invoice.status === 'paid') {
+    entries.push(simpleEntry(
+      `invoice_payment:${id}:settled`,
+      { type: 'invoice_payment', id },
+      invoice.paidAt || invoice.updatedAt || invoice.issueDate,
+      `Payment on ${invoice.number || id}`,
+      CASH.bank,
+      RECEIVABLE,
+      total
+    ));
+  }
+  return entries;
+};
+
+/**
+ * Entry for a row on the Finance tab (`financial_transactions`)
+ *
+ * Income counts once received or allocated, expenses once spent. Refund rows
+ * written by listing refunds are skipped; the payment posts them.
+ */
+export const entriesForTransaction = (txn) => {
+  if (txn.refundId || txn.paymentId) return [];
+  const amount = roundMoney(txn.amount || 0);
+  if (amount === 0) return [];
+  const id = String(txn._id);
+  const key = `transaction:${id}`;
+  const source = { type: 'transaction', id };
+  const description = txn.description || txn.category || 'Transaction';
+
+  if (txn.type === 'income' && ['received', 'allocated'].includes(txn.status)) {
+    return [amount > 0
+      ? simpleEntry(key, source, txn.date, description, CASH.bank, accountForCategory(txn.category, INCOME_CATEGORY_ACCOUNTS, REVENUE.other), amount)
+      : simpleEntry(key, source, txn.date, description, REVENUE.refunds, CASH.bank, -amount)];
+  }
+  if (txn.type === 'expense' && txn.status === 'spent' && amount > 0) {
+    return [simpleEntry(key, source, txn.date, description, accountForCategory(txn.category, EXPENSE_CATEGORY_ACCOUNTS, GENERAL_EXPENSE), CASH.bank, amount)];
+  }
+  return [];
+};
+
+/**
+ * Entry for a row in `financial_records`; rows generated from invoices are posted with the invoice
+ */
+export const entriesForFinancialRecord = (record) => {
+  if (['invoice', 'invoice_payment'].includes(record.source)) return [];
+  const amount = roundMoney(record.amount || 0);
+  if (!(amount > 0)) return [];
+  const id = String(record._id);
+  const description = record.description || record.category || 'Financial record';
+  return [record.type === 'expense'
+    ? simpleEntry(`financial_record:${id}`, { type: 'financial_record', id }, record.date, description, accountForCategory(record.category, EXPENSE_CATEGORY_ACCOUNTS, GENERAL_EXPENSE), CASH.bank, amount)
+    : simpleEntry(`financial_record:${id}`, { type: 'financial_record', id }, record.date, description, CASH.bank, accountForCategory(record.category, INCOME_CATEGORY_ACCOUNTS, REVENUE.other), amount)];
+};
+
+// Source collections, the entry types each one posts, and which documents can have entries
+const SOURCES = {
+  payments: { types: ['payment', 'payment_refund'], filter: { status: { $in: ['completed', 'refunded'] } }, toEntries: entriesForListingPayment },
+  ai_subscriptions: { types: ['mpho_subscription'], filter: { activatedAt: { $exists: true } }, toEntries: entriesForMphoSubscription },
+  invoices: { types: ['invoice', 'invoice_payment'], filter: { type: 'invoice' }, toEntries: entriesForInvoice },
+  financial_transactions: { types: ['transaction'], filter: {}, toEntries: entriesForTransaction },
+  financial_records: { types: ['financial_record'], filter: {}, toEntries: entriesForFinancialRecord }
+};
+
+let indexesEnsured = false;
+const ensureLedger = async (db) => {
+  if (indexesEnsured) return;
+  await db.collection(ACCOUNTS).bulkWrite(DEFAULT_ACCOUNTS.map(account => ({
+    updateOne: { filter: { code: account.code }, update: { $setOnInsert: { ...account, system: true, createdAt: new Date() } }, upsert: true }
+  })));
+  try {
+    // Entries from before postings were immutable: one row per source, rewritten in place
+    await db.collection(ENTRIES).updateMany(
+      { postingKey: { $exists: false } },
+      [{ $set: { postingKey: { $concat: ['$sourceKey', '#1'] }, kind: 'posting', revision: 1 } }]
+    );
+    const existing = await db.collection(ENTRIES).indexes().catch(() => []);
+    if (existing.some(index => index.name === 'sourceKey_1' && index.unique)) await db.collection(ENTRIES).dropIndex('sourceKey_1');
+
+    await db.collection(ACCOUNTS).createIndex({ code: 1 }, { unique: true });
+    await db.collection(ENTRIES).createIndex({ postingKey: 1 }, { unique: true });
+    await db.collection(ENTRIES).createIndex({ sourceKey: 1 });
+    await db.collection(ENTRIES).createIndex({ 'source.id': 1 });
+    await db.collection(ENTRIES).createIndex({ date: 1 });
+    await db.collection(ENTRIES).createIndex({ 'lines.account': 1, date: 1 });
+    indexesEnsured = true;
+  } catch (indexErr) {
+    console.warn('Ledger index setup skipped:', indexErr.message);
+  }
+};
+
+/**
+ * Chart of accounts, by code
+ * @param {Object} db - Database handle
+ * @returns {Promise<Array>}
+ */
+export const listAccounts = async (db) => {
+  await ensureLedger(db);
+  return db.collection(ACCOUNTS).find({}).sort({ code: 1 }).toArray();
+};
+
+/**
+ * Add an account to the chart
+ * @param {Object} db - Database handle
+ * @param {Object} input - `{ code, name, type, cash? }`
+ * @returns {Promise<Object>}
+ */
+export const createAccount = async (db, { code, name, type, cash = false }) => {
+  await ensureLedger(db);
+  if (!/^\d{4}$/.test(String(code || ''))) throw httpError('code must be four digits');
+  if (!name || !String(name).trim()) throw httpError('name is required');
+  if (!ACCOUNT_TYPES.includes(type)) throw httpError(`type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+  const account = { code: String(code), name: String(name).trim(), type, cash: type === 'asset' && !!cash, system: false, createdAt: new Date() };
+  try {
+    await db.collection(ACCOUNTS).insertOne(account);
+  } catch (insertErr) {
+    if (insertErr.code === 11000) throw httpError(`Account ${code} already exists`, 409);
+    throw insertErr;
+  }
+  return account;
+};
+
+/**
+ * Post a manual journal entry (adjustments, owner's capital, opening balances)
+ * @param {Object} db - Database handle
+ * @param {Object} input - `{ date, description, lines: [{ account, debit?, credit? }] }`
+ * @param {string} adminName
+ * @returns {Promise<Object>}
+ */
+export const postJournalEntry = async (db, { date, description, lines }, adminName = 'admin') => {
+  await ensureLedger(db);
+  if (!description || !String(description).trim()) throw httpError('description is required');
+  if (!Array.isArray(lines)) throw httpError('lines must be an array');
+  const codes = new Set((await db.collection(ACCOUNTS).find({}, { projection: { code: 1 } }).toArray()).map(a => a.code));
+  const unknown = lines.map(l => String(l.account)).filter(code => !codes.has(code));
+  if (unknown.length) throw httpError(`Unknown account(s): ${[...new Set(unknown)].join(', ')}`);
+
+  const _id = new ObjectId();
+  const entry = journalEntry({
+    sourceKey: `journal:${_id}`,
+    source: { type: 'journal', id: String(_id) },
+    date: date || new Date(),
+    description: String(description).trim(),
+    lines
+  });
+  const posting = { _id, ...entry, postingKey: `${entry.sourceKey}#1`, kind: 'posting', revision: 1, createdBy: adminName, postedAt: new Date() };
+  await db.collection(ENTRIES).insertOne(posting);
+  return posting;
+};
+
+// The opposite of a posted entry, dated when the correction is made
+const reversalOf = (posted, date) => ({
+  ...journalEntry({
+    sourceKey: posted.sourceKey,
+    source: posted.source,
+    date,
+    description: `Reversal: ${posted.description}`,
+    lines: posted.lines.map(l => ({ account: l.account, debit: l.credit, credit: l.debit }))
+  }),
+  postingKey: `${posted.postingKey}:reversal`,
+  kind: 'reversal',
+  revision: posted.revision,
+  reverses: posted.postingKey
+});
+
+/**
+ * Reverse a manual journal entry
+ * @param {Object} db - Database handle
+ * @param {string} entryId
+ * @param {string} adminName
+ * @returns {Promise<Object>} - The reversing entry
+ */
+export const reverseJournalEntry = async (db, entryId, adminName = 'admin') => {
+  await ensureLedger(db);
+  if (!ObjectId.isValid(entryId)) throw httpError('Invalid entry id');
+  const posted = await db.collection(ENTRIES).findOne({ _id: new ObjectId(entryId) });
+  if (!posted) throw httpError('Entry not found', 404);
+  if (posted.source?.type !== 'journal' || posted.kind === 'reversal') {
+    throw httpError('Only manual journal entries can be reversed here; correct the source document instead');
+  }
+  const reversal = { ...reversalOf(posted, new Date()), createdBy: adminName, postedAt: new Date() };
+  try {
+    await db.collection(ENTRIES).insertOne(reversal);
+  } catch (insertErr) {
+    if (insertErr.code === 11000) throw httpError('Entry has already been reversed', 409);
+    throw insertErr;
+  }
+  return reversal;
+};
+
+// Per source key: the latest posting that has not been reversed, and the last revision used
+const standingEntries = (posted) => {
+  const reversed = new Set(posted.filter(e => e.kind === 'reversal').map(e => e.reverses));
+  const latest = new Map();
+  for (const entry of posted) {
+    if (entry.kind === 'reversal') continue;
+    const current = latest.get(entry.sourceKey);
+    if (!current || entry.revision > current.revision) latest.set(entry.sourceKey, entry);
+  }
+  const standing = new Map();
+  for (const [sourceKey, entry] of latest) if (!reversed.has(entry.postingKey)) standing.set(sourceKey, entry);
+  return { standing, latest };
+};
+
+/**
+ * What to post so the ledger matches the entries its sources call for
+ *
+ * A source posted for the first time keeps its own date. A changed entry is
+ * reversed and re-posted, and one no longer called for is reversed, both as
+ * of `now`.
+ */
+const plannedPostings = (desired, posted, now) => {
+  const { standing, latest } = standingEntries(posted);
+  const postings = [];
+  const counts = { posted: 0, corrected: 0, reversed: 0, unchanged: 0 };
+  for (const [sourceKey, entry] of desired) {
+    const current = standing.get(sourceKey);
+    if (current?.hash === entry.hash) {
+      counts.unchanged++;
+      continue;
+    }
+    const previous = latest.get(sourceKey);
+    const revision = (previous?.revision || 0) + 1;
+    if (current) postings.push(reversalOf(current, now));
+    counts[current ? 'corrected' : 'posted']++;
+    postings.push({
+      ...entry,
+      ...(previous ? { date: now, sourceDate: entry.date } : {}),
+      postingKey: `${sourceKey}#${revision}`,
+      kind: 'posting',
+      revision
+    });
+  }
+  for (const [sourceKey, current] of standing) {
+    if (desired.has(sourceKey)) continue;
+    counts.reversed++;
+    postings.push(reversalOf(current, now));
+  }
+  return { postings, counts };
+};
+
+const writePostings = async (db, { postings, counts }) => {
+  if (postings.length === 0) return counts;
+  const postedAt = new Date();
+  try {
+    await db.collection(ENTRIES).insertMany(postings.map(p => ({ ...p, postedAt })), { ordered: false });
+  } catch (insertErr) {
+    // A concurrent write already posted the same revision
+    const codes = insertErr.writeErrors ? [].concat(insertErr.writeErrors).map(w => w.code) : [insertErr.code];
+    if (!codes.every(code => code === 11000)) throw insertErr;
+  }
+  return counts;
+};
+
+/**
+ * Post the ledger entries for one source document after it is written
+ *
+ * Posts a new document, reverses and re-posts a changed one, and reverses the
+ * entries of one that was deleted. Failures are logged, never thrown, so they
+ * cannot undo the write; syncLedger picks up anything missed.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} collection - payments, ai_subscriptions, invoices, financial_transactions or financial_records
+ * @param {string|ObjectId} id
+ * @returns {Promise<Object|null>} - Posting counts, or null if posting failed
+ */
+export const postLedgerFor = async (db, collection, id) => {
+  try {
+    const source = SOURCES[collection];
+    if (!source) throw new Error(`${collection} does not post to the ledger`);
+    await ensureLedger(db);
+    const _id = new ObjectId(String(id));
+    const doc = await db.collection(collection).findOne({ _id });
+    const desired = new Map((doc ? source.toEntries(doc) : []).map(entry => [entry.sourceKey, entry]));
+    const posted = await db.collection(ENTRIES)
+      .find({ 'source.id': String(_id), 'source.type': { $in: source.types } })
+      .toArray();
+    return await writePostings(db, plannedPostings(desired, posted, new Date()));
+  } catch (postErr) {
+    console.error(`Ledger posting failed for ${collection} ${id}:`, postErr.message);
+    return null;
+  }
+};
+
+/**
+ * Post whatever the write paths missed, across every source
+ *
+ * Uses the same rules as postLedgerFor, so it only ever adds postings and
+ * reversals. Safe to run any time; normally only needed after an outage or
+ * an import.
+ *
+ * @param {Object} db - Database handle
+ * @returns {Promise<{posted: number, corrected: number, reversed: number, unchanged: number, skipped: Array}>}
+ */
+export const syncLedger = async (db) => {
+  await ensureLedger(db);
+  const desired = new Map();
+  const skipped = [];
+  for (const [collection, { filter, toEntries }] of Object.entries(SOURCES)) {
+    const docs = await db.collection(collection).find(filter).toArray();
+    for (const doc of docs) {
+      try {
+        for (const entry of toEntries(doc)) desired.set(entry.sourceKey, entry);
+      } catch (entryErr) {
+        skipped.push({ collection, id: String(doc._id), reason: entryErr.message });
+      }
+    }
+  }
+
+  // Leave the entries of skipped documents alone rather than reversing them
+  const skippedIds = new Set(skipped.map(s => s.id));
+  const posted = (await db.collection(ENTRIES).find({ 'source.type': { $ne: 'journal' } }).toArray())
+    .filter(entry => !skippedIds.has(entry.source?.id));
+  const counts = await writePostings(db, plannedPostings(desired, posted, new Date()));
+  return { ...counts, skipped };
+};
+
+/**
+ * Ledger entries, newest first
+ * @param {Object} db - Database handle
+ * @param {Object} query - `{ account?, source?, from?, to?, page?, limit? }`
+ * @returns {Promise<{entries: Array, pagination: Object}>}
+ */
+export const listEntries = async (db, { account, source, from, to, page = 1, limit = 50 } = {}) => {
+  const filter = {};
+  if (account) filter['lines.account'] = String(account);
+  if (source) filter['source.type'] = source;
+  if (from || to) filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const [entries, total] = await Promise.all([
+    db.collection(ENTRIES).find(filter).sort({ date: -1 }).skip((pageNum - 1) * pageSize).limit(pageSize).toArray(),
+    db.collection(ENTRIES).countDocuments(filter)
+  ]);
+  return { entries, pagination: { total, page: pageNum, limit: pageSize, totalPages: Math.ceil(total / pageSize) } };
+};
+
+// Debit minus credit, flipped for accounts whose normal balance is a credit
+const signedBalance = (type, debit, credit) => roundMoney(DEBIT_NORMAL.includes(type) ? debit - credit : credit - debit);
+
+/**
+ * Debit and credit totals per account up to a date
+ * @param {Object} db - Database handle
+ * @param {Object} [options]
+ * @param {Date} [options.asOf]
+ * @returns {Promise<{asOf: Date, accounts: Array, totals: {debit: number, credit: number, balanced: boolean}}>}
+ */
+export const trialBalance = async (db, { asOf = new Date() } = {}) => {
+  const [accounts, rows] = await Promise.all([
+    listAccounts(db),
+    db.collection(ENTRIES).aggregate([
+      { $match: { date: { $lte: asOf } } },
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+    ]).toArray()
+  ]);
+  const byCode = new Map(rows.map(r => [r._id, r]));
+  const lines = accounts
+    .filter(a => byCode.has(a.code))
+    .map(a => {
+      const { debit, credit } = byCode.get(a.code);
+      const net = roundMoney(debit - credit);
+      return {
+        code: a.code,
+        name: a.name,
+        type: a.type,
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0,
+        balance: signedBalance(a.type, debit, credit)
+      };
+    });
+  const debit = roundMoney(lines.reduce((s, l) => s + l.debit, 0));
+  const credit = roundMoney(lines.reduce((s, l) => s + l.credit, 0));
+  return { asOf, accounts: lines, totals: { debit, credit, balanced: debit === credit } };
+};
+
+/**
+ * Headline figures for the finance dashboard, all-time up to a date
+ * @param {Object} db - Database handle
+ * @param {Object} [options]
+ * @param {Date} [options.asOf]
+ * @returns {Promise<{revenue: number, expenses: number, net: number, cash: number, receivable: number}>}
+ */
+export const ledgerTotals = async (db, { asOf = new Date() } = {}) => {
+  const [accounts, balance] = await Promise.all([listAccounts(db), trialBalance(db, { asOf })]);
+  const cashCodes = new Set(accounts.filter(a => a.cash).map(a => a.code));
+  const sum = (match) => roundMoney(balance.accounts.filter(match).reduce((s, a) => s + a.balance, 0));
+  const revenue = sum(a => a.type === 'revenue');
+  const expenses = sum(a => a.type === 'expense');
+  return {
+    revenue,
+    expenses,
+    net: roundMoney(revenue - expenses),
+    cash: sum(a => cashCodes.has(a.code)),
+    receivable: sum(a => a.code === RECEIVABLE)
+  };
+};
+
+const monthRange = (from, to) => ({ date: { $gte: from, $lte: to } });
+
+/**
+ * Revenue, expenses and net profit by month
+ * @param {Object} db - Database handle
+ * @param {Object} options - `{ from, to }`
+ * @returns {Promise<{from: Date, to: Date, months: Array, totals: Object}>}
+ */
+export const profitAndLoss = async (db, { from, to }) => {
+  const accounts = await listAccounts(db);
+  const pnl = new Map(accounts.filter(a => a.type === 'revenue' || a.type === 'expense').map(a => [a.code, a]));
+  const rows = await db.collection(ENTRIES).aggregate([
+    { $match: monthRange(from, to) },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: [...pnl.keys()] } } },
+    {
+      $group: {
+        _id: { month: { $dateToString: { format: '%Y-%m', date: '$date', timezone: TIMEZONE } }, account: '$lines.account' },
+        debit: { $sum: '$lines.debit' },
+        credit: { $sum: '$lines.credit' }
+      }
+    },
+    { $sort: { '_id.month': 1, '_id.account': 1 } }
+  ]).toArray();
+
+  const months = new Map();
+  const totals = { revenue: 0, expenses: 0, net: 0 };
+  for (const row of rows) {
+    const account = pnl.get(row._id.account);
+    if (!months.has(row._id.month)) months.set(row._id.month, { month: row._id.month, revenue: [], expenses: [], totalRevenue: 0, totalExpenses: 0, net: 0 });
+    const month = months.get(row._id.month);
+    const amount = signedBalance(account.type, row.debit, row.credit);
+    const line = { code: account.code, name: account.name, amount };
+    if (account.type === 'revenue') {
+      month.revenue.push(line);
+      month.totalRevenue = roundMoney(month.totalRevenue + amount);
+      totals.revenue = roundMoney(totals.revenue + amount);
+    } else {
+      month.expenses.push(line);
+      month.totalExpenses = roundMoney(month.totalExpenses + amount);
+      totals.expenses = roundMoney(totals.expenses + amount);
+    }
+    month.net = roundMoney(month.totalRevenue - month.totalExpenses);
+  }
+  totals.net = roundMoney(totals.revenue - totals.expenses);
+  return { from, to, months: [...months.values()], totals };
+};
+
+/**
+ * Money in and out of the cash and bank accounts by month
+ *
+ * Each movement is classed by the other side of its entry: revenue,
+ * receivables, expenses and VAT are operating; equity is financing; other
+ * assets are investing. Transfers between cash accounts are left out.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} options - `{ from, to }`
+ * @returns {Promise<{from: Date, to: Date, opening: number, closing: number, months: Array}>}
+ */
+export const cashFlow = async (db, { from, to }) => {
+  const accounts = await listAccounts(db);
+  const typeOf = new Map(accounts.map(a => [a.code, a.type]));
+  const cashCodes = accounts.filter(a => a.cash).map(a => a.code);
+
+  const [openingRow] = await db.collection(ENTRIES).aggregate([
+    { $match: { date: { $lt: from } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: cashCodes } } },
+    { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]).toArray();
+  let balance = roundMoney((openingRow?.debit || 0) - (openingRow?.credit || 0));
+  const opening = balance;
+
+  const entries = await db.collection(ENTRIES)
+    .find({ ...monthRange(from, to), 'lines.account': { $in: cashCodes } }, { projection: { date: 1, lines: 1 } })
+    .sort({ date: 1 })
+    .toArray();
+  const monthOf = (date) => new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE, year: 'numeric', month: '2-digit' }).format(date).slice(0, 7);
+
+  const months = new Map();
+  for (const entry of entries) {
+    const cashLines = entry.lines.filter(l => cashCodes.includes(l.account));
+    const otherLines = entry.lines.filter(l => !cashCodes.includes(l.account));
+    const movement = roundMoney(cashLines.reduce((s, l) => s + l.debit - l.credit, 0));
+    if (movement === 0 || otherLines.length === 0) continue;
+
+    const counterpart = otherLines.reduce((a, b) => (a.debit + a.credit >= b.debit + b.credit ? a : b));
+    const counterType = typeOf.get(counterpart.account);
+    const activity = counterType === 'equity' ? 'financing'
+      : counterType === 'asset' && counterpart.account !== RECEIVABLE ? 'investing'
+        : 'operating';
+
+    const key = monthOf(entry.date);
+    if (!months.has(key)) {
+      months.set(key, { month: key, opening: balance, inflows: 0, outflows: 0, operating: 0, investing: 0, financing: 0, net: 0, closing: balance });
+    }
+    const month = months.get(key);
+    if (movement > 0) month.inflows = roundMoney(month.inflows + movement);
+    else month.outflows = roundMoney(month.outflows - movement);
+    month[activity] = roundMoney(month[activity] + movement);
+    month.net = roundMoney(month.net + movement);
+    balance = roundMoney(balance + movement);
+    month.closing = balance;
+  }
+  return { from, to, opening, closing: balance, months: [...months.values()] };
+};
@@ -0,0 +1,498 @@
+// services/listingRiskService.js
+// Duplicate and scam screening for new listings and user submissions.
+//
+// Every screened record leaves a fingerprint in `listing_fingerprints`: its
+// VIN, seller phone, make/model/year, price, mileage, title and a perceptual
+// hash (dHash) of its first few photos. A new record is compared against the
+// fingerprints already there and against the `marketprices` median for its
+// make/model/year. What it finds is written to the record as `riskAssessment`
+// ({ score, level, flags }) so it shows in the admin review queues.
+//
+// Photos are only compared across the same make, plus exact hash hits on any
+// make, to keep the comparison bounded. Only photos in the app's own upload
+// bucket are downloaded.
+//
+// Screening is slow (it downloads photos), so new records are queued with
+// queueListingScreening and screened by runListingScreeningQueue from a cron,
+// outside the request that created them.
+
+import sharp from 'sharp';
+import { ObjectId } from 'mongodb';
+import { exactMatchRegex } from './listingSearchService.js';
+import { tokenize } from '../utils/bm25.js';
+
+const FINGERPRINTS = 'listing_fingerprints';
+const SCREENING_QUEUE = 'listing_screening_queue';
+
+export const RISK_SOURCES = {
+  listing: 'listings',
+  submission: 'usersubmissions'
+};
+
+// Points each signal adds to the 0-100 risk score
+export const RISK_POINTS = {
+  duplicate_vin: 50,
+  duplicate_images: 40,
+  similar_listing: 25,
+  price_far_below_market: 35,
+  price_below_market: 20,
+  phone_reused: 15
+};
+
+const RISK_LEVELS = [
+  { level: 'high', min: 60 },
+  { level: 'medium', min: 30 },
+  { level: 'low', min: 1 }
+];
+
+const MAX_IMAGES = 4;
+const IMAGE_TIMEOUT_MS = 5000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Hashes this many bits apart or fewer are treated as the same photo
+const IMAGE_HASH_DISTANCE = 6;
+// A phone on this many other accounts is suspicious
+const PHONE_ACCOUNT_THRESHOLD = 3;
+const MIN_MARKET_SAMPLES = 3;
+const MAX_CANDIDATES = 2000;
+// A queued screening claimed this long ago without finishing is picked up again
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_SCREENING_ATTEMPTS = 3;
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const unwrap = (result) => (result && 'value' in result ? result.value : result);
+
+let indexesEnsured = false;
+const ensureIndexes = async (db) => {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(FINGERPRINTS).createIndex({ source: 1, sourceId: 1 }, { unique: true });
+    await db.collection(FINGERPRINTS).createIndex({ vin: 1 });
+    await db.collection(FINGERPRINTS).createIndex({ phone: 1 });
+    await db.collection(FINGERPRINTS).createIndex({ imageHashes: 1 });
+    await db.collection(FINGERPRINTS).createIndex({ makeKey: 1, createdAt: -1 });
+    await db.collection(FINGERPRINTS).createIndex({ 'risk.score': -1 });
+    await db.collection(SCREENING_QUEUE).createIndex({ source: 1, sourceId: 1 }, { unique: true });
+    await db.collection(SCREENING_QUEUE).createIndex({ queuedAt: 1 });
+    indexesEnsured = true;
+  } catch (indexErr) {
+    console.warn('Listing fingerprint index setup skipped:', indexErr.message);
+  }
+};
+
+const normalisePhone = (value) => String(value || '').replace(/\D/g, '').slice(-8);
+const normaliseVin = (value) => {
+  const vin = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return vin.length >= 11 ? vin : '';
+};
+const imageUrl = (image) => (typeof image === 'string' ? image : image?.url || image?.main || image?.thumbnail || '');
+
+/**
+ * The fields screening looks at, from a listing or a user submission
+ * @param {string} source - 'listing' or 'submission'
+ * @param {Object} record
+ * @param {Object} [extra] - Values the record does not carry itself, e.g. { phone }
+ * @returns {Object}
+ */
+export const riskSubject = (source, record, extra = {}) => {
+  const data = source === 'submission' ? record.listingData || {} : record;
+  const specs = data.specifications || {};
+  return {
+    title: data.title || '',
+    make: String(specs.make || data.make || '').trim(),
+    model: String(specs.model || data.model || '').trim(),
+    year: Number(specs.year || data.year) || null,
+    price: Number(source === 'submission' ? data.pricing?.price : data.price) || 0,
+    mileage: Number(specs.mileage ?? data.mileage) || 0,
+    vin: normaliseVin(specs.vin || data.vin),
+    phone: normalisePhone(extra.phone || data.contact?.phone || data.dealer?.phone || data.dealer?.contact?.phone),
+    imageUrls: (data.images || []).map(imageUrl).filter(url => /^https?:\/\//.test(url)).slice(0, MAX_IMAGES),
+    // The seller account: the submitting user, or the dealer record a listing belongs to
+    accountId: String(source === 'submission'
+      ? record.userId || ''
+      : record.dealerId || record.userId || record.createdBy?.userId || ''),
+    // The same car under its other id once a submission is approved into a listing
+    linkedId: source === 'submission' ? record.listingId || null : record.submissionId || null
+  };
+};
+
+/**
+ * 64-bit difference hash of an image, as 16 hex characters
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Promise<string>}
+ */
+export const imageDifferenceHash = async (buffer) => {
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+// Hosts photos are uploaded to: the S3 bucket, addressed with or without its region
+const imageHosts = () => {
+  const bucket = process.env.AWS_S3_BUCKET_NAME || 'bw-car-culture-images';
+  const region = process.env.AWS_S3_REGION || 'us-east-1';
+  return [`${bucket}.s3.amazonaws.com`, `${bucket}.s3.${region}.amazonaws.com`];
+};
+
+/**
+ * Whether a photo URL points into the app's own upload bucket
+ *
+ * Anything else (other hosts, IP addresses, ports, credentials) is never
+ * fetched, so a listing cannot make the server request internal addresses.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isOwnImageUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return parsed.protocol === 'https:' && !parsed.port && !parsed.username && !parsed.password
+    && imageHosts().includes(parsed.hostname.toLowerCase());
+};
+
+// Hash whichever of our own photos can be downloaded in time; the rest are skipped
+const hashImages = async (urls) => {
+  const hashes = await Promise.all(urls.filter(isOwnImageUrl).map(async (url) => {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS), redirect: 'error' });
+      if (!response.ok || Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) return null;
+      const buffer = Buffer.from(await response.arrayBuffer());
+      return buffer.length <= MAX_IMAGE_BYTES ? await imageDifferenceHash(buffer) : null;
+    } catch (imageErr) {
+      console.warn(`Image hash skipped for ${url}:`, imageErr.message);
+      return null;
+    }
+  }));
+  return [...new Set(hashes.filter(Boolean))];
+};
+
+const titleSimilarity = (a, b) => {
+  const setA = new Set(tokenize(a));
+  const setB = new Set(tokenize(b));
+  if (!setA.size || !setB.size) return 0;
+  const shared = [...setA].filter(t => setB.has(t)).length;
+  return shared / (setA.size + setB.size - shared);
+};
+
+const within = (a, b, ratio, floor = 0) => Math.abs(a - b) <= Math.max(Math.max(a, b) * ratio, floor);
+
+const matchRef = (fp) => ({ source: fp.source, id: String(fp.sourceId), title: fp.title });
+
+/**
+ * Median asking price in `marketprices` for the same make and model, within a year
+ * @param {Object} db - Database handle
+ * @param {Object} subject - From riskSubject
+ * @returns {Promise<{median: number, samples: number}|null>}
+ */
+export const marketMedian = async (db, { make, model, year }) => {
+  if (!make || !model || !year) return null;
+  const base = { make: exactMatchRegex(make), model: exactMatchRegex(model), status: { $ne: 'deleted' }, price: { $gt: 0 } };
+  let rows = await db.collection('marketprices').find({ ...base, year }, { projection: { price: 1 } }).toArray();
+  if (rows.length < MIN_MARKET_SAMPLES) {
+    rows = await db.collection('marketprices').find({ ...base, year: { $gte: year - 1, $lte: year + 1 } }, { projection: { price: 1 } }).toArray();
+  }
+  if (rows.length < MIN_MARKET_SAMPLES) return null;
+  const prices = rows.map(r => Number(r.price)).sort((a, b) => a - b);
+  const mid = Math.floor(prices.length / 2);
+  const median = prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+  return { median, samples: prices.length };
+};
+
+/**
+ * Risk flags for a subject against the fingerprints already recorded
+ * @param {Object} db - Database handle
+ * @param {Object} subject - From riskSubject, with imageHashes
+ * @param {Object} self - { source, sourceId } of the record being screened
+ * @returns {Promise<Array<{type: string, points: number, message: string, matches?: Object[]}>>}
+ */
+const findRiskFlags = async (db, subject, self) => {
+  const col = db.collection(FINGERPRINTS);
+  const ownIds = [String(self.sourceId), ...(subject.linkedId ? [String(subject.linkedId)] : [])];
+  const notSelf = (fp) => !ownIds.includes(String(fp.sourceId)) && !ownIds.includes(String(fp.linkedId || ''));
+
+  const [vinHits, hashHits, sameMake, phoneHits] = await Promise.all([
+    subject.vin ? col.find({ vin: subject.vin }).limit(50).toArray() : [],
+    subject.imageHashes.length ? col.find({ imageHashes: { $in: subject.imageHashes } }).limit(50).toArray() : [],
+    subject.make ? col.find({ makeKey: subject.make.toLowerCase() }).sort({ createdAt: -1 }).limit(MAX_CANDIDATES).toArray() : [],
+    subject.phone ? col.find({ phone: subject.phone }, { projection: { accountId: 1, sourceId: 1, linkedId: 1 } }).toArray() : []
+  ]);
+
+  const flags = [];
+  const vinMatches = vinHits.filter(notSelf);
+  if (vinMatches.length) {
+    flags.push({
+      type: 'duplicate_vin',
+      points: RISK_POINTS.duplicate_vin,
+      message: `VIN ${subject.vin} is already on ${vinMatches.length} other listing${vinMatches.length === 1 ? '' : 's'}`,
+      matches: vinMatches.slice(0, 5).map(matchRef)
+    });
+  }
+
+  const candidates = new Map();
+  for (const fp of [...hashHits, ...sameMake].filter(notSelf)) candidates.set(String(fp._id), fp);
+
+  const imageMatches = [...candidates.values()].filter(fp => (fp.imageHashes || [])
+    .some(h => subject.imageHashes.some(own => hashDistance(own, h) <= IMAGE_HASH_DISTANCE)));
+  if (imageMatches.length) {
+    flags.push({
+      type: 'duplicate_images',
+      points: RISK_POINTS.duplicate_images,
+      message: `Photos match ${imageMatches.length} other listing${imageMatches.length === 1 ? '' : 's'}`,
+      matches: imageMatches.slice(0, 5).map(matchRef)
+    });
+  }
+
+  const flagged = new Set([...vinMatches, ...imageMatches].map(fp => String(fp._id)));
+  const similar = [...candidates.values()].filter(fp => !flagged.has(String(fp._id))
+    && fp.modelKey === subject.model.toLowerCase()
+    && fp.year === subject.year
+    && subject.price > 0 && within(fp.price, subject.price, 0.05)
+    && within(fp.mileage, subject.mileage, 0.05, 2000)
+    && titleSimilarity(fp.title, subject.title) >= 0.6);
+  if (similar.length) {
+    flags.push({
+      type: 'similar_listing',
+      points: RISK_POINTS.similar_listing,
+      message: `Same ${subject.year} ${subject.make} ${subject.model} at a similar price and mileage as ${similar.length} other listing${similar.length === 1 ? '' : 's'}`,
+      matches: similar.slice(0, 5).map(matchRef)
+    });
+  }
+
+  const market = subject.price > 0 ? await marketMedian(db, subject) : null;
+  if (market) {
+    const ratio = subject.price / market.median;
+    const pct = Math.round((1 - ratio) * 100);
+    if (ratio < 0.5) {
+      flags.push({ type: 'price_far_below_market', points: RISK_POINTS.price_far_below_market, message: `Price is ${pct}% below the market median of P${Math.round(market.median).toLocaleString()} (${market.samples} samples)` });
+    } else if (ratio < 0.65) {
+      flags.push({ type: 'price_below_market', points: RISK_POINTS.price_below_market, message: `Price is ${pct}% below the market median of P${Math.round(market.median).toLocaleString()} (${market.samples} samples)` });
+    }
+  }
+
+  const otherAccounts = new Set(phoneHits.filter(notSelf).map(fp => fp.accountId).filter(id => id && id !== subject.accountId));
+  if (otherAccounts.size >= PHONE_ACCOUNT_THRESHOLD) {
+    flags.push({
+      type: 'phone_reused',
+      points: Math.min(RISK_POINTS.phone_reused + 5 * (otherAccounts.size - PHONE_ACCOUNT_THRESHOLD), 30),
+      message: `Seller phone is used by ${otherAccounts.size} other accounts`
+    });
+  }
+  return flags;
+};
+
+const levelFor = (score) => RISK_LEVELS.find(l => score >= l.min)?.level || 'none';
+
+/**
+ * Screen a new listing or submission and store its risk assessment on it
+ *
+ * Failures are logged, never thrown, so screening cannot block a
+ * submission; the record is then simply left unscored.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} source - 'listing' or 'submission'
+ * @param {Object} record - As stored, with its _id
+ * @param {Object} [options]
+ * @param {string} [options.phone] - Seller phone when the record does not carry one
+ * @returns {Promise<Object|null>} - The assessment
+ */
+export const screenListing = async (db, source, record, { phone } = {}) => {
+  try {
+    if (!RISK_SOURCES[source] || !record?._id) return null;
+    await ensureIndexes(db);
+    const { imageUrls, ...subject } = riskSubject(source, record, { phone });
+    subject.imageHashes = await hashImages(imageUrls);
+
+    const flags = await findRiskFlags(db, subject, { source, sourceId: record._id });
+    const score = Math.min(flags.reduce((sum, f) => sum + f.points, 0), 100);
+    const assessment = { score, level: levelFor(score), flags, imagesHashed: subject.imageHashes.length, assessedAt: new Date() };
+
+    const now = new Date();
+    await db.collection(FINGERPRINTS).updateOne(
+      { source, sourceId: new ObjectId(record._id) },
+      {
+        $set: {
+          linkedId: subject.linkedId ? new ObjectId(subject.linkedId) : null,
+          accountId: subject.accountId,
+          title: subject.title,
+          makeKey: subject.make.toLowerCase(),
+          modelKey: subject.model.toLowerCase(),
+          year: subject.year,
+          price: subject.price,
+          mileage: subject.mileage,
+          vin: subject.vin || null,
+          phone: subject.phone || null,
+          imageHashes: subject.imageHashes,
+          risk: { score, level: assessment.level, flagTypes: flags.map(f => f.type) },
+          dismissed: false,
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+    await db.collection(RISK_SOURCES[source]).updateOne({ _id: new ObjectId(record._id) }, { $set: { riskAssessment: assessment } });
+    return assessment;
+  } catch (screenErr) {
+    console.error(`Listing risk screening failed for ${source} ${record?._id}:`, screenErr.message);
+    return null;
+  }
+};
+
+/**
+ * Queue a new listing or submission for screening
+ *
+ * Call after the record is saved; runListingScreeningQueue screens it later.
+ * Failures are logged, never thrown, so they cannot block a submission.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} source - 'listing' or 'submission'
+ * @param {Object} record - As stored, with its _id
+ * @param {Object} [options]
+ * @param {string} [options.phone] - Seller phone when the record does not carry one
+ * @returns {Promise<boolean>} - Whether it was queued
+ */
+export const queueListingScreening = async (db, source, record, { phone } = {}) => {
+  try {
+    if (!RISK_SOURCES[source] || !record?._id) return false;
+    await ensureIndexes(db);
+    await db.collection(SCREENING_QUEUE).updateOne(
+      { source, sourceId: new ObjectId(record._id) },
+      { $set: { phone: phone || null, queuedAt: new Date(), claimedAt: null, attempts: 0 } },
+      { upsert: true }
+    );
+    return true;
+  } catch (queueErr) {
+    console.error(`Listing risk screening could not be queued for ${source} ${record?._id}:`, queueErr.message);
+    return false;
+  }
+};
+
+/**
+ * Screen queued records, oldest first, until the queue or the time budget runs out
+ *
+ * A record that fails is retried on a later run, up to MAX_SCREENING_ATTEMPTS.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} [options]
+ * @param {number} [options.budgetMs] - Stop claiming new records after this long
+ * @returns {Promise<{screened: number, failed: number, missing: number}>}
+ */
+export const runListingScreeningQueue = async (db, { budgetMs = 20000 } = {}) => {
+  await ensureIndexes(db);
+  const col = db.collection(SCREENING_QUEUE);
+  const deadline = Date.now() + budgetMs;
+  const summary = { screened: 0, failed: 0, missing: 0 };
+  while (Date.now() < deadline) {
+    const job = unwrap(await col.findOneAndUpdate(
+      {
+        $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }],
+        attempts: { $lt: MAX_SCREENING_ATTEMPTS }
+      },
+      { $set: { claimedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { queuedAt: 1 }, returnDocument: 'after' }
+    ));
+    if (!job) break;
+
+    const record = await db.collection(RISK_SOURCES[job.source]).findOne({ _id: job.sourceId });
+    if (!record) {
+      summary.missing++;
+      await col.deleteOne({ _id: job._id });
+      continue;
+    }
+    const assessment = await screenListing(db, job.source, record, { phone: job.phone || undefined });
+    if (assessment) {
+      summary.screened++;
+      await col.deleteOne({ _id: job._id, claimedAt: job.claimedAt });
+    } else {
+      summary.failed++;
+    }
+  }
+  return summary;
+};
+
+const loadRecord = async (db, source, id) => {
+  if (!RISK_SOURCES[source]) throw httpError(`source must be one of: ${Object.keys(RISK_SOURCES).join(', ')}`);
+  const record = await db.collection(RISK_SOURCES[source]).findOne({ _id: new ObjectId(id) });
+  if (!record) throw httpError('Listing not found', 404);
+  return record;
+};
+
+/**
+ * Screen a record again, e.g. after it was edited or market prices were added
+ * @param {Object} db - Database handle
+ * @param {string} source - 'listing' or 'submission'
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const rescreenListing = async (db, source, id) => {
+  const record = await loadRecord(db, source, id);
+  const assessment = await screenListing(db, source, record);
+  if (!assessment) throw httpError('Screening failed; see server logs', 500);
+  return assessment;
+};
+
+/**
+ * Mark a record's flags as reviewed and not a problem
+ * @param {Object} db - Database handle
+ * @param {string} source - 'listing' or 'submission'
+ * @param {string} id
+ * @param {Object} input
+ * @param {string} [input.note]
+ * @param {string} [input.adminName]
+ * @returns {Promise<Object>} - The updated assessment
+ */
+export const dismissListingRisk = async (db, source, id, { note = '', adminName = 'admin' } = {}) => {
+  const record = await loadRecord(db, source, id);
+  if (!record.riskAssessment) throw httpError('Listing has not been screened');
+  const dismissed = { by: adminName, at: new Date(), note: String(note || '').trim() };
+  await db.collection(RISK_SOURCES[source]).updateOne({ _id: record._id }, { $set: { 'riskAssessment.dismissed': dismissed } });
+  await db.collection(FINGERPRINTS).updateOne({ source, sourceId: record._id }, { $set: { dismissed: true } });
+  return { ...record.riskAssessment, dismissed };
+};
+
+/**
+ * Flagged listings and submissions, highest risk first
+ * @param {Object} db - Database handle
+ * @param {Object} [options]
+ * @param {string} [options.level] - Only this level: high, medium or low
+ * @param {string} [options.source] - Only listings or only submissions
+ * @param {boolean} [options.includeDismissed]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+export const listFlaggedListings = async (db, { level, source, includeDismissed = false, limit = 50 } = {}) => {
+  const filter = { 'risk.score': { $gt: 0 } };
+  if (level) filter['risk.level'] = level;
+  if (source) filter.source = source;
+  if (!includeDismissed) filter.dismissed = { $ne: true };
+  return db.collection(FINGERPRINTS)
+    .find(filter, { projection: { imageHashes: 0, phone: 0 } })
+    .sort({ 'risk.score': -1, createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .toArray();
+};
@@ -0,0 +1,328 @@
+// services/listingSearchService.js
+// Free-text search over listings, ranked by relevance and tolerant of typos.
+//
+// The listings handler narrows candidates with the structured filters (make,
+// price, year, ...) in MongoDB, then searchListings builds an in-process
+// inverted index over those candidates' title, make, model, year, fuel type,
+// description and features and scores them BM25-style. A query term matches
+// an indexed term exactly, as a prefix ("toyo" -> toyota) or within a small
+// edit distance ("hillux" -> hilux), each worth a little less than the last.
+//
+// Nothing the user types reaches a RegExp unescaped: use exactMatchRegex and
+// containsRegex when a filter must stay a regex.
+
+import { tokenize, bm25Idf, bm25TermWeight } from '../utils/bm25.js';
+
+const FIELD_WEIGHTS = { make: 4, model: 4, year: 3, title: 3, fuelType: 2, features: 1.5, description: 1 };
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with', 'sale', 'car', 'cars']);
+
+const MAX_QUERY_TERMS = 8;
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => String(value ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive whole-value match, safe for user input
+ * @param {string} value
+ * @returns {RegExp}
+ */
+export const exactMatchRegex = (value) => new RegExp(`^${escapeRegex(String(value ?? '').trim())}$`, 'i');
+
+/**
+ * Case-insensitive substring match, safe for user input
+ * @param {string} value
+ * @returns {RegExp}
+ */
+export const containsRegex = (value) => new RegExp(escapeRegex(String(value ?? '').trim()), 'i');
+
+// Country names and the codes or short forms listings are stored under
+const COUNTRY_ALIASES = {
+  'botswana':             ['Botswana', 'BW', 'BWA'],
+  'south africa':         ['South Africa', 'ZA', 'RSA', 'SA', 'S. Africa', 'S Africa'],
+  'zimbabwe':             ['Zimbabwe', 'ZW', 'ZWE'],
+  'namibia':              ['Namibia', 'NA', 'NAM'],
+  'zambia':               ['Zambia', 'ZM', 'ZMB'],
+  'mozambique':           ['Mozambique', 'MZ', 'MOZ'],
+  'tanzania':             ['Tanzania', 'TZ', 'TZA'],
+  'kenya':                ['Kenya', 'KE', 'KEN'],
+  'japan':                ['Japan', 'JP', 'JPN'],
+  'germany':              ['Germany', 'DE', 'DEU'],
+  'uk':                   ['United Kingdom', 'UK', 'GB', 'GBR', 'England', 'Britain'],
+  'united kingdom':       ['United Kingdom', 'UK', 'GB', 'GBR', 'England', 'Britain'],
+  'usa':                  ['United States', 'USA', 'US', 'America'],
+  'united states':        ['United States', 'USA', 'US', 'America'],
+  'uae':                  ['UAE', 'United Arab Emirates', 'AE'],
+  'united arab emirates': ['UAE', 'United Arab Emirates', 'AE'],
+};
+
+/**
+ * Every spelling a country filter should match ("uk" -> United Kingdom, UK, GB, ...)
+ * @param {string} country
+ * @returns {string[]}
+ */
+export const countryAliases = (country) => COUNTRY_ALIASES[String(country).toLowerCase()] || [country];
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up past `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} - The distance, or max + 1 when it is larger
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Typos allowed for a term of this length: none for short words and numbers
+const allowedTypos = (term) => (/^\d+$/.test(term) || term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+/**
+ * Searchable text of a listing, by field
+ * @param {Object} listing - Listing, or a user submission shaped like one
+ * @returns {Object<string, string>}
+ */
+export const listingSearchFields = (listing) => {
+  const specs = listing.specifications || {};
+  const features = [listing.features, listing.safetyFeatures, listing.comfortFeatures]
+    .flatMap(list => (Array.isArray(list) ? list : []))
+    .map(f => (typeof f === 'string' ? f : f?.name || ''))
+    .join(' ');
+  return {
+    make: specs.make || listing.make || '',
+    model: [specs.model, listing.model, specs.variant, specs.trim].filter(Boolean).join(' '),
+    // So "hilux 2019" or "diesel ranger" match on every term, not only the words in the title
+    year: String(specs.year || listing.year || ''),
+    title: listing.title || '',
+    fuelType: specs.fuelType || listing.fuelType || '',
+    features,
+    description: listing.description || ''
+  };
+};
+
+/**
+ * Inverted index over a set of listings
+ * @param {Object[]} listings
+ * @returns {{postings: Map, docLengths: number[], avgLength: number, size: number}}
+ */
+export const buildSearchIndex = (listings) => {
+  // term -> Map(docIndex -> weighted term frequency)
+  const postings = new Map();
+  const docLengths = [];
+  listings.forEach((listing, docIndex) => {
+    let length = 0;
+    for (const [field, text] of Object.entries(listingSearchFields(listing))) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const term of tokenize(text)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(docIndex, (docs.get(docIndex) || 0) + weight);
+        length += 1;
+      }
+    }
+    docLengths.push(length);
+  });
+  const avgLength = docLengths.reduce((s, l) => s + l, 0) / (docLengths.length || 1) || 1;
+  return { postings, docLengths, avgLength, size: listings.length };
+};
+
+/**
+ * Index terms a query term matches, with how well each matches
+ */
+const expandTerm = (term, vocabulary) => {
+  const matches = [];
+  const maxTypos = allowedTypos(term);
+  for (const candidate of vocabulary) {
+    if (candidate === term) {
+      matches.push([candidate, MATCH_QUALITY.exact]);
+    } else if (term.length >= 3 && candidate.startsWith(term)) {
+      matches.push([candidate, MATCH_QUALITY.prefix]);
+    } else if (maxTypos > 0 && editDistance(term, candidate, maxTypos) <= maxTypos) {
+      matches.push([candidate, MATCH_QUALITY.fuzzy]);
+    }
+  }
+  return matches;
+};
+
+/**
+ * Rank listings against a free-text query
+ *
+ * Every query term has to match (exactly, by prefix or fuzzily). When that
+ * leaves nothing, listings matching most of the terms are returned instead.
+ *
+ * @param {Object[]} listings - Candidates, already narrowed by the other filters
+ * @param {string} query
+ * @returns {{results: Array<{listing: Object, score: number}>, terms: string[], corrections: Object<string, string>, partial: boolean}}
+ */
+export const searchListings = (listings, query) => {
+  const terms = [...new Set(tokenize(String(query ?? '').slice(0, MAX_QUERY_LENGTH)))]
+    .filter(t => !STOP_WORDS.has(t))
+    .slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) return { results: listings.map(listing => ({ listing, score: 0 })), terms, corrections: {}, partial: false };
+
+  const index = buildSearchIndex(listings);
+  const vocabulary = [...index.postings.keys()];
+  const scores = new Map();
+  const matchedTerms = new Map();
+  const corrections = {};
+
+  for (const term of terms) {
+    const expansions = expandTerm(term, vocabulary);
+    if (expansions.length && !expansions.some(([, quality]) => quality === MATCH_QUALITY.exact)) {
+      const fuzzy = expansions.filter(([, quality]) => quality === MATCH_QUALITY.fuzzy);
+      // Report the most common fuzzy match as the correction ("hillux" -> "hilux")
+      if (fuzzy.length && !expansions.some(([, quality]) => quality === MATCH_QUALITY.prefix)) {
+        corrections[term] = fuzzy.sort((a, b) => index.postings.get(b[0]).size - index.postings.get(a[0]).size)[0][0];
+      }
+    }
+
+    // Best match per document for this query term
+    const best = new Map();
+    for (const [indexTerm, quality] of expansions) {
+      const docs = index.postings.get(indexTerm);
+      const idf = bm25Idf(index.size, docs.size);
+      for (const [docIndex, tf] of docs) {
+        const value = idf * bm25TermWeight(tf, index.docLengths[docIndex], index.avgLength) * quality;
+        if (value > (best.get(docIndex) || 0)) best.set(docIndex, value);
+      }
+    }
+    for (const [docIndex, value] of best) {
+      scores.set(docIndex, (scores.get(docIndex) || 0) + value);
+      matchedTerms.set(docIndex, (matchedTerms.get(docIndex) || 0) + 1);
+    }
+  }
+
+  const rank = (required) => [...scores.entries()]
+    .filter(([docIndex]) => matchedTerms.get(docIndex) >= required)
+    .map(([docIndex, score]) => ({ listing: listings[docIndex], score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score);
+
+  let results = rank(terms.length);
+  let partial = false;
+  if (results.length === 0 && terms.length > 1) {
+    results = rank(Math.ceil(terms.length / 2));
+    partial = results.length > 0;
+  }
+  return { results, terms, corrections, partial };
+};
+
+/**
+ * Plain escaped-regex filter for the same fields, for when in-process search is not possible
+ * @param {string} query
+ * @param {string} [prefix] - Path prefix, e.g. 'listingData.' for user submissions
+ * @returns {Object} - A MongoDB `$or` clause
+ */
+export const searchFallbackFilter = (query, prefix = '') => {
+  const rx = containsRegex(String(query ?? '').slice(0, MAX_QUERY_LENGTH));
+  return {
+    $or: ['title', 'description', 'specifications.make', 'specifications.model', 'features', 'safetyFeatures', 'comfortFeatures']
+      .map(field => ({ [`${prefix}${field}`]: rx }))
+  };
+};
+
+export const YEAR_BUCKETS = [
+  { key: '2020+', min: 2020 },
+  { key: '2015-2019', min: 2015, max: 2019 },
+  { key: '2010-2014', min: 2010, max: 2014 },
+  { key: '2005-2009', min: 2005, max: 2009 },
+  { key: 'Pre-2005', max: 2004 }
+];
+
+// Same labels the `priceRange` filter accepts
+export const PRICE_BUCKETS = [
+  { key: 'Under P10,000', max: 10000 },
+  { key: 'P10,000 - P20,000', min: 10000, max: 20000 },
+  { key: 'P20,000 - P30,000', min: 20000, max: 30000 },
+  { key: 'P30,000 - P50,000', min: 30000, max: 50000 },
+  { key: 'P50,000 - P100,000', min: 50000, max: 100000 },
+  { key: 'Over P100,000', min: 100000 }
+];
+
+const FACET_VALUES = {
+  make: l => l.specifications?.make || l.make,
+  model: l => l.specifications?.model || l.model,
+  fuelType: l => l.specifications?.fuelType || l.fuelType,
+  transmission: l => l.specifications?.transmission || l.transmission,
+  bodyStyle: l => l.category,
+  condition: l => l.condition,
+  city: l => l.location?.city
+};
+
+export const FACETS = [...Object.keys(FACET_VALUES), 'year', 'price'];
+
+const inBucket = (value, { min = -Infinity, max = Infinity }) => value >= min && value <= max;
+
+/**
+ * Option counts for the listings sidebar
+ *
+ * Values are counted case-insensitively (as the filters match them) under
+ * their most common spelling, most frequent first. Year and price use fixed
+ * buckets; a price on a boundary counts in both neighbouring buckets, as the
+ * `priceRange` filter would match it in both.
+ *
+ * @param {Object[]} listings - Everything matching the current filters and search
+ * @param {string[]} [facets] - Subset of FACETS; all by default
+ * @returns {Object<string, Array<{value: string, count: number}>>}
+ */
+export const listingFacets = (listings, facets = FACETS) => {
+  const result = {};
+  for (const facet of facets.filter(f => FACET_VALUES[f])) {
+    // lower-cased value -> { count, spellings: Map(spelling -> count) }
+    const counts = new Map();
+    for (const listing of listings) {
+      const raw = FACET_VALUES[facet](listing);
+      const value = typeof raw === 'string' ? raw.trim() : raw != null ? String(raw) : '';
+      if (!value) continue;
+      const key = value.toLowerCase();
+      if (!counts.has(key)) counts.set(key, { count: 0, spellings: new Map() });
+      const entry = counts.get(key);
+      entry.count++;
+      entry.spellings.set(value, (entry.spellings.get(value) || 0) + 1);
+    }
+    result[facet] = [...counts.values()]
+      .map(({ count, spellings }) => ({
+        value: [...spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        count
+      }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  const bucketCounts = (buckets, valueOf) => buckets.map(bucket => ({
+    value: bucket.key,
+    ...(bucket.min !== undefined && { min: bucket.min }),
+    ...(bucket.max !== undefined && { max: bucket.max }),
+    count: listings.filter(l => {
+      const value = Number(valueOf(l));
+      return value > 0 && inBucket(value, bucket);
+    }).length
+  }));
+  if (facets.includes('year')) result.year = bucketCounts(YEAR_BUCKETS, l => l.specifications?.year || l.year);
+  if (facets.includes('price')) result.price = bucketCounts(PRICE_BUCKETS, l => l.price);
+  return result;
+};
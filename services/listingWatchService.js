@@ -0,0 +1,169 @@
+// services/listingWatchService.js
+// Listing price history and notifications for people watching a listing.
+//
+// Every price change is written to `listing_price_history`. Users who saved
+// the listing (`users.favorites`) are told when its price drops, when it is
+// marked sold and when it is removed.
+
+import { ObjectId } from 'mongodb';
+import { notifyUser } from './notificationService.js';
+
+const HISTORY = 'listing_price_history';
+
+// Statuses that take a listing off the marketplace for good
+const REMOVED_STATUSES = ['deleted', 'archived'];
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+let indexesEnsured = false;
+const ensureIndexes = async (db) => {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(HISTORY).createIndex({ listingId: 1, changedAt: 1 });
+    indexesEnsured = true;
+  } catch (indexErr) {
+    console.warn('Price history index setup skipped:', indexErr.message);
+  }
+};
+
+const formatPrice = (value) => `P${Math.round(value).toLocaleString()}`;
+
+const listingName = (listing) => listing.title
+  || [listing.specifications?.year, listing.specifications?.make, listing.specifications?.model].filter(Boolean).join(' ')
+  || 'A listing you saved';
+
+// Who listed it, so sellers are not notified about their own listing
+const listingOwnerId = (listing) => String(listing.userId || listing.createdBy?.userId || listing.createdBy || '');
+
+/**
+ * Users who have the listing in their favourites, apart from its owner
+ * @param {Object} db - Database handle
+ * @param {Object} listing
+ * @returns {Promise<string[]>}
+ */
+export const listingWatchers = async (db, listing) => {
+  const id = new ObjectId(listing._id);
+  const users = await db.collection('users')
+    .find({ favorites: { $in: [id, String(id)] } }, { projection: { _id: 1 } })
+    .toArray();
+  const ownerId = listingOwnerId(listing);
+  return users.map(u => String(u._id)).filter(userId => userId !== ownerId);
+};
+
+const notifyWatchers = async (db, listing, notification) => {
+  const watchers = await listingWatchers(db, listing);
+  for (const userId of watchers) await notifyUser(db, userId, notification);
+  return watchers.length;
+};
+
+/**
+ * Record a listing update: price history, and alerts for the people watching it
+ *
+ * Call after the update is saved, with the listing as it was and the fields
+ * that were set. Only a real change counts (a new price, or a status moving
+ * to sold or removed). Failures are logged, never thrown, so they cannot undo
+ * the update.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} before - The listing before the update
+ * @param {Object} changes - Fields set by the update, e.g. { price } or { status }
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - User or admin id
+ * @param {string} [options.source] - Which screen or endpoint made the change
+ * @returns {Promise<{priceChanged: boolean, notified: number}>}
+ */
+export const trackListingChange = async (db, before, changes = {}, { changedBy = null, source = 'listing_update' } = {}) => {
+  const summary = { priceChanged: false, notified: 0 };
+  try {
+    if (!before?._id) return summary;
+    const listing = { ...before, ...changes };
+    const now = new Date();
+
+    const previousPrice = Number(before.price) || 0;
+    const price = changes.price === undefined ? previousPrice : Number(changes.price) || 0;
+    if (price > 0 && price !== previousPrice) {
+      await ensureIndexes(db);
+      const change = price - previousPrice;
+      await db.collection(HISTORY).insertOne({
+        listingId: new ObjectId(before._id),
+        price,
+        previousPrice,
+        change,
+        changePct: previousPrice > 0 ? Math.round(change / previousPrice * 1000) / 10 : null,
+        changedAt: now,
+        changedBy: changedBy ? String(changedBy) : null,
+        source
+      });
+      summary.priceChanged = true;
+
+      if (previousPrice > 0 && change < 0 && !REMOVED_STATUSES.includes(listing.status) && listing.status !== 'sold') {
+        summary.notified += await notifyWatchers(db, listing, {
+          type: 'watchlist_price_drop',
+          title: 'Price drop on a saved listing',
+          message: `${listingName(listing)} dropped from ${formatPrice(previousPrice)} to ${formatPrice(price)}`,
+          data: { listingId: String(before._id), previousPrice, price, changePct: Math.round(change / previousPrice * 1000) / 10 }
+        });
+      }
+    }
+
+    const status = changes.status;
+    if (status && status !== before.status) {
+      if (status === 'sold') {
+        summary.notified += await notifyWatchers(db, listing, {
+          type: 'watchlist_sold',
+          title: 'A saved listing has sold',
+          message: `${listingName(listing)} has been marked as sold`,
+          data: { listingId: String(before._id), price }
+        });
+      } else if (REMOVED_STATUSES.includes(status) && !REMOVED_STATUSES.includes(before.status)) {
+        summary.notified += await notifyWatchers(db, listing, {
+          type: 'watchlist_removed',
+          title: 'A saved listing was removed',
+          message: `${listingName(listing)} is no longer available`,
+          data: { listingId: String(before._id) }
+        });
+      }
+    }
+  } catch (trackErr) {
+    console.error(`Listing change tracking failed for ${before?._id}:`, trackErr.message);
+  }
+  return summary;
+};
+
+/**
+ * Public price history of a listing, oldest first, starting from its original price
+ * @param {Object} db - Database handle
+ * @param {string} listingId
+ * @returns {Promise<Object>}
+ */
+export const listingPriceHistory = async (db, listingId) => {
+  const listing = await db.collection('listings').findOne(
+    { _id: new ObjectId(listingId), status: { $ne: 'deleted' } },
+    { projection: { price: 1, createdAt: 1, status: 1 } }
+  );
+  if (!listing) throw httpError('Listing not found', 404);
+
+  const changes = await db.collection(HISTORY)
+    .find({ listingId: listing._id }, { projection: { _id: 0, price: 1, previousPrice: 1, change: 1, changePct: 1, changedAt: 1 } })
+    .sort({ changedAt: 1 })
+    .toArray();
+
+  const originalPrice = changes.length ? changes[0].previousPrice : Number(listing.price) || 0;
+  const points = [
+    ...(originalPrice > 0 ? [{ price: originalPrice, at: listing.createdAt || null }] : []),
+    ...changes.map(c => ({ price: c.price, at: c.changedAt }))
+  ];
+  const prices = points.map(p => p.price);
+  const currentPrice = Number(listing.price) || 0;
+  return {
+    listingId: String(listing._id),
+    status: listing.status,
+    currentPrice,
+    originalPrice,
+    lowestPrice: prices.length ? Math.min(...prices) : currentPrice,
+    highestPrice: prices.length ? Math.max(...prices) : currentPrice,
+    totalChange: originalPrice > 0 ? currentPrice - originalPrice : 0,
+    points,
+    changes
+  };
+};
@@ -0,0 +1,407 @@
+// services/llmProviders.js
+// LLM provider layer behind Mpho (/api/ai/chat).
+//
+// Every provider exposes the same `generate({ system, messages, tools })` call
+// and speaks one message format, so the tool-calling loop does not care which
+// vendor answers:
+//
+//   { role: 'user', content }
+//   { role: 'assistant', content, toolCalls: [{ id, name, args }] }
+//   { role: 'tool', results: [{ id, name, result }] }
+//
+// Tools are declared once as JSON Schema ({ name, description, parameters })
+// and converted to each vendor's shape here. `generate` resolves to
+// { text, toolCalls, usage: { inputTokens, outputTokens }, provider, model }.
+// Passing `{ onDelta }` as its second argument streams the text as it is
+// generated; the resolved value is the same either way.
+
+export const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  anthropic: 'claude-3-5-haiku-latest',
+  mock: 'mock-1'
+};
+
+// Used by the Gemini provider when its main model is rate limited
+const GEMINI_RATE_LIMIT_MODEL = 'gemini-2.0-flash-lite';
+
+const MAX_OUTPUT_TOKENS = 1024;
+
+export class LlmProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.provider - Provider name
+   * @param {string} details.kind - 'rate_limit' | 'auth' | 'invalid_request' | 'unavailable'
+   * @param {number} [details.status] - Upstream HTTP status
+   */
+  constructor(message, { provider, kind, status = null }) {
+    super(message);
+    this.name = 'LlmProviderError';
+    this.provider = provider;
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+/**
+ * Classify a vendor SDK error so callers can react without string matching
+ * @param {string} provider - Provider name
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {LlmProviderError}
+ */
+const toProviderError = (provider, error) => {
+  if (error instanceof LlmProviderError) return error;
+  const status = Number(error?.status) || null;
+  const text = String(error?.message || error).toLowerCase();
+
+  let kind = 'unavailable';
+  if (status === 429 || text.includes('429') || text.includes('quota') || text.includes('resource exhausted') || text.includes('rate limit')) {
+    kind = 'rate_limit';
+  } else if (status === 401 || status === 403 || text.includes('api key')) {
+    kind = 'auth';
+  } else if (status === 400 || text.includes('invalid') || text.includes('alternating')) {
+    kind = 'invalid_request';
+  }
+  return new LlmProviderError(`${provider}: ${error?.message || error}`, { provider, kind, status });
+};
+
+// ==================== GEMINI ====================
+
+const GEMINI_TYPES = { object: 'OBJECT', string: 'STRING', number: 'NUMBER', integer: 'INTEGER', boolean: 'BOOLEAN', array: 'ARRAY' };
+
+const toGeminiSchema = (schema = {}) => {
+  const converted = { ...schema, type: GEMINI_TYPES[schema.type] || 'STRING' };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+};
+
+const toGeminiContents = (messages) => messages.map((message) => {
+  if (message.role === 'tool') {
+    return {
+      role: 'function',
+      parts: message.results.map(r => ({ functionResponse: { name: r.name, response: { result: r.result } } }))
+    };
+  }
+  if (message.role === 'assistant') {
+    const parts = [];
+    if (message.content) parts.push({ text: message.content });
+    for (const call of message.toolCalls || []) parts.push({ functionCall: { name: call.name, args: call.args || {} } });
+    return { role: 'model', parts };
+  }
+  return { role: 'user', parts: [{ text: String(message.content) }] };
+});
+
+/**
+ * Google Gemini through @google/generative-ai
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]
+ * @returns {Object} - Provider
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_MODELS.gemini }) => {
+  let client = null;
+
+  const callModel = async (modelName, { system, messages, tools }, onDelta) => {
+    if (!client) {
+      const { GoogleGenerativeAI } = await import('@google/generative-ai');
+      client = new GoogleGenerativeAI(apiKey);
+    }
+    const generative = client.getGenerativeModel({
+      model: modelName,
+      systemInstruction: system,
+      tools: tools?.length
+        ? [{ functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parameters: toGeminiSchema(t.parameters) })) }]
+        : undefined,
+      generationConfig: { maxOutputTokens: MAX_OUTPUT_TOKENS }
+    });
+    const request = { contents: toGeminiContents(messages) };
+    let response;
+    if (onDelta) {
+      const streamed = await generative.generateContentStream(request);
+      for await (const chunk of streamed.stream) {
+        const text = (chunk.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+        if (text) onDelta(text);
+      }
+      response = await streamed.response;
+    } else {
+      ({ response } = await generative.generateContent(request));
+    }
+    const calls = response.functionCalls() || [];
+    return {
+      text: calls.length ? '' : response.text(),
+      toolCalls: calls.map((call, i) => ({ id: `call_${i}_${call.name}`, name: call.name, args: call.args || {} })),
+      usage: {
+        inputTokens: response.usageMetadata?.promptTokenCount || 0,
+        outputTokens: response.usageMetadata?.candidatesTokenCount || 0
+      },
+      provider: 'gemini',
+      model: modelName
+    };
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(request, { onDelta } = {}) {
+      let streamed = false;
+      const trackDelta = onDelta && ((text) => {
+        streamed = true;
+        onDelta(text);
+      });
+      try {
+        return await callModel(model, request, trackDelta);
+      } catch (error) {
+        const providerError = toProviderError('gemini', error);
+        if (providerError.kind !== 'rate_limit' || model === GEMINI_RATE_LIMIT_MODEL || streamed) throw providerError;
+        console.log(`429 on ${model} — retrying with ${GEMINI_RATE_LIMIT_MODEL}`);
+        try {
+          return await callModel(GEMINI_RATE_LIMIT_MODEL, request, trackDelta);
+        } catch (retryError) {
+          throw toProviderError('gemini', retryError);
+        }
+      }
+    }
+  };
+};
+
+// ==================== ANTHROPIC ====================
+
+const toAnthropicMessages = (messages) => messages.map((message) => {
+  if (message.role === 'tool') {
+    return {
+      role: 'user',
+      content: message.results.map(r => ({ type: 'tool_result', tool_use_id: r.id, content: String(r.result) }))
+    };
+  }
+  if (message.role === 'assistant') {
+    if (!message.toolCalls?.length) return { role: 'assistant', content: String(message.content) };
+    return {
+      role: 'assistant',
+      content: [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.args || {} }))
+      ]
+    };
+  }
+  return { role: 'user', content: String(message.content) };
+});
+
+/**
+ * Anthropic Messages API through @anthropic-ai/sdk
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]
+ * @returns {Object} - Provider
+ */
+export const createAnthropicProvider = ({ apiKey, model = DEFAULT_MODELS.anthropic }) => {
+  let client = null;
+
+  return {
+    name: 'anthropic',
+    model,
+    async generate({ system, messages, tools }, { onDelta } = {}) {
+      try {
+        if (!client) {
+          const { default: Anthropic } = await import('@anthropic-ai/sdk');
+          client = new Anthropic({ apiKey });
+        }
+        const params = {
+          model,
+          max_tokens: MAX_OUTPUT_TOKENS,
+          system,
+          messages: toAnthropicMessages(messages),
+          ...(tools?.length ? { tools: tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters })) } : {})
+        };
+        let response;
+        if (onDelta) {
+          const stream = client.messages.stream(params);
+          stream.on('text', (text) => onDelta(text));
+          response = await stream.finalMessage();
+        } else {
+          response = await client.messages.create(params);
+        }
+        const blocks = response.content || [];
+        return {
+          text: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+          toolCalls: blocks.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, args: b.input || {} })),
+          usage: {
+            inputTokens: response.usage?.input_tokens || 0,
+            outputTokens: response.usage?.output_tokens || 0
+          },
+          provider: 'anthropic',
+          model: response.model || model
+        };
+      } catch (error) {
+        throw toProviderError('anthropic', error);
+      }
+    }
+  };
+};
+
+// ==================== MOCK ====================
+
+const MOCK_MAKES = ['toyota', 'honda', 'mazda', 'bmw', 'mercedes-benz', 'volkswagen', 'ford', 'nissan', 'hyundai', 'kia', 'isuzu', 'land rover', 'lexus', 'audi'];
+const MOCK_PAGES = ['marketplace', 'services', 'news', 'dealerships', 'ev-charging'];
+
+const countTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Pick a tool call for a user message with plain keyword rules
+ * @returns {{name: string, args: Object}|null}
+ */
+const mockIntent = (text, offered) => {
+  const lower = text.toLowerCase();
+  const make = MOCK_MAKES.find(m => lower.includes(m));
+  const year = lower.match(/\b(19[89]\d|20[0-3]\d)\b/)?.[1];
+  const price = lower.match(/\bp\s?([\d,]{4,})/)?.[1];
+  const afterMake = make ? lower.split(make)[1]?.trim().split(/\s+/)[0] : undefined;
+  const page = MOCK_PAGES.find(p => lower.includes(p.replace('-', ' ')) || lower.includes(p));
+  const titleCase = (s) => s && s.replace(/\b\w/g, c => c.toUpperCase());
+
+  const service = lower.match(/\b(workshop|mechanic|rental|service|repair)\b/)?.[1];
+
+  // [condition, tool, () => args] — first match among the offered tools wins
+  const rules = [
+    [/\b(take me|go to|open|show me the)\b/.test(lower) && page, 'navigate_to', () => ({ path: `/${page}` })],
+    [/\b(worth|valuation|value my)\b/.test(lower) && make, 'get_valuation', () => ({ make: titleCase(make), model: titleCase(afterMake), year: Number(year) || undefined })],
+    [/\b(sell|list my)\b/.test(lower) && make && year && price, 'prepare_listing', () => ({ make: titleCase(make), model: titleCase(afterMake), year: Number(year), price: Number(price.replace(/,/g, '')) })],
+    [/\b(news|article|hours|open on|faq|specialit(y|ies)|how do i)\b/.test(lower), 'search_knowledge', () => ({ query: text })],
+    [/\b(market|trend|popular)\b/.test(lower), 'get_market_data', () => (make ? { make: titleCase(make) } : {})],
+    [service, 'search_services', () => ({ query: service })],
+    [/\b(buy|looking for|find|cars?|listings?)\b/.test(lower), 'search_listings', () => (make ? { make: titleCase(make) } : {})]
+  ];
+  for (const [matches, name, buildArgs] of rules) {
+    if (matches && offered.has(name)) {
+      return { name, args: Object.fromEntries(Object.entries(buildArgs()).filter(([, v]) => v !== undefined)) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Deterministic local provider for offline development and tests
+ *
+ * With a `script`, each call returns the next scripted response
+ * ({ text } or { toolCalls: [{ name, args }] }). Without one, the last user
+ * message is matched against keyword rules to call one of the offered tools,
+ * and tool results are echoed back as the final reply. Streamed text arrives
+ * one word at a time.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.script] - Canned responses, consumed in order
+ * @param {Error} [options.failWith] - Throw this on every call (fallback testing)
+ * @returns {Object} - Provider
+ */
+export const createMockProvider = ({ script = null, failWith = null } = {}) => {
+  const queue = script ? [...script] : null;
+  const calls = [];
+
+  return {
+    name: 'mock',
+    model: DEFAULT_MODELS.mock,
+    calls,
+    async generate({ system, messages, tools = [] }, { onDelta } = {}) {
+      calls.push({ system, messages, tools });
+      if (failWith) throw toProviderError('mock', failWith);
+
+      const inputTokens = countTokens(system) + messages.reduce((sum, m) => sum + countTokens(m.content || JSON.stringify(m.results || m.toolCalls || '')), 0);
+      const respond = ({ text = '', toolCalls = [] }) => {
+        if (onDelta && text) text.split(/(?<=\s)/).forEach(word => onDelta(word));
+        return {
+          text,
+          toolCalls: toolCalls.map((call, i) => ({ id: call.id || `mock_${calls.length}_${i}`, name: call.name, args: call.args || {} })),
+          usage: { inputTokens, outputTokens: countTokens(text) + toolCalls.length * 10 },
+          provider: 'mock',
+          model: DEFAULT_MODELS.mock
+        };
+      };
+
+      if (queue) {
+        if (queue.length === 0) throw new LlmProviderError('mock: script exhausted', { provider: 'mock', kind: 'unavailable' });
+        return respond(queue.shift());
+      }
+
+      const last = messages[messages.length - 1];
+      if (last?.role === 'tool') {
+        return respond({ text: last.results.map(r => r.result).join(' ') });
+      }
+      const intent = mockIntent(String(last?.content || ''), new Set(tools.map(t => t.name)));
+      if (intent) return respond({ toolCalls: [intent] });
+      return respond({ text: "I'm Mpho (offline mode). Ask me to find cars, services or take you to a page." });
+    }
+  };
+};
+
+// ==================== SELECTION & FALLBACK ====================
+
+const PROVIDER_FACTORIES = {
+  gemini: (env) => env.GEMINI_API_KEY && createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || DEFAULT_MODELS.gemini }),
+  anthropic: (env) => env.ANTHROPIC_API_KEY && createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model: env.ANTHROPIC_MODEL || DEFAULT_MODELS.anthropic }),
+  mock: () => createMockProvider()
+};
+
+/**
+ * Providers to try, in order, for this environment
+ *
+ *   AI_PROVIDER=gemini|anthropic|mock   primary (default: gemini, else anthropic)
+ *   AI_FALLBACK_PROVIDER=<name>|none    second choice (default: the other vendor with a key)
+ *
+ * Providers without an API key are skipped.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {Object[]} - Providers; empty when none is configured
+ */
+export const resolveProviders = (env = process.env) => {
+  const primary = (env.AI_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'anthropic')).toLowerCase();
+  const fallback = (env.AI_FALLBACK_PROVIDER || (primary === 'gemini' ? 'anthropic' : primary === 'anthropic' ? 'gemini' : 'none')).toLowerCase();
+
+  const names = [primary, fallback].filter((name, i, all) => name !== 'none' && all.indexOf(name) === i);
+  return names
+    .map((name) => {
+      if (!PROVIDER_FACTORIES[name]) {
+        console.warn(`Unknown AI provider "${name}" ignored`);
+        return null;
+      }
+      return PROVIDER_FACTORIES[name](env) || null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Run a request against the first provider that answers
+ *
+ * Auth and rate-limit failures, outages and invalid-request errors all move on
+ * to the next provider; the last error is rethrown when every provider fails.
+ * When streaming, a provider that fails after it has already emitted text is
+ * not retried elsewhere — the client would see two answers spliced together.
+ *
+ * @param {Object[]} providers - From resolveProviders
+ * @param {Object} request - { system, messages, tools }
+ * @param {Object} [options]
+ * @param {Function} [options.onDelta] - Receives text chunks as they stream
+ * @returns {Promise<Object>} - Normalized response
+ */
+export const generateWithFallback = async (providers, request, { onDelta } = {}) => {
+  if (!providers.length) throw new LlmProviderError('No AI provider is configured', { provider: 'none', kind: 'unavailable' });
+
+  let streamed = false;
+  const trackDelta = onDelta && ((text) => {
+    streamed = true;
+    onDelta(text);
+  });
+
+  let lastError = null;
+  for (const provider of providers) {
+    try {
+      return await provider.generate(request, { onDelta: trackDelta });
+    } catch (error) {
+      lastError = toProviderError(provider.name, error);
+      if (streamed) throw lastError;
+      console.warn(`AI provider ${provider.name} failed (${lastError.kind}): ${lastError.message}`);
+    }
+  }
+  throw lastError;
+};
@@ -0,0 +1,316 @@
+// services/mphoMemoryService.js
+// What Mpho remembers about a user, stored on their `ai_chat_history` document:
+//
+//   messages  recent turns, kept verbatim while they fit the token budget
+//   summary   rolling summary of older turns ({ text, coveredUntil, turns, updatedAt })
+//   facts     structured facts extracted from what the user said
+//             ([{ id, type, value, createdAt, updatedAt }]) that users can view and delete
+//
+// Older turns are folded into the summary by the same LLM providers that
+// answer the chat, once the stored turns outgrow SUMMARIZE_AFTER_TOKENS.
+
+import { ObjectId } from 'mongodb';
+import { generateWithFallback } from './llmProviders.js';
+
+export const HISTORY_TOKEN_BUDGET = 1500;
+export const SUMMARIZE_AFTER_TOKENS = 3000;
+const MAX_STORED_MESSAGES = 60;
+const MAX_SUMMARY_CHARS = 1500;
+
+export const FACT_TYPES = {
+  budget: { label: 'Budget', single: true },
+  location: { label: 'Location', single: true },
+  preferred_make: { label: 'Preferred make', single: false, keep: 5 },
+  fuel_type: { label: 'Fuel type', single: true },
+  body_type: { label: 'Body type', single: true }
+};
+
+const BW_CITIES = ['gaborone', 'francistown', 'maun', 'kasane', 'palapye', 'mahalapye', 'serowe', 'lobatse', 'kanye', 'molepolole', 'selebi-phikwe', 'orapa', 'jwaneng', 'mochudi', 'tlokweng', 'mogoditshane'];
+const CAR_MAKES = {
+  toyota: 'Toyota', honda: 'Honda', mazda: 'Mazda', bmw: 'BMW', mercedes: 'Mercedes-Benz', 'mercedes-benz': 'Mercedes-Benz',
+  vw: 'Volkswagen', volkswagen: 'Volkswagen', ford: 'Ford', nissan: 'Nissan', hyundai: 'Hyundai', kia: 'Kia',
+  mitsubishi: 'Mitsubishi', isuzu: 'Isuzu', 'land rover': 'Land Rover', jeep: 'Jeep', peugeot: 'Peugeot',
+  renault: 'Renault', volvo: 'Volvo', lexus: 'Lexus', audi: 'Audi', suzuki: 'Suzuki', subaru: 'Subaru'
+};
+const FUEL_TYPES = { electric: 'Electric', ev: 'Electric', hybrid: 'Hybrid', diesel: 'Diesel', petrol: 'Petrol' };
+const BODY_TYPES = { suv: 'SUV', bakkie: 'Pickup', pickup: 'Pickup', 'pick-up': 'Pickup', sedan: 'Sedan', hatchback: 'Hatchback', minibus: 'Minibus', van: 'Van', coupe: 'Coupe' };
+
+/**
+ * Rough token count (about four characters per token) — good enough for budgeting
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const wordMatch = (lower, key) => new RegExp(`(^|[^a-z])${key.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')}([^a-z]|$)`).test(lower);
+
+/**
+ * Parse an amount such as "150,000", "150k" or "1.2m" into Pula
+ * @returns {number|null}
+ */
+const parseAmount = (digits, suffix) => {
+  const value = parseFloat(String(digits).replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  const multiplier = /^k$/i.test(suffix || '') ? 1000 : /^m$/i.test(suffix || '') ? 1000000 : 1;
+  const amount = Math.round(value * multiplier);
+  return amount >= 1000 ? amount : null;
+};
+
+/**
+ * Facts stated in one user message
+ * @param {string} message - What the user wrote
+ * @returns {Array<{type: string, value: string|number}>}
+ */
+export const extractFacts = (message) => {
+  const lower = String(message || '').toLowerCase();
+  const facts = [];
+
+  const budget = lower.match(/budget[^\d]{0,20}(?:p\s?)?(\d[\d,.]*)\s*(k|m)?\b/)
+    || lower.match(/\b(?:under|below|up to|around|about|max(?:imum)?|less than)\s+p\s?(\d[\d,.]*)\s*(k|m)?\b/)
+    || lower.match(/\b(?:afford|spend)[^\d]{0,15}(?:p\s?)?(\d[\d,.]*)\s*(k|m)?\b/);
+  const amount = budget && parseAmount(budget[1], budget[2]);
+  if (amount) facts.push({ type: 'budget', value: amount });
+
+  const city = BW_CITIES.find(c => wordMatch(lower, c));
+  if (city) facts.push({ type: 'location', value: city.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('-') });
+
+  for (const [key, make] of Object.entries(CAR_MAKES)) {
+    if (wordMatch(lower, key) && !facts.some(f => f.type === 'preferred_make' && f.value === make)) {
+      facts.push({ type: 'preferred_make', value: make });
+    }
+  }
+
+  const fuel = Object.keys(FUEL_TYPES).find(k => wordMatch(lower, k));
+  if (fuel) facts.push({ type: 'fuel_type', value: FUEL_TYPES[fuel] });
+
+  const body = Object.keys(BODY_TYPES).find(k => wordMatch(lower, k));
+  if (body) facts.push({ type: 'body_type', value: BODY_TYPES[body] });
+
+  return facts;
+};
+
+/**
+ * Merge newly extracted facts into the stored list
+ *
+ * Single-valued types (budget, location, …) are replaced; preferred makes
+ * accumulate, most recent last, up to their `keep` limit.
+ *
+ * @param {Array} existing - Stored facts
+ * @param {Array} extracted - From extractFacts
+ * @param {Date} [now]
+ * @returns {Array}
+ */
+export const mergeFacts = (existing = [], extracted = [], now = new Date()) => {
+  let facts = [...existing];
+  for (const { type, value } of extracted) {
+    const spec = FACT_TYPES[type];
+    const same = facts.find(f => f.type === type && (spec.single || f.value === value));
+    if (same) {
+      facts = facts.filter(f => f !== same);
+      facts.push({ ...same, value, updatedAt: now });
+    } else {
+      facts.push({ id: new ObjectId().toString(), type, value, createdAt: now, updatedAt: now });
+    }
+    if (!spec.single) {
+      const ofType = facts.filter(f => f.type === type);
+      const drop = new Set(ofType.slice(0, Math.max(0, ofType.length - spec.keep)));
+      facts = facts.filter(f => !drop.has(f));
+    }
+  }
+  return facts;
+};
+
+/**
+ * Facts from the legacy `profile` blob, for users who chatted before facts existed
+ */
+const factsFromProfile = (profile = {}) => {
+  const extracted = [];
+  if (profile.budget) extracted.push({ type: 'budget', value: Number(profile.budget) });
+  if (profile.city) extracted.push({ type: 'location', value: profile.city });
+  for (const make of (profile.interests || []).slice(-5)) {
+    extracted.push({ type: 'preferred_make', value: CAR_MAKES[String(make).toLowerCase()] || make });
+  }
+  // Ids derived from the values stay stable until the facts are first saved
+  return mergeFacts([], extracted, new Date(0))
+    .map(f => ({ ...f, id: `profile-${f.type}-${String(f.value).toLowerCase().replace(/[^a-z0-9]+/g, '-')}` }));
+};
+
+/**
+ * A user's stored memory
+ * @param {Object} db - Database handle
+ * @param {string} userId - User id
+ * @returns {Promise<{messages: Array, summary: Object|null, facts: Array}>}
+ */
+export const loadMphoMemory = async (db, userId) => {
+  const doc = await db.collection('ai_chat_history').findOne({ userId: String(userId) });
+  return {
+    messages: doc?.messages || [],
+    summary: doc?.summary || null,
+    facts: doc?.facts || factsFromProfile(doc?.profile)
+  };
+};
+
+/**
+ * The most recent turns that fit a token budget, oldest first
+ * @param {Array} messages - Stored turns
+ * @param {number} [budget]
+ * @returns {Array}
+ */
+export const recentTurnsWithinBudget = (messages, budget = HISTORY_TOKEN_BUDGET) => {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += estimateTokens(messages[i].content);
+    if (used > budget) break;
+    kept.unshift(messages[i]);
+  }
+  return kept;
+};
+
+/**
+ * Prompt lines describing what Mpho knows about the user
+ * @param {Object} memory - From loadMphoMemory
+ * @returns {string}
+ */
+export const describeMemory = ({ facts = [], summary = null }) => {
+  const lines = [];
+  if (facts.length) {
+    const byType = Object.keys(FACT_TYPES)
+      .map((type) => {
+        const values = facts.filter(f => f.type === type).map(f => (type === 'budget' ? `about P${Number(f.value).toLocaleString()}` : f.value));
+        return values.length ? `${FACT_TYPES[type].label}: ${values.join(', ')}` : '';
+      })
+      .filter(Boolean);
+    lines.push(`What you know about this user (they can see and delete these under Mpho memory): ${byType.join('. ')}.`);
+  }
+  if (summary?.text) lines.push(`Summary of your earlier conversations with this user: ${summary.text}`);
+  return lines.join('\n');
+};
+
+const SUMMARY_INSTRUCTIONS = `You maintain the running memory of a car marketplace assistant's conversations with one user.
+Rewrite the summary so it includes the new turns. Keep what matters for future help: cars and services they looked at, what they want to buy or sell, decisions and open questions.
+Leave out phone numbers, emails and anything the user asked to forget. Plain prose, at most 120 words, no preamble.`;
+
+/**
+ * Fold the oldest turns into the rolling summary once stored turns outgrow the budget
+ * @param {Object} db - Database handle
+ * @param {string} userId - User id
+ * @param {Object[]} providers - LLM providers in fallback order
+ * @returns {Promise<{summarized: number, usage: Object|null}>}
+ */
+export const summarizeIfNeeded = async (db, userId, providers) => {
+  const histCol = db.collection('ai_chat_history');
+  const doc = await histCol.findOne({ userId: String(userId) });
+  const messages = doc?.messages || [];
+  const total = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  if (total <= SUMMARIZE_AFTER_TOKENS || providers.length === 0) return { summarized: 0, usage: null };
+
+  const keep = recentTurnsWithinBudget(messages, HISTORY_TOKEN_BUDGET);
+  const older = messages.slice(0, messages.length - keep.length);
+  if (older.length === 0) return { summarized: 0, usage: null };
+
+  const transcript = older.map(m => `${m.role === 'user' ? 'User' : 'Mpho'}: ${m.content}`).join('\n');
+  const response = await generateWithFallback(providers, {
+    system: SUMMARY_INSTRUCTIONS,
+    messages: [{ role: 'user', content: `Current summary:\n${doc.summary?.text || '(none yet)'}\n\nNew turns:\n${transcript}` }],
+    tools: []
+  });
+  const usage = { ...response.usage, provider: response.provider, model: response.model };
+  const text = response.text.trim().slice(0, MAX_SUMMARY_CHARS);
+  if (!text) return { summarized: 0, usage };
+
+  const coveredUntil = new Date(older[older.length - 1].ts || Date.now());
+  // Only lands if no turn was stored while the summary was written, since the
+  // trim below counts from the end of the turns that were read
+  const { matchedCount } = await histCol.updateOne(
+    { _id: doc._id, messages },
+    {
+      $set: {
+        summary: { text, coveredUntil, turns: (doc.summary?.turns || 0) + older.length, updatedAt: new Date() },
+        updatedAt: new Date()
+      },
+      // Trim by position: turns without a ts, or sharing one, must not survive or vanish by accident
+      $push: { messages: { $each: [], $slice: -keep.length } }
+    }
+  );
+  // Skipped turns stay stored and are folded in after the next exchange
+  return { summarized: matchedCount ? older.length : 0, usage };
+};
+
+const FACT_WRITE_ATTEMPTS = 3;
+
+/**
+ * Merge facts into what is stored now, not into a copy read before the reply
+ *
+ * The write only lands if the facts are unchanged since they were read, so a
+ * fact the user deleted while Mpho was answering stays deleted.
+ */
+const saveFacts = async (histCol, userId, extracted, now) => {
+  for (let attempt = 0; attempt < FACT_WRITE_ATTEMPTS; attempt++) {
+    const doc = await histCol.findOne({ userId }, { projection: { facts: 1, profile: 1 } });
+    if (!doc || (doc.facts && extracted.length === 0)) return;
+    const merged = mergeFacts(doc.facts || factsFromProfile(doc.profile), extracted, now);
+    const { matchedCount } = await histCol.updateOne(
+      { _id: doc._id, facts: doc.facts === undefined ? { $exists: false } : doc.facts },
+      { $set: { facts: merged }, $unset: { profile: '' } }
+    );
+    if (matchedCount) return;
+  }
+  console.warn(`Mpho facts for ${userId} changed during every save attempt; this exchange's facts were dropped`);
+};
+
+/**
+ * Store one exchange and the facts it revealed
+ * @param {Object} db - Database handle
+ * @param {string} userId - User id
+ * @param {Object} exchange
+ * @param {string} exchange.userMessage
+ * @param {string} exchange.reply
+ */
+export const recordMphoExchange = async (db, userId, { userMessage, reply }) => {
+  const now = new Date();
+  const histCol = db.collection('ai_chat_history');
+  await histCol.updateOne(
+    { userId: String(userId) },
+    {
+      $push: {
+        messages: {
+          $each: [
+            { role: 'user', content: userMessage, ts: now },
+            { role: 'assistant', content: reply, ts: new Date(now.getTime() + 1) }
+          ],
+          $slice: -MAX_STORED_MESSAGES
+        }
+      },
+      $set: { updatedAt: now },
+      $setOnInsert: { userId: String(userId) }
+    },
+    { upsert: true }
+  );
+  await saveFacts(histCol, String(userId), extractFacts(userMessage), now);
+};
+
+/**
+ * Forget one fact, every fact, or the conversation summary
+ * @param {Object} db - Database handle
+ * @param {string} userId - User id
+ * @param {Object} target
+ * @param {string} [target.factId] - One fact; omit to forget all facts
+ * @param {boolean} [target.summary] - Forget the summary instead of facts
+ * @returns {Promise<boolean>} - Whether anything was removed
+ */
+export const forgetMphoMemory = async (db, userId, { factId = null, summary = false } = {}) => {
+  const histCol = db.collection('ai_chat_history');
+  const filter = { userId: String(userId) };
+
+  if (summary) {
+    const { modifiedCount } = await histCol.updateOne({ ...filter, summary: { $exists: true } }, { $unset: { summary: '' }, $set: { updatedAt: new Date() } });
+    return modifiedCount > 0;
+  }
+
+  const { facts } = await loadMphoMemory(db, userId);
+  const remaining = factId ? facts.filter(f => f.id !== factId) : [];
+  if (remaining.length === facts.length) return false;
+  await histCol.updateOne(filter, { $set: { facts: remaining, updatedAt: new Date() }, $unset: { profile: '' } });
+  return true;
+};
@@ -0,0 +1,457 @@
+// services/mphoService.js
+// Mpho, the site assistant behind /api/ai/chat: system prompt, tool
+// declarations, tool execution and the provider-agnostic tool-calling loop.
+
+import { generateWithFallback } from './llmProviders.js';
+import { searchKnowledge, KNOWLEDGE_SOURCES } from './knowledgeService.js';
+
+export const MAX_TOOL_ROUNDS = 3;
+
+const TOOL_DECLARATIONS = {
+  search_listings: {
+    description: 'Search vehicle listings on the marketplace. Use when users ask about available cars, prices, or specific models.',
+    parameters: {
+      type: 'object',
+      properties: {
+        make:      { type: 'string', description: 'Brand e.g. Toyota, BMW, Mercedes-Benz' },
+        model:     { type: 'string', description: 'Model e.g. Hilux, X5, C-Class' },
+        minPrice:  { type: 'number', description: 'Min price in Pula' },
+        maxPrice:  { type: 'number', description: 'Max price in Pula' },
+        fuelType:  { type: 'string', description: 'petrol/diesel/electric/hybrid' },
+        category:  { type: 'string', description: 'SUV/Sedan/Pickup/Hatchback etc.' },
+        condition: { type: 'string', description: 'new or used' },
+        city:      { type: 'string', description: 'City in Botswana' }
+      }
+    }
+  },
+  search_services: {
+    description: 'Search service providers: workshops, car rentals, public transport.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query:       { type: 'string' },
+        serviceType: { type: 'string', description: 'workshop, car_rental, or public_transport' },
+        city:        { type: 'string' }
+      }
+    }
+  },
+  search_knowledge: {
+    description: 'Search our own published news articles, service provider profiles (specialities, working hours, location) and FAQ. Use for questions about something we wrote, a specific business, or how the site works.',
+    parameters: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query:  { type: 'string', description: 'What to look for, in plain words' },
+        source: { type: 'string', description: 'Optional: news, providers or faq' }
+      }
+    }
+  },
+  navigate_to: {
+    description: 'Send the user to a page. Use for browsing requests like "take me to marketplace" or "show me EV section".',
+    parameters: {
+      type: 'object',
+      required: ['path'],
+      properties: {
+        path:        { type: 'string', description: 'e.g. /marketplace, /services, /news, /dealerships, /ev-charging' },
+        queryParams: { type: 'string', description: 'Optional query string e.g. ?fuelType=electric&maxPrice=500000' }
+      }
+    }
+  },
+  prepare_listing: {
+    description: 'Prepare a vehicle listing form for Pro/admin users. Call as soon as you have make, model, year and price.',
+    parameters: {
+      type: 'object',
+      required: ['make', 'model', 'year', 'price'],
+      properties: {
+        make:          { type: 'string' },
+        model:         { type: 'string' },
+        year:          { type: 'number' },
+        price:         { type: 'number', description: 'Price in Pula' },
+        condition:     { type: 'string' },
+        fuelType:      { type: 'string' },
+        transmission:  { type: 'string' },
+        mileage:       { type: 'number' },
+        exteriorColor: { type: 'string' },
+        description:   { type: 'string' },
+        category:      { type: 'string' }
+      }
+    }
+  },
+  get_valuation: {
+    description: 'Estimate a vehicle\'s market value using real listing data. Use when a user asks "how much is my car worth", "what should I price my car at", or wants a valuation.',
+    parameters: {
+      type: 'object',
+      required: ['make', 'model', 'year'],
+      properties: {
+        make:      { type: 'string' },
+        model:     { type: 'string' },
+        year:      { type: 'number' },
+        condition: { type: 'string', description: 'new or used' },
+        mileage:   { type: 'number', description: 'Odometer reading in km' }
+      }
+    }
+  },
+  get_market_data: {
+    description: 'Get market overview: average prices, popular makes/models, listing counts. Use when user asks about market trends, price ranges, or what cars are popular.',
+    parameters: {
+      type: 'object',
+      properties: {
+        make:     { type: 'string', description: 'Filter by make (optional)' },
+        category: { type: 'string', description: 'Filter by category e.g. SUV, Sedan (optional)' }
+      }
+    }
+  },
+  prepare_article: {
+    description: 'Extract and prepare a news article from pasted text (Facebook post, press release, draft). Call this whenever an admin pastes content they want to turn into an article.',
+    parameters: {
+      type: 'object',
+      required: ['title', 'content'],
+      properties: {
+        title:    { type: 'string', description: 'Clean, compelling article headline' },
+        subtitle: { type: 'string', description: 'Optional sub-headline or summary sentence' },
+        content:  { type: 'string', description: 'Full article body, cleaned up and formatted as plain text paragraphs' },
+        category: { type: 'string', description: 'news, feature, or industry' },
+        tags:     { type: 'string', description: 'Comma-separated tags e.g. "Toyota, SUV, Gaborone"' },
+        seoTitle: { type: 'string', description: 'SEO meta title (max 60 chars)' },
+        seoDesc:  { type: 'string', description: 'SEO meta description (max 160 chars)' }
+      }
+    }
+  }
+};
+
+const FREE_TOOLS = ['search_listings', 'search_services', 'search_knowledge', 'navigate_to'];
+const PRO_TOOLS = ['prepare_listing', 'get_valuation', 'get_market_data'];
+const ADMIN_TOOLS = ['prepare_article'];
+
+/**
+ * Tools offered to a user, as provider-neutral JSON Schema declarations
+ * @param {Object} access
+ * @param {boolean} access.isPro - Active Mpho subscription
+ * @param {boolean} access.isAdmin - Admin role
+ * @returns {Array<{name: string, description: string, parameters: Object}>}
+ */
+export const mphoToolsFor = ({ isPro, isAdmin }) => [
+  ...FREE_TOOLS,
+  ...(isPro || isAdmin ? PRO_TOOLS : []),
+  ...(isAdmin ? ADMIN_TOOLS : [])
+].map(name => ({ name, ...TOOL_DECLARATIONS[name] }));
+
+/**
+ * Mpho's system prompt for a user
+ * @param {Object} context
+ * @param {boolean} context.isPro
+ * @param {boolean} context.isAdmin
+ * @param {string} [context.memoryNote] - What is remembered about the user (see mphoMemoryService.describeMemory)
+ * @param {boolean} context.hasHistory - Whether earlier conversations exist
+ * @param {number} [context.proDailyLimit] - Messages a day on the paid plan
+ * @returns {string}
+ */
+export const buildMphoSystemPrompt = ({ isPro, isAdmin, memoryNote = '', hasHistory = false, proDailyLimit = 50 }) => `You are Mpho, the intelligent AI assistant for Bw Car Culture (also known as I3w Car Culture), Botswana's premier automotive marketplace and platform.
+
+Your capabilities:
+- Find and present vehicle listings from the marketplace
+- Search for automotive service providers (workshops, car rentals, public transport)
+- Navigate users to specific sections of the website
+- Answer from our own news articles, service provider profiles and FAQ (search_knowledge tool)
+- Answer questions about cars, the Botswana car market, pricing, maintenance, EV/hybrid vehicles
+- Provide information about driving in Botswana
+${isPro || isAdmin ? '- Help users create vehicle listings by filling the listing form through conversation (prepare_listing tool)\n- Provide vehicle valuations based on real market data from our listings (get_valuation tool)\n- Share market insights: average prices, popular makes, price trends (get_market_data tool)' : '- You can answer general questions about selling but cannot fill listing forms or provide valuations — those are Mpho features (BWP 100/month)'}
+${isAdmin ? '- Help admins create news articles from pasted text (Facebook posts, press releases) using prepare_article tool' : ''}
+
+Key facts:
+- Currency: Botswana Pula (BWP, symbol "P"). Always show prices as "P X,XXX"
+- Main cities: Gaborone, Francistown, Maun, Kasane, Palapye, Mahalapye, Serowe
+- Contact: WhatsApp +26774122453
+- Site sections: /marketplace (buy/sell cars), /services (workshops, rentals, transport), /news (car news), /dealerships, /ev-charging (EV stations)
+- Listings can be free for private sellers; dealers have subscription plans
+- Mpho: BWP 100/month — ${proDailyLimit} messages/day, listing form filling, valuations, market data, priority admin review
+
+When a question could be answered from our articles, a provider's profile or the FAQ, call search_knowledge before answering. Cite every article you rely on by its slug, e.g. "(Source: /news/<slug>)", and never cite a slug the tool did not return.
+
+PRIVACY RULES — strictly follow at all times:
+- Only discuss publicly visible information (active listings, public service providers, published news)
+- NEVER reveal: user emails, passwords, user phone numbers, payment details, order history, internal revenue/metrics, admin settings, or other users' personal data
+- If asked about private data or anything not publicly accessible, decline and redirect to WhatsApp support
+- Do not confirm or deny whether a specific person has an account
+
+${isPro || isAdmin ? 'When helping users sell a vehicle, collect: make, model, year, condition, price in Pula, mileage, fuel type, transmission, colour. Call prepare_listing as soon as you have make/model/year/price. For valuations, call get_valuation with make/model/year and optionally condition and mileage.' : 'If a user asks to sell a car or wants their listing form filled, let them know this is a Mpho feature and suggest upgrading.'}
+${isAdmin ? '\nWhen an admin pastes text (Facebook post, article draft, press release): extract a clean title, write/clean the content, suggest category (news/feature/industry), extract tags, and call prepare_article immediately. Remind admin to go to the Images tab for photos.' : ''}
+
+Personality: Professional, friendly, and concise. Use plain language — avoid emojis entirely. Keep responses short and action-oriented. Never repeat yourself.
+${memoryNote}
+${hasHistory ? 'You have memory of previous conversations with this user shown in the chat history. Reference it naturally when relevant — greet returning users warmly, remember their preferences, avoid asking for info they already gave you.' : 'This appears to be the user\'s first conversation.'}`;
+
+/**
+ * Plain user/assistant turns that strictly alternate, start with the user and
+ * end with the assistant — the prefix every provider accepts before a new
+ * user message. When a role repeats, the newer turn wins.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {Array<{role: string, content: string}>}
+ */
+export const alternateTurns = (messages) => {
+  const out = [];
+  for (const m of messages) {
+    if ((m.role !== 'user' && m.role !== 'assistant') || !m.content) continue;
+    const turn = { role: m.role, content: String(m.content) };
+    if (out.length === 0 || out[out.length - 1].role !== turn.role) out.push(turn);
+    else out[out.length - 1] = turn;
+  }
+  while (out.length && out[0].role !== 'user') out.shift();
+  while (out.length && out[out.length - 1].role !== 'assistant') out.pop();
+  return out;
+};
+
+const TOOL_HANDLERS = {
+  async search_listings(db, args, { actions }) {
+    const { make, model, minPrice, maxPrice, fuelType, category, condition, city } = args;
+    const filter = { status: 'active' };
+    if (make)      filter['specifications.make']     = { $regex: make, $options: 'i' };
+    if (model)     filter['specifications.model']    = { $regex: model, $options: 'i' };
+    if (fuelType)  filter['specifications.fuelType'] = { $regex: fuelType, $options: 'i' };
+    if (category)  filter.category                   = { $regex: category, $options: 'i' };
+    if (condition) filter.condition                  = condition;
+    if (city)      filter['location.city']           = { $regex: city, $options: 'i' };
+    if (minPrice || maxPrice) {
+      filter.price = {};
+      if (minPrice) filter.price.$gte = Number(minPrice);
+      if (maxPrice) filter.price.$lte = Number(maxPrice);
+    }
+    const listings = await db.collection('listings').find(filter).sort({ listingQuality: -1, createdAt: -1 }).limit(6).toArray();
+    if (listings.length === 0) return 'No listings matched those criteria.';
+
+    actions.push({
+      type: 'show_listings',
+      listings: listings.map(l => ({
+        id: l._id.toString(),
+        title: l.title || `${l.specifications?.year} ${l.specifications?.make} ${l.specifications?.model}`,
+        price: l.price,
+        year: l.specifications?.year,
+        make: l.specifications?.make,
+        model: l.specifications?.model,
+        mileage: l.specifications?.mileage,
+        fuelType: l.specifications?.fuelType,
+        transmission: l.specifications?.transmission,
+        image: Array.isArray(l.images) ? l.images[0] : null,
+        location: l.location?.city || 'Botswana',
+        condition: l.condition
+      }))
+    });
+    return `Found ${listings.length} listings. Prices P${Math.min(...listings.map(l => l.price || 0)).toLocaleString()} – P${Math.max(...listings.map(l => l.price || 0)).toLocaleString()}.`;
+  },
+
+  async search_services(db, args, { actions }) {
+    const { query, serviceType, city } = args;
+    const filter = { status: { $ne: 'deleted' } };
+    if (serviceType) filter.providerType = serviceType;
+    if (city)        filter['location.city'] = { $regex: city, $options: 'i' };
+    if (query)       filter.$or = [{ businessName: { $regex: query, $options: 'i' } }, { 'profile.description': { $regex: query, $options: 'i' } }];
+    const providers = await db.collection('serviceproviders').find(filter).limit(5).toArray();
+    if (providers.length === 0) return 'No service providers found.';
+
+    actions.push({
+      type: 'show_services',
+      services: providers.map(p => ({
+        id: p._id.toString(),
+        name: p.businessName,
+        type: p.providerType,
+        city: p.location?.city,
+        phone: p.contact?.phone,
+        verified: p.verification?.status === 'verified',
+        rating: p.metrics?.averageRating
+      }))
+    });
+    return `Found ${providers.length} providers: ${providers.map(p => p.businessName).join(', ')}.`;
+  },
+
+  async search_knowledge(db, args, { actions }) {
+    const sources = KNOWLEDGE_SOURCES.includes(args.source) ? [args.source] : KNOWLEDGE_SOURCES;
+    const results = await searchKnowledge(db, args.query, { sources });
+    if (results.length === 0) return 'Nothing in our articles, provider profiles or FAQ matched that.';
+
+    actions.push({
+      type: 'show_sources',
+      sources: results.map(({ source, slug, title, url }) => ({ source, slug, title, url }))
+    });
+    return results
+      .map(r => `[${r.source} slug=${r.slug}] ${r.title} (${r.url})\n${r.snippet}`)
+      .join('\n\n');
+  },
+
+  async navigate_to(db, args, { actions }) {
+    const fullPath = args.queryParams ? `${args.path}${args.queryParams}` : args.path;
+    actions.push({ type: 'navigate', path: fullPath });
+    return `Navigation queued: ${fullPath}`;
+  },
+
+  async get_valuation(db, args, { actions }) {
+    const { make, model, year, condition, mileage } = args;
+    const filter = { status: 'active' };
+    if (make)  filter['specifications.make']  = { $regex: make, $options: 'i' };
+    if (model) filter['specifications.model'] = { $regex: model, $options: 'i' };
+    // Year range ±2
+    if (year) filter['specifications.year'] = { $gte: Number(year) - 2, $lte: Number(year) + 2 };
+    if (condition) filter.condition = condition;
+    const similar = await db.collection('listings')
+      .find(filter, { projection: { price: 1, 'specifications.year': 1, 'specifications.mileage': 1, condition: 1 } })
+      .limit(30)
+      .toArray();
+    const prices = similar.map(l => l.price).filter(p => p > 0).sort((a, b) => a - b);
+    if (prices.length === 0) {
+      return `No similar listings found for ${make} ${model} around ${year}. Market data is limited — price based on regional knowledge.`;
+    }
+
+    const avg = Math.round(prices.reduce((s, p) => s + p, 0) / prices.length);
+    const med = prices[Math.floor(prices.length / 2)];
+    const low = prices[0];
+    const high = prices[prices.length - 1];
+    // Mileage adjustment: -1% per 10,000km above 100,000km for used
+    let adjusted = avg;
+    if (mileage && condition === 'used' && Number(mileage) > 100000) {
+      const excess = (Number(mileage) - 100000) / 10000;
+      adjusted = Math.round(avg * (1 - Math.min(0.15, excess * 0.01)));
+    }
+    actions.push({
+      type: 'show_valuation',
+      valuation: { make, model, year, avg, median: med, low, high, adjusted, sampleSize: prices.length, mileageAdjusted: adjusted !== avg }
+    });
+    return `Based on ${prices.length} similar listings: avg P${avg.toLocaleString()}, range P${low.toLocaleString()}–P${high.toLocaleString()}${adjusted !== avg ? `, mileage-adjusted estimate P${adjusted.toLocaleString()}` : ''}.`;
+  },
+
+  async get_market_data(db, args, { actions }) {
+    const { make, category } = args;
+    const col = db.collection('listings');
+    const filter = { status: 'active' };
+    if (make)     filter['specifications.make'] = { $regex: make, $options: 'i' };
+    if (category) filter.category = { $regex: category, $options: 'i' };
+    const [topMakes, avgByCategory, recentCount] = await Promise.all([
+      col.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: '$specifications.make', count: { $sum: 1 }, avgPrice: { $avg: '$price' } } },
+        { $sort: { count: -1 } }, { $limit: 5 }
+      ]).toArray(),
+      col.aggregate([
+        { $match: filter },
+        { $group: { _id: '$category', avgPrice: { $avg: '$price' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }, { $limit: 6 }
+      ]).toArray(),
+      col.countDocuments({ status: 'active', createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } })
+    ]);
+    actions.push({
+      type: 'show_market_data',
+      data: {
+        topMakes: topMakes.map(m => ({ make: m._id, count: m.count, avgPrice: Math.round(m.avgPrice || 0) })),
+        categories: avgByCategory.map(c => ({ category: c._id, count: c.count, avgPrice: Math.round(c.avgPrice || 0) })),
+        recentListings: recentCount
+      }
+    });
+    return `Market data: ${recentCount} new listings in last 30 days. Top makes: ${topMakes.slice(0, 3).map(m => m._id).join(', ')}. Avg prices by category compiled.`;
+  },
+
+  async prepare_listing(db, args, { actions, isPro }) {
+    actions.push({ type: 'prefill_listing', data: { ...args, aiPriority: isPro } });
+    return `Form prepared for ${args.make} ${args.model} ${args.year} at P${Number(args.price).toLocaleString()}.`;
+  },
+
+  async prepare_article(db, args, { actions }) {
+    const tags = args.tags ? args.tags.split(',').map(t => t.trim()).filter(Boolean) : [];
+    const articleData = {
+      title: args.title || '',
+      subtitle: args.subtitle || '',
+      content: args.content || '',
+      category: args.category || 'news',
+      tags,
+      status: 'draft',
+      seo: {
+        metaTitle: args.seoTitle || args.title?.slice(0, 60) || '',
+        metaDescription: args.seoDesc || args.subtitle?.slice(0, 160) || '',
+        keywords: tags
+      }
+    };
+    actions.push({ type: 'prefill_article', data: articleData });
+    return `Article form prepared: "${args.title}" (${articleData.category}, ${articleData.tags.length} tags).`;
+  }
+};
+
+/**
+ * Run one tool call from the model
+ *
+ * Only tools that were offered to the user can run; anything else is answered
+ * with an error string so the model can recover instead of the request failing.
+ *
+ * @param {Object} db - Database handle
+ * @param {{name: string, args: Object}} call - Tool call
+ * @param {Object} context
+ * @param {Array} context.actions - Client actions collected for the reply
+ * @param {Set<string>} context.allowed - Names of the tools offered this turn
+ * @param {boolean} context.isPro
+ * @param {Array} [context.toolLog] - Receives `{ name, ms, ok }` per call, for usage accounting
+ * @returns {Promise<string>} - Result text handed back to the model
+ */
+export const executeMphoTool = async (db, call, { actions, allowed, isPro, toolLog = null }) => {
+  const handler = TOOL_HANDLERS[call.name];
+  if (!handler || !allowed.has(call.name)) {
+    toolLog?.push({ name: call.name, ms: 0, ok: false });
+    return `Tool ${call.name} is not available for this user.`;
+  }
+  const started = Date.now();
+  try {
+    const result = await handler(db, call.args || {}, { actions, isPro });
+    toolLog?.push({ name: call.name, ms: Date.now() - started, ok: true });
+    return result;
+  } catch (toolErr) {
+    console.error(`Mpho tool ${call.name} failed:`, toolErr.message);
+    toolLog?.push({ name: call.name, ms: Date.now() - started, ok: false });
+    return `Tool ${call.name} failed: ${toolErr.message}`;
+  }
+};
+
+/**
+ * Answer one user message, letting the model call tools for up to MAX_TOOL_ROUNDS rounds
+ *
+ * @param {Object} options
+ * @param {Object[]} options.providers - Providers in fallback order (see llmProviders.resolveProviders)
+ * @param {string} options.system - System prompt
+ * @param {Array} options.history - Earlier turns, already alternated
+ * @param {string} options.message - The new user message
+ * @param {Array} options.tools - Tool declarations offered this turn
+ * @param {Function} options.executeTool - async (call) => result text
+ * @param {Function} [options.onEvent] - When given, the model's text is streamed and
+ *   progress is reported as { type: 'delta', text }, { type: 'tool_call', name, args }
+ *   and { type: 'tool_result', name, result }
+ * @returns {Promise<{reply: string, toolCalls: Array, usage: Object, provider: string, model: string, rounds: number}>}
+ */
+export const runMphoConversation = async ({ providers, system, history, message, tools, executeTool, onEvent = null }) => {
+  const messages = [...history, { role: 'user', content: message }];
+  const toolCalls = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let reply = '';
+  let response = null;
+  let rounds = 0;
+
+  while (rounds < MAX_TOOL_ROUNDS) {
+    rounds++;
+    response = await generateWithFallback(providers, { system, messages, tools }, {
+      onDelta: onEvent && ((text) => onEvent({ type: 'delta', text }))
+    });
+    usage.inputTokens += response.usage.inputTokens;
+    usage.outputTokens += response.usage.outputTokens;
+
+    if (response.toolCalls.length === 0) {
+      reply = response.text;
+      break;
+    }
+
+    const results = [];
+    for (const call of response.toolCalls) {
+      onEvent?.({ type: 'tool_call', name: call.name, args: call.args });
+      const result = await executeTool(call);
+      onEvent?.({ type: 'tool_result', name: call.name, result });
+      toolCalls.push({ name: call.name, args: call.args });
+      results.push({ id: call.id, name: call.name, result });
+    }
+    messages.push({ role: 'assistant', content: response.text, toolCalls: response.toolCalls });
+    messages.push({ role: 'tool', results });
+  }
+
+  return { reply, toolCalls, usage, provider: response?.provider, model: response?.model, rounds };
+};
@@ -0,0 +1,517 @@
+// services/mphoSubscriptionService.js
+// Mpho Pro subscription lifecycle on top of `ai_subscriptions`.
+//
+//   active     paid up until expiresAt
+//   grace      past expiresAt but still Pro for `graceDays` while the renewal is paid
+//   expired    grace period over without a renewal (churned)
+//   renewed    superseded by a newer activation that extended it
+//   cancelled  stopped by an admin
+//
+// Every activation, renewal, reminder and state change is written to
+// `ai_subscription_events`, which is the per-user history and the source of
+// the churn report. runMphoSubscriptionLifecycle() is the daily sweep that
+// raises renewal invoices, sends reminders and moves subscriptions through
+// grace to expiry; it is safe to run more than once a day.
+
+import { ObjectId } from 'mongodb';
+import { notifyUser } from './notificationService.js';
+import { getNextInvoiceNumber, calcInvoiceTotals } from './invoiceService.js';
+import { postLedgerFor } from './ledgerService.js';
+
+const SUBSCRIPTIONS = 'ai_subscriptions';
+const EVENTS = 'ai_subscription_events';
+const SETTINGS_ID = 'mpho';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  GRACE: 'grace',
+  EXPIRED: 'expired',
+  RENEWED: 'renewed',
+  CANCELLED: 'cancelled'
+};
+
+const LIVE_STATUSES = [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.GRACE];
+
+export const DEFAULT_SUBSCRIPTION_SETTINGS = {
+  price: 100,
+  graceDays: 3,
+  reminderDays: [7, 3, 1],
+  renewalInvoiceDays: 7
+};
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const unwrap = (result) => (result && 'value' in result ? result.value : result);
+
+/**
+ * Subscription price, grace period and reminder schedule from site_settings
+ * @param {Object} db - Database handle
+ * @returns {Promise<Object>}
+ */
+export const getSubscriptionSettings = async (db) => {
+  const doc = await db.collection('site_settings').findOne({ _id: SETTINGS_ID }, { projection: { subscription: 1 } });
+  return { ...DEFAULT_SUBSCRIPTION_SETTINGS, ...(doc?.subscription || {}) };
+};
+
+/**
+ * Change subscription settings; only the fields sent are updated
+ * @param {Object} db - Database handle
+ * @param {Object} input - Any of price, graceDays, reminderDays, renewalInvoiceDays
+ * @param {string} adminName - Who made the change
+ * @returns {Promise<Object>} - Settings after the update
+ */
+export const updateSubscriptionSettings = async (db, input = {}, adminName = 'admin') => {
+  const $set = {};
+  const wholeDays = (value, field, max) => {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0 || days > max) throw httpError(`${field} must be a whole number of days between 0 and ${max}`);
+    return days;
+  };
+
+  if (input.price !== undefined) {
+    const price = Number(input.price);
+    if (!Number.isFinite(price) || price <= 0) throw httpError('price must be a positive amount in BWP');
+    $set['subscription.price'] = price;
+  }
+  if (input.graceDays !== undefined) $set['subscription.graceDays'] = wholeDays(input.graceDays, 'graceDays', 60);
+  if (input.renewalInvoiceDays !== undefined) $set['subscription.renewalInvoiceDays'] = wholeDays(input.renewalInvoiceDays, 'renewalInvoiceDays', 60);
+  if (input.reminderDays !== undefined) {
+    if (!Array.isArray(input.reminderDays)) throw httpError('reminderDays must be a list of days, e.g. [7, 3, 1]');
+    const days = [...new Set(input.reminderDays.map(d => wholeDays(d, 'reminderDays', 60)))].filter(d => d > 0);
+    $set['subscription.reminderDays'] = days.sort((a, b) => b - a);
+  }
+  if (Object.keys($set).length === 0) throw httpError('Nothing to update');
+
+  await db.collection('site_settings').updateOne(
+    { _id: SETTINGS_ID },
+    { $set: { ...$set, updatedAt: new Date(), updatedBy: adminName } },
+    { upsert: true }
+  );
+  return getSubscriptionSettings(db);
+};
+
+/**
+ * Append one entry to a user's subscription history
+ */
+const recordEvent = (db, { userId, subscriptionId = null, type, by = null, ...details }) =>
+  db.collection(EVENTS).insertOne({
+    userId: String(userId),
+    subscriptionId: subscriptionId ? new ObjectId(String(subscriptionId)) : null,
+    type,
+    by,
+    ...details,
+    at: new Date()
+  });
+
+const addMonths = (date, months) => {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + months);
+  return next;
+};
+
+/**
+ * The subscription that currently gives a user Pro, including during the grace period
+ *
+ * Matches on dates rather than status alone, so a subscription the daily sweep
+ * has not reached yet is still treated correctly.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} userId - User id
+ * @param {Object} [settings] - From getSubscriptionSettings
+ * @returns {Promise<Object|null>} - Subscription with `inGrace` and `graceEndsAt`, or null
+ */
+export const findLiveMphoSubscription = async (db, userId, settings = null) => {
+  const { graceDays } = settings || await getSubscriptionSettings(db);
+  const now = new Date();
+  const sub = await db.collection(SUBSCRIPTIONS).findOne(
+    { userId: String(userId), status: { $in: LIVE_STATUSES }, expiresAt: { $gt: new Date(now.getTime() - graceDays * DAY_MS) } },
+    { sort: { expiresAt: -1 } }
+  );
+  if (!sub) return null;
+  const graceEndsAt = new Date(new Date(sub.expiresAt).getTime() + graceDays * DAY_MS);
+  return { ...sub, inGrace: new Date(sub.expiresAt) <= now, graceEndsAt };
+};
+
+/**
+ * Cancel an unpaid renewal invoice once it can no longer be paid, so it does
+ * not go overdue against a subscriber who has left
+ */
+const withdrawRenewalInvoice = (db, invoiceId, now) => db.collection('invoices').updateOne(
+  { _id: invoiceId, status: { $nin: ['paid', 'cancelled'] } },
+  { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+);
+
+/**
+ * Activate Pro for a user, or renew it when they already have a live subscription
+ *
+ * A renewal extends from the current expiry (so paying early loses nothing)
+ * and supersedes the previous subscription document. When `submissionId` is
+ * given, that proof-of-payment submission becomes the live subscription.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} options
+ * @param {string} options.userId - Subscriber
+ * @param {number} [options.months] - Months paid for
+ * @param {string} [options.submissionId] - Proof submission being approved
+ * @param {string} options.adminId - Admin who activated it
+ * @param {string} [options.adminNotes]
+ * @returns {Promise<{subscription: Object, renewal: boolean}>}
+ */
+export const activateMphoSubscription = async (db, { userId, months = 1, submissionId = null, adminId, adminNotes = '' }) => {
+  const monthCount = Number(months);
+  if (!Number.isInteger(monthCount) || monthCount < 1 || monthCount > 24) throw httpError('months must be a whole number between 1 and 24');
+
+  const col = db.collection(SUBSCRIPTIONS);
+  const settings = await getSubscriptionSettings(db);
+  const now = new Date();
+
+  let submission = null;
+  if (submissionId) {
+    if (!ObjectId.isValid(submissionId)) throw httpError('Invalid submissionId');
+    submission = await col.findOne({ _id: new ObjectId(submissionId) });
+    if (!submission) throw httpError('Submission not found', 404);
+    if (submission.status !== 'proof_submitted') throw httpError(`Submission is already ${submission.status}`, 409);
+    userId = submission.userId;
+  }
+  if (!userId) throw httpError('targetUserId required');
+
+  const current = await findLiveMphoSubscription(db, userId, settings);
+  const renewal = Boolean(current);
+  // Renewals run on from the old expiry, including one paid during the grace period
+  const periodStart = renewal ? new Date(current.expiresAt) : now;
+  const expiresAt = addMonths(periodStart, monthCount);
+  // Only an approved proof of payment brings money in; an admin activation is complimentary
+  const amount = submission?.amount ?? 0;
+
+  const fields = {
+    userId: String(userId),
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    plan: 'mpho',
+    amount,
+    months: monthCount,
+    periodStart,
+    expiresAt,
+    remindersSent: [],
+    activatedBy: String(adminId),
+    activatedAt: now,
+    adminNotes,
+    updatedAt: now
+  };
+
+  let subscriptionId;
+  if (submission) {
+    await col.updateOne({ _id: submission._id }, { $set: fields });
+    subscriptionId = submission._id;
+  } else {
+    const { insertedId } = await col.insertOne({ ...fields, createdAt: now });
+    subscriptionId = insertedId;
+  }
+  await postLedgerFor(db, SUBSCRIPTIONS, subscriptionId);
+
+  if (current && String(current._id) !== String(subscriptionId)) {
+    await col.updateOne(
+      { _id: current._id },
+      { $set: { status: SUBSCRIPTION_STATUS.RENEWED, renewedBy: subscriptionId, updatedAt: now } }
+    );
+  }
+  // A renewal invoice raised for the old period is settled by this payment, or
+  // withdrawn when the renewal was complimentary
+  if (current?.renewalInvoiceId) {
+    if (submission) {
+      await db.collection('invoices').updateOne(
+        { _id: current.renewalInvoiceId, status: { $nin: ['paid', 'cancelled'] } },
+        { $set: { status: 'paid', paidAt: now, updatedAt: now } }
+      );
+    } else {
+      await withdrawRenewalInvoice(db, current.renewalInvoiceId, now);
+    }
+  }
+
+  await recordEvent(db, {
+    userId,
+    subscriptionId,
+    type: renewal ? 'renewed' : 'activated',
+    by: String(adminId),
+    months: monthCount,
+    amount,
+    periodStart,
+    periodEnd: expiresAt,
+    previousSubscriptionId: current?._id || null
+  });
+
+  await notifyUser(db, userId, {
+    type: renewal ? 'mpho_renewed' : 'mpho_activated',
+    title: renewal ? 'Mpho renewed' : 'Mpho Activated! 🎉',
+    message: renewal
+      ? `Thanks for renewing. Your Mpho subscription now runs until ${expiresAt.toLocaleDateString()}.`
+      : `Your Mpho subscription is now active until ${expiresAt.toLocaleDateString()}. Enjoy more AI messages a day, vehicle valuations, market data and more.`,
+    data: { subscriptionId: String(subscriptionId), expiresAt }
+  });
+
+  return { subscription: { _id: subscriptionId, ...fields }, renewal };
+};
+
+/**
+ * Cancel a user's live subscription(s)
+ * @param {Object} db - Database handle
+ * @param {Object} options
+ * @param {string} options.userId - Subscriber
+ * @param {string} options.adminId - Admin who cancelled
+ * @param {string} [options.reason]
+ * @returns {Promise<number>} - Subscriptions cancelled
+ */
+export const cancelMphoSubscription = async (db, { userId, adminId, reason = '' }) => {
+  const col = db.collection(SUBSCRIPTIONS);
+  const live = await col.find({ userId: String(userId), status: { $in: LIVE_STATUSES } }, { projection: { _id: 1, renewalInvoiceId: 1 } }).toArray();
+  if (live.length === 0) return 0;
+  const now = new Date();
+  await col.updateMany(
+    { _id: { $in: live.map(s => s._id) } },
+    { $set: { status: SUBSCRIPTION_STATUS.CANCELLED, cancelledAt: now, cancelledBy: String(adminId), cancelReason: reason, updatedAt: now } }
+  );
+  for (const { _id, renewalInvoiceId } of live) {
+    if (renewalInvoiceId) await withdrawRenewalInvoice(db, renewalInvoiceId, now);
+    await recordEvent(db, { userId, subscriptionId: _id, type: 'cancelled', by: String(adminId), reason });
+  }
+  return live.length;
+};
+
+/**
+ * A user's subscription history, newest first
+ * @param {Object} db - Database handle
+ * @param {string} userId - User id
+ * @param {number} [limit]
+ * @returns {Promise<Array>}
+ */
+export const subscriptionHistory = (db, userId, limit = 100) =>
+  db.collection(EVENTS).find({ userId: String(userId) }).sort({ at: -1 }).limit(limit).toArray();
+
+/**
+ * Raise an invoice for the next period of a subscription
+ */
+const raiseRenewalInvoice = async (db, sub, settings) => {
+  const user = ObjectId.isValid(sub.userId)
+    ? await db.collection('users').findOne({ _id: new ObjectId(sub.userId) }, { projection: { name: 1, email: 1, phone: 1 } })
+    : null;
+  const items = [{ description: 'Mpho AI subscription renewal (1 month)', quantity: 1, unitPrice: settings.price, total: settings.price }];
+  const now = new Date();
+  const doc = {
+    type: 'invoice',
+    number: await getNextInvoiceNumber(db, 'invoice'),
+    reference: `MPHO-${String(sub._id).slice(-6).toUpperCase()}`,
+    customer: { name: user?.name || '', email: user?.email || sub.userEmail || '', phone: user?.phone || '', address: '' },
+    items,
+    notes: 'Pay by bank transfer or mobile money and upload your proof of payment in Mpho to renew.',
+    taxRate: 0,
+    discountRate: 0,
+    showPaymentDetails: true,
+    ...calcInvoiceTotals(items, 0, 0),
+    status: 'sent',
+    issueDate: now,
+    dueDate: new Date(sub.expiresAt),
+    source: 'mpho_renewal',
+    userId: String(sub.userId),
+    subscriptionId: sub._id,
+    createdBy: 'system',
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection('invoices').insertOne(doc);
+  return { ...doc, _id: insertedId };
+};
+
+/**
+ * Daily sweep: renewal invoices, expiry reminders, grace and expiry
+ *
+ * Each step is guarded by a field on the subscription (renewalInvoiceId,
+ * remindersSent, status), so re-running the sweep never repeats an invoice or
+ * a reminder.
+ *
+ * @param {Object} db - Database handle
+ * @param {Date} [now]
+ * @returns {Promise<{invoiced: number, reminded: number, inGrace: number, expired: number}>}
+ */
+export const runMphoSubscriptionLifecycle = async (db, now = new Date()) => {
+  const col = db.collection(SUBSCRIPTIONS);
+  const settings = await getSubscriptionSettings(db);
+  const summary = { invoiced: 0, reminded: 0, inGrace: 0, expired: 0 };
+  const reminderDays = [...settings.reminderDays].sort((a, b) => b - a);
+  const horizon = new Date(now.getTime() + Math.max(settings.renewalInvoiceDays, reminderDays[0] || 0) * DAY_MS);
+
+  // Renewal invoices and reminders for subscriptions expiring soon
+  const upcoming = await col.find({ status: SUBSCRIPTION_STATUS.ACTIVE, expiresAt: { $gt: now, $lte: horizon } }).toArray();
+  for (const sub of upcoming) {
+    const msLeft = new Date(sub.expiresAt).getTime() - now.getTime();
+    const daysLeft = Math.ceil(msLeft / DAY_MS);
+
+    if (!sub.renewalInvoiceId && msLeft <= settings.renewalInvoiceDays * DAY_MS) {
+      const claimed = unwrap(await col.findOneAndUpdate(
+        { _id: sub._id, renewalInvoiceId: { $exists: false } },
+        { $set: { renewalInvoiceId: null, updatedAt: now } }
+      ));
+      if (claimed) {
+        let invoice;
+        try {
+          invoice = await raiseRenewalInvoice(db, sub, settings);
+        } catch (invoiceErr) {
+          // Release the claim so the next sweep tries again
+          await col.updateOne({ _id: sub._id, renewalInvoiceId: null }, { $unset: { renewalInvoiceId: '' } });
+          throw invoiceErr;
+        }
+        await col.updateOne({ _id: sub._id }, { $set: { renewalInvoiceId: invoice._id } });
+        sub.renewalInvoiceId = invoice._id;
+        await recordEvent(db, { userId: sub.userId, subscriptionId: sub._id, type: 'renewal_invoiced', invoiceId: invoice._id, invoiceNumber: invoice.number, amount: invoice.total });
+        await notifyUser(db, sub.userId, {
+          type: 'mpho_renewal_invoice',
+          title: 'Your Mpho renewal invoice',
+          message: `Invoice ${invoice.number} for P${invoice.total} renews Mpho for another month. It is due ${new Date(sub.expiresAt).toLocaleDateString()}.`,
+          data: { invoiceId: String(invoice._id), invoiceNumber: invoice.number, dueDate: sub.expiresAt }
+        });
+        summary.invoiced++;
+      }
+    }
+
+    // Only the nearest due reminder goes out, so a late sweep does not send 7, 3 and 1 at once
+    const sent = sub.remindersSent || [];
+    const due = reminderDays.filter(d => daysLeft <= d && !sent.includes(d));
+    if (due.length > 0) {
+      const claimed = unwrap(await col.findOneAndUpdate(
+        { _id: sub._id, remindersSent: { $nin: due } },
+        { $addToSet: { remindersSent: { $each: due } }, $set: { updatedAt: now } }
+      ));
+      if (claimed) {
+        await notifyUser(db, sub.userId, {
+          type: 'mpho_expiry_reminder',
+          title: daysLeft <= 1 ? 'Mpho expires tomorrow' : `Mpho expires in ${daysLeft} days`,
+          message: `Your Mpho subscription ends on ${new Date(sub.expiresAt).toLocaleDateString()}. Renew to keep your higher daily message limit, valuations and market data${settings.graceDays ? ` — you have a ${settings.graceDays}-day grace period after that` : ''}.`,
+          data: { subscriptionId: String(sub._id), expiresAt: sub.expiresAt, invoiceId: sub.renewalInvoiceId ? String(sub.renewalInvoiceId) : null }
+        });
+        await recordEvent(db, { userId: sub.userId, subscriptionId: sub._id, type: 'reminder_sent', daysLeft });
+        summary.reminded++;
+      }
+    }
+  }
+
+  // Past expiry: into grace, then expired once grace runs out
+  const graceCutoff = new Date(now.getTime() - settings.graceDays * DAY_MS);
+  const lapsed = await col.find({ status: { $in: LIVE_STATUSES }, expiresAt: { $lte: now } }).toArray();
+  for (const sub of lapsed) {
+    const expired = new Date(sub.expiresAt) <= graceCutoff;
+    const next = expired ? SUBSCRIPTION_STATUS.EXPIRED : SUBSCRIPTION_STATUS.GRACE;
+    if (sub.status === next) continue;
+
+    const { modifiedCount } = await col.updateOne(
+      { _id: sub._id, status: sub.status },
+      { $set: { status: next, [expired ? 'expiredAt' : 'graceStartedAt']: now, updatedAt: now } }
+    );
+    if (!modifiedCount) continue;
+
+    if (expired && sub.renewalInvoiceId) await withdrawRenewalInvoice(db, sub.renewalInvoiceId, now);
+
+    const graceEndsAt = new Date(new Date(sub.expiresAt).getTime() + settings.graceDays * DAY_MS);
+    await recordEvent(db, { userId: sub.userId, subscriptionId: sub._id, type: expired ? 'expired' : 'grace_started', graceEndsAt });
+    await notifyUser(db, sub.userId, expired
+      ? {
+        type: 'mpho_expired',
+        title: 'Mpho has ended',
+        message: 'Your Mpho subscription has ended and your account is back on the free plan. Upload a proof of payment in Mpho any time to resubscribe.',
+        data: { subscriptionId: String(sub._id) }
+      }
+      : {
+        type: 'mpho_grace',
+        title: 'Mpho expired — grace period started',
+        message: `Your Mpho subscription expired, but Pro features stay on until ${graceEndsAt.toLocaleDateString()} while you renew.`,
+        data: { subscriptionId: String(sub._id), graceEndsAt }
+      });
+    summary[expired ? 'expired' : 'inGrace']++;
+  }
+
+  return summary;
+};
+
+/**
+ * Churned and renewing subscribers between two dates
+ *
+ * `churned` are subscriptions that expired in the window without a renewal,
+ * `renewed` are renewals made in the window, and `upcoming` are live
+ * subscriptions expiring in the next `renewalInvoiceDays` with their invoice.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} query
+ * @param {Date} [query.from] - Default 30 days ago
+ * @param {Date} [query.to] - Default now
+ * @returns {Promise<Object>}
+ */
+export const subscriptionChurnReport = async (db, { from, to } = {}) => {
+  const now = new Date();
+  const toDate = to ? new Date(to) : now;
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(toDate.getTime()) || Number.isNaN(fromDate.getTime())) throw httpError('Invalid from/to date');
+  if (fromDate > toDate) throw httpError('from must be before to');
+
+  const settings = await getSubscriptionSettings(db);
+  const events = db.collection(EVENTS);
+  const col = db.collection(SUBSCRIPTIONS);
+
+  const [expiredEvents, renewedEvents, activatedCount, activeCount, graceCount, upcoming] = await Promise.all([
+    events.find({ type: 'expired', at: { $gte: fromDate, $lte: toDate } }).sort({ at: -1 }).toArray(),
+    events.find({ type: 'renewed', at: { $gte: fromDate, $lte: toDate } }).sort({ at: -1 }).toArray(),
+    events.countDocuments({ type: 'activated', at: { $gte: fromDate, $lte: toDate } }),
+    col.countDocuments({ status: SUBSCRIPTION_STATUS.ACTIVE, expiresAt: { $gt: now } }),
+    col.countDocuments({ status: SUBSCRIPTION_STATUS.GRACE }),
+    col.find({ status: SUBSCRIPTION_STATUS.ACTIVE, expiresAt: { $gt: now, $lte: new Date(now.getTime() + settings.renewalInvoiceDays * DAY_MS) } })
+      .sort({ expiresAt: 1 }).toArray()
+  ]);
+
+  // A user who expired and has since resubscribed has not churned
+  const lastStart = new Map();
+  const restarts = await events.find({
+    type: { $in: ['activated', 'renewed'] },
+    userId: { $in: expiredEvents.map(e => e.userId) },
+    at: { $gte: fromDate }
+  }).toArray();
+  for (const e of restarts) {
+    if (!lastStart.has(e.userId) || e.at > lastStart.get(e.userId)) lastStart.set(e.userId, e.at);
+  }
+  const churned = expiredEvents.filter(e => !(lastStart.get(e.userId) > e.at));
+
+  const userIds = [...new Set([...churned, ...renewedEvents, ...upcoming].map(x => x.userId))]
+    .filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+  const users = userIds.length
+    ? await db.collection('users').find({ _id: { $in: userIds } }, { projection: { name: 1, email: 1 } }).toArray()
+    : [];
+  const byId = new Map(users.map(u => [String(u._id), { name: u.name || null, email: u.email || null }]));
+  const who = (userId) => ({ userId, ...(byId.get(userId) || { name: null, email: null }) });
+
+  const invoiceIds = upcoming.map(s => s.renewalInvoiceId).filter(Boolean);
+  const invoices = invoiceIds.length
+    ? await db.collection('invoices').find({ _id: { $in: invoiceIds } }, { projection: { number: 1, status: 1, total: 1 } }).toArray()
+    : [];
+  const invoiceById = new Map(invoices.map(i => [String(i._id), i]));
+
+  const closed = churned.length + renewedEvents.length;
+  return {
+    from: fromDate,
+    to: toDate,
+    totals: {
+      active: activeCount,
+      inGrace: graceCount,
+      newSubscribers: activatedCount,
+      renewed: renewedEvents.length,
+      churned: churned.length,
+      churnRate: closed ? Math.round((churned.length / closed) * 1000) / 10 : 0
+    },
+    churned: churned.map(e => ({ ...who(e.userId), subscriptionId: e.subscriptionId, expiredAt: e.at })),
+    renewed: renewedEvents.map(e => ({ ...who(e.userId), subscriptionId: e.subscriptionId, renewedAt: e.at, months: e.months, amount: e.amount, periodEnd: e.periodEnd })),
+    upcoming: upcoming.map(s => {
+      const invoice = s.renewalInvoiceId ? invoiceById.get(String(s.renewalInvoiceId)) : null;
+      return {
+        ...who(s.userId),
+        subscriptionId: s._id,
+        expiresAt: s.expiresAt,
+        invoice: invoice ? { _id: invoice._id, number: invoice.number, status: invoice.status, total: invoice.total } : null
+      };
+    })
+  };
+};
@@ -0,0 +1,30 @@
+// services/notificationService.js
+// In-app notifications (the `notifications` collection read by /user/notifications).
+
+import { ObjectId } from 'mongodb';
+
+/**
+ * Insert one in-app notification; failures are logged, never thrown
+ * @param {Object} db - Database handle
+ * @param {string|ObjectId} userId - Recipient
+ * @param {Object} notification - type, title, message and data
+ * @returns {Promise<boolean>} - Whether the notification was stored
+ */
+export const notifyUser = async (db, userId, { type, title, message, data = {} }) => {
+  try {
+    if (!userId || !ObjectId.isValid(userId)) return false;
+    await db.collection('notifications').insertOne({
+      userId: new ObjectId(userId),
+      type,
+      title,
+      message,
+      isRead: false,
+      data,
+      createdAt: new Date()
+    });
+    return true;
+  } catch (notifErr) {
+    console.error(`Notification error (${type}):`, notifErr.message);
+    return false;
+  }
+};
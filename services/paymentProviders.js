@@ -0,0 +1,428 @@
+// services/paymentProviders.js
+// Payment provider layer. Each provider turns one gateway's API into the same
+// five operations, so the payments API never talks to a gateway directly:
+//
+//   initiate({ payment, customer, description, redirectUrl })
+//       -> { checkoutUrl, providerReference, instructions, status }
+//   verify(payment)
+//       -> { status, providerTransactionId, amount, currency }
+//   parseWebhook({ headers, body, rawBody })
+//       -> { events: [{ id, type, txRef, status, amount, currency, providerTransactionId, data }] }
+//   refund(payment, { amount, reason })
+//       -> { refundId, status }
+//
+// Statuses are normalised to 'successful', 'failed' or 'pending'. Failures are
+// thrown as PaymentProviderError with a `kind` the handlers can map to a
+// response: invalid_request, auth, signature, unsupported or unavailable.
+
+import crypto from 'crypto';
+
+export const PAYMENT_PROVIDER_NAMES = ['flutterwave', 'manual', 'orange_money', 'myzaka', 'simulator'];
+
+export class PaymentProviderError extends Error {
+  constructor(message, { kind = 'unavailable', provider = null, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.kind = kind;
+    this.provider = provider;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const rawBodyOf = ({ rawBody, body }) => (Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body || {})));
+
+/**
+ * Call a gateway's JSON API, classifying HTTP failures
+ */
+const requestJson = async (fetchImpl, provider, url, { method = 'GET', token, body } = {}) => {
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (networkErr) {
+    throw new PaymentProviderError(`${provider} is unreachable: ${networkErr.message}`, { provider, cause: networkErr });
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const kind = response.status === 401 || response.status === 403 ? 'auth' : response.status < 500 ? 'invalid_request' : 'unavailable';
+    throw new PaymentProviderError(data.message || `${provider} returned HTTP ${response.status}`, { kind, provider, status: response.status });
+  }
+  return data;
+};
+
+const FLUTTERWAVE_STATUS = { successful: 'successful', completed: 'successful', failed: 'failed', cancelled: 'failed' };
+
+/**
+ * Flutterwave Standard checkout
+ *
+ * Webhooks carry the dashboard's secret hash in `verif-hash`; charges are
+ * matched to payments through `tx_ref`.
+ *
+ * @param {Object} options
+ * @param {string} options.secretKey - FLUTTERWAVE_SECRET_KEY
+ * @param {string} options.secretHash - FLUTTERWAVE_SECRET_HASH
+ * @param {Function} [options.fetchImpl]
+ * @returns {Object} - Provider
+ */
+export const createFlutterwaveProvider = ({ secretKey, secretHash, baseUrl = 'https://api.flutterwave.com/v3', fetchImpl = fetch, logoUrl = null }) => {
+  const call = (route, options) => {
+    if (!secretKey) throw new PaymentProviderError('FLUTTERWAVE_SECRET_KEY is not set', { kind: 'auth', provider: 'flutterwave' });
+    return requestJson(fetchImpl, 'flutterwave', `${baseUrl}${route}`, { ...options, token: secretKey });
+  };
+
+  return {
+    name: 'flutterwave',
+    label: 'Card / mobile money (Flutterwave)',
+    supportsWebhooks: true,
+
+    async initiate({ payment, customer = {}, description = '', redirectUrl }) {
+      const { data } = await call('/payments', {
+        method: 'POST',
+        body: {
+          tx_ref: payment.transactionRef,
+          amount: payment.amount,
+          currency: payment.currency || 'BWP',
+          redirect_url: redirectUrl,
+          customer: { email: customer.email || '', phonenumber: customer.phone || '', name: customer.name || '' },
+          customizations: { title: 'Bw Car Culture', description, ...(logoUrl ? { logo: logoUrl } : {}) },
+          meta: { payment_id: String(payment._id || '') }
+        }
+      });
+      return { checkoutUrl: data?.link || null, providerReference: null, instructions: null, status: 'pending' };
+    },
+
+    async verify(payment) {
+      const transactionId = payment.providerData?.transactionId || payment.flutterwaveData?.transactionId;
+      const { data } = transactionId
+        ? await call(`/transactions/${encodeURIComponent(transactionId)}/verify`)
+        : await call(`/transactions/verify_by_reference?tx_ref=${encodeURIComponent(payment.transactionRef)}`);
+      return {
+        status: FLUTTERWAVE_STATUS[data?.status] || 'pending',
+        providerTransactionId: data?.id ? String(data.id) : null,
+        amount: Number(data?.amount),
+        currency: data?.currency || null
+      };
+    },
+
+    parseWebhook({ headers = {}, body = {} }) {
+      if (!secretHash || !safeEqual(headers['verif-hash'], secretHash)) {
+        throw new PaymentProviderError('Invalid webhook signature', { kind: 'signature', provider: 'flutterwave' });
+      }
+      const data = body.data || {};
+      return {
+        events: [{
+          id: data.id ? `${body.event || 'event'}:${data.id}` : null,
+          type: body.event || body['event.type'] || 'unknown',
+          txRef: data.tx_ref || null,
+          status: body.event === 'charge.completed' ? (FLUTTERWAVE_STATUS[data.status] || 'pending') : 'pending',
+          amount: Number(data.amount),
+          currency: data.currency || null,
+          providerTransactionId: data.id ? String(data.id) : null,
+          data
+        }]
+      };
+    },
+
+    async refund(payment, { amount, reason = '' }) {
+      const transactionId = payment.providerData?.transactionId || payment.flutterwaveData?.transactionId;
+      if (!transactionId) throw new PaymentProviderError('Payment has no Flutterwave transaction id', { kind: 'invalid_request', provider: 'flutterwave' });
+      const { data } = await call(`/transactions/${encodeURIComponent(transactionId)}/refund`, {
+        method: 'POST',
+        body: { amount, comments: reason }
+      });
+      return { refundId: data?.id ? String(data.id) : null, status: data?.status === 'completed' ? 'successful' : 'pending' };
+    }
+  };
+};
+
+/**
+ * Bank transfer or mobile money paid outside the site, confirmed from an uploaded proof
+ *
+ * Nothing is charged here: initiate returns payment instructions, an admin
+ * approves the proof, and refunds are paid back by hand.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.instructions] - Shown to the payer
+ * @returns {Object} - Provider
+ */
+export const createManualProvider = ({ instructions = null } = {}) => ({
+  name: 'manual',
+  label: 'Bank transfer / mobile money with proof of payment',
+  supportsWebhooks: false,
+
+  async initiate({ payment }) {
+    return {
+      checkoutUrl: null,
+      providerReference: null,
+      instructions: instructions || `Pay P${payment.amount} by bank transfer or mobile money using reference ${payment.transactionRef}, then upload your proof of payment. Questions: WhatsApp +26774122453.`,
+      status: 'awaiting_proof'
+    };
+  },
+
+  async verify(payment) {
+    return {
+      status: payment.status === 'completed' ? 'successful' : payment.status === 'rejected' ? 'failed' : 'pending',
+      providerTransactionId: null,
+      amount: payment.amount,
+      currency: payment.currency || 'BWP'
+    };
+  },
+
+  parseWebhook() {
+    throw new PaymentProviderError('Manual payments are approved by an admin, not by webhook', { kind: 'unsupported', provider: 'manual' });
+  },
+
+  async refund() {
+    return { refundId: null, status: 'pending', manual: true };
+  }
+});
+
+const MOBILE_MONEY_STATUS = { successful: 'successful', success: 'successful', completed: 'successful', failed: 'failed', cancelled: 'failed', expired: 'failed', rejected: 'failed' };
+
+/**
+ * Push-to-phone mobile money (Orange Money, Mascom MyZaka) through an aggregator API
+ *
+ * The payer approves a prompt on their phone; the aggregator then posts a
+ * callback signed with HMAC-SHA256 of the raw body in `x-signature`. Both
+ * wallets use the same adapter with their own URL and keys.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name, e.g. 'orange_money'
+ * @param {string} options.label - Shown to the payer
+ * @param {string} options.baseUrl - Aggregator API base URL
+ * @param {string} options.apiKey - Aggregator API key
+ * @param {string} options.webhookSecret - Callback signing secret
+ * @param {Function} [options.fetchImpl]
+ * @returns {Object} - Provider
+ */
+export const createMobileMoneyProvider = ({ name, label, baseUrl, apiKey, webhookSecret, fetchImpl = fetch }) => {
+  const call = (route, options) => requestJson(fetchImpl, name, `${baseUrl.replace(/\/$/, '')}${route}`, { ...options, token: apiKey });
+
+  return {
+    name,
+    label,
+    supportsWebhooks: true,
+
+    async initiate({ payment, customer = {}, description = '', callbackUrl }) {
+      if (!customer.phone) {
+        throw new PaymentProviderError(`A mobile number is required to pay with ${label}`, { kind: 'invalid_request', provider: name });
+      }
+      const data = await call('/payments', {
+        method: 'POST',
+        body: {
+          reference: payment.transactionRef,
+          amount: payment.amount,
+          currency: payment.currency || 'BWP',
+          msisdn: customer.phone,
+          description,
+          callbackUrl
+        }
+      });
+      return {
+        checkoutUrl: data.paymentUrl || null,
+        providerReference: data.transactionId ? String(data.transactionId) : null,
+        instructions: `Approve the ${label} prompt sent to ${customer.phone} to complete the payment.`,
+        status: 'pending'
+      };
+    },
+
+    async verify(payment) {
+      const data = await call(`/payments/${encodeURIComponent(payment.transactionRef)}`);
+      return {
+        status: MOBILE_MONEY_STATUS[String(data.status).toLowerCase()] || 'pending',
+        providerTransactionId: data.transactionId ? String(data.transactionId) : null,
+        amount: Number(data.amount),
+        currency: data.currency || null
+      };
+    },
+
+    parseWebhook({ headers = {}, body = {}, rawBody }) {
+      if (!webhookSecret || !safeEqual(headers['x-signature'], hmacHex(webhookSecret, rawBodyOf({ rawBody, body })))) {
+        throw new PaymentProviderError('Invalid webhook signature', { kind: 'signature', provider: name });
+      }
+      return {
+        events: [{
+          id: body.eventId || (body.transactionId ? `${body.transactionId}:${body.status}` : null),
+          type: body.type || 'payment.status',
+          txRef: body.reference || null,
+          status: MOBILE_MONEY_STATUS[String(body.status).toLowerCase()] || 'pending',
+          amount: Number(body.amount),
+          currency: body.currency || null,
+          providerTransactionId: body.transactionId ? String(body.transactionId) : null,
+          data: body
+        }]
+      };
+    },
+
+    async refund(payment, { amount, reason = '' }) {
+      const data = await call('/refunds', {
+        method: 'POST',
+        body: { reference: payment.transactionRef, transactionId: payment.providerData?.transactionId, amount, reason }
+      });
+      return { refundId: data.refundId ? String(data.refundId) : null, status: MOBILE_MONEY_STATUS[String(data.status).toLowerCase()] || 'pending' };
+    }
+  };
+};
+
+/**
+ * Local payment simulator for development and tests
+ *
+ * Keeps transactions in memory. `settle(txRef, status)` marks one paid or
+ * failed and returns the signed webhook request the gateway would have sent,
+ * which goes through parseWebhook like any real callback.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Webhook signing secret
+ * @returns {Object} - Provider with `settle` and `transactions`
+ */
+export const createSimulatorProvider = ({ secret = 'simulator-secret' } = {}) => {
+  const transactions = new Map();
+  const refunds = [];
+  let sequence = 0;
+
+  return {
+    name: 'simulator',
+    label: 'Payment simulator (test only)',
+    supportsWebhooks: true,
+    transactions,
+    refunds,
+
+    async initiate({ payment }) {
+      const id = `sim_${++sequence}_${Date.now()}`;
+      transactions.set(payment.transactionRef, { id, status: 'pending', amount: payment.amount, currency: payment.currency || 'BWP' });
+      return {
+        checkoutUrl: `/api/payments/simulator/${encodeURIComponent(payment.transactionRef)}/settle`,
+        providerReference: id,
+        instructions: 'Simulated checkout: POST to the checkout URL with { "status": "successful" } or "failed".',
+        status: 'pending'
+      };
+    },
+
+    async verify(payment) {
+      const tx = transactions.get(payment.transactionRef);
+      return {
+        status: tx?.status || 'pending',
+        providerTransactionId: tx?.id || null,
+        amount: tx?.amount ?? payment.amount,
+        currency: tx?.currency || payment.currency || 'BWP'
+      };
+    },
+
+    /**
+     * Settle a simulated transaction and build the webhook for it
+     * @param {string} txRef - Payment transaction reference
+     * @param {Object} [outcome]
+     * @param {string} [outcome.status] - 'successful' or 'failed'
+     * @param {number} [outcome.amount] - Override the charged amount
+     * @returns {{headers: Object, body: Object, rawBody: Buffer}}
+     */
+    settle(txRef, { status = 'successful', amount } = {}) {
+      const tx = transactions.get(txRef) || { id: `sim_${++sequence}_${Date.now()}`, amount, currency: 'BWP' };
+      tx.status = status;
+      if (amount !== undefined) tx.amount = amount;
+      transactions.set(txRef, tx);
+      const body = { eventId: `${tx.id}:${status}`, reference: txRef, status, amount: tx.amount, currency: tx.currency, transactionId: tx.id };
+      const rawBody = Buffer.from(JSON.stringify(body));
+      return { headers: { 'x-signature': hmacHex(secret, rawBody) }, body, rawBody };
+    },
+
+    parseWebhook({ headers = {}, body = {}, rawBody }) {
+      if (!safeEqual(headers['x-signature'], hmacHex(secret, rawBodyOf({ rawBody, body })))) {
+        throw new PaymentProviderError('Invalid webhook signature', { kind: 'signature', provider: 'simulator' });
+      }
+      return {
+        events: [{
+          id: body.eventId || null,
+          type: 'payment.status',
+          txRef: body.reference || null,
+          status: body.status === 'successful' ? 'successful' : body.status === 'failed' ? 'failed' : 'pending',
+          amount: Number(body.amount),
+          currency: body.currency || null,
+          providerTransactionId: body.transactionId || null,
+          data: body
+        }]
+      };
+    },
+
+    async refund(payment, { amount, reason = '' }) {
+      const refund = { refundId: `sim_refund_${++sequence}`, txRef: payment.transactionRef, amount, reason, status: 'successful' };
+      refunds.push(refund);
+      return { refundId: refund.refundId, status: refund.status };
+    }
+  };
+};
+
+/**
+ * Build the providers configured in the environment, keyed by name
+ *
+ * Manual proof of payment is always available. The simulator is only enabled
+ * with PAYMENTS_SIMULATOR=true and never when NODE_ENV is production.
+ *
+ * @param {Object} [env]
+ * @returns {Object<string, Object>}
+ */
+export const resolvePaymentProviders = (env = process.env) => {
+  const providers = {};
+  if (env.FLUTTERWAVE_SECRET_KEY || env.FLUTTERWAVE_SECRET_HASH) {
+    providers.flutterwave = createFlutterwaveProvider({
+      secretKey: env.FLUTTERWAVE_SECRET_KEY,
+      secretHash: env.FLUTTERWAVE_SECRET_HASH,
+      logoUrl: env.CLIENT_URL ? `${env.CLIENT_URL}/logo.png` : null
+    });
+  }
+  providers.manual = createManualProvider({ instructions: env.MANUAL_PAYMENT_INSTRUCTIONS || null });
+  if (env.ORANGE_MONEY_API_URL && env.ORANGE_MONEY_API_KEY) {
+    providers.orange_money = createMobileMoneyProvider({
+      name: 'orange_money',
+      label: 'Orange Money',
+      baseUrl: env.ORANGE_MONEY_API_URL,
+      apiKey: env.ORANGE_MONEY_API_KEY,
+      webhookSecret: env.ORANGE_MONEY_WEBHOOK_SECRET
+    });
+  }
+  if (env.MYZAKA_API_URL && env.MYZAKA_API_KEY) {
+    providers.myzaka = createMobileMoneyProvider({
+      name: 'myzaka',
+      label: 'MyZaka',
+      baseUrl: env.MYZAKA_API_URL,
+      apiKey: env.MYZAKA_API_KEY,
+      webhookSecret: env.MYZAKA_WEBHOOK_SECRET
+    });
+  }
+  if (env.PAYMENTS_SIMULATOR === 'true' && env.NODE_ENV !== 'production') {
+    providers.simulator = createSimulatorProvider({ secret: env.PAYMENTS_SIMULATOR_SECRET || undefined });
+  }
+  return providers;
+};
+
+let processProviders = null;
+
+/**
+ * Providers for this process, built once so the simulator keeps its state between requests
+ * @returns {Object<string, Object>}
+ */
+export const paymentProviders = () => {
+  if (!processProviders) processProviders = resolvePaymentProviders();
+  return processProviders;
+};
+
+/**
+ * The provider new payments use when the client does not choose one
+ * @param {Object<string, Object>} providers
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+export const defaultPaymentProvider = (providers, env = process.env) =>
+  providers[env.PAYMENT_PROVIDER] || providers.flutterwave || providers.manual;
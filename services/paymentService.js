@@ -0,0 +1,475 @@
+// services/paymentService.js
+// Listing subscription and add-on payments, independent of the gateway.
+//
+// A payment is created `pending` with a transactionRef, handed to a provider
+// (see paymentProviders.js) to collect, and completed exactly once when the
+// provider confirms it — by webhook, by a verify call, or by an admin
+// approving a proof of payment. Completing activates what was paid for;
+// refunding it in full reverses that.
+
+import { ObjectId } from 'mongodb';
+import { notifyUser } from './notificationService.js';
+import { postLedgerFor } from './ledgerService.js';
+
+export const LISTING_TIERS = {
+  basic: { name: 'Basic Plan', price: 50, duration: 30, maxListings: 1 },
+  standard: { name: 'Standard Plan', price: 100, duration: 30, maxListings: 1 },
+  premium: { name: 'Premium Plan', price: 200, duration: 45, maxListings: 1 }
+};
+
+export const LISTING_ADDONS = {
+  photography: { name: 'Professional Photography', price: 150 },
+  review: { name: 'Professional Car Review', price: 200 },
+  featured: { name: 'Featured Listing', price: 50 }
+};
+
+// Payments a provider confirmation may still complete
+const OPEN_STATUSES = ['pending', 'proof_submitted'];
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+const unwrap = (result) => (result && 'value' in result ? result.value : result);
+
+/**
+ * Price and describe a subscription or add-on purchase
+ * @param {Object} input
+ * @param {string} input.paymentType - 'subscription' or 'addon'
+ * @param {string} [input.subscriptionTier]
+ * @param {string[]} [input.addons]
+ * @param {string} [input.addonId] - Single add-on (older clients)
+ * @returns {{amount: number, description: string, metadata: Object}}
+ */
+export const quoteListingPayment = ({ paymentType, subscriptionTier, addons = [], addonId }) => {
+  if (paymentType === 'subscription') {
+    if (!subscriptionTier) throw httpError('Valid subscription tier is required');
+    const tierDetails = LISTING_TIERS[subscriptionTier];
+    if (!tierDetails) throw httpError('Invalid subscription tier');
+    return {
+      amount: tierDetails.price,
+      description: `${tierDetails.name} - ${tierDetails.duration} days`,
+      metadata: { subscriptionTier, tierDetails, maxListings: tierDetails.maxListings, duration: tierDetails.duration }
+    };
+  }
+  if (paymentType === 'addon') {
+    const ids = addons.length > 0 ? addons : [addonId].filter(Boolean);
+    if (ids.length === 0) throw httpError('At least one add-on is required');
+    const addonDetails = ids.map((id) => {
+      if (!LISTING_ADDONS[id]) throw httpError(`Invalid add-on ${id}`);
+      return LISTING_ADDONS[id];
+    });
+    return {
+      amount: addonDetails.reduce((sum, a) => sum + a.price, 0),
+      description: `Add-ons: ${addonDetails.map(a => a.name).join(', ')}`,
+      metadata: { addons: ids, addonDetails }
+    };
+  }
+  throw httpError('Valid payment type is required (subscription or addon)');
+};
+
+/**
+ * Create a pending payment and start collecting it with a provider
+ *
+ * If the provider refuses, the payment is marked failed and the error rethrown.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} provider - From paymentProviders.js
+ * @param {Object} input
+ * @param {string} input.userId - Payer
+ * @param {Object} input.customer - `{ name, email, phone }`
+ * @param {string} input.listingId
+ * @param {string} input.paymentType - 'subscription' or 'addon'
+ * @param {Object} input.quote - From quoteListingPayment
+ * @param {string} [input.sellerType]
+ * @param {string} [input.bookingId]
+ * @param {string} [input.callbackUrl] - Where the payer returns to
+ * @param {string} [input.webhookUrl] - Where the provider posts its callback
+ * @returns {Promise<{payment: Object, checkout: Object}>}
+ */
+export const initiateListingPayment = async (db, provider, {
+  userId, customer = {}, listingId, paymentType, quote, sellerType = null, bookingId = null, callbackUrl = null, webhookUrl = null
+}) => {
+  const col = db.collection('payments');
+  const payment = {
+    user: new ObjectId(userId),
+    listing: new ObjectId(listingId),
+    transactionRef: `${paymentType}_${listingId}_${Date.now()}`,
+    amount: quote.amount,
+    currency: 'BWP',
+    type: paymentType,
+    sellerType,
+    status: 'pending',
+    paymentMethod: provider.name,
+    metadata: { ...quote.metadata, bookingId, callbackUrl },
+    createdAt: new Date()
+  };
+  if (paymentType === 'subscription') payment.subscriptionTier = quote.metadata.subscriptionTier;
+  else payment.addons = quote.metadata.addons;
+  if (bookingId && ObjectId.isValid(bookingId)) payment.bookingId = new ObjectId(bookingId);
+
+  const { insertedId } = await col.insertOne(payment);
+  payment._id = insertedId;
+
+  let checkout;
+  try {
+    checkout = await provider.initiate({ payment, customer, description: quote.description, redirectUrl: callbackUrl, callbackUrl: webhookUrl });
+  } catch (providerErr) {
+    await col.updateOne({ _id: insertedId }, { $set: { status: 'failed', failureReason: providerErr.message, updatedAt: new Date() } });
+    throw providerErr;
+  }
+
+  const providerData = { reference: checkout.providerReference, checkoutUrl: checkout.checkoutUrl };
+  await col.updateOne({ _id: insertedId }, { $set: { providerData, updatedAt: new Date() } });
+  return { payment: { ...payment, providerData }, checkout };
+};
+
+/**
+ * Turn on what a completed payment paid for
+ */
+const activatePurchase = async (db, payment) => {
+  const listings = db.collection('listings');
+  const listingId = new ObjectId(String(payment.listing));
+
+  if (payment.type === 'subscription' || !payment.type) {
+    const tier = LISTING_TIERS[payment.subscriptionTier] || LISTING_TIERS.basic;
+    const duration = payment.metadata?.duration || tier.duration;
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + duration);
+    await listings.updateOne(
+      { _id: listingId },
+      {
+        $set: {
+          'subscription.tier': payment.subscriptionTier,
+          'subscription.status': 'active',
+          'subscription.expiresAt': expiresAt,
+          'subscription.sellerType': payment.sellerType || 'private',
+          'subscription.maxListings': tier.maxListings,
+          'subscription.planName': tier.name,
+          'subscription.paymentId': payment._id,
+          status: 'published'
+        }
+      }
+    );
+    return { subscription: { tier: payment.subscriptionTier, expiresAt } };
+  }
+
+  const addonIds = payment.addons || [payment.addonId].filter(Boolean);
+  await listings.updateOne(
+    { _id: listingId },
+    {
+      $addToSet: {
+        'addons.active': {
+          $each: addonIds.map(id => ({ id, purchasedAt: new Date(), paymentId: payment._id, status: 'active' }))
+        }
+      }
+    }
+  );
+  return { addons: addonIds };
+};
+
+/**
+ * Complete an open payment and activate its purchase, at most once
+ *
+ * The status change is conditional on the payment still being open, so two
+ * confirmations racing each other (webhook and verify) activate only once.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} payment - Payment document
+ * @param {Object} [confirmation]
+ * @param {string} [confirmation.provider] - Provider that confirmed it
+ * @param {string} [confirmation.providerTransactionId]
+ * @param {Object} [confirmation.data] - Provider payload, kept for support
+ * @returns {Promise<{completed: boolean, activation?: Object}>}
+ */
+export const completePayment = async (db, payment, { provider = null, providerTransactionId = null, data = null } = {}) => {
+  const now = new Date();
+  const { modifiedCount } = await db.collection('payments').updateOne(
+    { _id: payment._id, status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        status: 'completed',
+        completedAt: now,
+        updatedAt: now,
+        'providerData.transactionId': providerTransactionId,
+        'providerData.confirmedBy': provider,
+        'providerData.payload': data
+      }
+    }
+  );
+  if (!modifiedCount) return { completed: false };
+  await postLedgerFor(db, 'payments', payment._id);
+  return { completed: true, activation: await activatePurchase(db, { ...payment, status: 'completed' }) };
+};
+
+/**
+ * Apply a provider's status report (webhook event or verify result) to its payment
+ *
+ * A successful report whose amount or currency does not match the payment is
+ * not completed; it is flagged for an admin instead.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} providerName - Provider that reported it
+ * @param {Object} report - `{ txRef, status, amount, currency, providerTransactionId, data }`
+ * @param {Object} [payment] - The payment, when already loaded; otherwise found by report.txRef
+ * @returns {Promise<{outcome: string, paymentId?: ObjectId, activation?: Object}>}
+ *   outcome: completed, failed, pending, already_processed, amount_mismatch or not_found
+ */
+export const applyPaymentReport = async (db, providerName, report, payment = null) => {
+  const col = db.collection('payments');
+  if (!payment && report.txRef) payment = await col.findOne({ transactionRef: report.txRef });
+  if (!payment) return { outcome: 'not_found' };
+  const paymentId = payment._id;
+
+  if (report.status === 'pending') return { outcome: 'pending', paymentId };
+  if (!OPEN_STATUSES.includes(payment.status)) return { outcome: 'already_processed', paymentId };
+
+  if (report.status === 'failed') {
+    await col.updateOne(
+      { _id: paymentId, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'failed', failedAt: new Date(), updatedAt: new Date(), 'providerData.confirmedBy': providerName } }
+    );
+    return { outcome: 'failed', paymentId };
+  }
+
+  const paidAmount = Number(report.amount);
+  const currencyMatches = !report.currency || report.currency === (payment.currency || 'BWP');
+  if (!Number.isFinite(paidAmount) || paidAmount < payment.amount || !currencyMatches) {
+    await col.updateOne(
+      { _id: paymentId },
+      { $set: { reviewRequired: { reason: 'amount_mismatch', reportedAmount: report.amount, reportedCurrency: report.currency, at: new Date() }, updatedAt: new Date() } }
+    );
+    return { outcome: 'amount_mismatch', paymentId };
+  }
+
+  const { completed, activation } = await completePayment(db, payment, {
+    provider: providerName,
+    providerTransactionId: report.providerTransactionId,
+    data: report.data || null
+  });
+  return completed ? { outcome: 'completed', paymentId, activation } : { outcome: 'already_processed', paymentId };
+};
+
+/**
+ * Ask the payment's provider for its status and apply it
+ * @param {Object} db - Database handle
+ * @param {Object} provider - The provider the payment was made with
+ * @param {Object} payment - Payment document
+ * @returns {Promise<Object>} - As applyPaymentReport
+ */
+export const verifyListingPayment = async (db, provider, payment) => {
+  const result = await provider.verify(payment);
+  return applyPaymentReport(db, provider.name, result, payment);
+};
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Turn off what a refunded payment paid for
+ *
+ * A subscription is cancelled and its listing unpublished only while the
+ * listing still runs on this payment. Add-ons bought with it move from
+ * `addons.active` to `addons.refunded`.
+ */
+const reversePurchase = async (db, payment, { addons = null, reason = '' } = {}) => {
+  const listings = db.collection('listings');
+  const listingId = new ObjectId(String(payment.listing));
+  const now = new Date();
+
+  if (payment.type === 'subscription' || !payment.type) {
+    const { modifiedCount } = await listings.updateOne(
+      {
+        _id: listingId,
+        $or: [{ 'subscription.paymentId': payment._id }, { 'subscription.paymentId': { $exists: false } }]
+      },
+      { $set: { 'subscription.status': 'cancelled', 'subscription.cancelledAt': now, 'subscription.cancelReason': 'refunded', status: 'draft' } }
+    );
+    return { subscription: modifiedCount > 0 ? 'cancelled' : 'unchanged' };
+  }
+
+  const bought = payment.addons || [payment.addonId].filter(Boolean);
+  const ids = addons ? bought.filter(id => addons.includes(id)) : bought;
+  if (ids.length > 0) {
+    await listings.updateOne(
+      { _id: listingId },
+      {
+        $pull: { 'addons.active': { paymentId: payment._id, id: { $in: ids } } },
+        $push: { 'addons.refunded': { $each: ids.map(id => ({ id, paymentId: payment._id, refundedAt: now, reason })) } }
+      }
+    );
+  }
+  return { addons: ids };
+};
+
+/**
+ * Refund all or part of a completed payment
+ *
+ * The provider pays the money back (the manual provider leaves that to an
+ * admin), the payment records the refund, a negative income entry goes into
+ * `financial_transactions` and the payer is notified. The purchase is
+ * reversed on a full refund, or on a partial one when `reverse` is set;
+ * `addons` limits an add-on reversal to some of the add-ons bought.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} provider - The provider the payment was made with
+ * @param {Object} payment - Payment document
+ * @param {Object} input
+ * @param {number} [input.amount] - Defaults to what is left to refund
+ * @param {string} input.reason
+ * @param {boolean} [input.reverse] - Defaults to true for a full refund only
+ * @param {string[]} [input.addons]
+ * @param {string} [input.adminName]
+ * @returns {Promise<{refund: Object, fullyRefunded: boolean, reversal: Object|null, transactionId: ObjectId}>}
+ */
+export const refundListingPayment = async (db, provider, payment, { amount, reason, reverse, addons = null, adminName = 'admin' }) => {
+  const col = db.collection('payments');
+  if (payment.status !== 'completed') throw httpError(`Only completed payments can be refunded (this one is ${payment.status})`);
+  if (!reason || !String(reason).trim()) throw httpError('A refund reason is required');
+  if (addons && (!Array.isArray(addons) || payment.type !== 'addon')) throw httpError('Add-ons can only be chosen when refunding an add-on payment');
+
+  // One refund at a time per payment, so two admins cannot refund the same money.
+  // What is left to refund comes from the claimed document, not the snapshot
+  // the caller loaded, so a refund that finished in between is counted.
+  const claimed = unwrap(await col.findOneAndUpdate(
+    { _id: payment._id, status: 'completed', refundInProgress: { $ne: true } },
+    { $set: { refundInProgress: true } },
+    { returnDocument: 'after' }
+  ));
+  if (!claimed) throw httpError('Another refund of this payment is in progress, or it has already been refunded', 409);
+  const releaseClaim = () => col.updateOne({ _id: payment._id }, { $unset: { refundInProgress: '' } });
+
+  const alreadyRefunded = roundMoney(claimed.refundAmount || 0);
+  const remaining = roundMoney(claimed.amount - alreadyRefunded);
+  const refundAmount = roundMoney(amount ?? remaining);
+  if (!(refundAmount > 0) || refundAmount > remaining) {
+    await releaseClaim();
+    throw httpError(refundAmount > 0 ? `Refund amount exceeds the P${remaining} left to refund` : 'Refund amount must be greater than zero');
+  }
+  const fullyRefunded = refundAmount === remaining;
+
+  const refund = { _id: new ObjectId(), amount: refundAmount, reason: String(reason).trim(), provider: provider.name, requestedBy: adminName, requestedAt: new Date() };
+  let result;
+  try {
+    result = await provider.refund(payment, { amount: refundAmount, reason: refund.reason });
+  } catch (providerErr) {
+    await col.updateOne(
+      { _id: payment._id },
+      {
+        $set: { refundStatus: 'failed', refundFailedAt: new Date(), updatedAt: new Date() },
+        $unset: { refundInProgress: '' },
+        $push: { refunds: { ...refund, status: 'failed', error: providerErr.message } }
+      }
+    );
+    throw providerErr;
+  }
+
+  Object.assign(refund, { status: result.status, providerRefundId: result.refundId || null, manual: !!result.manual });
+  const now = new Date();
+  await col.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        ...(fullyRefunded ? { status: 'refunded' } : {}),
+        refundStatus: 'completed',
+        refundReason: refund.reason,
+        refundCompletedAt: now,
+        updatedAt: now
+      },
+      $inc: { refundAmount },
+      $unset: { refundInProgress: '' },
+      $push: { refunds: refund }
+    }
+  );
+  await postLedgerFor(db, 'payments', payment._id);
+
+  const shouldReverse = reverse ?? fullyRefunded;
+  const reversal = shouldReverse ? await reversePurchase(db, payment, { addons, reason: refund.reason }) : null;
+
+  const user = await db.collection('users').findOne({ _id: new ObjectId(String(payment.user)) }, { projection: { name: 1 } });
+  const { insertedId: transactionId } = await db.collection('financial_transactions').insertOne({
+    type: 'income',
+    amount: -refundAmount,
+    currency: payment.currency || 'BWP',
+    category: 'Refund',
+    description: `Refund of ${payment.transactionRef}: ${refund.reason}`,
+    customerId: String(payment.user),
+    customerName: user?.name || '',
+    status: refund.status === 'successful' ? 'received' : 'pending',
+    reference: payment.transactionRef,
+    paymentId: payment._id,
+    refundId: refund._id,
+    date: now,
+    recordedBy: adminName,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  await notifyUser(db, payment.user, {
+    type: 'payment_refunded',
+    title: fullyRefunded ? 'Payment refunded' : 'Partial refund issued',
+    message: `P${refundAmount} of your P${payment.amount} payment (${payment.transactionRef}) is being refunded. Reason: ${refund.reason}.`
+      + (reversal?.subscription === 'cancelled' ? ' The listing subscription it paid for has been cancelled.' : '')
+      + (reversal?.addons?.length ? ` Removed add-ons: ${reversal.addons.join(', ')}.` : ''),
+    data: { paymentId: String(payment._id), refundId: String(refund._id), amount: refundAmount, listingId: String(payment.listing) }
+  });
+
+  return { refund, fullyRefunded, reversal, transactionId };
+};
+
+/**
+ * Store an uploaded proof of payment
+ *
+ * A proof for a payment started with the manual provider (matched by
+ * transactionRef) is attached to it; otherwise a new manual payment is
+ * recorded, as the proof upload always did.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} input
+ * @param {string} input.userId
+ * @param {string} input.listingId
+ * @param {string} input.subscriptionTier
+ * @param {number} input.amount
+ * @param {Object} input.proofFile - `{ url, filename, size, mimetype, uploadedAt }`
+ * @param {string} [input.transactionRef] - Reference given by the manual provider
+ * @param {Object} [input.metadata] - Request details kept for review
+ * @returns {Promise<{paymentId: ObjectId, transactionRef: string}>}
+ */
+export const recordProofOfPayment = async (db, { userId, listingId, subscriptionTier, amount, proofFile, transactionRef = null, metadata = {} }) => {
+  const col = db.collection('payments');
+  const proofOfPayment = {
+    submitted: true,
+    submittedAt: new Date(),
+    file: {
+      url: proofFile.url,
+      filename: proofFile.filename,
+      size: proofFile.size,
+      mimetype: proofFile.mimetype,
+      uploadedAt: new Date(proofFile.uploadedAt || Date.now())
+    },
+    status: 'pending_review'
+  };
+
+  if (transactionRef) {
+    const existing = await col.findOne({ transactionRef, user: new ObjectId(userId), paymentMethod: 'manual', status: 'pending' });
+    if (existing) {
+      await col.updateOne(
+        { _id: existing._id },
+        { $set: { status: 'proof_submitted', proofOfPayment, 'metadata.manualPayment': true, updatedAt: new Date() } }
+      );
+      return { paymentId: existing._id, transactionRef };
+    }
+  }
+
+  const txRef = `manual_${listingId}_${Date.now()}`;
+  const { insertedId } = await col.insertOne({
+    user: new ObjectId(userId),
+    listing: new ObjectId(listingId),
+    transactionRef: txRef,
+    amount: Number(amount),
+    currency: 'BWP',
+    subscriptionTier,
+    status: 'proof_submitted',
+    paymentMethod: 'manual',
+    proofOfPayment,
+    metadata: { manualPayment: true, ...metadata },
+    createdAt: new Date()
+  });
+  return { paymentId: insertedId, transactionRef: txRef };
+};
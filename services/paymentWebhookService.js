@@ -0,0 +1,206 @@
+// services/paymentWebhookService.js
+// Persisted log of payment provider callbacks (`payment_webhook_events`).
+//
+// Every verified event is stored once per (provider, eventId) before it is
+// applied, so a replayed delivery is recognised and not applied again. Each
+// entry records how processing went; failed or unmatched events can be
+// re-processed by an admin once the cause is fixed.
+//
+//   received    stored, not yet applied
+//   processing  being applied now; after PROCESSING_TIMEOUT_MS the attempt is
+//               taken to have died with its function and may be claimed again
+//   processed   applied; `outcome` says what it did (see applyPaymentReport)
+//   failed      applying threw; `error` has the message
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { applyPaymentReport } from './paymentService.js';
+
+const EVENTS = 'payment_webhook_events';
+
+export const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+// Processed outcomes worth another try, e.g. a callback that beat its payment record
+const RETRYABLE_OUTCOMES = ['not_found', 'amount_mismatch', 'pending'];
+
+// Longer than any function may run, so an attempt this old is not still in flight
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const staleProcessing = (now) => ({
+  status: WEBHOOK_EVENT_STATUS.PROCESSING,
+  lastAttemptAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) }
+});
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const unwrap = (result) => (result && 'value' in result ? result.value : result);
+
+let indexesEnsured = false;
+const ensureIndexes = async (db) => {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(EVENTS).createIndex({ provider: 1, eventId: 1 }, { unique: true });
+    await db.collection(EVENTS).createIndex({ status: 1, receivedAt: -1 });
+    indexesEnsured = true;
+  } catch (indexErr) {
+    console.warn('Webhook event index setup skipped:', indexErr.message);
+  }
+};
+
+/**
+ * Apply a stored event and record the result on it
+ */
+const processStoredEvent = async (db, doc) => {
+  const col = db.collection(EVENTS);
+  await col.updateOne(
+    { _id: doc._id },
+    { $set: { status: WEBHOOK_EVENT_STATUS.PROCESSING, lastAttemptAt: new Date() }, $inc: { attempts: 1 } }
+  );
+  try {
+    const { outcome, paymentId = null } = await applyPaymentReport(db, doc.provider, doc.event);
+    await col.updateOne(
+      { _id: doc._id },
+      { $set: { status: WEBHOOK_EVENT_STATUS.PROCESSED, outcome, paymentId, error: null, processedAt: new Date() } }
+    );
+    return { status: WEBHOOK_EVENT_STATUS.PROCESSED, outcome, paymentId };
+  } catch (processErr) {
+    await col.updateOne(
+      { _id: doc._id },
+      { $set: { status: WEBHOOK_EVENT_STATUS.FAILED, error: processErr.message, failedAt: new Date() } }
+    );
+    return { status: WEBHOOK_EVENT_STATUS.FAILED, error: processErr.message };
+  }
+};
+
+/**
+ * Log one verified provider event and apply it unless it was seen before
+ *
+ * Events without a provider id are keyed by a hash of the raw body, so an
+ * identical redelivery is still caught. A redelivery of an event that failed
+ * last time, or whose attempt died mid-way, is applied again; anything else
+ * already stored is a duplicate.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalised event from provider.parseWebhook
+ * @param {Buffer} [rawBody] - Raw callback body
+ * @returns {Promise<{eventLogId: ObjectId, duplicate: boolean, status: string, outcome?: string, error?: string}>}
+ */
+export const receiveWebhookEvent = async (db, provider, event, rawBody = null) => {
+  await ensureIndexes(db);
+  const col = db.collection(EVENTS);
+  const eventId = event.id || `sha256:${crypto.createHash('sha256').update(rawBody || JSON.stringify(event.data || event)).digest('hex')}`;
+  const now = new Date();
+
+  let doc = {
+    provider,
+    eventId,
+    type: event.type,
+    txRef: event.txRef,
+    event,
+    status: WEBHOOK_EVENT_STATUS.RECEIVED,
+    attempts: 0,
+    deliveries: 1,
+    receivedAt: now,
+    lastDeliveredAt: now
+  };
+
+  try {
+    const { insertedId } = await col.insertOne(doc);
+    doc._id = insertedId;
+  } catch (insertErr) {
+    if (insertErr.code !== 11000) throw insertErr;
+    await col.updateOne({ provider, eventId }, { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: now } });
+    // Only a failed or abandoned event is claimed for another attempt; one in flight or done is left alone
+    doc = unwrap(await col.findOneAndUpdate(
+      { provider, eventId, $or: [{ status: WEBHOOK_EVENT_STATUS.FAILED }, staleProcessing(now)] },
+      { $set: { status: WEBHOOK_EVENT_STATUS.RECEIVED } },
+      { returnDocument: 'after' }
+    ));
+    if (!doc) {
+      const existing = await col.findOne({ provider, eventId }, { projection: { status: 1, outcome: 1 } });
+      return { eventLogId: existing?._id, duplicate: true, status: existing?.status, outcome: existing?.outcome };
+    }
+  }
+
+  return { eventLogId: doc._id, duplicate: false, ...await processStoredEvent(db, doc) };
+};
+
+/**
+ * Logged webhook events, newest first
+ * @param {Object} db - Database handle
+ * @param {Object} query
+ * @param {string} [query.status] - received, processing, processed or failed
+ * @param {string} [query.provider]
+ * @param {string} [query.outcome] - e.g. not_found, amount_mismatch
+ * @param {string} [query.txRef]
+ * @param {number} [query.page]
+ * @param {number} [query.limit]
+ * @returns {Promise<{events: Array, pagination: Object}>}
+ */
+export const listWebhookEvents = async (db, { status, provider, outcome, txRef, page = 1, limit = 50 } = {}) => {
+  const filter = {};
+  if (status) {
+    if (!Object.values(WEBHOOK_EVENT_STATUS).includes(status)) throw httpError(`Unknown status "${status}"`);
+    filter.status = status;
+  }
+  if (provider) filter.provider = provider;
+  if (outcome) filter.outcome = outcome;
+  if (txRef) filter.txRef = txRef;
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const col = db.collection(EVENTS);
+  const [events, total] = await Promise.all([
+    col.find(filter, { projection: { 'event.data': 0 } }).sort({ receivedAt: -1 }).skip((pageNum - 1) * pageSize).limit(pageSize).toArray(),
+    col.countDocuments(filter)
+  ]);
+  return { events, pagination: { total, page: pageNum, limit: pageSize, totalPages: Math.ceil(total / pageSize) } };
+};
+
+/**
+ * One logged event with its full payload
+ * @param {Object} db - Database handle
+ * @param {string} id - Event log id
+ * @returns {Promise<Object|null>}
+ */
+export const getWebhookEvent = (db, id) => db.collection(EVENTS).findOne({ _id: new ObjectId(id) });
+
+/**
+ * Apply a logged event again
+ *
+ * Allowed for failed events, for ones whose processing attempt died, and for
+ * processed ones whose outcome may change on a retry (payment not found yet,
+ * amount mismatch, still pending).
+ *
+ * @param {Object} db - Database handle
+ * @param {string} id - Event log id
+ * @param {string} adminName - Who asked for it
+ * @returns {Promise<Object>} - Processing result
+ */
+export const reprocessWebhookEvent = async (db, id, adminName = 'admin') => {
+  const col = db.collection(EVENTS);
+  const doc = unwrap(await col.findOneAndUpdate(
+    {
+      _id: new ObjectId(id),
+      $or: [
+        { status: WEBHOOK_EVENT_STATUS.FAILED },
+        staleProcessing(new Date()),
+        { status: WEBHOOK_EVENT_STATUS.PROCESSED, outcome: { $in: RETRYABLE_OUTCOMES } }
+      ]
+    },
+    { $set: { status: WEBHOOK_EVENT_STATUS.RECEIVED }, $push: { reprocessed: { by: adminName, at: new Date() } } },
+    { returnDocument: 'after' }
+  ));
+  if (!doc) {
+    const existing = await col.findOne({ _id: new ObjectId(id) }, { projection: { status: 1, outcome: 1 } });
+    if (!existing) throw httpError('Webhook event not found', 404);
+    throw httpError(`Event is ${existing.status}${existing.outcome ? ` (${existing.outcome})` : ''} and cannot be re-processed`, 409);
+  }
+  return processStoredEvent(db, doc);
+};
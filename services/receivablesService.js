@@ -0,0 +1,299 @@
+// services/receivablesService.js
+// Money owed on invoices: part payments with a running balance, moving unpaid
+// invoices to `overdue` after their due date, and the aged-receivables report.
+//
+// Payments live on the invoice (`payments`, `amountPaid`, `balanceDue`). Each
+// one also gets its own income entry in `financial_records`, where invoice
+// income is already recorded when an invoice is marked paid. The invoice's
+// ledger entries are posted again after every payment change.
+
+import { ObjectId } from 'mongodb';
+import { postLedgerFor } from './ledgerService.js';
+
+const INVOICES = 'invoices';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoices in these states are not chased: not sent yet, settled or written off
+const CLOSED_STATUSES = ['draft', 'paid', 'cancelled', 'void'];
+
+export const PAYMENT_METHODS = ['bank_transfer', 'cash', 'card', 'mobile_money', 'cheque', 'other'];
+
+export const AGING_BUCKETS = [
+  { key: '0-30', min: 0, max: 30 },
+  { key: '31-60', min: 31, max: 60 },
+  { key: '61-90', min: 61, max: 90 },
+  { key: '90+', min: 91, max: Infinity }
+];
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * What has been paid and what is left, also for invoices from before part payments
+ * @param {Object} invoice
+ * @returns {{total: number, amountPaid: number, balanceDue: number}}
+ */
+export const invoiceBalance = (invoice) => {
+  const total = roundMoney(invoice.total || 0);
+  const amountPaid = roundMoney(invoice.amountPaid ?? (invoice.status === 'paid' ? total : 0));
+  return { total, amountPaid, balanceDue: roundMoney(Math.max(total - amountPaid, 0)) };
+};
+
+const isPastDue = (invoice, now = new Date()) => !!invoice.dueDate && new Date(invoice.dueDate) < now;
+
+/**
+ * Status that follows from an invoice's balance: paid when settled, otherwise
+ * overdue or partly paid, else the status it already has
+ * @param {Object} invoice - Needs `status` and `dueDate`
+ * @param {number} amountPaid
+ * @param {number} balanceDue
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const statusForBalance = (invoice, amountPaid, balanceDue, now = new Date()) => {
+  if (balanceDue <= 0) return 'paid';
+  if (isPastDue(invoice, now)) return 'overdue';
+  if (amountPaid > 0) return 'partially_paid';
+  return invoice.status === 'partially_paid' || invoice.status === 'paid' ? 'sent' : invoice.status;
+};
+
+/**
+ * Write new payment totals, only if nobody else changed them since `invoice` was read
+ */
+const saveBalance = async (db, invoice, amountPaid, update, now) => {
+  const { total } = invoiceBalance(invoice);
+  const balanceDue = roundMoney(Math.max(total - amountPaid, 0));
+  const status = statusForBalance(invoice, amountPaid, balanceDue, now);
+  const { modifiedCount } = await db.collection(INVOICES).updateOne(
+    { _id: invoice._id, amountPaid: invoice.amountPaid ?? { $exists: false } },
+    {
+      ...update,
+      $set: {
+        amountPaid,
+        balanceDue,
+        status,
+        paidAt: status === 'paid' ? (invoice.paidAt || now) : null,
+        updatedAt: now
+      }
+    }
+  );
+  if (!modifiedCount) throw httpError('The invoice changed while saving; reload it and try again', 409);
+  return db.collection(INVOICES).findOne({ _id: invoice._id });
+};
+
+/**
+ * Record a full or part payment against an invoice
+ *
+ * The balance and status follow the payment: `partially_paid` (or still
+ * `overdue`) while something is owed, `paid` once it is settled.
+ *
+ * @param {Object} db - Database handle
+ * @param {string} invoiceId
+ * @param {Object} input
+ * @param {number} input.amount - At most the balance due
+ * @param {string} [input.method] - One of PAYMENT_METHODS
+ * @param {string} [input.reference] - Bank or receipt reference
+ * @param {string|Date} [input.date] - When the money arrived; defaults to now
+ * @param {string} [input.notes]
+ * @param {string} [input.adminName]
+ * @returns {Promise<{invoice: Object, payment: Object}>}
+ */
+export const recordInvoicePayment = async (db, invoiceId, { amount, method = 'bank_transfer', reference = '', date = null, notes = '', adminName = 'admin' }) => {
+  const invoice = await db.collection(INVOICES).findOne({ _id: new ObjectId(invoiceId) });
+  if (!invoice) throw httpError('Invoice not found', 404);
+  if (invoice.type !== 'invoice') throw httpError('Payments can only be recorded against invoices');
+  if (['cancelled', 'void'].includes(invoice.status)) throw httpError(`Invoice is ${invoice.status}`);
+  // Paying one of these must renew the subscription, which only approving the subscriber's proof does
+  if (invoice.source === 'mpho_renewal') throw httpError('Mpho renewal invoices are settled by approving the subscriber\'s proof of payment in Mpho subscriptions', 409);
+  if (!PAYMENT_METHODS.includes(method)) throw httpError(`method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+
+  const paid = roundMoney(amount);
+  const { amountPaid, balanceDue } = invoiceBalance(invoice);
+  if (!(paid > 0)) throw httpError('Payment amount must be greater than zero');
+  if (balanceDue <= 0) throw httpError('Invoice is already fully paid');
+  if (paid > balanceDue) throw httpError(`Payment exceeds the balance due of ${balanceDue}`);
+
+  const paidOn = date ? new Date(date) : new Date();
+  if (Number.isNaN(paidOn.getTime())) throw httpError('Invalid payment date');
+
+  const now = new Date();
+  const payment = {
+    _id: new ObjectId(),
+    amount: paid,
+    method,
+    reference: String(reference || '').trim(),
+    date: paidOn,
+    notes: String(notes || '').trim(),
+    recordedBy: adminName,
+    recordedAt: now
+  };
+  const updated = await saveBalance(db, invoice, roundMoney(amountPaid + paid), { $push: { payments: payment } }, now);
+  await postLedgerFor(db, INVOICES, invoice._id);
+
+  try {
+    const invRef = invoice.reference || invoice.number || '';
+    await db.collection('financial_records').insertOne({
+      type: 'income',
+      category: 'car_sales_ad',
+      description: `Payment on invoice ${invRef}`,
+      customerName: invoice.customer?.name || '',
+      amount: paid,
+      date: paidOn,
+      source: 'invoice_payment',
+      invoiceId: invoice._id,
+      invoiceRef: invRef,
+      invoicePaymentId: payment._id,
+      notes: payment.reference ? `Ref ${payment.reference}` : `Auto-recorded from payment on ${invRef}`,
+      createdAt: now,
+      updatedAt: now
+    });
+  } catch (recordErr) {
+    console.error(`Income record for invoice payment ${payment._id} failed:`, recordErr.message);
+  }
+
+  return { invoice: updated, payment };
+};
+
+/**
+ * Remove a payment recorded by mistake, with its income entry
+ * @param {Object} db - Database handle
+ * @param {string} invoiceId
+ * @param {string} paymentId
+ * @returns {Promise<Object>} - The updated invoice
+ */
+export const deleteInvoicePayment = async (db, invoiceId, paymentId) => {
+  const invoice = await db.collection(INVOICES).findOne({ _id: new ObjectId(invoiceId) });
+  if (!invoice) throw httpError('Invoice not found', 404);
+  const payment = (invoice.payments || []).find(p => String(p._id) === String(paymentId));
+  if (!payment) throw httpError('Payment not found', 404);
+
+  const { amountPaid } = invoiceBalance(invoice);
+  const updated = await saveBalance(
+    db,
+    invoice,
+    roundMoney(Math.max(amountPaid - payment.amount, 0)),
+    { $pull: { payments: { _id: payment._id } } },
+    new Date()
+  );
+  await postLedgerFor(db, INVOICES, invoice._id);
+  await db.collection('financial_records').deleteOne({ invoicePaymentId: payment._id });
+  return updated;
+};
+
+/**
+ * Move sent or part-paid invoices past their due date to `overdue`
+ * @param {Object} db - Database handle
+ * @param {Date} [now]
+ * @returns {Promise<{overdue: number}>}
+ */
+export const markOverdueInvoices = async (db, now = new Date()) => {
+  const { modifiedCount } = await db.collection(INVOICES).updateMany(
+    {
+      type: 'invoice',
+      status: { $nin: [...CLOSED_STATUSES, 'overdue'] },
+      dueDate: { $ne: null, $lt: now },
+      $or: [{ balanceDue: { $exists: false } }, { balanceDue: { $gt: 0 } }]
+    },
+    { $set: { status: 'overdue', overdueAt: now, updatedAt: now } }
+  );
+  return { overdue: modifiedCount };
+};
+
+const normaliseEmail = (value) => String(value || '').trim().toLowerCase();
+const normalisePhone = (value) => String(value || '').replace(/\D/g, '').slice(-8);
+const normaliseName = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find the service customer an invoice belongs to
+ *
+ * An explicit customerId wins; otherwise the invoice's customer email, phone
+ * or name is matched, in that order.
+ */
+const customerMatcher = (customers) => {
+  const byId = new Map();
+  const byEmail = new Map();
+  const byPhone = new Map();
+  const byName = new Map();
+  for (const c of customers) {
+    byId.set(String(c._id), c);
+    if (c.email) byEmail.set(normaliseEmail(c.email), c);
+    if (normalisePhone(c.phone)) byPhone.set(normalisePhone(c.phone), c);
+    for (const name of [c.name, c.company]) if (name) byName.set(normaliseName(name), c);
+  }
+  return (invoice) => byId.get(String(invoice.customerId || ''))
+    || byEmail.get(normaliseEmail(invoice.customer?.email))
+    || byPhone.get(normalisePhone(invoice.customer?.phone))
+    || byName.get(normaliseName(invoice.customer?.name))
+    || null;
+};
+
+/**
+ * Outstanding invoice balances by service customer and days overdue
+ *
+ * Invoices not yet due are reported as `current`; the rest fall into the
+ * 0-30, 31-60, 61-90 and 90+ day buckets by days past their due date (or
+ * issue date when there is none). Invoices that match no service customer
+ * are grouped by the name on the invoice.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Defaults to now
+ * @returns {Promise<{asOf: Date, totals: Object, customers: Array}>}
+ */
+export const agedReceivablesReport = async (db, { asOf = new Date() } = {}) => {
+  const [invoices, customers] = await Promise.all([
+    db.collection(INVOICES).find(
+      { type: 'invoice', status: { $nin: CLOSED_STATUSES }, issueDate: { $lte: asOf } },
+      { projection: { number: 1, reference: 1, customer: 1, customerId: 1, total: 1, amountPaid: 1, status: 1, issueDate: 1, dueDate: 1 } }
+    ).toArray(),
+    db.collection('service_customers').find({}, { projection: { name: 1, company: 1, email: 1, phone: 1, status: 1 } }).toArray()
+  ]);
+
+  const emptyBuckets = () => Object.fromEntries([['current', 0], ...AGING_BUCKETS.map(b => [b.key, 0])]);
+  const matchCustomer = customerMatcher(customers);
+  const groups = new Map();
+  const totals = { outstanding: 0, invoices: 0, buckets: emptyBuckets() };
+
+  for (const invoice of invoices) {
+    const { balanceDue } = invoiceBalance(invoice);
+    if (balanceDue <= 0) continue;
+
+    const dueOn = new Date(invoice.dueDate || invoice.issueDate);
+    const daysOverdue = Math.floor((asOf - dueOn) / DAY_MS);
+    const bucket = daysOverdue < 0 ? 'current' : AGING_BUCKETS.find(b => daysOverdue >= b.min && daysOverdue <= b.max).key;
+
+    const customer = matchCustomer(invoice);
+    const key = customer ? String(customer._id) : `name:${normaliseName(invoice.customer?.name) || 'unknown'}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        customerId: customer ? String(customer._id) : null,
+        name: customer?.name || invoice.customer?.name || 'Unknown customer',
+        company: customer?.company || '',
+        outstanding: 0,
+        buckets: emptyBuckets(),
+        invoices: []
+      });
+    }
+    const group = groups.get(key);
+    group.outstanding = roundMoney(group.outstanding + balanceDue);
+    group.buckets[bucket] = roundMoney(group.buckets[bucket] + balanceDue);
+    group.invoices.push({
+      _id: invoice._id,
+      number: invoice.number,
+      status: invoice.status,
+      dueDate: invoice.dueDate || null,
+      daysOverdue: Math.max(daysOverdue, 0),
+      bucket,
+      balanceDue
+    });
+
+    totals.outstanding = roundMoney(totals.outstanding + balanceDue);
+    totals.invoices++;
+    totals.buckets[bucket] = roundMoney(totals.buckets[bucket] + balanceDue);
+  }
+
+  const rows = [...groups.values()].sort((a, b) => b.outstanding - a.outstanding);
+  rows.forEach(row => row.invoices.sort((a, b) => b.daysOverdue - a.daysOverdue));
+  return { asOf, totals, customers: rows };
+};
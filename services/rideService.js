@@ -0,0 +1,521 @@
+// services/rideService.js
+// Passenger booking lifecycle for /api/rides (carpooling).
+//
+// Seats are held from the moment a passenger requests them. Declines and
+// cancellations hand the seats back with a single conditional update on the
+// ride document, so a reservation can only ever release its seats once.
+
+import { ObjectId } from 'mongodb';
+import { notifyUser } from './notificationService.js';
+
+export const RESERVATION_STATUS = {
+  REQUESTED: 'requested',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CANCELLED_BY_PASSENGER: 'cancelled_by_passenger',
+  RIDE_CANCELLED: 'ride_cancelled',
+  NO_SHOW: 'no_show'
+};
+
+// Reservations in these states are holding seats. 'confirmed' is what the
+// original reserve endpoint wrote before drivers had to accept bookings.
+export const HOLDING_STATUSES = [RESERVATION_STATUS.REQUESTED, RESERVATION_STATUS.ACCEPTED, 'confirmed'];
+
+// Driver and passenger actions on a single reservation
+export const RESERVATION_ACTIONS = {
+  accept: { actor: 'driver', from: [RESERVATION_STATUS.REQUESTED], to: RESERVATION_STATUS.ACCEPTED, releasesSeats: false },
+  decline: { actor: 'driver', from: [RESERVATION_STATUS.REQUESTED], to: RESERVATION_STATUS.DECLINED, releasesSeats: true },
+  cancel: { actor: 'passenger', from: HOLDING_STATUSES, to: RESERVATION_STATUS.CANCELLED_BY_PASSENGER, releasesSeats: true },
+  'no-show': { actor: 'driver', from: [RESERVATION_STATUS.ACCEPTED, 'confirmed'], to: RESERVATION_STATUS.NO_SHOW, releasesSeats: false }
+};
+
+const NOTIFICATION_COPY = {
+  [RESERVATION_STATUS.ACCEPTED]: {
+    type: 'ride_booking_accepted',
+    title: 'Ride booking accepted',
+    message: (ride) => `Your seat from ${ride.origin} to ${ride.destination} has been confirmed by the driver.`
+  },
+  [RESERVATION_STATUS.DECLINED]: {
+    type: 'ride_booking_declined',
+    title: 'Ride booking declined',
+    message: (ride) => `The driver could not take your booking from ${ride.origin} to ${ride.destination}.`
+  },
+  [RESERVATION_STATUS.CANCELLED_BY_PASSENGER]: {
+    type: 'ride_booking_cancelled',
+    title: 'Passenger cancelled',
+    message: (ride, reservation) => `${reservation.passengerName || 'A passenger'} cancelled ${reservation.seats} seat(s) on your ride to ${ride.destination}.`
+  },
+  [RESERVATION_STATUS.NO_SHOW]: {
+    type: 'ride_no_show',
+    title: 'Marked as no-show',
+    message: (ride) => `The driver marked you as a no-show for the ride from ${ride.origin} to ${ride.destination}.`
+  },
+  [RESERVATION_STATUS.RIDE_CANCELLED]: {
+    type: 'ride_cancelled',
+    title: 'Ride cancelled',
+    message: (ride) => `The driver cancelled the ride from ${ride.origin} to ${ride.destination}. Your seat has been released.`
+  }
+};
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+// findOneAndUpdate returns a ModifyResult on driver v5 and the document on v6
+const unwrap = (result) => (result && typeof result === 'object' && 'ok' in result && 'value' in result ? result.value : result);
+
+const toObjectId = (id, label) => {
+  if (!ObjectId.isValid(id)) throw httpError(`Invalid ${label} id`, 400);
+  return new ObjectId(id);
+};
+
+/**
+ * Move a ride back to 'active' once a released seat makes it bookable again
+ */
+const reopenIfSeatsFreed = async (col, rideId) => {
+  await col.updateOne(
+    { _id: rideId, status: 'full', seatsAvailable: { $gt: 0 } },
+    { $set: { status: 'active', updatedAt: new Date() } }
+  );
+};
+
+/**
+ * Reserve seats on a ride with one conditional update
+ *
+ * The seat check, the duplicate-booking check and the write all happen inside
+ * a single findOneAndUpdate, so parallel requests can never take the seat
+ * count below zero. When the update matches nothing the ride is re-read only
+ * to explain why.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} options
+ * @param {string} options.rideId - Ride id
+ * @param {string} options.userId - Passenger
+ * @param {number} options.seats - Seats wanted
+ * @param {string} [options.passengerName]
+ * @param {string} [options.passengerPhone]
+ * @returns {Promise<{ride: Object, reservation: Object}>}
+ */
+export const reserveSeats = async (db, { rideId, userId, seats, passengerName = 'Passenger', passengerPhone = '' }) => {
+  const col = db.collection('rides');
+  const rideObjId = toObjectId(rideId, 'ride');
+  const passengerId = String(userId);
+  const wanted = Math.max(1, parseInt(seats) || 1);
+
+  const reservation = {
+    _id: new ObjectId(),
+    userId: passengerId,
+    passengerName,
+    passengerPhone,
+    seats: wanted,
+    status: RESERVATION_STATUS.REQUESTED,
+    reservedAt: new Date()
+  };
+  const remaining = { $subtract: ['$seatsAvailable', wanted] };
+
+  const updated = unwrap(await col.findOneAndUpdate(
+    {
+      _id: rideObjId,
+      status: 'active',
+      userId: { $ne: passengerId },
+      seatsAvailable: { $gte: wanted },
+      reservations: { $not: { $elemMatch: { userId: passengerId, status: { $in: HOLDING_STATUSES } } } }
+    },
+    [{
+      $set: {
+        seatsAvailable: remaining,
+        status: { $cond: [{ $lte: [remaining, 0] }, 'full', 'active'] },
+        // $literal keeps user-supplied strings such as "$name" from being read as field paths
+        reservations: { $concatArrays: [{ $ifNull: ['$reservations', []] }, [{ $literal: reservation }]] },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { returnDocument: 'after' }
+  ));
+
+  if (updated) return { ride: updated, reservation };
+
+  const ride = await col.findOne({ _id: rideObjId });
+  if (!ride || ride.status !== 'active') throw httpError('Ride not found or no longer active', 404);
+  if (ride.userId === passengerId) throw httpError('You cannot reserve a seat on your own ride', 400);
+  if (ride.reservations?.some(r => r.userId === passengerId && HOLDING_STATUSES.includes(r.status))) {
+    throw httpError('You already have a reservation on this ride', 400);
+  }
+  throw httpError(`Only ${Math.max(0, ride.seatsAvailable)} seat(s) available`, 409);
+};
+
+/**
+ * Apply a driver or passenger action to a reservation
+ * @param {Object} db - Database handle
+ * @param {Object} options
+ * @param {string} options.rideId - Ride id
+ * @param {string} options.reservationId - Reservation id
+ * @param {string} options.action - One of RESERVATION_ACTIONS
+ * @param {string} options.userId - Caller
+ * @param {string} [options.reason] - Optional note shown to the other party
+ * @returns {Promise<{ride: Object, reservation: Object}>}
+ */
+export const transitionReservation = async (db, { rideId, reservationId, action, userId, reason = '' }) => {
+  const transition = RESERVATION_ACTIONS[action];
+  if (!transition) throw httpError(`Unknown reservation action: ${action}`, 400);
+
+  const col = db.collection('rides');
+  const rideObjId = toObjectId(rideId, 'ride');
+  const reservationObjId = toObjectId(reservationId, 'reservation');
+
+  const ride = await col.findOne({ _id: rideObjId });
+  if (!ride) throw httpError('Ride not found', 404);
+
+  const reservation = (ride.reservations || []).find(r => r._id && r._id.equals(reservationObjId));
+  if (!reservation) throw httpError('Reservation not found', 404);
+
+  const isDriver = ride.userId === String(userId);
+  const isPassenger = reservation.userId === String(userId);
+  if (transition.actor === 'driver' && !isDriver) throw httpError('Only the driver can do this', 403);
+  if (transition.actor === 'passenger' && !isPassenger) throw httpError('Not your reservation', 403);
+
+  if (action === 'no-show' && new Date(ride.departureTime) > new Date()) {
+    throw httpError('A passenger can only be marked as a no-show after departure', 400);
+  }
+  if (!transition.from.includes(reservation.status)) {
+    throw httpError(`Reservation is already ${reservation.status}`, 409);
+  }
+
+  const now = new Date();
+  const update = {
+    $set: {
+      'reservations.$.status': transition.to,
+      'reservations.$.statusChangedAt': now,
+      'reservations.$.statusReason': String(reason || '').trim(),
+      updatedAt: now
+    }
+  };
+  if (transition.releasesSeats) update.$inc = { seatsAvailable: reservation.seats };
+
+  // The status guard makes the update a no-op if another request got there first
+  const updated = unwrap(await col.findOneAndUpdate(
+    { _id: rideObjId, reservations: { $elemMatch: { _id: reservationObjId, status: { $in: transition.from } } } },
+    update,
+    { returnDocument: 'after' }
+  ));
+  if (!updated) throw httpError('Reservation was changed by another request, please refresh', 409);
+
+  if (transition.releasesSeats) await reopenIfSeatsFreed(col, rideObjId);
+
+  const copy = NOTIFICATION_COPY[transition.to];
+  const recipient = transition.actor === 'driver' ? reservation.userId : ride.userId;
+  await notifyUser(db, recipient, {
+    type: copy.type,
+    title: copy.title,
+    message: copy.message(ride, reservation) + (reason ? ` Note: ${String(reason).trim()}` : ''),
+    data: { rideId: String(rideObjId), reservationId: String(reservationObjId), status: transition.to }
+  });
+
+  const after = updated.reservations.find(r => r._id && r._id.equals(reservationObjId));
+  return { ride: updated, reservation: after };
+};
+
+/**
+ * Cancel a ride on behalf of its driver, releasing every held seat and
+ * notifying each passenger who still had a booking
+ * @param {Object} db - Database handle
+ * @param {string} rideId - Ride id
+ * @param {string} userId - Caller, must be the driver
+ * @param {string} [reason] - Optional note passed on to passengers
+ * @returns {Promise<{ride: Object, affected: Array}>}
+ */
+export const cancelRide = async (db, rideId, userId, reason = '') => {
+  const col = db.collection('rides');
+  const rideObjId = toObjectId(rideId, 'ride');
+
+  const ride = await col.findOne({ _id: rideObjId });
+  if (!ride) throw httpError('Ride not found', 404);
+  if (ride.userId !== String(userId)) throw httpError('Not your ride', 403);
+  if (ride.status === 'cancelled') throw httpError('Ride is already cancelled', 409);
+
+  const now = new Date();
+  const note = String(reason || '').trim();
+  const updated = unwrap(await col.findOneAndUpdate(
+    { _id: rideObjId, status: { $ne: 'cancelled' } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancellationReason: note,
+        seatsAvailable: ride.seatsTotal,
+        'reservations.$[held].status': RESERVATION_STATUS.RIDE_CANCELLED,
+        'reservations.$[held].statusChangedAt': now,
+        'reservations.$[held].statusReason': note,
+        updatedAt: now
+      }
+    },
+    { arrayFilters: [{ 'held.status': { $in: HOLDING_STATUSES } }], returnDocument: 'after' }
+  ));
+  if (!updated) throw httpError('Ride is already cancelled', 409);
+
+  // Whoever this update moved to ride_cancelled lost a seat, including bookings made after `ride` was read
+  const affected = (updated.reservations || []).filter(r =>
+    r.status === RESERVATION_STATUS.RIDE_CANCELLED && new Date(r.statusChangedAt).getTime() === now.getTime());
+  const copy = NOTIFICATION_COPY[RESERVATION_STATUS.RIDE_CANCELLED];
+  await Promise.all(affected.map(r => notifyUser(db, r.userId, {
+    type: copy.type,
+    title: copy.title,
+    message: copy.message(ride) + (note ? ` Reason: ${note}` : ''),
+    data: { rideId: String(rideObjId), reservationId: r._id ? String(r._id) : null, status: RESERVATION_STATUS.RIDE_CANCELLED }
+  })));
+
+  return { ride: updated, affected };
+};
+
+// ==================== RECURRING RIDES ====================
+//
+// A recurring ride is stored once as the series root; the root itself is the
+// first bookable occurrence. Later departures are materialised as ordinary
+// ride documents (parentRideId + occurrenceDate) so each one carries its own
+// seats and reservations and every booking endpoint works on them unchanged.
+
+export const RECURRENCE_PATTERNS = ['daily', 'weekdays', 'weekly'];
+export const RIDE_RECURRENCES = ['once', ...RECURRENCE_PATTERNS];
+
+// Botswana is UTC+2 all year; recurrence days and time-of-day filters use local time
+export const RIDE_UTC_OFFSET_MINUTES = 120;
+const RIDE_TIMEZONE = '+02:00';
+
+// How far ahead occurrences are created, by default and at most
+export const DEFAULT_EXPANSION_DAYS = 14;
+export const MAX_EXPANSION_DAYS = 62;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFSET_MS = RIDE_UTC_OFFSET_MINUTES * 60 * 1000;
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant
+ * @param {Date} date - Instant
+ * @returns {string}
+ */
+export const localDateKey = (date) => new Date(date.getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * Start of the local day named by a YYYY-MM-DD key, as a UTC instant
+ * @param {string} key - Local date
+ * @returns {Date}
+ */
+export const startOfLocalDay = (key) => new Date(Date.parse(`${key}T00:00:00Z`) - OFFSET_MS);
+
+/**
+ * Whether a recurrence pattern runs on a local date
+ * @param {string} recurrence - One of RECURRENCE_PATTERNS
+ * @param {string} key - Local date
+ * @param {string} rootKey - Local date of the series root
+ * @returns {boolean}
+ */
+export const recursOn = (recurrence, key, rootKey) => {
+  const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+  if (recurrence === 'daily') return true;
+  if (recurrence === 'weekdays') return weekday >= 1 && weekday <= 5;
+  if (recurrence === 'weekly') return weekday === new Date(`${rootKey}T00:00:00Z`).getUTCDay();
+  return false;
+};
+
+/**
+ * Departure instants a series root produces inside [from, to), excluding the root's own departure
+ * @param {Object} root - Series root ride
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Array<{occurrenceDate: string, departureTime: Date}>}
+ */
+export const occurrencesBetween = (root, from, to) => {
+  const rootDeparture = new Date(root.departureTime);
+  const rootKey = localDateKey(rootDeparture);
+  const timeOfDay = (rootDeparture.getTime() + OFFSET_MS) % DAY_MS;
+  const endsAt = root.recurrenceEndsAt ? new Date(root.recurrenceEndsAt) : null;
+
+  const occurrences = [];
+  const firstDay = startOfLocalDay(localDateKey(from > rootDeparture ? from : rootDeparture));
+  for (let day = firstDay.getTime(); day < to.getTime(); day += DAY_MS) {
+    const key = localDateKey(new Date(day));
+    if (key <= rootKey || !recursOn(root.recurrence, key, rootKey)) continue;
+
+    const departureTime = new Date(day + timeOfDay);
+    if (departureTime < from || departureTime >= to) continue;
+    if (endsAt && departureTime > endsAt) break;
+    occurrences.push({ occurrenceDate: key, departureTime });
+  }
+  return occurrences;
+};
+
+let occurrenceIndexReady = false;
+
+/**
+ * Create any missing occurrences of active recurring rides that depart inside a window
+ *
+ * Upserts keyed on (parentRideId, occurrenceDate) make this safe to run on
+ * every search, including from concurrent requests.
+ *
+ * @param {Object} db - Database handle
+ * @param {Date} from - Window start (never earlier than now)
+ * @param {Date} to - Window end (capped at MAX_EXPANSION_DAYS from now)
+ * @param {Object} [rootFilter] - Extra filter for the series roots, e.g. a single ride id
+ * @returns {Promise<number>} - Number of occurrences created
+ */
+export const expandRecurringRides = async (db, from, to, rootFilter = {}) => {
+  const col = db.collection('rides');
+  const now = new Date();
+  const horizon = new Date(now.getTime() + MAX_EXPANSION_DAYS * DAY_MS);
+  // Departures in the past are never bookable, so they are never materialised
+  const since = from < now ? now : from;
+  const until = to > horizon ? horizon : to;
+  if (until <= since) return 0;
+
+  if (!occurrenceIndexReady) {
+    try {
+      await col.createIndex(
+        { parentRideId: 1, occurrenceDate: 1 },
+        { unique: true, partialFilterExpression: { parentRideId: { $exists: true } }, background: true }
+      );
+      occurrenceIndexReady = true;
+    } catch (indexErr) {
+      console.warn('Ride occurrence index creation skipped:', indexErr.message);
+    }
+  }
+
+  const roots = await col.find({
+    ...rootFilter,
+    recurrence: { $in: RECURRENCE_PATTERNS },
+    parentRideId: { $exists: false },
+    seriesEndedAt: { $exists: false },
+    departureTime: { $lt: until },
+    $or: [{ recurrenceEndsAt: null }, { recurrenceEndsAt: { $gte: since } }]
+  }).toArray();
+
+  const operations = [];
+  for (const root of roots) {
+    const { _id, reservations, status, createdAt, updatedAt, cancelledAt, cancellationReason, ...template } = root;
+    for (const { occurrenceDate, departureTime } of occurrencesBetween(root, since, until)) {
+      operations.push({
+        updateOne: {
+          filter: { parentRideId: _id, occurrenceDate },
+          update: {
+            $setOnInsert: {
+              ...template,
+              parentRideId: _id,
+              occurrenceDate,
+              departureTime,
+              seatsAvailable: root.seatsTotal,
+              reservations: [],
+              status: 'active',
+              createdAt: new Date(),
+              updatedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+  }
+  if (operations.length === 0) return 0;
+
+  try {
+    const result = await col.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount || 0;
+  } catch (err) {
+    // A concurrent expansion may have inserted the same occurrence first
+    if (err.code === 11000 || err.writeErrors?.every(e => e.code === 11000)) return err.result?.upsertedCount || 0;
+    throw err;
+  }
+};
+
+/**
+ * Build the departure window for a ride search
+ *
+ * `date` (YYYY-MM-DD, local) selects one day; `from`/`to` take any instants;
+ * with neither the window is open-ended from now. `timeFrom`/`timeTo` (HH:mm,
+ * local) narrow the window to a time of day on every day it covers.
+ *
+ * @param {URLSearchParams} searchParams - Query string
+ * @returns {{from: Date, to: Date|null, timeFrom: string|null, timeTo: string|null}}
+ */
+export const parseDepartureWindow = (searchParams) => {
+  const date = searchParams.get('date');
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const timeFrom = timePattern.test(searchParams.get('timeFrom') || '') ? searchParams.get('timeFrom') : null;
+  const timeTo = timePattern.test(searchParams.get('timeTo') || '') ? searchParams.get('timeTo') : null;
+
+  let from = new Date();
+  let to = null;
+  if (date && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    from = startOfLocalDay(date);
+    to = new Date(from.getTime() + DAY_MS);
+  } else {
+    const fromParam = new Date(searchParams.get('from') || '');
+    const toParam = new Date(searchParams.get('to') || '');
+    if (!isNaN(fromParam)) from = fromParam;
+    if (!isNaN(toParam)) to = toParam;
+  }
+  return { from, to, timeFrom, timeTo };
+};
+
+/**
+ * Mongo filter for departures inside a window, including the time-of-day slice
+ * @param {Object} window - Result of parseDepartureWindow
+ * @returns {Object}
+ */
+export const departureFilter = ({ from, to, timeFrom, timeTo }) => {
+  const filter = { departureTime: to ? { $gte: from, $lt: to } : { $gte: from } };
+  const localTime = { $dateToString: { format: '%H:%M', date: '$departureTime', timezone: RIDE_TIMEZONE } };
+  const clauses = [];
+  if (timeFrom) clauses.push({ $gte: [localTime, timeFrom] });
+  if (timeTo) clauses.push({ $lte: [localTime, timeTo] });
+  if (clauses.length > 0) filter.$expr = { $and: clauses };
+  return filter;
+};
+
+/**
+ * Case-insensitive place matcher that treats user input literally
+ * @param {string} place - Place name typed by the user
+ * @returns {Object} - $regex clause
+ */
+export const placeFilter = (place) => ({
+  $regex: String(place).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'),
+  $options: 'i'
+});
+
+/**
+ * Stop a recurring series: no more occurrences are created, and every
+ * upcoming occurrence (the root included) is cancelled with the usual
+ * passenger notifications
+ * @param {Object} db - Database handle
+ * @param {string} rideId - Series root id
+ * @param {string} userId - Caller, must be the driver
+ * @param {string} [reason] - Optional note passed on to passengers
+ * @returns {Promise<{cancelled: number, affected: Array}>}
+ */
+export const cancelRideSeries = async (db, rideId, userId, reason = '') => {
+  const col = db.collection('rides');
+  const rootId = toObjectId(rideId, 'ride');
+
+  const root = await col.findOne({ _id: rootId });
+  if (!root) throw httpError('Ride not found', 404);
+  if (root.userId !== String(userId)) throw httpError('Not your ride', 403);
+  if (!RECURRENCE_PATTERNS.includes(root.recurrence) || root.parentRideId) {
+    throw httpError('This ride is not the start of a recurring series', 400);
+  }
+
+  await col.updateOne({ _id: rootId }, { $set: { seriesEndedAt: new Date(), updatedAt: new Date() } });
+
+  const upcoming = await col.find({
+    $or: [{ _id: rootId }, { parentRideId: rootId }],
+    status: { $ne: 'cancelled' },
+    departureTime: { $gte: new Date() }
+  }, { projection: { _id: 1 } }).toArray();
+
+  const affected = [];
+  for (const { _id } of upcoming) {
+    try {
+      const result = await cancelRide(db, String(_id), userId, reason);
+      affected.push(...result.affected);
+    } catch (err) {
+      // Another request cancelled this occurrence in the meantime
+      if (err.status !== 409) throw err;
+    }
+  }
+  return { cancelled: upcoming.length, affected };
+};
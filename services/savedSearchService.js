@@ -0,0 +1,377 @@
+// services/savedSearchService.js
+// Saved listing searches and their new-match alerts.
+//
+// A saved search stores the same filter parameters `/listings` accepts. When a
+// listing goes live (created, or approved from `usersubmissions`) it is checked
+// against every saved search with alerts on, and each hit is queued in
+// `saved_search_matches`. The daily digest then sends each user one in-app
+// notification covering all their searches.
+
+import { ObjectId } from 'mongodb';
+import { notifyUser } from './notificationService.js';
+import { searchListings, exactMatchRegex, countryAliases, PRICE_BUCKETS } from './listingSearchService.js';
+
+const SEARCHES = 'saved_searches';
+const MATCHES = 'saved_search_matches';
+
+export const MAX_SAVED_SEARCHES = 20;
+
+// Listing statuses shown on the marketplace
+const LIVE_STATUSES = ['active', 'published'];
+
+// `/listings` filter parameters a saved search can hold, and the aliases that handler also accepts
+export const SAVED_SEARCH_PARAMS = [
+  'search', 'make', 'model', 'year', 'minYear', 'maxYear', 'priceRange', 'minPrice', 'maxPrice',
+  'minMileage', 'maxMileage', 'condition', 'fuelType', 'transmission', 'bodyStyle', 'drivetrain',
+  'country', 'city', 'sellerType'
+];
+const PARAM_ALIASES = {
+  searchKeyword: 'search',
+  yearRange: 'year',
+  transmissionType: 'transmission',
+  vehicleType: 'bodyStyle',
+  category: 'bodyStyle'
+};
+const NUMERIC_PARAMS = ['minYear', 'maxYear', 'minPrice', 'maxPrice', 'minMileage', 'maxMileage'];
+
+const httpError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+let indexesEnsured = false;
+const ensureIndexes = async (db) => {
+  if (indexesEnsured) return;
+  try {
+    await db.collection(SEARCHES).createIndex({ userId: 1, createdAt: -1 });
+    await db.collection(SEARCHES).createIndex({ alertsEnabled: 1, 'params.make': 1 });
+    await db.collection(MATCHES).createIndex({ savedSearchId: 1, listingId: 1 }, { unique: true });
+    await db.collection(MATCHES).createIndex({ digestId: 1, matchedAt: 1 });
+    indexesEnsured = true;
+  } catch (indexErr) {
+    console.warn('Saved search index setup skipped:', indexErr.message);
+  }
+};
+
+/**
+ * Keep only the filters `/listings` understands, under their canonical names
+ * @param {Object} input - Query parameters, e.g. from the search page URL
+ * @returns {Object} - Non-empty filters
+ */
+export const normaliseSearchParams = (input = {}) => {
+  const params = {};
+  for (const [rawKey, rawValue] of Object.entries(input || {})) {
+    const key = PARAM_ALIASES[rawKey] || rawKey;
+    if (!SAVED_SEARCH_PARAMS.includes(key) || params[key] !== undefined) continue;
+    const value = String(rawValue ?? '').trim();
+    if (!value || ['all', 'All', 'All Prices'].includes(value)) continue;
+    if (NUMERIC_PARAMS.includes(key)) {
+      if (Number.isNaN(Number(value))) throw httpError(`${key} must be a number`);
+      params[key] = Number(value);
+    } else {
+      params[key] = value.slice(0, 200);
+    }
+  }
+  if (params.priceRange && !PRICE_BUCKETS.some(b => b.key === params.priceRange)) {
+    throw httpError(`priceRange must be one of: ${PRICE_BUCKETS.map(b => b.key).join(', ')}`);
+  }
+  return params;
+};
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+const inRange = (value, min, max) => (min === undefined || value >= min) && (max === undefined || value <= max);
+
+/**
+ * Whether a listing passes a saved search's filters, as `/listings` would filter it
+ * @param {Object} listing
+ * @param {Object} params - Normalised search parameters
+ * @returns {boolean}
+ */
+export const listingMatchesSearch = (listing, params) => {
+  const specs = listing.specifications || {};
+  const year = Number(specs.year || listing.year) || 0;
+  const price = Number(listing.price) || 0;
+  const mileage = Number(specs.mileage ?? listing.mileage) || 0;
+
+  if (params.make && !sameText(specs.make || listing.make, params.make)) return false;
+  if (params.model && !sameText(specs.model || listing.model, params.model)) return false;
+  if (params.fuelType && !sameText(specs.fuelType || listing.fuelType, params.fuelType)) return false;
+  if (params.transmission && !sameText(specs.transmission, params.transmission)) return false;
+  if (params.drivetrain && !sameText(specs.drivetrain, params.drivetrain)) return false;
+  if (params.bodyStyle && !sameText(listing.category, params.bodyStyle)) return false;
+  if (params.condition && !sameText(listing.condition, params.condition)) return false;
+
+  if (params.year === 'Pre-2020' && !(year < 2020)) return false;
+  if (params.year && params.year !== 'Pre-2020' && !Number.isNaN(Number(params.year)) && year !== Number(params.year)) return false;
+  if ((params.minYear || params.maxYear) && !inRange(year, params.minYear, params.maxYear)) return false;
+
+  if (params.priceRange) {
+    const bucket = PRICE_BUCKETS.find(b => b.key === params.priceRange);
+    if (bucket && !inRange(price, bucket.min, bucket.max)) return false;
+  } else if ((params.minPrice || params.maxPrice) && !inRange(price, params.minPrice, params.maxPrice)) {
+    return false;
+  }
+  if ((params.minMileage || params.maxMileage) && !inRange(mileage, params.minMileage, params.maxMileage)) return false;
+
+  if (params.country && !countryAliases(params.country).some(a => sameText(a, listing.location?.country))) return false;
+  if (params.city && !String(listing.location?.city || '').toLowerCase().includes(params.city.toLowerCase())) return false;
+
+  const privateSeller = listing.dealer?.sellerType === 'private';
+  if (params.sellerType === 'private' && !privateSeller) return false;
+  if (params.sellerType === 'dealership' && privateSeller) return false;
+
+  if (params.search) {
+    const { results, terms, partial } = searchListings([listing], params.search);
+    if (terms.length && (!results.length || partial)) return false;
+  }
+  return true;
+};
+
+// Default name from the filters, e.g. "Toyota Hilux · Gaborone"
+const describeSearch = (params) => [params.search && `"${params.search}"`, params.make, params.model, params.bodyStyle, params.priceRange, params.city]
+  .filter(Boolean)
+  .join(' · ') || 'My search';
+
+/**
+ * A user's saved searches, newest first
+ * @param {Object} db - Database handle
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+export const listSavedSearches = (db, userId) => db.collection(SEARCHES)
+  .find({ userId: new ObjectId(userId) })
+  .sort({ createdAt: -1 })
+  .toArray();
+
+/**
+ * Save a search
+ * @param {Object} db - Database handle
+ * @param {string} userId
+ * @param {Object} input
+ * @param {Object} input.params - `/listings` filter parameters
+ * @param {string} [input.name] - Defaults to a summary of the filters
+ * @param {boolean} [input.alertsEnabled] - Defaults to true
+ * @returns {Promise<Object>}
+ */
+export const createSavedSearch = async (db, userId, { params, name, alertsEnabled = true } = {}) => {
+  await ensureIndexes(db);
+  const filters = normaliseSearchParams(params);
+  if (!Object.keys(filters).length) throw httpError('Choose at least one filter to save');
+
+  const owner = new ObjectId(userId);
+  const existing = await db.collection(SEARCHES).countDocuments({ userId: owner });
+  if (existing >= MAX_SAVED_SEARCHES) throw httpError(`You can save up to ${MAX_SAVED_SEARCHES} searches`, 409);
+
+  const now = new Date();
+  const doc = {
+    userId: owner,
+    name: String(name || '').trim().slice(0, 100) || describeSearch(filters),
+    params: filters,
+    alertsEnabled: alertsEnabled !== false,
+    matchCount: 0,
+    lastMatchedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  const { insertedId } = await db.collection(SEARCHES).insertOne(doc);
+  return { ...doc, _id: insertedId };
+};
+
+/**
+ * Rename a saved search, change its filters or switch its alerts
+ * @param {Object} db - Database handle
+ * @param {string} userId - Owner
+ * @param {string} id
+ * @param {Object} input - Any of name, params, alertsEnabled
+ * @returns {Promise<Object>}
+ */
+export const updateSavedSearch = async (db, userId, id, { name, params, alertsEnabled } = {}) => {
+  const $set = { updatedAt: new Date() };
+  if (name !== undefined) {
+    $set.name = String(name).trim().slice(0, 100);
+    if (!$set.name) throw httpError('name cannot be empty');
+  }
+  if (params !== undefined) {
+    $set.params = normaliseSearchParams(params);
+    if (!Object.keys($set.params).length) throw httpError('Choose at least one filter to save');
+  }
+  if (alertsEnabled !== undefined) $set.alertsEnabled = alertsEnabled !== false;
+
+  const result = await db.collection(SEARCHES).findOneAndUpdate(
+    { _id: new ObjectId(id), userId: new ObjectId(userId) },
+    { $set },
+    { returnDocument: 'after' }
+  );
+  const updated = result && 'value' in result ? result.value : result;
+  if (!updated) throw httpError('Saved search not found', 404);
+  return updated;
+};
+
+/**
+ * Delete a saved search and its queued alerts
+ * @param {Object} db - Database handle
+ * @param {string} userId - Owner
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteSavedSearch = async (db, userId, id) => {
+  const { deletedCount } = await db.collection(SEARCHES).deleteOne({ _id: new ObjectId(id), userId: new ObjectId(userId) });
+  if (!deletedCount) throw httpError('Saved search not found', 404);
+  await db.collection(MATCHES).deleteMany({ savedSearchId: new ObjectId(id) });
+};
+
+/**
+ * Listings that have matched a saved search since it was created, newest first
+ * @param {Object} db - Database handle
+ * @param {string} userId - Owner
+ * @param {string} id
+ * @param {number} [limit]
+ * @returns {Promise<Object[]>}
+ */
+export const listSavedSearchMatches = async (db, userId, id, limit = 50) => {
+  const search = await db.collection(SEARCHES).findOne({ _id: new ObjectId(id), userId: new ObjectId(userId) });
+  if (!search) throw httpError('Saved search not found', 404);
+  return db.collection(MATCHES)
+    .find({ savedSearchId: search._id }, { projection: { digestId: 0 } })
+    .sort({ matchedAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 200))
+    .toArray();
+};
+
+// Who listed it, so sellers are not alerted about their own listing
+const listingOwnerId = (listing) => String(listing.userId || listing.createdBy?.userId || listing.createdBy || '');
+
+/**
+ * Queue alerts for every saved search a newly live listing matches
+ *
+ * Called after a listing is created or approved, and whenever an edit or a
+ * status change puts it live again; failures are logged, never thrown, so
+ * they cannot undo the listing. A listing is queued at most once per saved
+ * search.
+ *
+ * @param {Object} db - Database handle
+ * @param {Object} listing - The listing as stored
+ * @param {Object} [options]
+ * @param {string} [options.previousStatus] - Status before an update; a listing that was already live is skipped
+ * @returns {Promise<number>} - How many saved searches it matched
+ */
+export const matchSavedSearches = async (db, listing, { previousStatus = null } = {}) => {
+  try {
+    if (!listing?._id || !LIVE_STATUSES.includes(listing.status) || LIVE_STATUSES.includes(previousStatus)) return 0;
+    await ensureIndexes(db);
+
+    // Most saved searches name a make, so let Mongo rule out the other makes
+    const make = listing.specifications?.make || listing.make;
+    const candidates = await db.collection(SEARCHES).find({
+      alertsEnabled: true,
+      $or: [
+        { 'params.make': { $exists: false } },
+        ...(make ? [{ 'params.make': exactMatchRegex(make) }] : [])
+      ]
+    }).toArray();
+
+    const ownerId = listingOwnerId(listing);
+    const now = new Date();
+    let matched = 0;
+    for (const search of candidates) {
+      if (String(search.userId) === ownerId || !listingMatchesSearch(listing, search.params || {})) continue;
+      try {
+        await db.collection(MATCHES).insertOne({
+          savedSearchId: search._id,
+          userId: search.userId,
+          listingId: listing._id,
+          listingTitle: listing.title || '',
+          price: Number(listing.price) || 0,
+          image: listing.images?.[0]?.url || listing.images?.[0] || null,
+          matchedAt: now,
+          digestId: null,
+          digestedAt: null
+        });
+      } catch (insertErr) {
+        if (insertErr.code === 11000) continue; // already queued for this search
+        throw insertErr;
+      }
+      await db.collection(SEARCHES).updateOne({ _id: search._id }, { $inc: { matchCount: 1 }, $set: { lastMatchedAt: now } });
+      matched++;
+    }
+    return matched;
+  } catch (matchErr) {
+    console.error(`Saved search matching failed for listing ${listing?._id}:`, matchErr.message);
+    return 0;
+  }
+};
+
+/**
+ * Daily digest: one notification per user for everything matched since the last one
+ *
+ * Matches are claimed with a digest id before sending, so overlapping runs
+ * never notify twice; a user whose notification fails keeps theirs for the
+ * next run. Listings that are no longer live, and searches deleted or muted in
+ * the meantime, are left out.
+ *
+ * @param {Object} db - Database handle
+ * @param {Date} [now]
+ * @returns {Promise<{users: number, listings: number, skipped: number}>}
+ */
+export const sendSavedSearchDigests = async (db, now = new Date()) => {
+  await ensureIndexes(db);
+  const digestId = new ObjectId();
+  await db.collection(MATCHES).updateMany(
+    { digestId: null, matchedAt: { $lte: now } },
+    { $set: { digestId, digestedAt: now } }
+  );
+  const claimed = await db.collection(MATCHES).find({ digestId }).toArray();
+  const summary = { users: 0, listings: 0, skipped: 0 };
+  if (!claimed.length) return summary;
+
+  const [liveListings, searches] = await Promise.all([
+    db.collection('listings').find(
+      { _id: { $in: [...new Set(claimed.map(m => String(m.listingId)))].map(id => new ObjectId(id)) }, status: { $in: LIVE_STATUSES } },
+      { projection: { _id: 1 } }
+    ).toArray(),
+    db.collection(SEARCHES).find(
+      { _id: { $in: [...new Set(claimed.map(m => String(m.savedSearchId)))].map(id => new ObjectId(id)) }, alertsEnabled: true },
+      { projection: { name: 1 } }
+    ).toArray()
+  ]);
+  const live = new Set(liveListings.map(l => String(l._id)));
+  const searchNames = new Map(searches.map(s => [String(s._id), s.name]));
+
+  // userId -> savedSearchId -> matches
+  const byUser = new Map();
+  for (const match of claimed) {
+    if (!live.has(String(match.listingId)) || !searchNames.has(String(match.savedSearchId))) {
+      summary.skipped++;
+      continue;
+    }
+    const userKey = String(match.userId);
+    if (!byUser.has(userKey)) byUser.set(userKey, new Map());
+    const perSearch = byUser.get(userKey);
+    const searchKey = String(match.savedSearchId);
+    if (!perSearch.has(searchKey)) perSearch.set(searchKey, []);
+    perSearch.get(searchKey).push(match);
+  }
+
+  for (const [userId, perSearch] of byUser) {
+    const groups = [...perSearch.entries()].map(([savedSearchId, matches]) => ({
+      savedSearchId,
+      name: searchNames.get(savedSearchId),
+      count: matches.length,
+      listings: matches.slice(0, 5).map(m => ({ listingId: String(m.listingId), title: m.listingTitle, price: m.price, image: m.image }))
+    }));
+    const total = groups.reduce((sum, g) => sum + g.count, 0);
+    const sent = await notifyUser(db, userId, {
+      type: 'saved_search_digest',
+      title: `${total} new listing${total === 1 ? '' : 's'} match${total === 1 ? 'es' : ''} your saved searches`,
+      message: groups.map(g => `${g.name}: ${g.count} new`).join(' · '),
+      data: { total, searches: groups }
+    });
+    if (sent) {
+      summary.users++;
+      summary.listings += total;
+    } else {
+      await db.collection(MATCHES).updateMany(
+        { digestId, userId: new ObjectId(userId) },
+        { $set: { digestId: null, digestedAt: null } }
+      );
+    }
+  }
+  return summary;
+};
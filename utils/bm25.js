@@ -0,0 +1,36 @@
+// utils/bm25.js
+// Tokenizer and BM25 scoring shared by the listing search and Mpho's
+// knowledge retrieval.
+
+// BM25 parameters: term-frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Lower-case words and numbers with accents removed ("Mercedes-Benz C200" -> mercedes, benz, c200)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * BM25 inverse document frequency of a term
+ * @param {number} size - Documents in the collection
+ * @param {number} docFreq - Documents containing the term
+ * @returns {number}
+ */
+export const bm25Idf = (size, docFreq) => Math.log(1 + (size - docFreq + 0.5) / (docFreq + 0.5));
+
+/**
+ * BM25 weight of a term in one document, before idf
+ * @param {number} tf - Term frequency in the document
+ * @param {number} length - Document length in terms
+ * @param {number} avgLength - Average document length
+ * @returns {number}
+ */
+export const bm25TermWeight = (tf, length, avgLength) => tf * (K1 + 1) / (tf + K1 * (1 - B + B * length / avgLength));
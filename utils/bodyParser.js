@@ -0,0 +1,242 @@
+// utils/bodyParser.js
+// Request body layer for the serverless handler in api/index.js.
+//
+// The body is read once per request, parsed according to Content-Type
+// (JSON, urlencoded or multipart) and cached on the request as `req.body`
+// and `req.files`. Malformed or oversized bodies raise a BodyParseError that
+// the handler turns into a single 400/413 response.
+
+export const DEFAULT_BODY_LIMITS = {
+  json: 1 * 1024 * 1024,
+  urlencoded: 1 * 1024 * 1024,
+  multipart: 10 * 1024 * 1024
+};
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+export class BodyParseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BodyParseError';
+    this.statusCode = statusCode;
+  }
+}
+
+const formatLimit = (bytes) => (bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))}MB` : `${Math.round(bytes / 1024)}KB`);
+
+/**
+ * Work out which parser a Content-Type header calls for
+ * @param {string} contentType - Raw Content-Type header
+ * @returns {'json'|'urlencoded'|'multipart'|'text'}
+ */
+export const bodyTypeOf = (contentType = '') => {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'application/json' || type.endsWith('+json')) return 'json';
+  if (type === 'application/x-www-form-urlencoded') return 'urlencoded';
+  if (type === 'multipart/form-data') return 'multipart';
+  return 'text';
+};
+
+/**
+ * Read the raw request body, enforcing a byte limit
+ * @param {Object} req - Incoming request
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>}
+ */
+export const readRawBody = async (req, limit = DEFAULT_BODY_LIMITS.json) => {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (declared > limit) {
+    throw new BodyParseError(`Request body exceeds the ${formatLimit(limit)} limit`, 413);
+  }
+
+  // Some runtimes drain the stream before the handler runs and leave the payload on req.body
+  if (req.readableEnded) {
+    let existing;
+    try {
+      existing = req.body;
+    } catch (error) {
+      throw new BodyParseError(`Malformed request body: ${error.message}`);
+    }
+    if (Buffer.isBuffer(existing)) return existing;
+    if (typeof existing === 'string') return Buffer.from(existing);
+    if (existing && typeof existing === 'object') return Buffer.from(JSON.stringify(existing));
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new BodyParseError(`Request body exceeds the ${formatLimit(limit)} limit`, 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Parse a JSON payload; an empty payload is an empty object
+ * @param {Buffer} raw - Raw body
+ * @returns {Object|Array}
+ */
+export const parseJson = (raw) => {
+  const text = raw.toString('utf8').trim();
+  if (!text) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new BodyParseError(`Malformed JSON body: ${error.message}`);
+  }
+  if (parsed === null || typeof parsed !== 'object') {
+    throw new BodyParseError('JSON body must be an object or an array');
+  }
+  return parsed;
+};
+
+/**
+ * Parse an urlencoded payload; repeated keys become arrays
+ * @param {Buffer} raw - Raw body
+ * @returns {Object}
+ */
+export const parseUrlencoded = (raw) => {
+  const body = {};
+  for (const [key, value] of new URLSearchParams(raw.toString('utf8'))) {
+    if (key in body) {
+      body[key] = [].concat(body[key], value);
+    } else {
+      body[key] = value;
+    }
+  }
+  return body;
+};
+
+/**
+ * Parse a multipart/form-data payload
+ * @param {Buffer} raw - Raw body
+ * @param {string} contentType - Content-Type header carrying the boundary
+ * @returns {{fields: Object, files: Array<{fieldname: string, filename: string, mimetype: string, buffer: Buffer, size: number}>}}
+ */
+export const parseMultipart = (raw, contentType = '') => {
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundaryMatch) throw new BodyParseError('Invalid multipart request - no boundary found');
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2].trim()}`);
+  const fields = {};
+  const files = [];
+
+  let start = raw.indexOf(delimiter);
+  if (start === -1) {
+    if (raw.length === 0) return { fields, files };
+    throw new BodyParseError('Malformed multipart body');
+  }
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" right after a delimiter marks the end of the payload
+    if (raw.slice(partStart, partStart + 2).toString() === '--') break;
+
+    const next = raw.indexOf(delimiter, partStart);
+    if (next === -1) throw new BodyParseError('Malformed multipart body - missing closing boundary');
+
+    // Each part is CRLF + headers + CRLFCRLF + content + CRLF
+    const part = raw.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) throw new BodyParseError('Malformed multipart body - part without headers');
+
+    const headers = part.slice(0, headerEnd).toString('utf8');
+    const content = part.slice(headerEnd + 4);
+    const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+    const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+    const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+
+    if (name !== undefined) {
+      if (filename !== undefined) {
+        if (filename) {
+          files.push({
+            fieldname: name,
+            filename,
+            mimetype: headers.match(/content-type:\s*([^\r\n]+)/i)?.[1].trim() || 'application/octet-stream',
+            buffer: content,
+            size: content.length
+          });
+        }
+      } else {
+        const value = content.toString('utf8');
+        fields[name] = name in fields ? [].concat(fields[name], value) : value;
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+};
+
+/**
+ * Read and parse the request body once, caching the result on the request
+ *
+ * After this runs `req.body` holds the parsed payload and `req.files` any
+ * uploaded files. Handlers that still drain the stream themselves get the
+ * same bytes replayed, so they keep working until they are migrated.
+ *
+ * @param {Object} req - Incoming request
+ * @param {Object} limits - Per-type byte limits, merged over DEFAULT_BODY_LIMITS
+ * @returns {Promise<{body: Object, files: Array, raw: Buffer}>}
+ */
+export const parseRequestBody = async (req, limits = {}) => {
+  if (req._parsedBody) return req._parsedBody;
+
+  const contentType = req.headers['content-type'] || '';
+  const type = bodyTypeOf(contentType);
+  const limit = { ...DEFAULT_BODY_LIMITS, ...limits }[type === 'text' ? 'json' : type];
+
+  const raw = await readRawBody(req, limit);
+  let body = {};
+  let files = [];
+
+  if (type === 'json') {
+    body = parseJson(raw);
+  } else if (type === 'urlencoded') {
+    body = parseUrlencoded(raw);
+  } else if (type === 'multipart') {
+    ({ fields: body, files } = parseMultipart(raw, contentType));
+  } else if (/^\s*[[{]/.test(raw.toString('utf8', 0, 64))) {
+    // fetch() without a Content-Type sends text/plain; treat JSON-looking payloads as JSON
+    body = parseJson(raw);
+  }
+
+  req._parsedBody = { body, files, raw };
+  Object.defineProperty(req, 'body', { value: body, writable: true, configurable: true, enumerable: true });
+  req.files = files;
+  req.rawBody = raw;
+  req[Symbol.asyncIterator] = async function* replayBody() {
+    if (raw.length > 0) yield raw;
+  };
+
+  return req._parsedBody;
+};
+
+/**
+ * Whether a request method carries a body worth parsing
+ * @param {string} method - HTTP method
+ * @returns {boolean}
+ */
+export const hasRequestBody = (method) => BODY_METHODS.includes(method);
+
+/**
+ * Send the standard response for a BodyParseError
+ * @param {Object} res - Response object
+ * @param {BodyParseError} error - Parse failure
+ */
+export const sendBodyError = (res, error) => {
+  return res.status(error.statusCode || 400).json({
+    success: false,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
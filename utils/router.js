@@ -0,0 +1,216 @@
+// utils/router.js
+// Declarative route table for the serverless handler in api/index.js.
+//
+// Routes are matched by specificity rather than registration order: at each
+// path segment a static segment beats a constrained param (`:id([a-f0-9]{24})`),
+// which beats a plain param (`:id`). That way `/api/rides/my-rides` always wins
+// over `/api/rides/:id` no matter which section registered first.
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const SEGMENT_RANK = { static: 0, constrained: 1, param: 2 };
+
+/**
+ * Split a path into its non-empty segments, ignoring a trailing slash
+ * @param {string} path - Request path or route pattern
+ * @returns {string[]}
+ */
+const splitPath = (path) => String(path || '').split('/').filter(Boolean);
+
+/**
+ * Compile a pattern such as `/api/rides/:id/reserve` into matchable segments
+ * @param {string} pattern - Route pattern
+ * @returns {Array<{kind: string, value?: string, name?: string, regex?: RegExp}>}
+ */
+const compilePattern = (pattern) => splitPath(pattern).map((segment) => {
+  const param = segment.match(/^:([A-Za-z_][A-Za-z0-9_]*)(?:\((.+)\))?$/);
+  if (!param) return { kind: 'static', value: segment };
+  if (!param[2]) return { kind: 'param', name: param[1] };
+  return { kind: 'constrained', name: param[1], source: param[2], regex: new RegExp(`^(?:${param[2]})$`) };
+});
+
+/**
+ * Shape of a pattern with param names erased, used to detect routes that can never be reached
+ * @param {Array} segments - Compiled segments
+ * @returns {string}
+ */
+const signatureOf = (segments) => segments
+  .map((s) => (s.kind === 'static' ? s.value : s.kind === 'constrained' ? `:(${s.source})` : ':'))
+  .join('/');
+
+/**
+ * Order two compiled routes so the more specific one comes first
+ */
+const compareSpecificity = (a, b) => {
+  for (let i = 0; i < a.segments.length; i++) {
+    const diff = SEGMENT_RANK[a.segments[i].kind] - SEGMENT_RANK[b.segments[i].kind];
+    if (diff !== 0) return diff;
+  }
+  return a.order - b.order;
+};
+
+/**
+ * Match a compiled route against path segments
+ * @returns {Object|null} - Extracted params, or null when the route does not match
+ */
+const matchSegments = (segments, parts) => {
+  if (segments.length !== parts.length) return null;
+  const params = {};
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    let part;
+    try {
+      part = decodeURIComponent(parts[i]);
+    } catch (_) {
+      return null;
+    }
+    if (segment.kind === 'static') {
+      if (segment.value !== parts[i]) return null;
+      continue;
+    }
+    if (segment.regex && !segment.regex.test(part)) return null;
+    params[segment.name] = part;
+  }
+  return params;
+};
+
+/**
+ * Send the standard 404 response used by every section of the API
+ * @param {Object} res - Response object
+ * @param {string} path - Requested path
+ * @param {Object} extra - Additional fields merged into the body
+ */
+export const sendNotFound = (res, path, extra = {}) => {
+  return res.status(404).json({
+    success: false,
+    message: `Endpoint not found: ${path}`,
+    timestamp: new Date().toISOString(),
+    ...extra
+  });
+};
+
+/**
+ * Send the standard 405 response, advertising the methods the path does support
+ * @param {Object} res - Response object
+ * @param {string} method - Requested method
+ * @param {string} path - Requested path
+ * @param {string[]} allowed - Methods registered for the path
+ */
+export const sendMethodNotAllowed = (res, method, path, allowed) => {
+  res.setHeader('Allow', [...allowed, 'OPTIONS'].join(', '));
+  return res.status(405).json({
+    success: false,
+    message: `Method ${method} not allowed for ${path}`,
+    allowedMethods: allowed,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Create a route table
+ *
+ * Handlers receive a single context object: whatever was passed to `dispatch`
+ * plus `params` extracted from the pattern.
+ *
+ * @returns {Object} - Router with get/post/put/patch/delete, match, dispatch and check
+ */
+export const createRouter = () => {
+  const routes = [];
+
+  const add = (method, patterns, handler) => {
+    const verb = method.toUpperCase();
+    if (!METHODS.includes(verb)) throw new Error(`Unsupported route method: ${method}`);
+    if (typeof handler !== 'function') throw new Error(`Route handler for ${verb} ${patterns} must be a function`);
+
+    for (const pattern of [].concat(patterns)) {
+      const segments = compilePattern(pattern);
+      routes.push({ method: verb, pattern, segments, signature: signatureOf(segments), handler, order: routes.length });
+    }
+    return router;
+  };
+
+  /**
+   * Find the route for a request
+   * @returns {Object|null} - `{ route, params }` on a match, `{ allowed }` when only the method is wrong, or null
+   */
+  const match = (method, path) => {
+    const parts = splitPath(path);
+    const candidates = routes
+      .filter((route) => route.segments.length === parts.length)
+      .sort(compareSpecificity);
+
+    const allowed = new Set();
+    for (const route of candidates) {
+      const params = matchSegments(route.segments, parts);
+      if (!params) continue;
+      if (route.method === method) return { route, params };
+      allowed.add(route.method);
+    }
+
+    return allowed.size > 0 ? { allowed: METHODS.filter((m) => allowed.has(m)) } : null;
+  };
+
+  /**
+   * Run the matching handler for a request
+   * @param {Object} context - Must contain req, res and path; passed through to the handler
+   * @returns {Promise<boolean>} - false when no route claims the path, so the caller can fall through
+   */
+  const dispatch = async (context) => {
+    const { req, res, path } = context;
+    const found = match(req.method, path);
+    if (!found) return false;
+
+    if (found.allowed) {
+      sendMethodNotAllowed(res, req.method, path, found.allowed);
+      return true;
+    }
+
+    await found.route.handler({ ...context, params: found.params });
+    return true;
+  };
+
+  /**
+   * Startup check for duplicate routes and routes shadowed by an equivalent pattern
+   * @returns {Array<{type: string, method: string, pattern: string, conflictsWith: string}>}
+   */
+  const check = () => {
+    const issues = [];
+    const seen = new Map();
+
+    for (const route of routes) {
+      const key = `${route.method} ${route.signature}`;
+      const earlier = seen.get(key);
+      if (!earlier) {
+        seen.set(key, route);
+        continue;
+      }
+      issues.push({
+        type: earlier.pattern === route.pattern ? 'duplicate' : 'shadowed',
+        method: route.method,
+        pattern: route.pattern,
+        conflictsWith: earlier.pattern
+      });
+    }
+
+    for (const issue of issues) {
+      console.warn(`⚠️ Route ${issue.type}: ${issue.method} ${issue.pattern} (already handled by ${issue.conflictsWith})`);
+    }
+    return issues;
+  };
+
+  const router = {
+    add,
+    match,
+    dispatch,
+    check,
+    routes: () => routes.map(({ method, pattern }) => ({ method, pattern }))
+  };
+
+  for (const method of METHODS) {
+    router[method.toLowerCase()] = (patterns, handler) => add(method, patterns, handler);
+  }
+
+  return router;
+};
+
+export default createRouter;
@@ -0,0 +1,65 @@
+// utils/sse.js
+// Server-Sent Events over a plain Node response, for endpoints that stream
+// (e.g. /api/ai/chat with ?stream=1).
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Whether the client asked for an event stream instead of one JSON body
+ * @param {Object} req - Incoming request
+ * @param {URLSearchParams} searchParams - Query string
+ * @returns {boolean}
+ */
+export const wantsEventStream = (req, searchParams) => {
+  const flag = searchParams?.get('stream');
+  if (flag === '1' || flag === 'true') return true;
+  if (req.body?.stream === true) return true;
+  return String(req.headers?.accept || '').includes('text/event-stream');
+};
+
+/**
+ * Start an event stream on a response
+ *
+ * A comment line goes out every 15s so proxies do not drop an idle connection
+ * while the model is thinking or a tool is running.
+ *
+ * @param {Object} res - Response object
+ * @returns {{send: Function, close: Function, closed: Function}}
+ */
+export const openEventStream = (res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  let ended = false;
+  const heartbeat = setInterval(() => {
+    if (!ended) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+  const stop = () => {
+    ended = true;
+    clearInterval(heartbeat);
+  };
+  res.on('close', stop);
+
+  return {
+    /**
+     * Write one event
+     * @param {string} event - Event name
+     * @param {*} data - JSON-serialisable payload
+     */
+    send(event, data) {
+      if (ended) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (ended) return;
+      stop();
+      res.end();
+    },
+    closed: () => ended
+  };
+};